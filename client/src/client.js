@@ -0,0 +1,516 @@
+/**
+ * REST Client - One method per operation of the server's OpenAPI document
+ *
+ * Uses the global fetch (Node 18+, Deno, browsers). Method names are the
+ * operationIds of GET /openapi.json.
+ *
+ *   const client = new WhatsAppClient({ baseUrl: 'https://wa.example.com', apiKey });
+ *   await client.sendMessage('salon-1', { phone: '+33612345678', message: 'Hello' });
+ *
+ * Error responses throw a WhatsAppApiError carrying the server's code and field.
+ */
+
+const DEFAULT_TIMEOUT_MS = 30000;
+
+/** @typedef {import('./types.js').ApiErrorBody} ApiErrorBody */
+
+/**
+ * @typedef {object} SendOptions
+ * @property {string} [idempotencyKey] - Reuse it when retrying: the server returns the first
+ *   response instead of sending twice (409 idempotency_key_in_use while the first is running)
+ */
+
+export class WhatsAppApiError extends Error {
+  /**
+   * @param {number} status - HTTP status (0 when the request never got a response)
+   * @param {Partial<ApiErrorBody>} body - Error response body
+   */
+  constructor(status, body = {}) {
+    super(body.message || `HTTP ${status}`);
+    this.name = 'WhatsAppApiError';
+    this.status = status;
+    this.code = body.code || (status ? 'http_error' : 'network_error');
+    this.field = body.field || null;
+    this.details = body.details || [];
+    this.body = body;
+  }
+}
+
+export class WhatsAppClient {
+  /**
+   * @param {object} options
+   * @param {string} options.baseUrl - Server URL, e.g. 'https://wa.example.com'
+   * @param {string} [options.apiKey] - Sent as `Authorization: Bearer <key>`
+   * @param {number} [options.timeoutMs=30000] - Per request
+   * @param {typeof fetch} [options.fetch] - fetch implementation (global fetch by default)
+   */
+  constructor({ baseUrl, apiKey, timeoutMs = DEFAULT_TIMEOUT_MS, fetch: fetchImpl }) {
+    if (!baseUrl) {
+      throw new Error('baseUrl is required');
+    }
+
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.apiKey = apiKey || null;
+    this.timeoutMs = timeoutMs;
+    this.fetch = fetchImpl || globalThis.fetch.bind(globalThis);
+  }
+
+  /**
+   * Send a request and decode the response
+   * @param {string} method - HTTP method
+   * @param {string} path - Path, already encoded
+   * @param {object} [options]
+   * @param {object} [options.query] - Query parameters (undefined / null skipped)
+   * @param {*} [options.body] - JSON body
+   * @param {object} [options.headers] - Extra headers
+   * @param {number[]} [options.okStatuses] - Non-2xx statuses returned as data
+   * @param {'json'|'text'|'arrayBuffer'} [options.as='json'] - Response decoding
+   * @returns {Promise<*>}
+   */
+  async request(method, path, { query, body, headers = {}, okStatuses = [], as = 'json' } = {}) {
+    const url = new URL(this.baseUrl + path);
+    for (const [key, value] of Object.entries(query || {})) {
+      if (value !== undefined && value !== null) url.searchParams.set(key, String(value));
+    }
+
+    const requestHeaders = { ...headers };
+    if (this.apiKey) requestHeaders.Authorization = `Bearer ${this.apiKey}`;
+    if (body !== undefined) requestHeaders['Content-Type'] = 'application/json';
+
+    let response;
+    try {
+      response = await this.fetch(url, {
+        method,
+        headers: requestHeaders,
+        body: body === undefined ? undefined : JSON.stringify(body),
+        signal: AbortSignal.timeout(this.timeoutMs)
+      });
+    } catch (error) {
+      const timedOut = error.name === 'TimeoutError';
+      throw new WhatsAppApiError(0, {
+        code: timedOut ? 'timeout' : 'network_error',
+        message: timedOut ? `${method} ${path} timed out after ${this.timeoutMs}ms` : error.message
+      });
+    }
+
+    if (!response.ok && !okStatuses.includes(response.status)) {
+      const text = await response.text();
+      let errorBody;
+      try {
+        errorBody = JSON.parse(text);
+      } catch {
+        errorBody = { message: text || response.statusText };
+      }
+      throw new WhatsAppApiError(response.status, errorBody);
+    }
+
+    return response[as]();
+  }
+
+  // ═══════════════════════════════════════════
+  // HEALTH
+  // ═══════════════════════════════════════════
+
+  /** @returns {Promise<object>} */
+  getHealth() {
+    return this.request('GET', '/health');
+  }
+
+  /** @returns {Promise<{status: 'ok', uptime: number}>} */
+  getLiveness() {
+    return this.request('GET', '/health/live');
+  }
+
+  /**
+   * Readiness (a not_ready server answers 503, returned here rather than thrown)
+   * @returns {Promise<import('./types.js').Readiness>}
+   */
+  getReadiness() {
+    return this.request('GET', '/health/ready', { okStatuses: [503] });
+  }
+
+  // ═══════════════════════════════════════════
+  // SESSIONS
+  // ═══════════════════════════════════════════
+
+  /** @returns {Promise<import('./types.js').SessionSummary[]>} */
+  listSessions() {
+    return this.request('GET', '/sessions');
+  }
+
+  /**
+   * @param {string} salonId
+   * @returns {Promise<import('./types.js').Session>}
+   */
+  getSession(salonId) {
+    return this.request('GET', sessionPath(salonId));
+  }
+
+  /**
+   * @param {string} salonId
+   * @returns {Promise<import('./types.js').SessionEvents>}
+   */
+  getSessionEvents(salonId) {
+    return this.request('GET', sessionPath(salonId, 'events'));
+  }
+
+  /**
+   * Start a session; the QR or pairing code also arrives through SessionSubscriber
+   * @param {string} salonId
+   * @param {import('./types.js').ConnectOptions} [options]
+   * @returns {Promise<import('./types.js').Session>}
+   */
+  connectSession(salonId, options = {}) {
+    return this.request('POST', sessionPath(salonId, 'connect'), { body: options });
+  }
+
+  /**
+   * Close the connection, the phone stays linked
+   * @param {string} salonId
+   * @returns {Promise<import('./types.js').SessionActionResult>}
+   */
+  stopSession(salonId) {
+    return this.request('POST', sessionPath(salonId, 'stop'));
+  }
+
+  /**
+   * @param {string} salonId
+   * @returns {Promise<import('./types.js').Session>}
+   */
+  resumeSession(salonId) {
+    return this.request('POST', sessionPath(salonId, 'resume'));
+  }
+
+  /**
+   * Unlink the phone and delete the stored credentials
+   * @param {string} salonId
+   * @returns {Promise<import('./types.js').SessionActionResult>}
+   */
+  logoutSession(salonId) {
+    return this.request('POST', sessionPath(salonId, 'logout'));
+  }
+
+  // ═══════════════════════════════════════════
+  // MESSAGES
+  // ═══════════════════════════════════════════
+
+  /**
+   * @param {string} salonId
+   * @param {import('./types.js').SendMessageRequest} message
+   * @param {SendOptions} [options]
+   * @returns {Promise<import('./types.js').SendResult>}
+   */
+  sendMessage(salonId, message, options = {}) {
+    return this.request('POST', sessionPath(salonId, 'send'), { body: message, headers: sendHeaders(options) });
+  }
+
+  /**
+   * @param {string} salonId
+   * @param {import('./types.js').SendMediaRequest} media
+   * @param {SendOptions} [options]
+   * @returns {Promise<import('./types.js').SendResult>}
+   */
+  sendMedia(salonId, media, options = {}) {
+    return this.request('POST', sessionPath(salonId, 'send-media'), { body: media, headers: sendHeaders(options) });
+  }
+
+  /**
+   * Approved template through the Cloud API (hybrid mode only)
+   * @param {string} salonId
+   * @param {import('./types.js').SendTemplateRequest} template
+   * @param {SendOptions} [options]
+   * @returns {Promise<import('./types.js').SendResult>}
+   */
+  sendTemplate(salonId, template, options = {}) {
+    return this.request('POST', sessionPath(salonId, 'send-template'), { body: template, headers: sendHeaders(options) });
+  }
+
+  // ═══════════════════════════════════════════
+  // TRANSCRIPTION
+  // ═══════════════════════════════════════════
+
+  /**
+   * @param {string} salonId
+   * @returns {Promise<import('./types.js').TranscriptionSettings>}
+   */
+  getTranscriptionSettings(salonId) {
+    return this.request('GET', sessionPath(salonId, 'transcription'));
+  }
+
+  /**
+   * @param {string} salonId
+   * @param {string|null} language - ISO 639-1 code, 'auto', or null for the server default
+   * @returns {Promise<import('./types.js').TranscriptionSettings>}
+   */
+  setTranscriptionLanguage(salonId, language) {
+    return this.request('PUT', sessionPath(salonId, 'transcription'), { body: { language } });
+  }
+
+  // ═══════════════════════════════════════════
+  // MEDIA
+  // ═══════════════════════════════════════════
+
+  /**
+   * Download inbound media from the signed link of a message webhook
+   * @param {string|import('./types.js').InboundMedia} media - media.url or the media object
+   * @returns {Promise<ArrayBuffer>}
+   */
+  downloadMedia(media) {
+    const url = new URL(typeof media === 'string' ? media : media.url, this.baseUrl);
+    return this.request('GET', url.pathname, {
+      query: Object.fromEntries(url.searchParams),
+      as: 'arrayBuffer'
+    });
+  }
+
+  // ═══════════════════════════════════════════
+  // ADMIN: API KEYS
+  // ═══════════════════════════════════════════
+
+  /** @returns {Promise<{keys: import('./types.js').ApiKey[]}>} */
+  listApiKeys() {
+    return this.request('GET', '/admin/api-keys');
+  }
+
+  /**
+   * @param {string} keyId
+   * @returns {Promise<import('./types.js').ApiKey>}
+   */
+  getApiKey(keyId) {
+    return this.request('GET', `/admin/api-keys/${encodeURIComponent(keyId)}`);
+  }
+
+  /**
+   * @param {import('./types.js').ApiKeyCreateRequest} options
+   * @returns {Promise<import('./types.js').ApiKeySecret>} The plaintext key is only returned here
+   */
+  createApiKey(options = {}) {
+    return this.request('POST', '/admin/api-keys', { body: options });
+  }
+
+  /**
+   * @param {string} keyId
+   * @returns {Promise<{keyId: string, success: boolean}>}
+   */
+  revokeApiKey(keyId) {
+    return this.request('DELETE', `/admin/api-keys/${encodeURIComponent(keyId)}`);
+  }
+
+  /**
+   * @param {string} keyId
+   * @param {{graceSeconds?: number}} [options] - How long the previous secret keeps working
+   * @returns {Promise<import('./types.js').ApiKeySecret>}
+   */
+  rotateApiKey(keyId, options = {}) {
+    return this.request('POST', `/admin/api-keys/${encodeURIComponent(keyId)}/rotate`, { body: options });
+  }
+
+  // ═══════════════════════════════════════════
+  // ADMIN: SESSION REGISTRY
+  // ═══════════════════════════════════════════
+
+  /**
+   * @param {{desiredState?: 'running'|'stopped', label?: string}} [filter] - label: 'key' or 'key:value'
+   * @returns {Promise<{count: number, sessions: import('./types.js').RegisteredSession[]}>}
+   */
+  listRegisteredSessions(filter = {}) {
+    return this.request('GET', '/admin/sessions', { query: filter });
+  }
+
+  /**
+   * @param {string} salonId
+   * @returns {Promise<import('./types.js').RegisteredSession>}
+   */
+  getRegisteredSession(salonId) {
+    return this.request('GET', `/admin/sessions/${encodeURIComponent(salonId)}`);
+  }
+
+  /**
+   * Register a salon (started or stopped right away to match desiredState)
+   * @param {string} salonId
+   * @param {import('./types.js').RegisteredSessionInput} [options]
+   * @returns {Promise<import('./types.js').RegisteredSession>}
+   */
+  registerSession(salonId, options = {}) {
+    return this.request('POST', '/admin/sessions', { body: { salonId, ...options } });
+  }
+
+  /**
+   * @param {string} salonId
+   * @param {import('./types.js').RegisteredSessionInput} patch
+   * @returns {Promise<import('./types.js').RegisteredSession>}
+   */
+  updateRegisteredSession(salonId, patch) {
+    return this.request('PATCH', `/admin/sessions/${encodeURIComponent(salonId)}`, { body: patch });
+  }
+
+  /**
+   * Stop the session and forget the salon
+   * @param {string} salonId
+   * @param {{logout?: boolean}} [options] - logout: also unlink the phone
+   * @returns {Promise<import('./types.js').SessionActionResult>}
+   */
+  removeRegisteredSession(salonId, { logout = false } = {}) {
+    return this.request('DELETE', `/admin/sessions/${encodeURIComponent(salonId)}`, {
+      query: logout ? { logout: true } : undefined
+    });
+  }
+
+  // ═══════════════════════════════════════════
+  // ADMIN: DEAD LETTERS
+  // ═══════════════════════════════════════════
+
+  /**
+   * @param {import('./types.js').DeadLetterFilter & {limit?: number}} [filter]
+   * @returns {Promise<{count: number, deadLetters: import('./types.js').DeadLetter[]}>}
+   */
+  listDeadLetters(filter = {}) {
+    return this.request('GET', '/admin/dead-letters', { query: filter });
+  }
+
+  /**
+   * @param {string} messageId
+   * @returns {Promise<import('./types.js').DeadLetter>}
+   */
+  getDeadLetter(messageId) {
+    return this.request('GET', `/admin/dead-letters/${encodeURIComponent(messageId)}`);
+  }
+
+  /**
+   * @param {string} messageId
+   * @returns {Promise<import('./types.js').ReplayResult>}
+   */
+  replayDeadLetter(messageId) {
+    return this.request('POST', `/admin/dead-letters/${encodeURIComponent(messageId)}/replay`);
+  }
+
+  /**
+   * Replay by ids (at most DEAD_LETTER_REPLAY_BATCH_SIZE, 20 by default), or one batch of the dead letters matching a filter
+   * Call again while `remaining` > 0; `{ all: true }` selects every dead letter.
+   * @param {{messageIds?: string[], all?: boolean} & import('./types.js').DeadLetterFilter} selection
+   * @returns {Promise<{count: number, results: import('./types.js').ReplayResult[], remaining: number}>}
+   */
+  replayDeadLetters(selection) {
+    return this.request('POST', '/admin/dead-letters/replay', { body: selection });
+  }
+
+  /**
+   * @param {string} messageId
+   * @returns {Promise<{messageId: string, success: boolean}>}
+   */
+  deleteDeadLetter(messageId) {
+    return this.request('DELETE', `/admin/dead-letters/${encodeURIComponent(messageId)}`);
+  }
+
+  /**
+   * Purge matching dead letters (`{ all: true }` to purge every one)
+   * @param {import('./types.js').DeadLetterFilter & {all?: boolean}} filter
+   * @returns {Promise<{success: boolean, purged: number}>}
+   */
+  purgeDeadLetters(filter) {
+    return this.request('DELETE', '/admin/dead-letters', { query: filter });
+  }
+
+  // ═══════════════════════════════════════════
+  // ADMIN: LOG LEVELS
+  // ═══════════════════════════════════════════
+
+  /** @returns {Promise<import('./types.js').LogLevels>} */
+  getLogLevels() {
+    return this.request('GET', '/admin/log-levels');
+  }
+
+  /**
+   * @param {import('./types.js').LogLevel} level
+   * @returns {Promise<import('./types.js').LogLevels>}
+   */
+  setLogLevel(level) {
+    return this.request('PUT', '/admin/log-levels', { body: { level } });
+  }
+
+  /**
+   * @param {string} salonId
+   * @returns {Promise<import('./types.js').SalonLogLevels>}
+   */
+  getSalonLogLevel(salonId) {
+    return this.request('GET', `/admin/log-levels/${encodeURIComponent(salonId)}`);
+  }
+
+  /**
+   * @param {string} salonId
+   * @param {{level?: import('./types.js').LogLevel|null, baileysLevel?: import('./types.js').LogLevel|null}} levels
+   *   null removes that override
+   * @returns {Promise<import('./types.js').SalonLogLevels>}
+   */
+  setSalonLogLevel(salonId, levels) {
+    return this.request('PUT', `/admin/log-levels/${encodeURIComponent(salonId)}`, { body: levels });
+  }
+
+  /**
+   * @param {string} salonId
+   * @returns {Promise<import('./types.js').SalonLogLevels>}
+   */
+  resetSalonLogLevel(salonId) {
+    return this.request('DELETE', `/admin/log-levels/${encodeURIComponent(salonId)}`);
+  }
+
+  // ═══════════════════════════════════════════
+  // OPERATIONS (admin)
+  // ═══════════════════════════════════════════
+
+  /** @returns {Promise<object>} Webhook retry queue and scheduler state */
+  getQueue() {
+    return this.request('GET', '/debug/queue');
+  }
+
+  /** @returns {Promise<{success: boolean, remaining: number}>} */
+  processQueue() {
+    return this.request('POST', '/debug/queue/process');
+  }
+
+  /**
+   * @param {string} [salonId]
+   * @returns {Promise<{success: boolean, queueLength: number}>}
+   */
+  addTestQueueMessage(salonId) {
+    return this.request('POST', '/debug/queue/add-test', { body: salonId ? { salonId } : {} });
+  }
+
+  /** @returns {Promise<{success: boolean}>} */
+  clearQueue() {
+    return this.request('DELETE', '/debug/queue');
+  }
+
+  /** @returns {Promise<object>} Provider mode, priority and capabilities */
+  getProviders() {
+    return this.request('GET', '/providers');
+  }
+
+  /**
+   * Works with an admin key or with the server's METRICS_TOKEN as `apiKey`
+   * @returns {Promise<string>} Prometheus text format
+   */
+  getMetrics() {
+    return this.request('GET', '/metrics', { as: 'text' });
+  }
+
+  /** @returns {Promise<object>} The OpenAPI document */
+  getOpenApiDocument() {
+    return this.request('GET', '/openapi.json');
+  }
+}
+
+/**
+ * @param {SendOptions} options
+ * @returns {Object<string, string>}
+ */
+function sendHeaders({ idempotencyKey }) {
+  return idempotencyKey ? { 'Idempotency-Key': idempotencyKey } : {};
+}
+
+function sessionPath(salonId, action) {
+  const base = `/session/${encodeURIComponent(salonId)}`;
+  return action ? `${base}/${action}` : base;
+}
+
+export default WhatsAppClient;
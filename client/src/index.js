@@ -0,0 +1,20 @@
+/**
+ * WhatsApp Baileys Server - JavaScript client
+ *
+ *   WhatsAppClient       REST operations (sessions, messages, admin)
+ *   SessionSubscriber    Reconnecting WebSocket feed of session status
+ *   webhook-verify       Signature check and parsing of webhook deliveries
+ *   types                JSDoc types of requests, responses, events and webhook payloads
+ *
+ * Dependency-free: runs in Node 18+, Deno (Supabase edge functions) and browsers.
+ */
+
+export { WhatsAppClient, WhatsAppApiError } from './client.js';
+export { SessionSubscriber } from './subscriber.js';
+export {
+  verifyWebhookSignature,
+  constructWebhookEvent,
+  WebhookVerificationError,
+  parseSignatureHeader,
+  createReplayGuard
+} from './webhook-verify.js';
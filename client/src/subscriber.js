@@ -0,0 +1,247 @@
+/**
+ * Session Subscriber - Reconnecting WebSocket feed of one salon's session status
+ *
+ * Authenticates with `{ action: 'auth' }` (works where WebSocket headers can't be
+ * set, e.g. browsers), subscribes, and does it all again after every reconnect,
+ * so listeners keep receiving status updates across server restarts.
+ *
+ *   const subscriber = new SessionSubscriber({ baseUrl, apiKey, salonId: 'salon-1' });
+ *   subscriber.on('status_update', ({ status, qrCode }) => render(status, qrCode));
+ *   subscriber.start();
+ *
+ * Uses the global WebSocket (browsers, Deno, Node 22+); on older Node pass the
+ * `ws` package: new SessionSubscriber({ ..., WebSocket: (await import('ws')).default }).
+ * An invalid API key or a salon outside the key's scope stops the subscriber
+ * (an 'error' event, then 'close' with willReconnect false).
+ */
+
+const DEFAULT_RECONNECT = { initialDelayMs: 1000, maxDelayMs: 30000, maxAttempts: Infinity };
+const DEFAULT_HEARTBEAT_MS = 25000;
+
+// Server errors that reconnecting would not fix
+const FATAL_ERROR_CODES = ['unauthorized', 'forbidden'];
+// Close code of an authentication failure (policy violation)
+const CLOSE_POLICY_VIOLATION = 1008;
+
+/** @typedef {import('./types.js').SubscriberEvents} SubscriberEvents */
+
+export class SessionSubscriber {
+  /**
+   * @param {object} options
+   * @param {string} [options.url] - WebSocket URL, e.g. 'wss://wa.example.com/ws'
+   * @param {string} [options.baseUrl] - Server URL, used when url is omitted ('/ws' appended)
+   * @param {string} [options.apiKey] - Sent in an auth message after each (re)connection
+   * @param {string} [options.salonId] - Salon to follow (omit to only get reconnect_progress)
+   * @param {object} [options.reconnect] - { initialDelayMs=1000, maxDelayMs=30000, maxAttempts=Infinity }
+   * @param {number} [options.heartbeatMs=25000] - Ping interval; a silent connection is replaced after two
+   * @param {typeof WebSocket} [options.WebSocket] - WebSocket implementation (global one by default)
+   */
+  constructor({ url, baseUrl, apiKey, salonId, reconnect = {}, heartbeatMs = DEFAULT_HEARTBEAT_MS, WebSocket } = {}) {
+    if (!url && !baseUrl) {
+      throw new Error('url or baseUrl is required');
+    }
+
+    this.url = url || `${baseUrl.replace(/\/+$/, '').replace(/^http/, 'ws')}/ws`;
+    this.apiKey = apiKey || null;
+    this.salonId = salonId || null;
+    /** @type {{initialDelayMs: number, maxDelayMs: number, maxAttempts: number}} */
+    this.reconnect = { ...DEFAULT_RECONNECT, ...reconnect };
+    this.heartbeatMs = heartbeatMs;
+    this.WebSocket = WebSocket || globalThis.WebSocket;
+    if (!this.WebSocket) {
+      throw new Error('No global WebSocket: pass the ws package as options.WebSocket');
+    }
+
+    this.socket = null;
+    this.state = 'idle'; // idle | connecting | open | reconnecting | closed
+    this.attempt = 0;
+    this.listeners = new Map();
+    /** @type {ReturnType<typeof setTimeout>|null} */
+    this.reconnectTimer = null;
+    /** @type {ReturnType<typeof setInterval>|null} */
+    this.heartbeatTimer = null;
+    this.lastMessageAt = 0;
+  }
+
+  /**
+   * Listen to an event
+   * @template {keyof SubscriberEvents} K
+   * @param {K} type - current_status, status_update, reconnect_progress, error, open, close
+   * @param {function(SubscriberEvents[K]): void} listener
+   * @returns {function(): void} Unsubscribe
+   */
+  on(type, listener) {
+    if (!this.listeners.has(type)) {
+      this.listeners.set(type, new Set());
+    }
+    this.listeners.get(type).add(listener);
+    return () => this.listeners.get(type)?.delete(listener);
+  }
+
+  emit(type, payload) {
+    for (const listener of this.listeners.get(type) || []) {
+      try {
+        listener(payload);
+      } catch {
+        // A failing listener must not break the feed
+      }
+    }
+  }
+
+  /**
+   * Open the connection (no-op when already started)
+   * @returns {SessionSubscriber}
+   */
+  start() {
+    if (this.state === 'idle' || this.state === 'closed') {
+      this.attempt = 0;
+      this.open();
+    }
+    return this;
+  }
+
+  /**
+   * Close for good (no reconnection)
+   */
+  close() {
+    this.state = 'closed';
+    clearTimeout(this.reconnectTimer);
+    this.stopHeartbeat();
+    this.socket?.close(1000, 'Client closed');
+  }
+
+  // ═══════════════════════════════════════════
+  // CONNECTION
+  // ═══════════════════════════════════════════
+
+  open() {
+    this.state = this.attempt === 0 ? 'connecting' : 'reconnecting';
+    const socket = new this.WebSocket(this.url);
+    this.socket = socket;
+
+    socket.onopen = () => {
+      this.lastMessageAt = Date.now();
+      this.startHeartbeat();
+      if (this.apiKey) {
+        this.send({ action: 'auth', apiKey: this.apiKey });
+      } else {
+        this.subscribe();
+      }
+    };
+
+    socket.onmessage = (event) => {
+      this.lastMessageAt = Date.now();
+      let message;
+      try {
+        message = JSON.parse(String(event.data));
+      } catch {
+        return;
+      }
+      this.handleMessage(message);
+    };
+
+    // Every failure also ends with a close event, where reconnection happens
+    socket.onerror = () => {};
+
+    socket.onclose = (event) => {
+      if (socket !== this.socket) return;
+      this.stopHeartbeat();
+      this.socket = null;
+
+      if (event.code === CLOSE_POLICY_VIOLATION) {
+        this.state = 'closed';
+      }
+      this.scheduleReconnect(event);
+    };
+  }
+
+  handleMessage(message) {
+    switch (message.type) {
+      case 'authenticated':
+        this.subscribe();
+        break;
+      case 'error':
+        this.emit('error', message);
+        if (FATAL_ERROR_CODES.includes(message.code)) {
+          this.state = 'closed';
+          this.socket?.close(1000, message.code);
+        }
+        break;
+      case 'current_status':
+      case 'status_update':
+      case 'reconnect_progress':
+        this.emit(message.type, message);
+        break;
+      default:
+        // pong and future message types
+        break;
+    }
+  }
+
+  subscribe() {
+    if (this.salonId) {
+      this.send({ action: 'subscribe', salonId: this.salonId });
+    }
+    const attempt = this.attempt;
+    this.attempt = 0;
+    this.state = 'open';
+    this.emit('open', { attempt });
+  }
+
+  send(message) {
+    if (this.socket?.readyState === 1) {
+      this.socket.send(JSON.stringify(message));
+    }
+  }
+
+  scheduleReconnect(event) {
+    const willReconnect = this.state !== 'closed' && this.attempt < this.reconnect.maxAttempts;
+    const delay = willReconnect ? this.nextDelay() : null;
+
+    this.emit('close', { code: event.code, reason: event.reason || '', willReconnect, delay });
+
+    if (!willReconnect) {
+      this.state = 'closed';
+      return;
+    }
+
+    this.attempt++;
+    this.state = 'reconnecting';
+    this.reconnectTimer = setTimeout(() => this.open(), delay);
+  }
+
+  // Exponential backoff with jitter, so clients don't all come back at once after a restart
+  nextDelay() {
+    const { initialDelayMs, maxDelayMs } = this.reconnect;
+    const delay = Math.min(maxDelayMs, initialDelayMs * 2 ** this.attempt);
+    return Math.round(delay / 2 + Math.random() * delay / 2);
+  }
+
+  // ═══════════════════════════════════════════
+  // HEARTBEAT
+  // ═══════════════════════════════════════════
+
+  startHeartbeat() {
+    this.stopHeartbeat();
+    this.heartbeatTimer = setInterval(() => {
+      if (Date.now() - this.lastMessageAt > this.heartbeatMs * 2) {
+        // Half-open connection: drop it (no close handshake to wait for), onclose reconnects
+        const socket = /** @type {any} */ (this.socket);
+        if (typeof socket?.terminate === 'function') {
+          socket.terminate();
+        } else {
+          this.socket?.close(4000, 'Heartbeat timeout');
+        }
+        return;
+      }
+      this.send({ action: 'ping' });
+    }, this.heartbeatMs);
+  }
+
+  stopHeartbeat() {
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+  }
+}
+
+export default SessionSubscriber;
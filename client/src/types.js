@@ -0,0 +1,377 @@
+/**
+ * Types - Shapes of the server API (mirrors components.schemas of GET /openapi.json)
+ *
+ * JSDoc only: TypeScript picks these up through the generated declarations
+ * (npm run build:types), plain JavaScript through editor IntelliSense.
+ */
+
+// ═══════════════════════════════════════════
+// COMMON
+// ═══════════════════════════════════════════
+
+/**
+ * @typedef {'idle'|'initializing'|'qr_ready'|'pairing_code_ready'|'connected'|'reconnecting'|'stopped'|'logged_out'|'failed'|'error'} SessionStatus
+ */
+
+/** @typedef {'cloud_api'|'baileys'} ProviderName */
+
+/**
+ * Body of every error response
+ * @typedef {object} ApiErrorBody
+ * @property {string} code - validation_error, invalid_json, not_supported, unauthorized, forbidden,
+ *   not_found, conflict, idempotency_key_in_use, idempotency_key_mismatch, payload_too_large,
+ *   send_failed, internal_error, service_unavailable
+ * @property {string} message
+ * @property {string} [field] - Offending input, e.g. 'body.phone'
+ * @property {Array<{field: string, message: string}>} [details]
+ */
+
+// ═══════════════════════════════════════════
+// SESSIONS
+// ═══════════════════════════════════════════
+
+/**
+ * @typedef {object} ProviderStatus
+ * @property {string} [status]
+ * @property {boolean} [isHealthy]
+ * @property {object} [healthMetrics]
+ */
+
+/**
+ * @typedef {object} Session
+ * @property {string} salonId
+ * @property {SessionStatus|'not_found'} status
+ * @property {string|null} [phoneNumber]
+ * @property {string|null} [connectedAt]
+ * @property {string|null} [qrCode] - PNG data URL (qr_ready)
+ * @property {string|null} [pairingCode] - 8 characters (pairing_code_ready)
+ * @property {ProviderName} [activeProvider]
+ * @property {Object<string, ProviderStatus>} [providerStatuses]
+ */
+
+/**
+ * @typedef {object} SessionSummary
+ * @property {string} salonId
+ * @property {SessionStatus} status
+ * @property {string|null} [phoneNumber]
+ * @property {string|null} [pairingCode]
+ * @property {string|null} [connectedAt]
+ * @property {ProviderName|null} [activeProvider]
+ * @property {Object<string, ProviderStatus>} [providerStatuses]
+ */
+
+/**
+ * @typedef {object} SessionEvent
+ * @property {string} at
+ * @property {SessionStatus} from
+ * @property {SessionStatus} to
+ * @property {string} [reason]
+ * @property {string} [error]
+ * @property {number} [attempt]
+ * @property {number} [maxAttempts]
+ * @property {number} [nextRetryIn] - Milliseconds
+ * @property {ProviderName} [provider]
+ */
+
+/**
+ * @typedef {object} SessionEvents
+ * @property {string} salonId
+ * @property {SessionStatus} state
+ * @property {string} [enteredAt]
+ * @property {string|null} [timeoutAt]
+ * @property {SessionEvent[]} events
+ */
+
+/**
+ * @typedef {object} ConnectOptions
+ * @property {'qr'|'pairing_code'} [method='qr']
+ * @property {string} [phoneNumber] - Required for pairing_code
+ */
+
+/**
+ * @typedef {object} SessionActionResult
+ * @property {string} salonId
+ * @property {boolean} success
+ * @property {string} [status]
+ */
+
+// ═══════════════════════════════════════════
+// MESSAGES
+// ═══════════════════════════════════════════
+
+/**
+ * @typedef {object} SendMessageRequest
+ * @property {string} phone - International number, or the LID when isLid is true
+ * @property {string} message
+ * @property {boolean} [isLid]
+ * @property {string} [lidId]
+ */
+
+/**
+ * One of url or base64 is required
+ * @typedef {object} SendMediaRequest
+ * @property {string} phone
+ * @property {'image'|'video'|'audio'|'document'|'sticker'} type
+ * @property {string} [url]
+ * @property {string} [base64]
+ * @property {string} [caption]
+ * @property {string} [fileName]
+ * @property {string} [mimetype]
+ * @property {boolean} [ptt] - Send audio as a voice note
+ * @property {boolean} [isLid]
+ * @property {string} [lidId]
+ */
+
+/**
+ * @typedef {object} SendTemplateRequest
+ * @property {string} phone
+ * @property {string} templateName
+ * @property {string[]} [params]
+ * @property {string} [language='fr']
+ */
+
+/**
+ * @typedef {object} SendResult
+ * @property {true} success
+ * @property {string|null} [messageId]
+ * @property {ProviderName} [provider]
+ * @property {string} [type]
+ * @property {string} [templateName]
+ */
+
+/**
+ * @typedef {object} TranscriptionSettings
+ * @property {string} salonId
+ * @property {string} backend
+ * @property {string|null} language - ISO 639-1 code or 'auto'
+ */
+
+// ═══════════════════════════════════════════
+// ADMIN
+// ═══════════════════════════════════════════
+
+/**
+ * @typedef {object} ApiKey
+ * @property {string} id
+ * @property {string} name
+ * @property {'admin'|'salon'} role
+ * @property {string[]} salonIds
+ * @property {string} createdAt
+ * @property {string|null} [rotatedAt]
+ * @property {string|null} [expiresAt]
+ * @property {string|null} [revokedAt]
+ * @property {string|null} [previousKeyExpiresAt]
+ */
+
+/**
+ * @typedef {object} ApiKeyCreateRequest
+ * @property {string} [name]
+ * @property {'admin'|'salon'} [role='salon']
+ * @property {string[]} [salonIds] - Required for salon keys
+ * @property {string|null} [expiresAt]
+ */
+
+/**
+ * @typedef {object} ApiKeySecret
+ * @property {string} key - Plaintext key, only returned once
+ * @property {ApiKey} apiKey
+ */
+
+/**
+ * @typedef {object} RegisteredSession
+ * @property {string} salonId
+ * @property {'running'|'stopped'} desiredState
+ * @property {object|null} [providerConfig] - Tokens are returned as ***
+ * @property {Object<string, string>} labels
+ * @property {string} createdAt
+ * @property {string} updatedAt
+ * @property {string|null} [lastActiveAt]
+ * @property {string} [status]
+ * @property {'started'|'stopped'|'unchanged'|'skipped'|'unregistered'} [outcome]
+ */
+
+/**
+ * @typedef {object} RegisteredSessionInput
+ * @property {'running'|'stopped'} [desiredState]
+ * @property {object|null} [providerConfig]
+ * @property {Object<string, string>} [labels]
+ */
+
+/**
+ * @typedef {object} DeadLetter
+ * @property {string} messageId
+ * @property {string} [salonId]
+ * @property {string} reason
+ * @property {string|null} [lastError]
+ * @property {number|null} [lastStatusCode]
+ * @property {number} attempts
+ * @property {object[]} [history]
+ * @property {string|null} [queuedAt]
+ * @property {string} deadLetteredAt
+ * @property {number} [replayCount]
+ * @property {string} [lastReplayError]
+ * @property {object} message
+ */
+
+/**
+ * from / to: ISO date or unix milliseconds, applied to deadLetteredAt
+ * @typedef {object} DeadLetterFilter
+ * @property {string} [salonId]
+ * @property {string|number} [from]
+ * @property {string|number} [to]
+ */
+
+/**
+ * @typedef {object} ReplayResult
+ * @property {string} messageId
+ * @property {'delivered'|'requeued'|'failed'|'not_found'} status
+ */
+
+/** @typedef {'fatal'|'error'|'warn'|'info'|'debug'|'trace'|'silent'} LogLevel */
+
+/**
+ * @typedef {object} SalonLogLevels
+ * @property {string} [salonId]
+ * @property {LogLevel} level
+ * @property {LogLevel} baileysLevel
+ * @property {boolean} overridden
+ */
+
+/**
+ * @typedef {object} LogLevels
+ * @property {LogLevel} level
+ * @property {boolean} redact
+ * @property {Object<string, SalonLogLevels>} salons
+ */
+
+// ═══════════════════════════════════════════
+// HEALTH
+// ═══════════════════════════════════════════
+
+/**
+ * @typedef {object} ReconnectProgress
+ * @property {'idle'|'running'|'done'} [phase]
+ * @property {number} [total]
+ * @property {number} [completed]
+ * @property {number} [inFlight]
+ * @property {number} [connected]
+ * @property {number} [failed] - Resumed salons settled without connecting
+ * @property {boolean} [ready]
+ * @property {string|null} [startedAt]
+ * @property {string|null} [finishedAt]
+ * @property {string|null} [readyAt]
+ */
+
+/**
+ * @typedef {object} Readiness
+ * @property {'ready'|'not_ready'} status
+ * @property {string[]} reasons - shutting_down, sessions_reconnecting, dependency_down:<name>
+ * @property {ReconnectProgress} [reconnect]
+ * @property {Object<string, object>} [dependencies]
+ */
+
+// ═══════════════════════════════════════════
+// WEBHOOKS (POST to WEBHOOK_URL)
+// ═══════════════════════════════════════════
+
+/**
+ * @typedef {object} InboundMedia
+ * @property {string} [id]
+ * @property {string} url - Signed, time-limited download link (client.downloadMedia)
+ * @property {string} [expiresAt]
+ * @property {string} [mimeType]
+ * @property {number} [size]
+ * @property {string} [sha256]
+ * @property {string|null} [fileName]
+ * @property {string} [kind]
+ */
+
+/**
+ * @typedef {object} MessageWebhook
+ * @property {'message'} type
+ * @property {string} salonId
+ * @property {string|null} phone - Sender (null for LID senders)
+ * @property {string} message - Text, caption or voice note transcription
+ * @property {string|null} [customerName]
+ * @property {string} whatsappMessageId
+ * @property {boolean} [isLid]
+ * @property {string|null} [lidId]
+ * @property {boolean} [isVoiceMessage]
+ * @property {string|null} [voiceTranscription]
+ * @property {string|null} [voiceTranscriptionLanguage]
+ * @property {number|null} [voiceTranscriptionConfidence]
+ * @property {number|null} [voiceDurationSeconds]
+ * @property {InboundMedia|null} [media]
+ * @property {ProviderName} [provider]
+ */
+
+/**
+ * @typedef {object} MessageStatusWebhook
+ * @property {'message.status'} type
+ * @property {string} salonId
+ * @property {ProviderName} [provider]
+ * @property {string} whatsappMessageId
+ * @property {'sent'|'delivered'|'read'|'failed'} status
+ * @property {string} [timestamp]
+ * @property {string|null} [recipient]
+ * @property {string|number|null} [errorCode]
+ * @property {string|null} [errorReason]
+ */
+
+/** @typedef {MessageWebhook|MessageStatusWebhook} WebhookEvent */
+
+// ═══════════════════════════════════════════
+// WEBSOCKET (/ws)
+// ═══════════════════════════════════════════
+
+/**
+ * @typedef {object} CurrentStatusMessage
+ * @property {'current_status'} type
+ * @property {string} salonId
+ * @property {SessionStatus|'not_initialized'} status
+ * @property {string|null} [phoneNumber]
+ * @property {string|null} [qrCode]
+ * @property {string|null} [pairingCode]
+ * @property {ProviderName} [activeProvider]
+ */
+
+/**
+ * Extra fields depend on the state (qrCode, pairingCode, phoneNumber, reason, attempt...)
+ * @typedef {object} StatusUpdateMessage
+ * @property {'status_update'} type
+ * @property {string} salonId
+ * @property {SessionStatus} status
+ * @property {string} [qrCode]
+ * @property {string} [pairingCode]
+ * @property {string} [phoneNumber]
+ * @property {string} [reason]
+ * @property {string} [error]
+ * @property {number} [attempt]
+ * @property {number} [maxAttempts]
+ * @property {number} [nextRetryIn]
+ * @property {ProviderName} [provider]
+ */
+
+/** @typedef {ReconnectProgress & {type: 'reconnect_progress'}} ReconnectProgressMessage */
+
+/**
+ * @typedef {object} ServerErrorMessage
+ * @property {'error'} type
+ * @property {'unauthorized'|'forbidden'|'invalid_json'|'validation_error'|'resume_failed'} code
+ * @property {string} message
+ * @property {string} [field]
+ * @property {string} [salonId]
+ */
+
+/**
+ * Events emitted by SessionSubscriber
+ * @typedef {object} SubscriberEvents
+ * @property {CurrentStatusMessage} current_status - Snapshot after each (re)subscription
+ * @property {StatusUpdateMessage} status_update
+ * @property {ReconnectProgressMessage} reconnect_progress - Server startup reconnection
+ * @property {ServerErrorMessage} error
+ * @property {{attempt: number}} open - Connected and authenticated
+ * @property {{code: number, reason: string, willReconnect: boolean, delay: number|null}} close
+ */
+
+export {};
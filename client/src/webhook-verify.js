@@ -0,0 +1,194 @@
+/**
+ * Webhook Verify - Receiver-side check of signed webhook deliveries
+ *
+ * Dependency-free and built on Web Crypto, so the same file runs in
+ * Node 18+, Deno (Supabase edge functions) and modern browsers.
+ *
+ *   const result = await verifyWebhookSignature({
+ *     rawBody: await req.text(),
+ *     headers: req.headers,
+ *     secrets: [Deno.env.get('WEBHOOK_SECRET')]
+ *   });
+ *   if (!result.valid) return new Response(result.reason, { status: 401 });
+ *
+ * Always verify the raw body: re-serializing parsed JSON changes the bytes.
+ * constructWebhookEvent() verifies and parses in one step.
+ *
+ * The signature covers `${X-Webhook-Id}.${timestamp}.${rawBody}`. Retries of
+ * one message keep their X-Webhook-Id (dedup on it after processing) but are
+ * signed again with a new timestamp, so they are not mistaken for replays.
+ */
+
+const DEFAULT_TOLERANCE_SECONDS = 300;
+
+function getHeader(headers, name) {
+  if (!headers) return null;
+  if (typeof headers.get === 'function') return headers.get(name);
+
+  const lower = name.toLowerCase();
+  for (const key of Object.keys(headers)) {
+    if (key.toLowerCase() === lower) {
+      const value = headers[key];
+      return Array.isArray(value) ? value[0] : value;
+    }
+  }
+  return null;
+}
+
+/**
+ * Parse `t=<timestamp>,v2=<sig>[,v2=<sig>]`
+ * @param {string} header - Signature header value
+ * @returns {{timestamp: number|null, signatures: string[]}}
+ */
+export function parseSignatureHeader(header) {
+  const result = { timestamp: null, signatures: [] };
+  if (!header) return result;
+
+  for (const part of header.split(',')) {
+    const [key, value] = part.trim().split('=');
+    if (key === 't') result.timestamp = parseInt(value, 10);
+    if (key === 'v2' && value) result.signatures.push(value);
+  }
+  return result;
+}
+
+async function hmacHex(secret, message) {
+  const encoder = new TextEncoder();
+  const key = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(secret),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  const signature = await crypto.subtle.sign('HMAC', key, encoder.encode(message));
+  return [...new Uint8Array(signature)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// Constant-time comparison of two hex strings
+function safeEqual(a, b) {
+  if (a.length !== b.length) return false;
+  let diff = 0;
+  for (let i = 0; i < a.length; i++) {
+    diff |= a.charCodeAt(i) ^ b.charCodeAt(i);
+  }
+  return diff === 0;
+}
+
+/**
+ * Verify a webhook delivery
+ * @param {object} options
+ * @param {string} options.rawBody - Raw request body
+ * @param {object} options.headers - Request headers (Headers instance or plain object)
+ * @param {string[]} options.secrets - Accepted secrets (current and previous during rotation)
+ * @param {number} [options.toleranceSeconds=300] - Max clock skew / age of a delivery
+ * @param {function} [options.replayGuard] - createReplayGuard() instance (rejects a second
+ *   delivery of the same signed attempt: X-Webhook-Id + timestamp)
+ * @param {number} [options.now] - Current unix seconds (for tests)
+ * @returns {Promise<{valid: boolean, reason: string|null, deliveryId: string|null, timestamp: number|null}>}
+ */
+export async function verifyWebhookSignature({
+  rawBody,
+  headers,
+  secrets,
+  toleranceSeconds = DEFAULT_TOLERANCE_SECONDS,
+  replayGuard = null,
+  now = Math.floor(Date.now() / 1000)
+}) {
+  const deliveryId = getHeader(headers, 'X-Webhook-Id');
+  const { timestamp, signatures } = parseSignatureHeader(getHeader(headers, 'X-Webhook-Signature'));
+  const fail = (reason) => ({ valid: false, reason, deliveryId, timestamp });
+
+  const activeSecrets = (secrets || []).filter(Boolean);
+  if (activeSecrets.length === 0) return fail('no_secret_configured');
+  if (!deliveryId || !timestamp || signatures.length === 0) return fail('missing_signature');
+  if (Math.abs(now - timestamp) > toleranceSeconds) return fail('timestamp_out_of_tolerance');
+
+  const headerTimestamp = getHeader(headers, 'X-Webhook-Timestamp');
+  if (headerTimestamp && parseInt(headerTimestamp, 10) !== timestamp) {
+    return fail('timestamp_mismatch');
+  }
+
+  let matched = false;
+  for (const secret of activeSecrets) {
+    const expected = await hmacHex(secret, `${deliveryId}.${timestamp}.${rawBody}`);
+    if (signatures.some(signature => safeEqual(signature, expected))) {
+      matched = true;
+      break;
+    }
+  }
+  if (!matched) return fail('signature_mismatch');
+
+  // Both parts are signed: a captured delivery cannot be resent under another key
+  if (replayGuard && replayGuard(`${deliveryId}.${timestamp}`)) {
+    return fail('replayed_delivery');
+  }
+
+  return { valid: true, reason: null, deliveryId, timestamp };
+}
+
+export class WebhookVerificationError extends Error {
+  /**
+   * @param {string} reason - verifyWebhookSignature() reason, or 'invalid_json'
+   */
+  constructor(reason) {
+    super(`Webhook verification failed: ${reason}`);
+    this.name = 'WebhookVerificationError';
+    this.reason = reason;
+  }
+}
+
+/**
+ * Verify a delivery and return its parsed payload
+ *
+ *   const event = await constructWebhookEvent({ rawBody, headers: req.headers, secrets });
+ *   if (event.type === 'message') ...
+ *
+ * @param {object} options - Same as verifyWebhookSignature()
+ * @returns {Promise<import('./types.js').WebhookEvent>}
+ * @throws {WebhookVerificationError} Invalid signature or body
+ */
+export async function constructWebhookEvent(options) {
+  const result = await verifyWebhookSignature(options);
+  if (!result.valid) {
+    throw new WebhookVerificationError(result.reason);
+  }
+
+  try {
+    return JSON.parse(options.rawBody);
+  } catch {
+    throw new WebhookVerificationError('invalid_json');
+  }
+}
+
+/**
+ * In-memory replay guard keyed by signed attempt (delivery ID + timestamp)
+ * Returns a function that answers true when a key was already seen.
+ * Keep ttlSeconds >= toleranceSeconds so a replay cannot outlive the guard.
+ * @param {object} options - { ttlSeconds }
+ * @returns {function(string): boolean}
+ */
+export function createReplayGuard({ ttlSeconds = DEFAULT_TOLERANCE_SECONDS } = {}) {
+  const seen = new Map();
+
+  return (key) => {
+    const now = Date.now();
+
+    for (const [id, expiresAt] of seen) {
+      if (expiresAt > now) break;
+      seen.delete(id);
+    }
+
+    if (seen.has(key)) return true;
+    seen.set(key, now + ttlSeconds * 1000);
+    return false;
+  };
+}
+
+export default {
+  verifyWebhookSignature,
+  constructWebhookEvent,
+  WebhookVerificationError,
+  parseSignatureHeader,
+  createReplayGuard
+};
@@ -9,8 +9,7 @@ module.exports = {
     env: {
       NODE_ENV: 'production'
     },
-    // Gestion des logs
-    log_date_format: 'YYYY-MM-DD HH:mm:ss',
+    // Gestion des logs (lignes JSON pino, déjà horodatées)
     error_file: '/dev/stderr',
     out_file: '/dev/stdout',
     merge_logs: true,
@@ -20,7 +19,8 @@ module.exports = {
     restart_delay: 3000,
     // Graceful shutdown
     kill_timeout: 5000,
+    // Pret = sessions reconnectees + dependances critiques joignables (GET /health/ready)
     wait_ready: true,
-    listen_timeout: 10000
+    listen_timeout: 120000
   }]
 };
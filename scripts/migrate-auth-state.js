@@ -0,0 +1,109 @@
+/**
+ * Import existing ./auth/<salonId> folders into the configured auth-state store
+ *
+ * Usage:
+ *   npm run migrate:auth-state -- [--to sqlite|postgres] [--from ./auth]
+ *                                 [--salon <salonId>] [--overwrite] [--dry-run]
+ *
+ * --to defaults to AUTH_STATE_STORE. Salons that already have credentials in
+ * the target store are skipped unless --overwrite is given. Source folders
+ * are left untouched; delete them once the new store is confirmed working.
+ */
+
+import 'dotenv/config';
+import { createConfiguredAuthStore } from '../src/auth-state/create-auth-store.js';
+
+const BATCH_SIZE = 200;
+
+function parseArgs(argv) {
+  const args = { from: process.env.AUTH_DIR || './auth', to: process.env.AUTH_STATE_STORE, salon: null, overwrite: false, dryRun: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--from': args.from = argv[++i]; break;
+      case '--to': args.to = argv[++i]; break;
+      case '--salon': args.salon = argv[++i]; break;
+      case '--overwrite': args.overwrite = true; break;
+      case '--dry-run': args.dryRun = true; break;
+      default:
+        throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+  }
+
+  return args;
+}
+
+async function migrateSalon(source, target, salonId, { overwrite, dryRun }) {
+  const keys = await source.listKeys(salonId);
+  if (!keys.includes('creds')) {
+    return { salonId, status: 'skipped', reason: 'no creds.json', keys: keys.length };
+  }
+
+  if (!overwrite && (await target.get(salonId, 'creds')) != null) {
+    return { salonId, status: 'skipped', reason: 'already in target store', keys: keys.length };
+  }
+
+  if (dryRun) {
+    return { salonId, status: 'dry_run', keys: keys.length };
+  }
+
+  if (overwrite) {
+    await target.clear(salonId);
+  }
+
+  // creds last: a salon only counts as migrated once its keys are all written
+  const ordered = [...keys.filter(key => key !== 'creds'), 'creds'];
+
+  for (let i = 0; i < ordered.length; i += BATCH_SIZE) {
+    const batch = ordered.slice(i, i + BATCH_SIZE);
+    const entries = await Promise.all(batch.map(async key => ({ key, value: await source.get(salonId, key) })));
+    await target.setMany(salonId, entries.filter(entry => entry.value != null));
+  }
+
+  const written = (await target.listKeys(salonId)).length;
+  if (written < keys.length) {
+    throw new Error(`only ${written}/${keys.length} keys found in target after import`);
+  }
+
+  return { salonId, status: 'migrated', keys: keys.length };
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!args.to || args.to === 'file') {
+    throw new Error('Target store must be sqlite or postgres (--to or AUTH_STATE_STORE)');
+  }
+
+  // Encrypted values are decrypted on read and (re-)encrypted on write when a master key is configured
+  const source = createConfiguredAuthStore('file', { baseDir: args.from }, { strict: false });
+  const target = createConfiguredAuthStore(args.to, {}, { strict: false });
+  await target.open();
+
+  const salonIds = args.salon ? [args.salon] : await source.listSalons();
+  console.log(`Migrating ${salonIds.length} salon(s) from ${args.from} to ${target.getName()}${args.dryRun ? ' (dry run)' : ''}`);
+
+  let failures = 0;
+  for (const salonId of salonIds) {
+    try {
+      const result = await migrateSalon(source, target, salonId, args);
+      console.log(`  ${salonId}: ${result.status} (${result.keys} keys)${result.reason ? ` - ${result.reason}` : ''}`);
+    } catch (error) {
+      failures++;
+      console.error(`  ${salonId}: failed - ${error.message}`);
+    }
+  }
+
+  await target.close();
+
+  if (failures > 0) {
+    console.error(`${failures} salon(s) failed`);
+    process.exit(1);
+  }
+  console.log('Done');
+}
+
+main().catch((error) => {
+  console.error('Migration error:', error.message);
+  process.exit(1);
+});
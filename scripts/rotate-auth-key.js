@@ -0,0 +1,83 @@
+/**
+ * Re-encrypt stored auth state with the current master key
+ *
+ * Usage:
+ *   npm run rotate:auth-key -- [--salon <salonId>]
+ *
+ * Rotation:
+ *   1. Stop the server (required): it caches the salons' data keys and keeps
+ *      encrypting with the old ones, which this command drops. Credentials it
+ *      writes during or after the rotation could no longer be decrypted.
+ *      The command refuses to run while the server's pid file (SERVER_PID_FILE)
+ *      names a live process; with a shared database store, stop every server.
+ *   2. Put the new key in AUTH_STATE_ENCRYPTION_KEY and the old one in
+ *      AUTH_STATE_ENCRYPTION_PREVIOUS_KEYS (or first/next lines of the key file)
+ *   3. Run this command: every salon gets a fresh data key wrapped by the new
+ *      master key and all its values are re-encrypted in place
+ *   4. Remove the old key from the configuration and start the server
+ *
+ * Also encrypts plaintext auth state (first-time enablement) so that
+ * AUTH_STATE_ENCRYPTION_STRICT can be turned on afterwards.
+ */
+
+import 'dotenv/config';
+import { createConfiguredAuthStore } from '../src/auth-state/create-auth-store.js';
+import { EncryptedAuthStore } from '../src/auth-state/encrypted-auth-store.js';
+import { getRunningServerPid, SERVER_PID_FILE } from '../src/auth-state/server-lock.js';
+
+function parseArgs(argv) {
+  const args = { salon: null };
+
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--salon') {
+      args.salon = argv[++i];
+    } else {
+      throw new Error(`Unknown argument: ${argv[i]}`);
+    }
+  }
+
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  const serverPid = getRunningServerPid();
+  if (serverPid) {
+    throw new Error(`Server running (pid ${serverPid}, ${SERVER_PID_FILE}) - stop it before rotating: it keeps encrypting with the old data keys`);
+  }
+  console.log('Make sure no server uses this auth state store until the rotation is done');
+
+  const store = createConfiguredAuthStore(process.env.AUTH_STATE_STORE || 'file', {}, { strict: false });
+  if (!(store instanceof EncryptedAuthStore)) {
+    throw new Error('No master key configured (AUTH_STATE_ENCRYPTION_KEY or AUTH_STATE_ENCRYPTION_KEY_FILE)');
+  }
+  await store.open();
+
+  const salonIds = args.salon ? [args.salon] : await store.listSalons();
+  console.log(`Re-encrypting ${salonIds.length} salon(s) in ${store.getName()} with master key ${store.keyRing.current.id}`);
+
+  let failures = 0;
+  for (const salonId of salonIds) {
+    try {
+      const result = await store.reencryptSalon(salonId);
+      console.log(`  ${salonId}: ${result.keys} keys re-encrypted${result.plaintext ? ` (${result.plaintext} were plaintext)` : ''}`);
+    } catch (error) {
+      failures++;
+      console.error(`  ${salonId}: failed - ${error.message}`);
+    }
+  }
+
+  await store.close();
+
+  if (failures > 0) {
+    console.error(`${failures} salon(s) failed - fix the key configuration and re-run`);
+    process.exit(1);
+  }
+  console.log('Done');
+}
+
+main().catch((error) => {
+  console.error('Rotation error:', error.message);
+  process.exit(1);
+});
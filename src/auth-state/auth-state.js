@@ -0,0 +1,150 @@
+/**
+ * Auth State - Baileys `creds` / `keys` contract on top of a pluggable store
+ *
+ * AUTH_STATE_STORE selects the backend:
+ *   - file:     ./auth/<salonId>/*.json (default, same layout as useMultiFileAuthState)
+ *   - sqlite:   single database file (AUTH_STATE_SQLITE_FILE)
+ *   - postgres: shared table, Supabase compatible (AUTH_STATE_PG_URL)
+ *
+ * Values are encrypted at rest when AUTH_STATE_ENCRYPTION_KEY(_FILE) is set
+ * (see encrypted-auth-store.js).
+ *
+ * Existing ./auth folders can be imported with `npm run migrate:auth-state`.
+ */
+
+import { initAuthCreds, BufferJSON, proto } from '@whiskeysockets/baileys';
+import { createAuthStore, createConfiguredAuthStore } from './create-auth-store.js';
+import { createLogger } from '../logger.js';
+
+const log = createLogger('auth-state');
+
+const AUTH_STATE_STORE = process.env.AUTH_STATE_STORE || 'file';
+
+const CREDS_KEY = 'creds';
+
+let storePromise = null;
+
+/**
+ * Get the configured store, opened on first use
+ * @returns {Promise<BaseAuthStore>}
+ */
+export function getAuthStore() {
+  if (!storePromise) {
+    storePromise = (async () => {
+      const store = createConfiguredAuthStore(AUTH_STATE_STORE);
+      await store.open();
+      log.info({ store: store.getName() }, 'Auth state store opened');
+      return store;
+    })();
+
+    // Let the next call retry (e.g. database not reachable yet)
+    storePromise.catch(() => {
+      storePromise = null;
+    });
+  }
+  return storePromise;
+}
+
+export async function closeAuthStore() {
+  if (!storePromise) return;
+  const store = await storePromise.catch(() => null);
+  storePromise = null;
+  await store?.close();
+}
+
+function serialize(value) {
+  return JSON.stringify(value, BufferJSON.replacer);
+}
+
+function deserialize(raw) {
+  if (raw == null) return null;
+  try {
+    return JSON.parse(raw, BufferJSON.reviver);
+  } catch (error) {
+    // Same behaviour as useMultiFileAuthState: unreadable entries are treated as missing
+    return null;
+  }
+}
+
+/**
+ * Drop-in replacement for useMultiFileAuthState backed by the configured store
+ * @param {string} salonId - Salon identifier
+ * @returns {Promise<{state: {creds: object, keys: object}, saveCreds: function}>}
+ */
+export async function useStoreAuthState(salonId) {
+  const store = await getAuthStore();
+
+  const creds = deserialize(await store.get(salonId, CREDS_KEY)) || initAuthCreds();
+
+  return {
+    state: {
+      creds,
+      keys: {
+        get: async (type, ids) => {
+          const data = {};
+          await Promise.all(ids.map(async (id) => {
+            let value = deserialize(await store.get(salonId, `${type}-${id}`));
+            if (type === 'app-state-sync-key' && value) {
+              value = proto.Message.AppStateSyncKeyData.fromObject(value);
+            }
+            data[id] = value;
+          }));
+          return data;
+        },
+        set: async (data) => {
+          const entries = [];
+          for (const category in data) {
+            for (const id in data[category]) {
+              const value = data[category][id];
+              entries.push({ key: `${category}-${id}`, value: value ? serialize(value) : null });
+            }
+          }
+          await store.setMany(salonId, entries);
+        }
+      }
+    },
+    saveCreds: async () => {
+      await store.set(salonId, CREDS_KEY, serialize(creds));
+    }
+  };
+}
+
+/**
+ * Whether a salon has saved credentials (was paired at least once)
+ * @param {string} salonId - Salon identifier
+ * @returns {Promise<boolean>}
+ */
+export async function hasAuthState(salonId) {
+  const store = await getAuthStore();
+  return (await store.get(salonId, CREDS_KEY)) != null;
+}
+
+/**
+ * Delete a salon's auth state (logout, bad session)
+ * @param {string} salonId - Salon identifier
+ */
+export async function deleteAuthState(salonId) {
+  const store = await getAuthStore();
+  await store.clear(salonId);
+}
+
+/**
+ * Salons having stored auth state (used for auto-reconnect)
+ * @returns {Promise<string[]>}
+ */
+export async function listAuthStateSalons() {
+  const store = await getAuthStore();
+  return store.listSalons();
+}
+
+export { createAuthStore };
+
+export default {
+  createAuthStore,
+  getAuthStore,
+  closeAuthStore,
+  useStoreAuthState,
+  hasAuthState,
+  deleteAuthState,
+  listAuthStateSalons
+};
@@ -0,0 +1,93 @@
+/**
+ * Base Auth Store - Abstract interface for Baileys auth-state storage
+ * All auth-state backends must extend this class
+ *
+ * Stores are Baileys-agnostic: they persist opaque string values (JSON
+ * serialized with BufferJSON by auth-state.js) under (salonId, key), where
+ * key is 'creds' or '<type>-<id>' (e.g. 'pre-key-12', 'session-336xx.0').
+ * Keys use the same names as useMultiFileAuthState files, minus '.json'.
+ */
+
+export class BaseAuthStore {
+  constructor(config = {}) {
+    this.config = config;
+  }
+
+  /**
+   * Get store name
+   * @returns {string} Store identifier (e.g. 'file', 'sqlite', 'postgres')
+   */
+  getName() {
+    throw new Error('Method getName() must be implemented');
+  }
+
+  /**
+   * Prepare the store (create directory / table). Called once before use.
+   */
+  async open() {}
+
+  async close() {}
+
+  /**
+   * Read a value
+   * @param {string} salonId - Salon identifier
+   * @param {string} key - Entry key
+   * @returns {Promise<string|null>}
+   */
+  async get(salonId, key) {
+    throw new Error('Method get() must be implemented');
+  }
+
+  /**
+   * Write and delete several entries at once
+   * @param {string} salonId - Salon identifier
+   * @param {Array<{key: string, value: string|null}>} entries - null value deletes
+   */
+  async setMany(salonId, entries) {
+    throw new Error('Method setMany() must be implemented');
+  }
+
+  async set(salonId, key, value) {
+    return this.setMany(salonId, [{ key, value }]);
+  }
+
+  async delete(salonId, key) {
+    return this.setMany(salonId, [{ key, value: null }]);
+  }
+
+  /**
+   * List the keys stored for a salon
+   * @param {string} salonId - Salon identifier
+   * @returns {Promise<string[]>}
+   */
+  async listKeys(salonId) {
+    throw new Error('Method listKeys() must be implemented');
+  }
+
+  /**
+   * List salons having auth state
+   * @returns {Promise<string[]>}
+   */
+  async listSalons() {
+    throw new Error('Method listSalons() must be implemented');
+  }
+
+  /**
+   * Delete all auth state of a salon (logout / bad session)
+   * @param {string} salonId - Salon identifier
+   */
+  async clear(salonId) {
+    throw new Error('Method clear() must be implemented');
+  }
+}
+
+/**
+ * Map a Baileys key to a storage key (same rule as useMultiFileAuthState file names)
+ * @param {string} key - e.g. 'app-state-sync-key-AAAA/BB:1'
+ * @returns {string}
+ */
+export function fixKey(key) {
+  return key.replace(/\//g, '__').replace(/:/g, '-');
+}
+
+export default BaseAuthStore;
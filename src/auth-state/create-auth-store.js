@@ -0,0 +1,55 @@
+/**
+ * Auth Store Factory - Instantiate an auth-state store by name
+ * Kept free of Baileys imports so scripts can use it on their own.
+ */
+
+import { FileAuthStore } from './file-auth-store.js';
+import { SqliteAuthStore } from './sqlite-auth-store.js';
+import { PostgresAuthStore } from './postgres-auth-store.js';
+import { EncryptedAuthStore, loadKeyRing } from './encrypted-auth-store.js';
+
+export const AUTH_STORE_NAMES = ['file', 'sqlite', 'postgres'];
+
+/**
+ * Create a store by name (not opened)
+ * @param {string} name - 'file', 'sqlite' or 'postgres' ('supabase' is an alias)
+ * @param {object} config - Store specific configuration
+ * @returns {BaseAuthStore}
+ */
+export function createAuthStore(name, config = {}) {
+  switch (name) {
+    case 'file':
+      return new FileAuthStore(config);
+    case 'sqlite':
+      return new SqliteAuthStore(config);
+    case 'postgres':
+    case 'supabase':
+      return new PostgresAuthStore(config);
+    default:
+      throw new Error(`Unknown auth state store: ${name}`);
+  }
+}
+
+/**
+ * Create a store wrapped with encryption when a master key is configured
+ * @param {string} name - Store name
+ * @param {object} config - Store specific configuration
+ * @param {object} options - { strict } (defaults to AUTH_STATE_ENCRYPTION_STRICT)
+ * @returns {BaseAuthStore}
+ */
+export function createConfiguredAuthStore(name, config = {}, options = {}) {
+  const store = createAuthStore(name, config);
+  const keyRing = loadKeyRing();
+  const strict = options.strict ?? process.env.AUTH_STATE_ENCRYPTION_STRICT === 'true';
+
+  if (!keyRing) {
+    if (strict) {
+      throw new Error('AUTH_STATE_ENCRYPTION_STRICT requires AUTH_STATE_ENCRYPTION_KEY or AUTH_STATE_ENCRYPTION_KEY_FILE');
+    }
+    return store;
+  }
+
+  return new EncryptedAuthStore(store, keyRing, { strict });
+}
+
+export default { createAuthStore, createConfiguredAuthStore, AUTH_STORE_NAMES };
@@ -0,0 +1,350 @@
+/**
+ * Encrypted Auth Store - Envelope encryption around any auth-state store
+ *
+ * Each salon gets a random data key (DEK) that encrypts its values with
+ * AES-256-GCM. The DEK is stored next to the data (key '__dek'), wrapped by
+ * the master key (KEK) supplied through the environment or a key file, so
+ * a copy of the volume, database or a backup is useless without the KEK.
+ *
+ * Value format:  enc:v1:<dekId>:<iv>:<tag>:<ciphertext>   (base64 parts)
+ * The salon id and key are authenticated (AAD), so values cannot be moved.
+ *
+ * Key configuration:
+ *   AUTH_STATE_ENCRYPTION_KEY           current KEK (32 bytes, hex or base64)
+ *   AUTH_STATE_ENCRYPTION_PREVIOUS_KEYS older KEKs, comma separated (rotation)
+ *   AUTH_STATE_ENCRYPTION_KEY_FILE      alternative: current key on the first
+ *                                       line, previous keys on the next lines
+ *   AUTH_STATE_ENCRYPTION_STRICT=true   refuse plaintext values
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import { BaseAuthStore, fixKey } from './base-auth-store.js';
+
+const PREFIX = 'enc:v1:';
+const DEK_KEY = '__dek';
+const ALGORITHM = 'aes-256-gcm';
+
+// ═══════════════════════════════════════════
+// KEY RING
+// ═══════════════════════════════════════════
+
+function parseKey(value) {
+  const text = value.trim();
+  const key = /^[0-9a-f]{64}$/i.test(text) ? Buffer.from(text, 'hex') : Buffer.from(text, 'base64');
+  if (key.length !== 32) {
+    throw new Error('Auth state encryption keys must be 32 bytes (64 hex chars or base64)');
+  }
+  return key;
+}
+
+function keyId(key) {
+  return crypto.createHash('sha256').update(key).digest('hex').slice(0, 12);
+}
+
+/**
+ * Load the KEK ring from the environment
+ * @returns {{current: {id: string, key: Buffer}, keys: Map<string, Buffer>}|null} null when not configured
+ */
+export function loadKeyRing(env = process.env) {
+  let values = [];
+
+  if (env.AUTH_STATE_ENCRYPTION_KEY_FILE) {
+    values = fs.readFileSync(env.AUTH_STATE_ENCRYPTION_KEY_FILE, 'utf-8')
+      .split('\n')
+      .map(line => line.trim())
+      .filter(line => line && !line.startsWith('#'));
+  } else if (env.AUTH_STATE_ENCRYPTION_KEY) {
+    values = [
+      env.AUTH_STATE_ENCRYPTION_KEY,
+      ...(env.AUTH_STATE_ENCRYPTION_PREVIOUS_KEYS || '').split(',').filter(v => v.trim())
+    ];
+  }
+
+  if (values.length === 0) return null;
+
+  const keys = new Map();
+  for (const value of values) {
+    const key = parseKey(value);
+    keys.set(keyId(key), key);
+  }
+
+  const current = parseKey(values[0]);
+  return { current: { id: keyId(current), key: current }, keys };
+}
+
+// ═══════════════════════════════════════════
+// AES-GCM HELPERS
+// ═══════════════════════════════════════════
+
+function seal(key, plaintext, aad) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  cipher.setAAD(Buffer.from(aad));
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return { iv, tag: cipher.getAuthTag(), ciphertext };
+}
+
+function open(key, { iv, tag, ciphertext }, aad) {
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAAD(Buffer.from(aad));
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+}
+
+export function isEncryptedValue(value) {
+  return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+// ═══════════════════════════════════════════
+// STORE
+// ═══════════════════════════════════════════
+
+export class EncryptedAuthStore extends BaseAuthStore {
+  /**
+   * @param {BaseAuthStore} inner - Store holding the encrypted values
+   * @param {object} keyRing - Result of loadKeyRing()
+   * @param {object} options - { strict: refuse plaintext values }
+   */
+  constructor(inner, keyRing, { strict = false } = {}) {
+    super();
+    this.inner = inner;
+    this.keyRing = keyRing;
+    this.strict = strict;
+    this.dataKeys = new Map(); // salonId -> Promise<{ current, keys: Map<dekId, Buffer> }>
+  }
+
+  getName() {
+    return `${this.inner.getName()}+encrypted`;
+  }
+
+  async open() {
+    await this.inner.open();
+    if (this.strict) {
+      await this.assertEncrypted();
+    }
+  }
+
+  async close() {
+    this.dataKeys.clear();
+    await this.inner.close();
+  }
+
+  // ── Data keys ──────────────────────────────
+
+  unwrapRecord(salonId, raw) {
+    const record = JSON.parse(raw);
+    const keys = new Map();
+
+    for (const [dekId, wrapped] of Object.entries(record.keys)) {
+      const kek = this.keyRing.keys.get(wrapped.kek);
+      if (!kek) {
+        throw new Error(`[${salonId}] Data key ${dekId} is wrapped with unknown master key ${wrapped.kek}`);
+      }
+      keys.set(dekId, open(kek, {
+        iv: Buffer.from(wrapped.iv, 'base64'),
+        tag: Buffer.from(wrapped.tag, 'base64'),
+        ciphertext: Buffer.from(wrapped.key, 'base64')
+      }, `${salonId}:${DEK_KEY}:${dekId}`));
+    }
+
+    return { current: record.current, keys };
+  }
+
+  wrapRecord(salonId, dataKeys) {
+    const keys = {};
+    for (const [dekId, dek] of dataKeys.keys) {
+      const sealed = seal(this.keyRing.current.key, dek, `${salonId}:${DEK_KEY}:${dekId}`);
+      keys[dekId] = {
+        kek: this.keyRing.current.id,
+        iv: sealed.iv.toString('base64'),
+        tag: sealed.tag.toString('base64'),
+        key: sealed.ciphertext.toString('base64')
+      };
+    }
+    return JSON.stringify({ v: 1, current: dataKeys.current, keys });
+  }
+
+  newDataKey() {
+    return { id: crypto.randomBytes(6).toString('hex'), key: crypto.randomBytes(32) };
+  }
+
+  async loadDataKeys(salonId, create) {
+    const raw = await this.inner.get(salonId, DEK_KEY);
+    if (raw) return this.unwrapRecord(salonId, raw);
+    if (!create) return null;
+
+    const dek = this.newDataKey();
+    const dataKeys = { current: dek.id, keys: new Map([[dek.id, dek.key]]) };
+    await this.inner.set(salonId, DEK_KEY, this.wrapRecord(salonId, dataKeys));
+    return dataKeys;
+  }
+
+  /**
+   * Load (or create on first write) the salon's data keys
+   * Promises are cached so concurrent writes share one DEK.
+   * @returns {Promise<{current: string, keys: Map<string, Buffer>}|null>}
+   */
+  getDataKeys(salonId, { create = false } = {}) {
+    const cached = this.dataKeys.get(salonId);
+    if (cached) return cached;
+
+    const pending = this.loadDataKeys(salonId, create).then(
+      (dataKeys) => {
+        if (!dataKeys) this.forget(salonId, pending);
+        return dataKeys;
+      },
+      (error) => {
+        this.forget(salonId, pending);
+        throw error;
+      }
+    );
+
+    this.dataKeys.set(salonId, pending);
+    return pending;
+  }
+
+  forget(salonId, pending) {
+    if (this.dataKeys.get(salonId) === pending) {
+      this.dataKeys.delete(salonId);
+    }
+  }
+
+  async getWritableDataKeys(salonId) {
+    // A concurrent read may have cached a "no key yet" lookup: retry with create
+    return (await this.getDataKeys(salonId, { create: true })) ||
+      this.getDataKeys(salonId, { create: true });
+  }
+
+  // ── Values ─────────────────────────────────
+
+  encryptValue(salonId, key, value, dataKeys) {
+    const dek = dataKeys.keys.get(dataKeys.current);
+    const sealed = seal(dek, Buffer.from(value, 'utf-8'), `${salonId}:${fixKey(key)}`);
+    return PREFIX + [
+      dataKeys.current,
+      sealed.iv.toString('base64'),
+      sealed.tag.toString('base64'),
+      sealed.ciphertext.toString('base64')
+    ].join(':');
+  }
+
+  async decryptValue(salonId, key, value, { allowPlaintext = !this.strict } = {}) {
+    if (value == null) return null;
+
+    if (!isEncryptedValue(value)) {
+      if (!allowPlaintext) {
+        throw new Error(`[${salonId}] Unencrypted auth state "${fixKey(key)}" refused (AUTH_STATE_ENCRYPTION_STRICT)`);
+      }
+      return value;
+    }
+
+    const [dekId, iv, tag, ciphertext] = value.slice(PREFIX.length).split(':');
+    const dataKeys = await this.getDataKeys(salonId);
+    const dek = dataKeys?.keys.get(dekId);
+    if (!dek) {
+      throw new Error(`[${salonId}] Missing data key ${dekId} for "${fixKey(key)}"`);
+    }
+
+    try {
+      return open(dek, {
+        iv: Buffer.from(iv, 'base64'),
+        tag: Buffer.from(tag, 'base64'),
+        ciphertext: Buffer.from(ciphertext, 'base64')
+      }, `${salonId}:${fixKey(key)}`).toString('utf-8');
+    } catch (error) {
+      throw new Error(`[${salonId}] Cannot decrypt "${fixKey(key)}" (tampered or moved value): ${error.message}`);
+    }
+  }
+
+  // ── Store interface ────────────────────────
+
+  async get(salonId, key) {
+    return this.decryptValue(salonId, key, await this.inner.get(salonId, key));
+  }
+
+  async setMany(salonId, entries) {
+    const needsKey = entries.some(entry => entry.value != null);
+    const dataKeys = needsKey ? await this.getWritableDataKeys(salonId) : null;
+
+    await this.inner.setMany(salonId, entries.map(({ key, value }) => ({
+      key,
+      value: value == null ? null : this.encryptValue(salonId, key, value, dataKeys)
+    })));
+  }
+
+  async listKeys(salonId) {
+    return (await this.inner.listKeys(salonId)).filter(key => key !== DEK_KEY);
+  }
+
+  async listSalons() {
+    return this.inner.listSalons();
+  }
+
+  async clear(salonId) {
+    this.dataKeys.delete(salonId);
+    await this.inner.clear(salonId);
+  }
+
+  // ── Maintenance ────────────────────────────
+
+  /**
+   * Refuse to start on plaintext credentials (strict mode)
+   * Checks each salon's creds; other values are checked as they are read.
+   */
+  async assertEncrypted() {
+    const plaintext = [];
+    for (const salonId of await this.inner.listSalons()) {
+      const creds = await this.inner.get(salonId, 'creds');
+      if (creds != null && !isEncryptedValue(creds)) {
+        plaintext.push(salonId);
+      }
+    }
+
+    if (plaintext.length > 0) {
+      throw new Error(`Unencrypted auth state found for ${plaintext.length} salon(s): ${plaintext.join(', ')} - run npm run rotate:auth-key`);
+    }
+  }
+
+  /**
+   * Re-encrypt all values of a salon in place with a fresh data key wrapped
+   * by the current master key. Plaintext values are encrypted. Safe to re-run
+   * after an interruption: the old data key is only dropped at the end.
+   * @param {string} salonId - Salon identifier
+   * @returns {Promise<{keys: number, plaintext: number}>}
+   */
+  async reencryptSalon(salonId) {
+    const previous = await this.getDataKeys(salonId);
+    const dek = this.newDataKey();
+
+    // 1. New DEK becomes current, old ones stay readable (all rewrapped with the current KEK)
+    const transition = {
+      current: dek.id,
+      keys: new Map([...(previous?.keys || []), [dek.id, dek.key]])
+    };
+    await this.inner.set(salonId, DEK_KEY, this.wrapRecord(salonId, transition));
+    this.dataKeys.set(salonId, Promise.resolve(transition));
+
+    // 2. Re-encrypt every value
+    const keys = await this.listKeys(salonId);
+    let plaintext = 0;
+
+    for (const key of keys) {
+      const raw = await this.inner.get(salonId, key);
+      if (raw == null) continue;
+      if (!isEncryptedValue(raw)) plaintext++;
+
+      const value = await this.decryptValue(salonId, key, raw, { allowPlaintext: true });
+      await this.inner.set(salonId, key, this.encryptValue(salonId, key, value, transition));
+    }
+
+    // 3. Drop the old DEKs
+    const final = { current: dek.id, keys: new Map([[dek.id, dek.key]]) };
+    await this.inner.set(salonId, DEK_KEY, this.wrapRecord(salonId, final));
+    this.dataKeys.set(salonId, Promise.resolve(final));
+
+    return { keys: keys.length, plaintext };
+  }
+}
+
+export default EncryptedAuthStore;
@@ -0,0 +1,88 @@
+/**
+ * File Auth Store - One folder per salon, one JSON file per key
+ * Same layout as Baileys' useMultiFileAuthState (./auth/<salonId>/<key>.json)
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { BaseAuthStore, fixKey } from './base-auth-store.js';
+
+let tempCounter = 0;
+
+export class FileAuthStore extends BaseAuthStore {
+  constructor(config = {}) {
+    super(config);
+    this.baseDir = config.baseDir || process.env.AUTH_DIR || './auth';
+  }
+
+  getName() {
+    return 'file';
+  }
+
+  salonDir(salonId) {
+    return path.join(this.baseDir, salonId);
+  }
+
+  filePath(salonId, key) {
+    return path.join(this.salonDir(salonId), `${fixKey(key)}.json`);
+  }
+
+  async open() {
+    await fs.mkdir(this.baseDir, { recursive: true });
+  }
+
+  async get(salonId, key) {
+    try {
+      return await fs.readFile(this.filePath(salonId, key), 'utf-8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async setMany(salonId, entries) {
+    await fs.mkdir(this.salonDir(salonId), { recursive: true });
+
+    await Promise.all(entries.map(async ({ key, value }) => {
+      const filePath = this.filePath(salonId, key);
+
+      if (value == null) {
+        await fs.rm(filePath, { force: true });
+        return;
+      }
+
+      // Unique temp name: concurrent writes of the same key must not share it
+      const tempPath = `${filePath}.${process.pid}.${++tempCounter}.tmp`;
+      await fs.writeFile(tempPath, value, { mode: 0o600 });
+      await fs.rename(tempPath, filePath);
+    }));
+  }
+
+  async listKeys(salonId) {
+    try {
+      const files = await fs.readdir(this.salonDir(salonId));
+      return files
+        .filter(file => file.endsWith('.json'))
+        .map(file => file.slice(0, -'.json'.length));
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  async listSalons() {
+    try {
+      const entries = await fs.readdir(this.baseDir, { withFileTypes: true });
+      return entries.filter(entry => entry.isDirectory()).map(entry => entry.name);
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+  }
+
+  async clear(salonId) {
+    await fs.rm(this.salonDir(salonId), { recursive: true, force: true });
+  }
+}
+
+export default FileAuthStore;
@@ -0,0 +1,132 @@
+/**
+ * Postgres Auth Store - Shared auth state for several containers
+ * Works with any Postgres, including Supabase (use the pooler connection string).
+ * Requires the optional `pg` dependency.
+ */
+
+import { BaseAuthStore, fixKey } from './base-auth-store.js';
+import { createLogger } from '../logger.js';
+
+const log = createLogger('auth-state');
+
+export class PostgresAuthStore extends BaseAuthStore {
+  constructor(config = {}) {
+    super(config);
+    this.connectionString = config.connectionString || process.env.AUTH_STATE_PG_URL || process.env.DATABASE_URL;
+    this.table = config.table || process.env.AUTH_STATE_PG_TABLE || 'whatsapp_auth_state';
+    this.ssl = config.ssl ?? process.env.AUTH_STATE_PG_SSL === 'true';
+    this.pool = null;
+
+    if (!this.connectionString) {
+      throw new Error('Postgres auth store not configured (AUTH_STATE_PG_URL or DATABASE_URL)');
+    }
+    if (!/^[a-z_][a-z0-9_]*(\.[a-z_][a-z0-9_]*)?$/i.test(this.table)) {
+      throw new Error(`Invalid AUTH_STATE_PG_TABLE: ${this.table}`);
+    }
+  }
+
+  getName() {
+    return 'postgres';
+  }
+
+  async open() {
+    if (this.pool) return;
+
+    let pg;
+    try {
+      ({ default: pg } = await import('pg'));
+    } catch (error) {
+      throw new Error(`Postgres auth store requires pg (npm install pg): ${error.message}`);
+    }
+
+    this.pool = new pg.Pool({
+      connectionString: this.connectionString,
+      max: parseInt(process.env.AUTH_STATE_PG_POOL_SIZE) || 5,
+      ...(this.ssl && { ssl: { rejectUnauthorized: false } })
+    });
+
+    this.pool.on('error', (error) => {
+      log.error({ error: error.message }, 'Postgres auth store pool error');
+    });
+
+    await this.pool.query(`
+      CREATE TABLE IF NOT EXISTS ${this.table} (
+        salon_id TEXT NOT NULL,
+        key TEXT NOT NULL,
+        value TEXT NOT NULL,
+        updated_at TIMESTAMPTZ NOT NULL DEFAULT now(),
+        PRIMARY KEY (salon_id, key)
+      )
+    `);
+  }
+
+  async close() {
+    await this.pool?.end();
+    this.pool = null;
+  }
+
+  async get(salonId, key) {
+    const result = await this.pool.query(
+      `SELECT value FROM ${this.table} WHERE salon_id = $1 AND key = $2`,
+      [salonId, fixKey(key)]
+    );
+    return result.rows[0]?.value ?? null;
+  }
+
+  async setMany(salonId, entries) {
+    const upserts = entries.filter(entry => entry.value != null);
+    const deletes = entries.filter(entry => entry.value == null).map(entry => fixKey(entry.key));
+
+    // Last write wins within a batch (the multi-row upsert rejects duplicate keys)
+    const latest = new Map(upserts.map(entry => [fixKey(entry.key), entry.value]));
+
+    const client = await this.pool.connect();
+    try {
+      await client.query('BEGIN');
+
+      if (latest.size > 0) {
+        const params = [salonId];
+        const rows = [];
+        for (const [key, value] of latest) {
+          params.push(key, value);
+          rows.push(`($1, $${params.length - 1}, $${params.length}, now())`);
+        }
+        await client.query(
+          `INSERT INTO ${this.table} (salon_id, key, value, updated_at) VALUES ${rows.join(', ')}
+           ON CONFLICT (salon_id, key) DO UPDATE SET value = EXCLUDED.value, updated_at = EXCLUDED.updated_at`,
+          params
+        );
+      }
+
+      if (deletes.length > 0) {
+        await client.query(
+          `DELETE FROM ${this.table} WHERE salon_id = $1 AND key = ANY($2)`,
+          [salonId, deletes]
+        );
+      }
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  async listKeys(salonId) {
+    const result = await this.pool.query(`SELECT key FROM ${this.table} WHERE salon_id = $1`, [salonId]);
+    return result.rows.map(row => row.key);
+  }
+
+  async listSalons() {
+    const result = await this.pool.query(`SELECT DISTINCT salon_id FROM ${this.table}`);
+    return result.rows.map(row => row.salon_id);
+  }
+
+  async clear(salonId) {
+    await this.pool.query(`DELETE FROM ${this.table} WHERE salon_id = $1`, [salonId]);
+  }
+}
+
+export default PostgresAuthStore;
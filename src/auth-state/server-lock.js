@@ -0,0 +1,70 @@
+/**
+ * Server Lock - Pid file marking a server that is using the auth state
+ *
+ * The server caches each salon's data keys and keeps encrypting with them, so
+ * maintenance commands that rewrite keys (rotate:auth-key) must not run while
+ * it is up. The server writes its pid on startup and removes it on exit; the
+ * commands refuse to run while that process is alive.
+ *
+ * Only covers servers on the same host (and volume): with a shared database
+ * store, stop every server before running the commands.
+ *
+ * Kept free of Baileys imports so scripts can use it on their own.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+export const SERVER_PID_FILE = process.env.SERVER_PID_FILE || './data/server.pid';
+
+function isAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM: the process exists but belongs to another user
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * Record this process as the running server
+ */
+export function writeServerPidFile() {
+  fs.mkdirSync(path.dirname(SERVER_PID_FILE), { recursive: true });
+  fs.writeFileSync(SERVER_PID_FILE, `${process.pid}\n`);
+}
+
+/**
+ * Remove the pid file if it still names this process
+ */
+export function removeServerPidFile() {
+  if (getServerPidFromFile() === process.pid) {
+    fs.rmSync(SERVER_PID_FILE, { force: true });
+  }
+}
+
+function getServerPidFromFile() {
+  try {
+    const pid = parseInt(fs.readFileSync(SERVER_PID_FILE, 'utf-8'), 10);
+    return Number.isInteger(pid) ? pid : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Pid of a running server, null when none (a stale file left by a crash is ignored)
+ * @returns {number|null}
+ */
+export function getRunningServerPid() {
+  const pid = getServerPidFromFile();
+  return pid && pid !== process.pid && isAlive(pid) ? pid : null;
+}
+
+export default {
+  SERVER_PID_FILE,
+  writeServerPidFile,
+  removeServerPidFile,
+  getRunningServerPid
+};
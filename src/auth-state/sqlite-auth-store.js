@@ -0,0 +1,96 @@
+/**
+ * SQLite Auth Store - All salons in a single database file
+ * Requires the optional `better-sqlite3` dependency (needs build tools on Alpine).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { BaseAuthStore, fixKey } from './base-auth-store.js';
+
+export class SqliteAuthStore extends BaseAuthStore {
+  constructor(config = {}) {
+    super(config);
+    this.filePath = config.filePath || process.env.AUTH_STATE_SQLITE_FILE || './data/auth_state.db';
+    this.db = null;
+  }
+
+  getName() {
+    return 'sqlite';
+  }
+
+  async open() {
+    if (this.db) return;
+
+    let Database;
+    try {
+      ({ default: Database } = await import('better-sqlite3'));
+    } catch (error) {
+      throw new Error(`SQLite auth store requires better-sqlite3 (npm install better-sqlite3): ${error.message}`);
+    }
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+    this.db = new Database(this.filePath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('synchronous = NORMAL');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS auth_state (
+        salon_id TEXT NOT NULL,
+        key TEXT NOT NULL,
+        value TEXT NOT NULL,
+        updated_at INTEGER NOT NULL,
+        PRIMARY KEY (salon_id, key)
+      )
+    `);
+
+    this.statements = {
+      get: this.db.prepare('SELECT value FROM auth_state WHERE salon_id = ? AND key = ?'),
+      upsert: this.db.prepare(`
+        INSERT INTO auth_state (salon_id, key, value, updated_at) VALUES (?, ?, ?, ?)
+        ON CONFLICT (salon_id, key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at
+      `),
+      remove: this.db.prepare('DELETE FROM auth_state WHERE salon_id = ? AND key = ?'),
+      keys: this.db.prepare('SELECT key FROM auth_state WHERE salon_id = ?'),
+      salons: this.db.prepare('SELECT DISTINCT salon_id FROM auth_state'),
+      clear: this.db.prepare('DELETE FROM auth_state WHERE salon_id = ?')
+    };
+
+    this.writeMany = this.db.transaction((salonId, entries) => {
+      const now = Date.now();
+      for (const { key, value } of entries) {
+        if (value == null) {
+          this.statements.remove.run(salonId, fixKey(key));
+        } else {
+          this.statements.upsert.run(salonId, fixKey(key), value, now);
+        }
+      }
+    });
+  }
+
+  async close() {
+    this.db?.close();
+    this.db = null;
+  }
+
+  async get(salonId, key) {
+    return this.statements.get.get(salonId, fixKey(key))?.value ?? null;
+  }
+
+  async setMany(salonId, entries) {
+    this.writeMany(salonId, entries);
+  }
+
+  async listKeys(salonId) {
+    return this.statements.keys.all(salonId).map(row => row.key);
+  }
+
+  async listSalons() {
+    return this.statements.salons.all().map(row => row.salon_id);
+  }
+
+  async clear(salonId) {
+    this.statements.clear.run(salonId);
+  }
+}
+
+export default SqliteAuthStore;
@@ -23,7 +23,8 @@ export function loadConfig() {
       phoneNumberId: process.env.CLOUD_API_PHONE_NUMBER_ID || null,
       accessToken: process.env.CLOUD_API_ACCESS_TOKEN || null,
       businessAccountId: process.env.CLOUD_API_BUSINESS_ACCOUNT_ID || null,
-      verifyToken: process.env.CLOUD_API_VERIFY_TOKEN || 'whatsapp_webhook_verify'
+      verifyToken: process.env.CLOUD_API_VERIFY_TOKEN || 'whatsapp_webhook_verify',
+      appSecret: process.env.CLOUD_API_APP_SECRET || null
     },
 
     // Baileys configuration
@@ -108,6 +109,9 @@ export function validateConfig(config) {
     if (!config.cloudApi.accessToken) {
       warnings.push('Cloud API enabled but CLOUD_API_ACCESS_TOKEN not set');
     }
+    if (!config.cloudApi.appSecret) {
+      warnings.push('Cloud API enabled but CLOUD_API_APP_SECRET not set - webhooks will be rejected');
+    }
   }
 
   // Check webhook
@@ -0,0 +1,127 @@
+/**
+ * Dead Letter Store - Inbound messages the webhook never accepted
+ *
+ * Messages land here instead of being deleted when they exhaust their
+ * retries, expire, or are rejected by the webhook (HTTP 400). Each record
+ * keeps the original message, the last error/status code and the attempt
+ * history so they can be inspected and replayed later.
+ */
+
+import { AppendLogStore } from './storage/append-log-store.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('dead-letter');
+
+const DEAD_LETTER_DB_FILE = process.env.DEAD_LETTER_DB_FILE || './data/dead_letters.log';
+
+const store = new AppendLogStore(DEAD_LETTER_DB_FILE, {
+  fsync: process.env.QUEUE_FSYNC !== 'false'
+});
+
+function parseTime(value) {
+  if (value == null || value === '') return null;
+  const time = /^\d+$/.test(String(value)) ? parseInt(value) : new Date(value).getTime();
+  return isNaN(time) ? null : time;
+}
+
+function matchesFilter(record, { salonId, from, to } = {}) {
+  const fromTime = parseTime(from);
+  const toTime = parseTime(to);
+  const deadLetteredAt = new Date(record.deadLetteredAt).getTime();
+
+  if (salonId && record.salonId !== salonId) return false;
+  if (fromTime !== null && deadLetteredAt < fromTime) return false;
+  if (toTime !== null && deadLetteredAt > toTime) return false;
+  return true;
+}
+
+/**
+ * Record a message as dead
+ * @param {object} message - Original message data (salonId, messageId, content, ...)
+ * @param {object} details
+ * @param {string} details.reason - 'max_attempts', 'expired' or 'rejected'
+ * @param {string} [details.error] - Last error message
+ * @param {number} [details.statusCode] - Last HTTP status code
+ * @param {number} [details.attempts] - Delivery attempts made
+ * @param {Array} [details.history] - Attempt history [{ at, error, statusCode }]
+ * @param {number} [details.queuedAt] - When the message first entered the queue
+ * @returns {object} Dead letter record
+ */
+export function addDeadLetter(message, details = {}) {
+  const previous = store.get(message.messageId);
+
+  const record = {
+    messageId: message.messageId,
+    salonId: message.salonId,
+    reason: details.reason || 'unknown',
+    lastError: details.error || null,
+    lastStatusCode: details.statusCode || null,
+    attempts: (previous?.attempts || 0) + (details.attempts || 0),
+    history: [...(previous?.history || []), ...(details.history || [])],
+    queuedAt: details.queuedAt || null,
+    deadLetteredAt: new Date().toISOString(),
+    replayCount: previous?.replayCount || 0,
+    message
+  };
+
+  store.put(record.messageId, record);
+  log.warn({ salonId: record.salonId, messageId: record.messageId, reason: record.reason }, 'Message moved to dead-letter queue');
+  return record;
+}
+
+/**
+ * List dead letters, newest first
+ * @param {object} filter - { salonId, from, to, limit }
+ * @returns {object[]}
+ */
+export function listDeadLetters(filter = {}) {
+  const limit = parseInt(filter.limit) || Infinity;
+  return store.values()
+    .filter(record => matchesFilter(record, filter))
+    .sort((a, b) => new Date(b.deadLetteredAt) - new Date(a.deadLetteredAt))
+    .slice(0, limit);
+}
+
+export function getDeadLetter(messageId) {
+  return store.get(messageId) || null;
+}
+
+export function removeDeadLetter(messageId) {
+  return store.delete(messageId);
+}
+
+/**
+ * Note a failed replay on the record (kept in the store)
+ * @param {string} messageId - Message identifier
+ * @param {string} error - Why the replay did not succeed
+ */
+export function markReplayFailed(messageId, error) {
+  const record = store.get(messageId);
+  if (!record) return;
+
+  store.put(messageId, {
+    ...record,
+    replayCount: record.replayCount + 1,
+    lastReplayAt: new Date().toISOString(),
+    lastReplayError: error
+  });
+}
+
+/**
+ * Delete dead letters matching a filter (all of them when the filter is empty)
+ * @param {object} filter - { salonId, from, to }
+ * @returns {number} Number of records deleted
+ */
+export function purgeDeadLetters(filter = {}) {
+  const records = listDeadLetters(filter);
+  for (const record of records) {
+    store.delete(record.messageId);
+  }
+  return records.length;
+}
+
+export function getDeadLetterCount() {
+  return store.size;
+}
+
+store.open();
@@ -0,0 +1,187 @@
+/**
+ * Health Checks - Active probes of the services this server depends on
+ *
+ *   webhook   WEBHOOK_URL (inbound messages are forwarded there)
+ *   supabase  Supabase edge functions (outgoing message polling)
+ *   openai    OpenAI API, when voice notes are transcribed with it
+ *   graph_api Meta Graph API, when the Cloud API provider is configured
+ *
+ * Only configured dependencies are probed. Any HTTP answer below 500 counts
+ * as "up" for webhook / supabase (the host is reachable and serving); OpenAI
+ * and the Graph API must also accept our credentials.
+ *
+ * Results are cached for HEALTH_CHECK_CACHE_MS so readiness probes from a
+ * load balancer or PM2 do not hammer third parties; concurrent callers share
+ * the probe in flight.
+ *
+ * HEALTH_CRITICAL_DEPENDENCIES (comma-separated, default: none) lists the
+ * dependencies whose failure makes the server not ready. None is critical by
+ * default: a webhook or Supabase outage is absorbed by the queue and the dead
+ * letters, and taking the server out of rotation would also stop the salons
+ * that do not need them. They are still reported on /health.
+ */
+
+import axios from 'axios';
+import { GRAPH_API_URL } from './providers/cloud-api-provider.js';
+import { getTranscriptionBackendName } from './transcription/transcription-service.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('health');
+
+const CACHE_MS = parseInt(process.env.HEALTH_CHECK_CACHE_MS) || 30000;
+const PROBE_TIMEOUT_MS = parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS) || 5000;
+const CRITICAL_DEPENDENCIES = (process.env.HEALTH_CRITICAL_DEPENDENCIES || '')
+  .split(',')
+  .map(name => name.trim())
+  .filter(Boolean);
+
+const results = new Map();   // name -> last result
+const inFlight = new Map();  // name -> Promise<result>
+
+// ═══════════════════════════════════════════
+// PROBES
+// ═══════════════════════════════════════════
+
+function reachable(status) {
+  return status < 500;
+}
+
+function authorized(status) {
+  return status >= 200 && status < 300;
+}
+
+/**
+ * Configured dependencies
+ * @returns {Array<{name: string, probe: function(): Promise<{status: number}>, accept: function(number): boolean}>}
+ */
+function getDependencies() {
+  const dependencies = [];
+  const request = (config) => axios({ timeout: PROBE_TIMEOUT_MS, validateStatus: () => true, ...config });
+
+  if (process.env.WEBHOOK_URL) {
+    dependencies.push({
+      name: 'webhook',
+      probe: () => request({ method: 'HEAD', url: process.env.WEBHOOK_URL }),
+      accept: reachable
+    });
+  }
+
+  if (process.env.SUPABASE_URL && process.env.SUPABASE_ANON_KEY) {
+    // CORS preflight: answered by edge functions without running the handler
+    dependencies.push({
+      name: 'supabase',
+      probe: () => request({
+        method: 'OPTIONS',
+        url: `${process.env.SUPABASE_URL}/functions/v1/whatsapp-pending-messages`,
+        headers: { 'Authorization': `Bearer ${process.env.SUPABASE_ANON_KEY}` }
+      }),
+      accept: reachable
+    });
+  }
+
+  if (process.env.OPENAI_API_KEY && getTranscriptionBackendName() === 'openai') {
+    const model = process.env.OPENAI_TRANSCRIPTION_MODEL || 'whisper-1';
+    dependencies.push({
+      name: 'openai',
+      probe: () => request({
+        method: 'GET',
+        url: `https://api.openai.com/v1/models/${model}`,
+        headers: { 'Authorization': `Bearer ${process.env.OPENAI_API_KEY}` }
+      }),
+      accept: authorized
+    });
+  }
+
+  if (process.env.CLOUD_API_ENABLED !== 'false' &&
+      process.env.CLOUD_API_PHONE_NUMBER_ID && process.env.CLOUD_API_ACCESS_TOKEN) {
+    dependencies.push({
+      name: 'graph_api',
+      probe: () => request({
+        method: 'GET',
+        url: `${GRAPH_API_URL}/${process.env.CLOUD_API_PHONE_NUMBER_ID}`,
+        params: { fields: 'id' },
+        headers: { 'Authorization': `Bearer ${process.env.CLOUD_API_ACCESS_TOKEN}` }
+      }),
+      accept: authorized
+    });
+  }
+
+  return dependencies;
+}
+
+async function runProbe(dependency) {
+  const previous = results.get(dependency.name);
+  const startedAt = Date.now();
+  let error = null;
+
+  try {
+    const response = await dependency.probe();
+    if (!dependency.accept(response.status)) {
+      error = `HTTP ${response.status}`;
+    }
+  } catch (probeError) {
+    error = probeError.code || probeError.message;
+  }
+
+  const checkedAt = new Date().toISOString();
+  const result = {
+    status: error ? 'down' : 'up',
+    critical: CRITICAL_DEPENDENCIES.includes(dependency.name),
+    latencyMs: Date.now() - startedAt,
+    checkedAt,
+    error,
+    consecutiveFailures: error ? (previous?.consecutiveFailures || 0) + 1 : 0,
+    lastFailureAt: error ? checkedAt : previous?.lastFailureAt || null
+  };
+
+  if (error && previous?.status !== 'down') {
+    log.warn({ dependency: dependency.name, error }, 'Dependency down');
+  } else if (!error && previous?.status === 'down') {
+    log.info({ dependency: dependency.name, latencyMs: result.latencyMs }, 'Dependency back up');
+  }
+
+  results.set(dependency.name, result);
+  return result;
+}
+
+function checkDependency(dependency) {
+  const cached = results.get(dependency.name);
+  if (cached && Date.now() - new Date(cached.checkedAt).getTime() < CACHE_MS) {
+    return Promise.resolve(cached);
+  }
+
+  if (!inFlight.has(dependency.name)) {
+    inFlight.set(dependency.name, runProbe(dependency).finally(() => inFlight.delete(dependency.name)));
+  }
+  return inFlight.get(dependency.name);
+}
+
+// ═══════════════════════════════════════════
+// PUBLIC API
+// ═══════════════════════════════════════════
+
+/**
+ * Probe every configured dependency (cached)
+ * @returns {Promise<object>} name -> { status, critical, latencyMs, checkedAt, error, consecutiveFailures, lastFailureAt }
+ */
+export async function checkDependencies() {
+  const dependencies = getDependencies();
+  const checked = await Promise.all(dependencies.map(checkDependency));
+  return Object.fromEntries(dependencies.map((dependency, i) => [dependency.name, checked[i]]));
+}
+
+/**
+ * Names of critical dependencies currently down
+ * @param {object} dependencies - Result of checkDependencies()
+ * @returns {string[]}
+ */
+export function getFailedCriticalDependencies(dependencies) {
+  return Object.entries(dependencies)
+    .filter(([, result]) => result.critical && result.status === 'down')
+    .map(([name]) => name);
+}
+
+export default {
+  checkDependencies,
+  getFailedCriticalDependencies
+};
@@ -0,0 +1,101 @@
+/**
+ * HTTP Errors - One error response shape for every route
+ *
+ *   { code, message, field?, details?, error }
+ *
+ * `code` is stable and machine readable (ERROR_STATUS lists them), `message`
+ * is for humans, `field` points at the offending input ('body.phone',
+ * 'query.limit') when there is one. `error` repeats the message for clients
+ * written against the former `{ error: '...' }` responses (deprecated).
+ * The shape is the `Error` schema of the OpenAPI document.
+ */
+
+import { createLogger } from './logger.js';
+
+const log = createLogger('http');
+
+// Code -> default HTTP status
+export const ERROR_STATUS = {
+  validation_error: 400,
+  invalid_json: 400,
+  not_supported: 400,
+  unauthorized: 401,
+  forbidden: 403,
+  not_found: 404,
+  conflict: 409,
+  idempotency_key_in_use: 409,
+  idempotency_key_mismatch: 422,
+  payload_too_large: 413,
+  send_failed: 500,
+  internal_error: 500,
+  service_unavailable: 503
+};
+
+export class ApiError extends Error {
+  /**
+   * @param {string} code - One of ERROR_STATUS
+   * @param {string} message - Human readable message
+   * @param {object} [options] - { status, field, details }
+   */
+  constructor(code, message, { status, field, details } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.code = code;
+    this.status = status || ERROR_STATUS[code] || 500;
+    this.field = field;
+    this.details = details;
+  }
+}
+
+/**
+ * Send an error response
+ * @param {object} res - Express response
+ * @param {string} code - One of ERROR_STATUS
+ * @param {string} message - Human readable message
+ * @param {object} [options] - { status, field, details, ...extra body fields }
+ */
+export function sendError(res, code, message, { status, field, details, ...extra } = {}) {
+  return res.status(status || ERROR_STATUS[code] || 500).json({
+    code,
+    message,
+    ...(field && { field }),
+    ...(details && { details }),
+    ...extra,
+    error: message
+  });
+}
+
+/**
+ * Unknown routes (mounted after every route)
+ */
+export function notFoundHandler(req, res) {
+  sendError(res, 'not_found', `No route for ${req.method} ${req.path}`);
+}
+
+/**
+ * Express error handler: ApiError, malformed JSON bodies, anything else as internal_error
+ */
+export function errorHandler(error, req, res, next) {
+  if (res.headersSent) return next(error);
+
+  if (error instanceof ApiError) {
+    return sendError(res, error.code, error.message, { status: error.status, field: error.field, details: error.details });
+  }
+  if (error.type === 'entity.parse.failed') {
+    return sendError(res, 'invalid_json', 'Request body is not valid JSON', { field: 'body' });
+  }
+  if (error.type === 'entity.too.large') {
+    return sendError(res, 'payload_too_large', 'Request body too large', { field: 'body' });
+  }
+
+  log.error({ method: req.method, path: req.path, err: error }, 'Unhandled route error');
+  sendError(res, 'internal_error', 'Internal server error');
+}
+
+export default {
+  ERROR_STATUS,
+  ApiError,
+  sendError,
+  notFoundHandler,
+  errorHandler
+};
@@ -10,10 +10,28 @@ import {
   enqueue,
   dequeue,
   incrementAttempts,
-  getQueuedMessages,
-  cleanupFailedMessages,
+  moveToDeadLetter,
   getQueueLength
 } from './queue.js';
+import { addDeadLetter } from './dead-letter.js';
+import { postSignedWebhook, getMessageDeliveryId } from './webhook-signer.js';
+import { createRetryScheduler } from './retry-scheduler.js';
+import { dispatchMessageStatus } from './message-status.js';
+import { hasAuthState, deleteAuthState } from './auth-state/auth-state.js';
+import { normalizePairingPhoneNumber } from './pairing-code.js';
+import { SessionLifecycle } from './session-lifecycle.js';
+import { touchRegisteredSession } from './session-registry.js';
+import {
+  messagesSent,
+  messagesReceived,
+  sendDuration,
+  webhookDeliveries,
+  providerFallbacks
+} from './metrics.js';
+import { createLogger, getSalonLogger } from './logger.js';
+import { withSpan, setSpanAttributes, addSpanEvent, markSpanError, injectTraceContext } from './tracing.js';
+
+const log = createLogger('sessions');
 
 // Load configuration
 const config = loadConfig();
@@ -22,6 +40,7 @@ const config = loadConfig();
 const sessions = new Map();
 const statusCallbacks = new Map();
 const pollingIntervals = new Map();
+const lifecycles = new Map();
 
 // Environment variables
 const WEBHOOK_URL = process.env.WEBHOOK_URL;
@@ -58,6 +77,7 @@ export function getAllSessions() {
       salonId,
       status: session.status,
       phoneNumber: session.phoneNumber,
+      pairingCode: session.pairingCode,
       connectedAt: session.connectedAt,
       activeProvider: session.activeProvider,
       providerStatuses: getProviderStatuses(session)
@@ -102,28 +122,118 @@ function notifyStatusChange(salonId, data) {
     try {
       callback(data);
     } catch (e) {
-      console.error('Status callback error:', e);
+      getSalonLogger(salonId).error({ err: e }, 'Status callback error');
     }
   }
 }
 
+// ═══════════════════════════════════════════
+// LIFECYCLE (state machine, timeouts, timeline)
+// ═══════════════════════════════════════════
+
+function getLifecycle(salonId) {
+  let lifecycle = lifecycles.get(salonId);
+  if (!lifecycle) {
+    lifecycle = new SessionLifecycle(salonId, {
+      onTimeout: (state) => handleLifecycleTimeout(salonId, state)
+    });
+    lifecycles.set(salonId, lifecycle);
+  }
+  return lifecycle;
+}
+
+/**
+ * Move a session to a new state (callers notify subscribers themselves)
+ * Ignored for a replaced session or a transition the state machine forbids.
+ * @returns {boolean} true when the state changed
+ */
+function setSessionStatus(session, status, details = {}) {
+  if (sessions.get(session.salonId) !== session) return false;
+  if (!getLifecycle(session.salonId).transition(status, details)) return false;
+
+  session.status = status;
+  return true;
+}
+
+// Close every provider of a session (sockets ended, credentials kept)
+async function stopProviders(salonId, session) {
+  stopPolling(salonId);
+  for (const [name, provider] of session.providers) {
+    try {
+      await provider.stop();
+    } catch (e) {
+      getSalonLogger(salonId, name).error({ error: e.message }, 'Error stopping provider');
+    }
+  }
+}
+
+// Unused QR / pairing code, provider that never connects, endless reconnect: give up
+async function handleLifecycleTimeout(salonId, state) {
+  const session = sessions.get(salonId);
+  if (!session) return;
+
+  const reasons = {
+    initializing: 'initializing_timeout',
+    qr_ready: 'qr_expired',
+    pairing_code_ready: 'pairing_code_expired',
+    reconnecting: 'reconnect_timeout'
+  };
+  const reason = reasons[state] || `${state}_timeout`;
+
+  await stopProviders(salonId, session);
+
+  session.activeProvider = null;
+  session.qrCodeBase64 = null;
+  session.pairingCode = null;
+
+  getSalonLogger(salonId).warn({ reason }, 'Session given up');
+  if (setSessionStatus(session, 'failed', { reason })) {
+    notifyStatusChange(salonId, { status: 'failed', reason });
+  }
+}
+
+/**
+ * State timeline of a salon (kept after logout)
+ * @param {string} salonId - Salon identifier
+ * @returns {{state: string, enteredAt: string, timeoutAt: string|null, events: object[]}|null}
+ */
+export function getSessionEvents(salonId) {
+  return lifecycles.get(salonId)?.toJSON() || null;
+}
+
 // ═══════════════════════════════════════════
 // SESSION CREATION
 // ═══════════════════════════════════════════
 
-export async function createSession(salonId, sessionConfig = null) {
+/**
+ * Create a session, trying each provider in priority order
+ * @param {string} salonId - Salon identifier
+ * @param {object} [sessionConfig] - Overrides for the environment config
+ * @param {object} [options]
+ * @param {string} [options.pairingPhoneNumber] - Link Baileys with a pairing code
+ *        instead of a QR code (Baileys is then tried first)
+ */
+export async function createSession(salonId, sessionConfig = null, options = {}) {
   const existing = sessions.get(salonId);
   if (existing && existing.status === 'connected') {
-    console.log(`[${salonId}] Session already connected via ${existing.activeProvider}`);
+    getSalonLogger(salonId, existing.activeProvider).info('Session already connected');
     return existing;
   }
 
   // Use provided config or load from environment
   const mergedConfig = { ...config, ...(sessionConfig || {}) };
+  const { pairingPhoneNumber = null } = options;
 
   // Get available providers
-  const providerPriority = ProviderFactory.getProviderPriority(mergedConfig);
-  console.log(`[${salonId}] Provider priority: ${providerPriority.join(' > ')}`);
+  let providerPriority = ProviderFactory.getProviderPriority(mergedConfig);
+
+  if (pairingPhoneNumber) {
+    if (!providerPriority.includes('baileys')) {
+      throw new Error('Pairing code login requires the Baileys provider');
+    }
+    providerPriority = ['baileys', ...providerPriority.filter(p => p !== 'baileys')];
+  }
+  getSalonLogger(salonId).info({ providerPriority }, 'Creating session');
 
   if (providerPriority.length === 0) {
     throw new Error('No providers available. Check configuration.');
@@ -138,21 +248,25 @@ export async function createSession(salonId, sessionConfig = null) {
     phoneNumber: null,
     connectedAt: null,
     qrCode: null,
-    qrCodeBase64: null
+    qrCodeBase64: null,
+    pairingCode: null
   };
 
   sessions.set(salonId, session);
+  setSessionStatus(session, 'initializing');
   notifyStatusChange(salonId, { status: 'initializing' });
 
   // Try each provider in priority order
   for (const providerType of providerPriority) {
     try {
-      console.log(`[${salonId}] Trying ${providerType}...`);
+      getSalonLogger(salonId, providerType).info('Trying provider');
 
       const provider = ProviderFactory.create(providerType, salonId, mergedConfig, {
         onQrCode: (qr) => handleQrCode(salonId, qr),
         onMessage: (msg) => handleIncomingMessage(salonId, msg),
-        onStatusChange: (data) => handleProviderStatusChange(salonId, providerType, data)
+        onMessageStatus: (event) => dispatchMessageStatus(salonId, event),
+        onStatusChange: (data) => handleProviderStatusChange(salonId, providerType, data),
+        pairingPhoneNumber: providerType === 'baileys' ? pairingPhoneNumber : null
       });
 
       session.providers.set(providerType, provider);
@@ -161,44 +275,78 @@ export async function createSession(salonId, sessionConfig = null) {
 
       if (result.status === 'connected') {
         session.activeProvider = providerType;
-        session.status = 'connected';
+        setSessionStatus(session, 'connected', { provider: providerType });
         session.phoneNumber = result.phoneNumber;
         session.connectedAt = new Date().toISOString();
 
-        console.log(`[${salonId}] Connected via ${providerType}`);
+        getSalonLogger(salonId, providerType).info('Session connected');
         notifyStatusChange(salonId, {
           status: 'connected',
           provider: providerType,
           phoneNumber: session.phoneNumber
         });
 
+        touchRegisteredSession(salonId);
         startPolling(salonId);
         setTimeout(() => processQueue(), 2000);
         break;
 
       } else if (result.status === 'qr_ready') {
         // Baileys waiting for QR scan
-        session.status = 'qr_ready';
+        setSessionStatus(session, 'qr_ready', { provider: providerType });
         session.qrCodeBase64 = result.qrCode;
-        console.log(`[${salonId}] QR code ready via ${providerType}`);
+        getSalonLogger(salonId, providerType).info('QR code ready');
         // Don't break - wait for connection
         break;
+
+      } else if (result.status === 'pairing_code_ready') {
+        // Baileys waiting for the code to be entered on the phone
+        setSessionStatus(session, 'pairing_code_ready', { provider: providerType });
+        session.pairingCode = result.pairingCode;
+        getSalonLogger(salonId, providerType).info('Pairing code ready');
+        break;
       }
 
     } catch (error) {
-      console.warn(`[${salonId}] ${providerType} failed:`, error.message);
+      getSalonLogger(salonId, providerType).warn({ error: error.message }, 'Provider failed to connect');
       // Continue to next provider
     }
   }
 
+  if (session.status === 'initializing' && setSessionStatus(session, 'failed', { reason: 'No provider could connect' })) {
+    notifyStatusChange(salonId, { status: 'failed', reason: 'No provider could connect' });
+  }
+
   return session;
 }
 
+/**
+ * Link a salon's Baileys provider with a pairing code instead of a QR code
+ * The 8-character code is entered in WhatsApp > Linked devices > Link with phone number.
+ * @param {string} salonId - Salon identifier
+ * @param {string} phoneNumber - WhatsApp account number, international format
+ * @param {object} [sessionConfig] - Overrides for the environment config
+ * @returns {Promise<object>} Session (pairingCode null when already paired)
+ */
+export async function connectWithPairingCode(salonId, phoneNumber, sessionConfig = null) {
+  const pairingPhoneNumber = normalizePairingPhoneNumber(phoneNumber);
+
+  // A waiting provider (QR or previous code) cannot switch login method: replace the session.
+  // Detached first so the old providers' last events don't reach the new session.
+  const existing = sessions.get(salonId);
+  if (existing && existing.status !== 'connected') {
+    sessions.delete(salonId);
+    await stopProviders(salonId, existing);
+  }
+
+  return createSession(salonId, sessionConfig, { pairingPhoneNumber });
+}
+
 function handleQrCode(salonId, qrCode) {
   const session = sessions.get(salonId);
   if (session) {
     session.qrCodeBase64 = qrCode;
-    session.status = 'qr_ready';
+    setSessionStatus(session, 'qr_ready', { provider: 'baileys' });
     notifyStatusChange(salonId, {
       status: 'qr_ready',
       qrCode: qrCode
@@ -213,16 +361,35 @@ function handleProviderStatusChange(salonId, providerType, data) {
   // Provider became connected
   if (data.status === 'connected' && !session.activeProvider) {
     session.activeProvider = providerType;
-    session.status = 'connected';
+    setSessionStatus(session, 'connected', { provider: providerType });
     session.phoneNumber = data.phoneNumber;
     session.connectedAt = new Date().toISOString();
     session.qrCodeBase64 = null;
+    session.pairingCode = null;
 
-    console.log(`[${salonId}] Connected via ${providerType}`);
+    getSalonLogger(salonId, providerType).info('Session connected');
+    touchRegisteredSession(salonId);
     startPolling(salonId);
     setTimeout(() => processQueue(), 2000);
   }
 
+  // New code after a reconnect
+  if (data.status === 'pairing_code_ready' && !session.activeProvider) {
+    setSessionStatus(session, 'pairing_code_ready', { provider: providerType });
+    session.pairingCode = data.pairingCode;
+  }
+
+  // The active provider lost its connection: it becomes active again once reconnected
+  if (providerType === session.activeProvider || !session.activeProvider) {
+    if (data.status === 'reconnecting') {
+      session.activeProvider = null;
+      setSessionStatus(session, 'reconnecting', { provider: providerType, attempt: data.attempt });
+    } else if (data.status === 'failed' || data.status === 'logged_out') {
+      session.activeProvider = null;
+      setSessionStatus(session, data.status, { provider: providerType, reason: data.reason });
+    }
+  }
+
   notifyStatusChange(salonId, { ...data, provider: providerType });
 }
 
@@ -230,7 +397,18 @@ function handleProviderStatusChange(salonId, providerType, data) {
 // MESSAGE SENDING (WITH FALLBACK)
 // ═══════════════════════════════════════════
 
-export async function sendMessage(salonId, phone, content, options = {}) {
+/**
+ * Send a text or template message, falling back across providers
+ * Traced as one whatsapp.send span with a provider.send child per attempt.
+ */
+export function sendMessage(salonId, phone, content, options = {}) {
+  return withSpan('whatsapp.send', {
+    'salon.id': salonId,
+    'message.type': options.templateName ? 'template' : 'text'
+  }, () => sendWithFallback(salonId, phone, content, options), { kind: 'client' });
+}
+
+async function sendWithFallback(salonId, phone, content, options) {
   const session = sessions.get(salonId);
   if (!session) {
     throw new Error('Session not found');
@@ -256,6 +434,7 @@ export async function sendMessage(salonId, phone, content, options = {}) {
   }
 
   const fallbackConfig = getFallbackConfig(session.config);
+  const messageType = templateName ? 'template' : 'text';
   let lastError = null;
   let attempts = 0;
 
@@ -265,7 +444,9 @@ export async function sendMessage(salonId, phone, content, options = {}) {
 
     // Skip unhealthy providers (except if it's the only one)
     if (!provider.isHealthy() && providerOrder.length > 1) {
-      console.log(`[${salonId}] Skipping unhealthy provider: ${providerName}`);
+      getSalonLogger(salonId, providerName).warn('Skipping unhealthy provider');
+      providerFallbacks.inc({ salon_id: salonId, provider: providerName, reason: 'unhealthy' });
+      addSpanEvent('provider_fallback', { provider: providerName, reason: 'unhealthy' });
       continue;
     }
 
@@ -273,26 +454,33 @@ export async function sendMessage(salonId, phone, content, options = {}) {
 
     for (let retry = 0; retry < maxRetries; retry++) {
       attempts++;
+      const stopTimer = sendDuration.startTimer({ provider: providerName, type: messageType });
 
       try {
-        let result;
-
-        if (templateName) {
-          result = await provider.sendTemplateMessage(phone, templateName, templateParams, language);
-        } else {
-          result = await provider.sendTextMessage(phone, content);
-        }
-
-        console.log(`[${salonId}] Message sent via ${providerName}`);
+        const result = await withSpan('provider.send', { provider: providerName, 'send.attempt': attempts }, async () => {
+          const sent = templateName
+            ? await provider.sendTemplateMessage(phone, templateName, templateParams, language)
+            : await provider.sendTextMessage(phone, content);
+          setSpanAttributes({ 'message.id': sent?.messageId });
+          return sent;
+        }, { kind: 'client' });
+
+        stopTimer({ outcome: 'success' });
+        messagesSent.inc({ salon_id: salonId, provider: providerName, type: messageType, outcome: 'success' });
+        getSalonLogger(salonId, providerName).info({ messageId: result?.messageId, type: messageType }, 'Message sent');
         return result;
 
       } catch (error) {
         lastError = error;
-        console.warn(`[${salonId}] Send failed (${providerName}, attempt ${retry + 1}):`, error.message);
+        stopTimer({ outcome: 'failure' });
+        messagesSent.inc({ salon_id: salonId, provider: providerName, type: messageType, outcome: 'failure' });
+        getSalonLogger(salonId, providerName).warn({ attempt: retry + 1, error: error.message }, 'Send failed');
 
         // Check if we should fallback
         if (shouldTriggerFallback(error, fallbackConfig)) {
-          console.log(`[${salonId}] Triggering fallback to next provider...`);
+          getSalonLogger(salonId, providerName).warn('Falling back to next provider');
+          providerFallbacks.inc({ salon_id: salonId, provider: providerName, reason: 'send_error' });
+          addSpanEvent('provider_fallback', { provider: providerName, reason: 'send_error' });
           break; // Try next provider
         }
 
@@ -307,7 +495,7 @@ export async function sendMessage(salonId, phone, content, options = {}) {
   }
 
   // All providers failed
-  console.error(`[${salonId}] All providers failed after ${attempts} attempts`);
+  getSalonLogger(salonId).error({ attempts }, 'All providers failed');
   throw lastError || new Error('All providers failed to send message');
 }
 
@@ -326,14 +514,37 @@ export async function sendTemplateMessage(salonId, phone, templateName, params =
 async function handleIncomingMessage(salonId, normalizedMessage) {
   const messageData = { ...normalizedMessage, salonId };
 
-  console.log(`[${salonId}] Incoming message from ${messageData.resolvedPhone || messageData.lidId}`);
-
+  getSalonLogger(salonId, messageData.provider).info({
+    messageId: messageData.messageId,
+    phone: messageData.resolvedPhone,
+    lidId: messageData.lidId,
+    type: messageData.type,
+    customerName: messageData.pushName,
+    content: messageData.content
+  }, 'Message received');
+
+  messagesReceived.inc({ salon_id: salonId, provider: messageData.provider, type: messageData.type });
+  touchRegisteredSession(salonId);
   await forwardToWebhook(salonId, messageData);
 }
 
-async function forwardToWebhook(salonId, messageData, fromQueue = false) {
+// A message taken back from the queue (or dead letters) continues the trace it was received in
+function forwardToWebhook(salonId, messageData, fromQueue = false) {
+  return withSpan('webhook.forward', {
+    'salon.id': salonId,
+    provider: messageData.provider,
+    'message.id': messageData.messageId,
+    'message.type': messageData.type,
+    'webhook.retry': fromQueue
+  }, () => deliverToWebhook(salonId, messageData, fromQueue), {
+    parent: messageData.traceContext,
+    kind: 'client'
+  });
+}
+
+async function deliverToWebhook(salonId, messageData, fromQueue) {
   if (!WEBHOOK_URL) {
-    console.warn('WEBHOOK_URL not configured');
+    log.warn('WEBHOOK_URL not configured');
     return false;
   }
 
@@ -349,19 +560,25 @@ async function forwardToWebhook(salonId, messageData, fromQueue = false) {
     lidId: messageData.lidId || null,
     isVoiceMessage: messageData.isVoiceMessage || false,
     voiceTranscription: messageData.voiceTranscription || null,
+    voiceTranscriptionLanguage: messageData.voiceTranscriptionLanguage || null,
+    voiceTranscriptionConfidence: messageData.voiceTranscriptionConfidence ?? null,
     voiceDurationSeconds: messageData.voiceDurationSeconds || null,
+    media: messageData.media || null, // Stored media: signed url, size, sha256, mimeType
     provider: messageData.provider // 'cloud_api' or 'baileys'
   };
 
-  console.log(`[${salonId}] Sending webhook ${fromQueue ? '(retry)' : ''}`);
+  const salonLog = getSalonLogger(salonId, messageData.provider);
+  salonLog.debug({ messageId: messageData.messageId, retry: fromQueue }, 'Sending webhook');
 
   try {
-    const response = await axios.post(WEBHOOK_URL, payload, {
-      headers: { 'Content-Type': 'application/json' },
-      timeout: 15000
+    const { response, deliveryId } = await postSignedWebhook(WEBHOOK_URL, payload, {
+      timeout: 15000,
+      deliveryId: getMessageDeliveryId(salonId, messageData.messageId)
     });
 
-    console.log(`[${salonId}] Webhook OK - Status: ${response.status}`);
+    salonLog.info({ messageId: messageData.messageId, statusCode: response.status, deliveryId }, 'Webhook delivered');
+    setSpanAttributes({ 'http.response.status_code': response.status, 'webhook.delivery_id': deliveryId });
+    webhookDeliveries.inc({ outcome: 'delivered', source: fromQueue ? 'retry' : 'live' });
 
     if (fromQueue) {
       dequeue(messageData.messageId);
@@ -370,41 +587,72 @@ async function forwardToWebhook(salonId, messageData, fromQueue = false) {
     return true;
 
   } catch (error) {
-    console.error(`[${salonId}] Webhook error: ${error.message}`);
+    salonLog.error({ messageId: messageData.messageId, statusCode: error.response?.status, error: error.message }, 'Webhook error');
+    setSpanAttributes({ 'http.response.status_code': error.response?.status });
+    markSpanError(error);
+    webhookDeliveries.inc({
+      outcome: error.response?.status === 400 ? 'rejected' : 'failed',
+      source: fromQueue ? 'retry' : 'live'
+    });
 
     if (error.response?.status === 400) {
-      console.log(`[${salonId}] Error 400 - message ignored`);
-      if (fromQueue) dequeue(messageData.messageId);
+      salonLog.warn({ messageId: messageData.messageId }, 'Message rejected by webhook (400), moved to dead-letter queue');
+      const failure = { error: error.message, statusCode: 400 };
+      if (fromQueue) {
+        moveToDeadLetter(messageData.messageId, 'rejected', failure);
+      } else {
+        addDeadLetter({ ...messageData, salonId }, {
+          reason: 'rejected',
+          ...failure,
+          attempts: 1,
+          history: [{ at: new Date().toISOString(), ...failure }]
+        });
+      }
       return false;
     }
 
     if (!fromQueue) {
-      enqueue({ ...messageData, salonId });
+      enqueue({ ...messageData, salonId, traceContext: injectTraceContext() });
+      addSpanEvent('queued');
     } else {
-      incrementAttempts(messageData.messageId);
+      incrementAttempts(messageData.messageId, {
+        error: error.message,
+        statusCode: error.response?.status
+      });
     }
 
     return false;
   }
 }
 
-export async function processQueue() {
-  const queuedMessages = getQueuedMessages();
+// Redeliver a message (dead-letter replay) through the normal webhook path
+export function redeliverMessage(messageData) {
+  return forwardToWebhook(messageData.salonId, messageData, false);
+}
 
-  if (queuedMessages.length === 0) return;
+// Scheduled retries with exponential backoff and jitter (see queue.js)
+const retryScheduler = createRetryScheduler({
+  deliver: (msg) => forwardToWebhook(msg.salonId, msg, true)
+});
 
-  console.log(`Processing ${queuedMessages.length} queued messages...`);
+export function startQueueScheduler() {
+  retryScheduler.start();
+}
 
-  for (const msg of queuedMessages) {
-    await forwardToWebhook(msg.salonId, msg, true);
-    await sleep(500);
-  }
+export function stopQueueScheduler() {
+  retryScheduler.stop();
+}
+
+export function getQueueSchedulerState() {
+  return retryScheduler.getState();
+}
 
-  cleanupFailedMessages();
+export async function processQueue(options = {}) {
+  await retryScheduler.runOnce(options);
 
   const remaining = getQueueLength();
   if (remaining > 0) {
-    console.log(`${remaining} messages still in queue`);
+    log.info({ queued: remaining }, 'Messages still in queue');
   }
 }
 
@@ -416,11 +664,11 @@ function startPolling(salonId) {
   stopPolling(salonId);
 
   if (!SUPABASE_URL || !SUPABASE_ANON_KEY) {
-    console.warn(`[${salonId}] Polling disabled - Supabase not configured`);
+    getSalonLogger(salonId).warn('Polling disabled - Supabase not configured');
     return;
   }
 
-  console.log(`[${salonId}] Starting polling (interval: ${POLLING_INTERVAL}ms)`);
+  getSalonLogger(salonId).info({ intervalMs: POLLING_INTERVAL }, 'Polling started');
 
   const intervalId = setInterval(async () => {
     await pollPendingMessages(salonId);
@@ -434,7 +682,7 @@ function stopPolling(salonId) {
   if (intervalId) {
     clearInterval(intervalId);
     pollingIntervals.delete(salonId);
-    console.log(`[${salonId}] Polling stopped`);
+    getSalonLogger(salonId).info('Polling stopped');
   }
 }
 
@@ -463,112 +711,162 @@ async function pollPendingMessages(salonId) {
       return;
     }
 
-    console.log(`[${salonId}] ${count || messages.length} message(s) to send`);
+    const salonLog = getSalonLogger(salonId);
+    salonLog.info({ count: count || messages.length }, 'Pending messages to send');
 
     for (const msg of messages) {
-      try {
-        const result = await sendMessage(salonId, msg.phoneNumber, msg.content, {
-          isLid: msg.isLid,
-          lidId: msg.lidId
-        });
-
-        console.log(`[${salonId}] Message sent to ${msg.phoneNumber}`);
-        await markMessageSent([msg.id], 'sent', result?.messageId);
-
-      } catch (sendError) {
-        console.error(`[${salonId}] Send error:`, sendError.message);
-        await markMessageSent([msg.id], 'failed', null, sendError.message);
-      }
+      // One trace per pending message: send, then acknowledge to Supabase
+      await withSpan('supabase.pending_message', {
+        'salon.id': salonId,
+        'pending.id': msg.id,
+        'message.is_lid': Boolean(msg.isLid)
+      }, async () => {
+        try {
+          const result = await sendMessage(salonId, msg.phoneNumber, msg.content, {
+            isLid: msg.isLid,
+            lidId: msg.lidId
+          });
+
+          salonLog.info({ pendingId: msg.id, messageId: result?.messageId, phone: msg.phoneNumber }, 'Pending message sent');
+          await markMessageSent([msg.id], 'sent', result?.messageId);
+
+        } catch (sendError) {
+          salonLog.error({ pendingId: msg.id, error: sendError.message }, 'Pending message send error');
+          markSpanError(sendError);
+          await markMessageSent([msg.id], 'failed', null, sendError.message);
+        }
+      }, { kind: 'consumer' });
     }
 
   } catch (error) {
     if (!error.message.includes('timeout') && !error.message.includes('ECONNREFUSED')) {
-      console.error(`[${salonId}] Polling error:`, error.message);
+      getSalonLogger(salonId).error({ error: error.message }, 'Polling error');
     }
   }
 }
 
 async function markMessageSent(messageIds, status, whatsappMessageId = null, errorMessage = null) {
-  try {
-    const payload = { messageIds, status };
-    if (whatsappMessageId) payload.whatsappMessageId = whatsappMessageId;
-    if (errorMessage) payload.errorMessage = errorMessage;
-
-    await axios.post(
-      `${SUPABASE_URL}/functions/v1/whatsapp-mark-sent`,
-      payload,
-      {
-        headers: {
-          'Authorization': `Bearer ${SUPABASE_ANON_KEY}`,
-          'Content-Type': 'application/json'
-        },
-        timeout: 10000
-      }
-    );
-  } catch (error) {
-    console.error('Error marking message:', error.message);
-  }
+  await withSpan('supabase.mark_sent', {
+    'message.status': status,
+    'message.id': whatsappMessageId,
+    'pending.count': messageIds.length
+  }, async () => {
+    try {
+      const payload = { messageIds, status };
+      if (whatsappMessageId) payload.whatsappMessageId = whatsappMessageId;
+      if (errorMessage) payload.errorMessage = errorMessage;
+
+      await axios.post(
+        `${SUPABASE_URL}/functions/v1/whatsapp-mark-sent`,
+        payload,
+        {
+          headers: {
+            'Authorization': `Bearer ${SUPABASE_ANON_KEY}`,
+            'Content-Type': 'application/json',
+            ...injectTraceContext()
+          },
+          timeout: 10000
+        }
+      );
+    } catch (error) {
+      log.error({ messageIds, status, error: error.message }, 'Error marking message');
+      markSpanError(error);
+    }
+  }, { kind: 'client' });
 }
 
 // ═══════════════════════════════════════════
-// SESSION DISCONNECTION
+// SESSION STOP / RESUME / LOGOUT
 // ═══════════════════════════════════════════
 
-export async function disconnectSession(salonId) {
+/**
+ * Stop a session but keep credentials (shutdown, suspend)
+ * @param {string} salonId - Salon identifier
+ * @returns {Promise<boolean>} false when the session does not exist
+ */
+export async function stopSession(salonId) {
   const session = sessions.get(salonId);
   if (!session) return false;
+  if (['stopped', 'logged_out'].includes(session.status)) return true;
 
-  stopPolling(salonId);
+  await stopProviders(salonId, session);
 
-  // Disconnect all providers
-  for (const [name, provider] of session.providers) {
-    try {
-      await provider.disconnect();
-      console.log(`[${salonId}] ${name} disconnected`);
-    } catch (e) {
-      console.error(`[${salonId}] Error disconnecting ${name}:`, e);
-    }
-  }
+  session.activeProvider = null;
+  session.qrCodeBase64 = null;
+  session.pairingCode = null;
+  setSessionStatus(session, 'stopped');
+  notifyStatusChange(salonId, { status: 'stopped' });
 
-  sessions.delete(salonId);
-  notifyStatusChange(salonId, { status: 'disconnected' });
-
-  console.log(`[${salonId}] Session disconnected`);
+  getSalonLogger(salonId).info('Session stopped (credentials kept)');
   return true;
 }
 
-// ═══════════════════════════════════════════
-// AUTO-RECONNECT ON STARTUP
-// ═══════════════════════════════════════════
+/**
+ * Resume a stopped session
+ * @param {string} salonId - Salon identifier
+ * @param {object} [sessionConfig] - Provider config (defaults to the previous session's)
+ * @returns {Promise<object>} Session
+ * @throws {Error} When no provider can start without pairing (no Cloud API, no Baileys credentials)
+ */
+export async function resumeSession(salonId, sessionConfig = null) {
+  const existing = sessions.get(salonId);
 
-export async function reconnectExistingSessions() {
-  const fs = await import('fs');
-  const authDir = './auth';
+  // Already running (or reconnecting)
+  if (existing && !['stopped', 'failed'].includes(existing.status)) {
+    return existing;
+  }
 
-  if (!fs.existsSync(authDir)) {
-    console.log('No existing sessions to reconnect');
-    return;
+  const resumeConfig = sessionConfig || existing?.config || null;
+  const providerPriority = ProviderFactory.getProviderPriority({ ...config, ...(resumeConfig || {}) });
+
+  if (!providerPriority.includes('cloud_api') && !(await hasAuthState(salonId))) {
+    throw new Error('No stored credentials for this salon, connect it first');
   }
 
-  const salonIds = fs.readdirSync(authDir).filter(file => {
-    return fs.statSync(`${authDir}/${file}`).isDirectory();
-  });
+  getSalonLogger(salonId).info('Resuming session');
+  return createSession(salonId, resumeConfig);
+}
 
-  if (salonIds.length === 0) {
-    console.log('No existing sessions to reconnect');
-    return;
+/**
+ * Log out every provider: unlinks Baileys and deletes its credentials
+ * @param {string} salonId - Salon identifier
+ * @returns {Promise<boolean>} false when the salon has neither a session nor credentials
+ */
+export async function logoutSession(salonId) {
+  const session = sessions.get(salonId);
+
+  // Not loaded (e.g. stopped before a restart): only the stored Baileys credentials remain
+  if (!session) {
+    if (!(await hasAuthState(salonId))) return false;
+    await deleteAuthState(salonId);
+    if (getLifecycle(salonId).state !== 'logged_out') {
+      getLifecycle(salonId).transition('logged_out', { reason: 'Logout requested' });
+    }
+    notifyStatusChange(salonId, { status: 'logged_out' });
+    getSalonLogger(salonId).info('Stored credentials deleted');
+    return true;
   }
 
-  console.log(`Reconnecting ${salonIds.length} existing session(s)...`);
+  stopPolling(salonId);
 
-  for (const salonId of salonIds) {
+  for (const [name, provider] of session.providers) {
     try {
-      await createSession(salonId);
-      await sleep(2000); // Delay between reconnections
-    } catch (error) {
-      console.error(`Failed to reconnect ${salonId}:`, error.message);
+      await provider.logout();
+      getSalonLogger(salonId, name).info('Provider logged out');
+    } catch (e) {
+      getSalonLogger(salonId, name).error({ error: e.message }, 'Error logging out provider');
     }
   }
+
+  if (session.status !== 'logged_out') {
+    setSessionStatus(session, 'logged_out', { reason: 'Logout requested' });
+  }
+
+  sessions.delete(salonId);
+  notifyStatusChange(salonId, { status: 'logged_out' });
+
+  getSalonLogger(salonId).info('Session logged out');
+  return true;
 }
 
 // ═══════════════════════════════════════════
@@ -583,13 +881,13 @@ function sleep(ms) {
 // CLOUD API WEBHOOK HANDLER
 // ═══════════════════════════════════════════
 
-export function handleCloudApiWebhook(body) {
+export async function handleCloudApiWebhook(body) {
   // Find the session by phone number ID
   const entry = body.entry?.[0];
   const phoneNumberId = entry?.changes?.[0]?.value?.metadata?.phone_number_id;
 
   if (!phoneNumberId) {
-    console.warn('No phone_number_id in webhook');
+    log.warn('No phone_number_id in Cloud API webhook');
     return null;
   }
 
@@ -601,7 +899,7 @@ export function handleCloudApiWebhook(body) {
     }
   }
 
-  console.warn(`No session found for phone_number_id: ${phoneNumberId}`);
+  log.warn({ phoneNumberId }, 'No session found for Cloud API phone_number_id');
   return null;
 }
 
@@ -609,7 +907,7 @@ export function verifyCloudApiWebhook(mode, token, challenge) {
   const verifyToken = process.env.CLOUD_API_VERIFY_TOKEN || 'whatsapp_webhook_verify';
 
   if (mode === 'subscribe' && token === verifyToken) {
-    console.log('Cloud API webhook verified');
+    log.info('Cloud API webhook verified');
     return challenge;
   }
 
@@ -0,0 +1,161 @@
+/**
+ * Idempotency - Replay the original response when a send request is retried
+ *
+ * A client that times out and retries with the same `Idempotency-Key` header
+ * gets the stored response back instead of a second WhatsApp message:
+ *
+ *   first request      → handled, 2xx response stored for IDEMPOTENCY_WINDOW_HOURS
+ *   retry (same body)  → stored response, with `Idempotent-Replayed: true`
+ *   retry (in flight)  → 409 idempotency_key_in_use (retry later)
+ *   retry (other body) → 422 idempotency_key_mismatch
+ *
+ * Only 2xx responses are stored: after a failure (send_failed, ...) the key
+ * is released and the retry really sends. Keys are scoped to the salon and
+ * persisted, so a retry after a server restart is still recognized.
+ */
+
+import crypto from 'crypto';
+import { AppendLogStore } from './storage/append-log-store.js';
+import { sendError } from './http-errors.js';
+import { idempotentRequests } from './metrics.js';
+import { getSalonLogger } from './logger.js';
+
+export const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+export const REPLAYED_HEADER = 'Idempotent-Replayed';
+
+const IDEMPOTENCY_DB_FILE = process.env.IDEMPOTENCY_DB_FILE || './data/idempotency_keys.log';
+const IDEMPOTENCY_WINDOW = (parseFloat(process.env.IDEMPOTENCY_WINDOW_HOURS) || 24) * 60 * 60 * 1000;
+const PRUNE_INTERVAL = 10 * 60 * 1000;
+// A request still running after this is considered lost and its key freed
+const IN_FLIGHT_TIMEOUT = 5 * 60 * 1000;
+
+const store = new AppendLogStore(IDEMPOTENCY_DB_FILE, {
+  fsync: process.env.QUEUE_FSYNC !== 'false'
+});
+
+// Requests being handled: scoped key -> start time
+const inFlight = new Map();
+
+function scopedKey(salonId, key) {
+  return `${salonId}:${key}`;
+}
+
+// Same route and same body: hashed so message contents are not stored
+function fingerprint(req) {
+  return crypto
+    .createHash('sha256')
+    .update(`${req.method} ${req.path}\n${JSON.stringify(req.body ?? null)}`)
+    .digest('hex');
+}
+
+function isInFlight(id) {
+  const startedAt = inFlight.get(id);
+  if (startedAt === undefined) return false;
+  if (Date.now() - startedAt < IN_FLIGHT_TIMEOUT) return true;
+
+  inFlight.delete(id);
+  return false;
+}
+
+function getStoredResponse(id) {
+  const record = store.get(id);
+  if (!record) return null;
+
+  if (Date.parse(record.expiresAt) <= Date.now()) {
+    store.delete(id);
+    return null;
+  }
+  return record;
+}
+
+/**
+ * Drop stored responses past their window
+ * @returns {number} Records removed
+ */
+export function pruneIdempotencyKeys() {
+  const now = Date.now();
+  let removed = 0;
+  for (const [id, record] of store.entries()) {
+    if (Date.parse(record.expiresAt) <= now) {
+      store.delete(id);
+      removed++;
+    }
+  }
+  return removed;
+}
+
+/**
+ * Express middleware for routes under /session/:salonId
+ * Requests without the header are handled normally.
+ * @returns {function} Middleware
+ */
+export function idempotent() {
+  return (req, res, next) => {
+    // Format checked by the OpenAPI validation (header parameter of the send operations)
+    const key = req.get(IDEMPOTENCY_HEADER);
+    if (!key) return next();
+
+    const { salonId } = req.params;
+    const id = scopedKey(salonId, key);
+    const hash = fingerprint(req);
+
+    if (isInFlight(id)) {
+      idempotentRequests.inc({ outcome: 'in_use' });
+      return sendError(res, 'idempotency_key_in_use', `A request with this ${IDEMPOTENCY_HEADER} is still being processed`, {
+        field: `header.${IDEMPOTENCY_HEADER}`
+      });
+    }
+
+    const stored = getStoredResponse(id);
+    if (stored) {
+      if (stored.fingerprint !== hash) {
+        idempotentRequests.inc({ outcome: 'mismatch' });
+        return sendError(res, 'idempotency_key_mismatch', `${IDEMPOTENCY_HEADER} was already used for a different request`, {
+          field: `header.${IDEMPOTENCY_HEADER}`
+        });
+      }
+
+      idempotentRequests.inc({ outcome: 'replayed' });
+      getSalonLogger(salonId).info({ idempotencyKey: key, path: req.path }, 'Idempotent request replayed');
+      res.set(REPLAYED_HEADER, 'true');
+      return res.status(stored.status).json(stored.body);
+    }
+
+    inFlight.set(id, Date.now());
+    idempotentRequests.inc({ outcome: 'new' });
+
+    // Capture the response the route sends, store it if it succeeded.
+    // The key stays locked until then even if the client already gave up:
+    // its retry must not send while the first send is still running.
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      inFlight.delete(id);
+      if (res.statusCode >= 200 && res.statusCode < 300) {
+        const now = Date.now();
+        store.put(id, {
+          salonId,
+          key,
+          fingerprint: hash,
+          status: res.statusCode,
+          body,
+          createdAt: new Date(now).toISOString(),
+          expiresAt: new Date(now + IDEMPOTENCY_WINDOW).toISOString()
+        });
+      }
+      return json(body);
+    };
+    res.on('finish', () => inFlight.delete(id));
+
+    next();
+  };
+}
+
+store.open();
+setInterval(pruneIdempotencyKeys, PRUNE_INTERVAL).unref();
+
+export default {
+  IDEMPOTENCY_HEADER,
+  REPLAYED_HEADER,
+  idempotent,
+  pruneIdempotencyKeys
+};
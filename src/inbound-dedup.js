@@ -0,0 +1,102 @@
+/**
+ * Inbound Dedup - Forward each incoming message to the webhook only once
+ *
+ * Baileys can emit the same message again across reconnects and Meta retries
+ * webhook deliveries it thinks failed (for up to 7 days). Messages are keyed by
+ * provider, salon and messageId (the same group message reaches several salons
+ * with one ID) and remembered for INBOUND_DEDUP_TTL_HOURS in a persistent store,
+ * so duplicates arriving after a restart are dropped too.
+ *
+ * Every inbound path checks it before downloading media or transcribing: the
+ * legacy messages.upsert loop and the Baileys / Cloud API providers.
+ *
+ * A message counts as seen once it has been handled (forwarded or queued for
+ * retry). A copy arriving while the first is still being processed is dropped;
+ * if processing fails the key is released so a redelivery gets through.
+ */
+
+import { AppendLogStore } from './storage/append-log-store.js';
+import { inboundDuplicates } from './metrics.js';
+import { getSalonLogger } from './logger.js';
+
+const INBOUND_DEDUP_DB_FILE = process.env.INBOUND_DEDUP_DB_FILE || './data/inbound_dedup.log';
+const INBOUND_DEDUP_TTL = (parseFloat(process.env.INBOUND_DEDUP_TTL_HOURS) || 168) * 60 * 60 * 1000;
+const PRUNE_INTERVAL = 10 * 60 * 1000;
+
+const store = new AppendLogStore(INBOUND_DEDUP_DB_FILE, {
+  fsync: process.env.QUEUE_FSYNC !== 'false'
+});
+
+// Messages being processed (transcription, media download, webhook)
+const inProgress = new Set();
+
+function dedupKey(provider, salonId, messageId) {
+  return `${provider}:${salonId}:${messageId}`;
+}
+
+function isSeen(key) {
+  const record = store.get(key);
+  if (!record) return false;
+
+  if (record.expiresAt <= Date.now()) {
+    store.delete(key);
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Run fn for a message unless it was already handled
+ * @param {string} provider - 'baileys' or 'cloud_api'
+ * @param {string} salonId - Salon identifier
+ * @param {string} messageId - Provider message ID
+ * @param {function(): Promise<*>} fn - Processing, up to the webhook forward
+ * @returns {Promise<boolean>} false when the message was a duplicate (fn not called)
+ */
+export async function processInboundOnce(provider, salonId, messageId, fn) {
+  // Nothing to key on: let it through
+  if (!messageId) {
+    await fn();
+    return true;
+  }
+
+  const key = dedupKey(provider, salonId, messageId);
+  if (inProgress.has(key) || isSeen(key)) {
+    inboundDuplicates.inc({ salon_id: salonId, provider });
+    getSalonLogger(salonId, provider).info({ messageId }, 'Duplicate inbound message dropped');
+    return false;
+  }
+
+  inProgress.add(key);
+  try {
+    await fn();
+    store.put(key, { expiresAt: Date.now() + INBOUND_DEDUP_TTL });
+    return true;
+  } finally {
+    inProgress.delete(key);
+  }
+}
+
+/**
+ * Drop keys past their TTL
+ * @returns {number} Keys removed
+ */
+export function pruneInboundDedup() {
+  const now = Date.now();
+  let removed = 0;
+  for (const [key, record] of store.entries()) {
+    if (record.expiresAt <= now) {
+      store.delete(key);
+      removed++;
+    }
+  }
+  return removed;
+}
+
+store.open();
+setInterval(pruneInboundDedup, PRUNE_INTERVAL).unref();
+
+export default {
+  processInboundOnce,
+  pruneInboundDedup
+};
@@ -2,9 +2,58 @@ import 'dotenv/config';
 import express from 'express';
 import { createServer } from 'http';
 import { WebSocketServer } from 'ws';
-import fs from 'fs';
-import path from 'path';
-import { getQueuedMessages, getQueueLength, enqueue, saveQueueSync } from './queue.js';
+import {
+  getQueuedMessages,
+  getQueueLength,
+  getOldestQueuedAt,
+  enqueue,
+  saveQueueSync,
+  clearQueue
+} from './queue.js';
+import {
+  AUTH_ENABLED,
+  authenticate,
+  requireAdmin,
+  requireMetricsAccess,
+  requireSalonAccess,
+  canAccessSalon,
+  extractApiKey,
+  resolvePrincipal
+} from './security/auth-middleware.js';
+import { hasAdminKey } from './security/api-keys.js';
+import { createApiKeyRoutes } from './routes/api-keys.js';
+import { createDeadLetterRoutes } from './routes/dead-letters.js';
+import { createMediaRoutes } from './routes/media.js';
+import { getAuthStore, closeAuthStore } from './auth-state/auth-state.js';
+import { writeServerPidFile, removeServerPidFile } from './auth-state/server-lock.js';
+import {
+  getSalonTranscriptionLanguage,
+  setSalonTranscriptionLanguage,
+  getTranscriptionBackendName
+} from './transcription/transcription-service.js';
+import { getDeadLetterCount } from './dead-letter.js';
+import { normalizePairingPhoneNumber } from './pairing-code.js';
+import { getRegisteredSession, setDesiredState } from './session-registry.js';
+import {
+  reconcileSessions,
+  onReconnectProgress,
+  getReconnectProgress,
+  isStartupReady
+} from './session-reconciler.js';
+import { checkDependencies, getFailedCriticalDependencies } from './health-checks.js';
+import { Gauge, renderMetrics, METRICS_CONTENT_TYPE } from './metrics.js';
+import { createSessionRegistryRoutes } from './routes/session-registry.js';
+import { createLogLevelRoutes } from './routes/log-levels.js';
+import { createDocsRoutes } from './routes/docs.js';
+import { openApiSpec } from './openapi/spec.js';
+import { validateRequest, validateSchema } from './openapi/validator.js';
+import { sendError, notFoundHandler, errorHandler } from './http-errors.js';
+import { idempotent } from './idempotency.js';
+import { initTracing, shutdownTracing } from './tracing.js';
+import { createLogger, getSalonLogger, getLogLevels } from './logger.js';
+
+const log = createLogger('server');
+const wsLog = createLogger('websocket');
 
 // ═══════════════════════════════════════════
 // GLOBAL ERROR HANDLERS - Prevent crashes
@@ -13,18 +62,13 @@ import { getQueuedMessages, getQueueLength, enqueue, saveQueueSync } from './que
 let isShuttingDown = false;
 
 process.on('uncaughtException', (error) => {
-  console.error('═══════════════════════════════════════════');
-  console.error('💥 UNCAUGHT EXCEPTION');
-  console.error('Time:', new Date().toISOString());
-  console.error('Error:', error.message);
-  console.error('Stack:', error.stack);
-  console.error('═══════════════════════════════════════════');
+  log.error({ err: error }, 'Uncaught exception');
 
   // Log but don't crash for non-fatal errors
   if (error.message?.includes('ECONNRESET') ||
       error.message?.includes('EPIPE') ||
       error.message?.includes('ETIMEDOUT')) {
-    console.log('⚠️ Non-fatal error, continuing...');
+    log.warn('Non-fatal error, continuing');
     return;
   }
 
@@ -35,17 +79,19 @@ process.on('uncaughtException', (error) => {
 });
 
 process.on('unhandledRejection', (reason, promise) => {
-  console.error('═══════════════════════════════════════════');
-  console.error('💥 UNHANDLED REJECTION');
-  console.error('Time:', new Date().toISOString());
-  console.error('Reason:', reason);
-  console.error('═══════════════════════════════════════════');
+  log.error({ err: reason }, 'Unhandled rejection');
   // Don't crash, just log
 });
 
 process.on('SIGTERM', () => gracefulShutdown('SIGTERM'));
 process.on('SIGINT', () => gracefulShutdown('SIGINT'));
 
+// ═══════════════════════════════════════════
+// TRACING (OpenTelemetry, OTEL_TRACING_ENABLED=true)
+// ═══════════════════════════════════════════
+
+await initTracing();
+
 // ═══════════════════════════════════════════
 // FEATURE FLAG - HYBRID PROVIDERS
 // ═══════════════════════════════════════════
@@ -55,14 +101,14 @@ const USE_HYBRID_PROVIDERS = process.env.USE_HYBRID_PROVIDERS === 'true';
 // Conditionally import the appropriate session manager
 let sessionManager;
 let createCloudApiWebhookRoutes;
+let getWebhookSignatureStats;
 
 if (USE_HYBRID_PROVIDERS) {
-  console.log('🔀 Mode: HYBRID PROVIDERS (Cloud API + Baileys fallback)');
   sessionManager = await import('./hybrid-session-manager.js');
   const webhookRoutes = await import('./routes/cloud-api-webhook.js');
   createCloudApiWebhookRoutes = webhookRoutes.createCloudApiWebhookRoutes;
+  getWebhookSignatureStats = webhookRoutes.getWebhookSignatureStats;
 } else {
-  console.log('📱 Mode: BAILEYS ONLY (legacy)');
   sessionManager = await import('./session-manager.js');
 }
 
@@ -70,26 +116,46 @@ const {
   createSession,
   getSession,
   getAllSessions,
-  disconnectSession,
+  stopSession,
+  resumeSession,
+  logoutSession,
   sendMessage,
   onStatusChange,
-  processQueue
+  processQueue,
+  startQueueScheduler,
+  stopQueueScheduler,
+  getQueueSchedulerState
 } = sessionManager;
 
 // Additional hybrid functions
 const sendTemplateMessage = sessionManager.sendTemplateMessage;
 const sendMediaMessage = sessionManager.sendMediaMessage;
-const reconnectExistingSessions = sessionManager.reconnectExistingSessions;
 const cleanupDeadSessions = sessionManager.cleanupDeadSessions;
+const connectWithPairingCode = sessionManager.connectWithPairingCode;
+const getSessionEvents = sessionManager.getSessionEvents;
 
 const app = express();
-app.use(express.json());
+// Keep the raw body: webhook signatures are computed over the exact bytes received
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
+
+// CORS (CORS_ORIGINS: comma-separated list of allowed origins, '*' by default)
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '*').split(',').map(o => o.trim());
 
-// CORS
 app.use((req, res, next) => {
-  res.header('Access-Control-Allow-Origin', '*');
-  res.header('Access-Control-Allow-Methods', 'GET, POST, DELETE, OPTIONS');
-  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+  const origin = req.headers.origin;
+  if (CORS_ORIGINS.includes('*')) {
+    res.header('Access-Control-Allow-Origin', '*');
+  } else if (origin && CORS_ORIGINS.includes(origin)) {
+    res.header('Access-Control-Allow-Origin', origin);
+    res.header('Vary', 'Origin');
+  }
+  res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+  res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key, Idempotency-Key');
+  res.header('Access-Control-Expose-Headers', 'Idempotent-Replayed');
   if (req.method === 'OPTIONS') return res.sendStatus(200);
   next();
 });
@@ -100,9 +166,21 @@ app.use((req, res, next) => {
 
 if (USE_HYBRID_PROVIDERS && createCloudApiWebhookRoutes) {
   app.use(createCloudApiWebhookRoutes(sessionManager));
-  console.log('☁️  Cloud API webhook routes enabled');
+  log.info('Cloud API webhook routes enabled');
 }
 
+// ═══════════════════════════════════════════
+// MEDIA (liens signés, pas de clé API)
+// ═══════════════════════════════════════════
+
+app.use(createMediaRoutes());
+
+// ═══════════════════════════════════════════
+// DOCUMENTATION API (OpenAPI, publique)
+// ═══════════════════════════════════════════
+
+app.use(createDocsRoutes(openApiSpec));
+
 // ═══════════════════════════════════════════
 // ENDPOINTS REST
 // ═══════════════════════════════════════════
@@ -135,10 +213,10 @@ app.get('/health', (req, res) => {
     status: healthStatus,
     mode: USE_HYBRID_PROVIDERS ? 'hybrid' : 'baileys_only',
     uptime: Math.floor(process.uptime()),
-    sessions: sessions,
     sessionCount: sessions.length,
     sessionsByStatus,
     queueLength: getQueueLength(),
+    deadLetterCount: getDeadLetterCount(),
     memory: {
       heapUsed: Math.round(memUsage.heapUsed / 1024 / 1024),
       heapTotal: Math.round(memUsage.heapTotal / 1024 / 1024),
@@ -147,12 +225,65 @@ app.get('/health', (req, res) => {
     },
     websockets: {
       connections: wss?.clients?.size || 0
-    }
+    },
+    reconnect: getReconnectProgress(),
+    ...(getWebhookSignatureStats && { cloudApiWebhook: getWebhookSignatureStats() })
   });
 });
 
+/**
+ * Readiness: startup reconnection done, not shutting down, critical dependencies up
+ * @returns {Promise<{ready: boolean, reasons: string[], reconnect: object, dependencies: object}>}
+ */
+async function getReadiness() {
+  const dependencies = await checkDependencies();
+  const reasons = [];
+
+  if (isShuttingDown) reasons.push('shutting_down');
+  if (!isStartupReady()) reasons.push('sessions_reconnecting');
+  for (const name of getFailedCriticalDependencies(dependencies)) {
+    reasons.push(`dependency_down:${name}`);
+  }
+
+  return { ready: reasons.length === 0, reasons, reconnect: getReconnectProgress(), dependencies };
+}
+
+// Liveness : le process répond (aucune dépendance vérifiée)
+app.get('/health/live', (req, res) => {
+  res.json({ status: 'ok', uptime: Math.floor(process.uptime()) });
+});
+
+// Readiness : 503 tant que le serveur ne doit pas recevoir de trafic
+app.get('/health/ready', async (req, res) => {
+  const { ready, ...readiness } = await getReadiness();
+  res.status(ready ? 200 : 503).json({ status: ready ? 'ready' : 'not_ready', ...readiness });
+});
+
+// Métriques : METRICS_TOKEN (lecture seule) ou clé admin, vérifiés par la route
+app.get('/metrics', requireMetricsAccess, async (req, res) => {
+  res.set('Content-Type', METRICS_CONTENT_TYPE);
+  res.send(await renderMetrics());
+});
+
+// ═══════════════════════════════════════════
+// AUTHENTICATION (everything below requires an API key)
+// ═══════════════════════════════════════════
+
+app.use(authenticate);
+app.use('/session/:salonId', requireSalonAccess());
+app.use('/debug', requireAdmin);
+
+// Paramètres et corps validés contre le document OpenAPI (400 validation_error)
+app.use(validateRequest(openApiSpec));
+
+app.use(createApiKeyRoutes());
+app.use(createDeadLetterRoutes(sessionManager));
+app.use(createSessionRegistryRoutes(sessionManager));
+app.use(createLogLevelRoutes());
+
 app.get('/sessions', (req, res) => {
-  res.json(getAllSessions());
+  const sessions = getAllSessions().filter(s => canAccessSalon(req.principal, s.salonId));
+  res.json(sessions);
 });
 
 app.get('/session/:salonId', (req, res) => {
@@ -171,7 +302,8 @@ app.get('/session/:salonId', (req, res) => {
     status: session.status,
     phoneNumber: session.phoneNumber,
     connectedAt: session.connectedAt,
-    qrCode: session.qrCodeBase64
+    qrCode: session.qrCodeBase64,
+    pairingCode: session.pairingCode || null
   };
 
   // Add provider info if hybrid mode
@@ -183,18 +315,51 @@ app.get('/session/:salonId', (req, res) => {
   res.json(response);
 });
 
+// Historique des états (machine à états) : transitions, raisons, timeout en cours
+app.get('/session/:salonId/events', (req, res) => {
+  const { salonId } = req.params;
+  const timeline = getSessionEvents(salonId);
+
+  if (!timeline) {
+    return sendError(res, 'not_found', `No session history for salon ${salonId}`);
+  }
+
+  res.json({ salonId, ...timeline });
+});
+
+// Body optionnel : { method: 'pairing_code', phoneNumber: '+33612345678' } pour un code
+// d'appairage à 8 caractères au lieu du QR code
 app.post('/session/:salonId/connect', async (req, res) => {
   const { salonId } = req.params;
-  console.log(`🔌 Connection request: ${salonId}`);
+  const { method = 'qr', phoneNumber } = req.body || {};
+
+  if (method === 'pairing_code') {
+    try {
+      normalizePairingPhoneNumber(phoneNumber);
+    } catch (error) {
+      return sendError(res, 'validation_error', error.message, { field: 'body.phoneNumber' });
+    }
+  }
+
+  getSalonLogger(salonId).info({ method }, 'Connection request');
 
   try {
-    const session = await createSession(salonId);
+    const providerConfig = getRegisteredSession(salonId)?.providerConfig;
+
+    const session = method === 'pairing_code'
+      ? await connectWithPairingCode(salonId, phoneNumber, providerConfig)
+      : await createSession(salonId, providerConfig);
+
+    // Enregistré seulement une fois la connexion lancée, sinon le démarrage
+    // suivant retenterait un salon qui n'a jamais pu se connecter
+    setDesiredState(salonId, 'running');
 
     const response = {
       salonId,
       status: session.status,
       phoneNumber: session.phoneNumber,
-      qrCode: session.qrCodeBase64
+      qrCode: session.qrCodeBase64,
+      pairingCode: session.pairingCode || null
     };
 
     if (USE_HYBRID_PROVIDERS && session.activeProvider) {
@@ -203,24 +368,64 @@ app.post('/session/:salonId/connect', async (req, res) => {
 
     res.json(response);
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendError(res, 'internal_error', error.message);
   }
 });
 
+// Arrêt : ferme la connexion, le téléphone reste appairé
+app.post('/session/:salonId/stop', async (req, res) => {
+  const { salonId } = req.params;
+  // Un salon inconnu ne doit pas être ajouté au registre par un simple arrêt
+  if (getRegisteredSession(salonId)) setDesiredState(salonId, 'stopped');
+  const success = await stopSession(salonId);
+  res.json({ salonId, success, status: getSession(salonId)?.status || 'not_found' });
+});
+
+// Reprise d'une session arrêtée avec les identifiants enregistrés
+app.post('/session/:salonId/resume', async (req, res) => {
+  const { salonId } = req.params;
+
+  try {
+    const session = await resumeSession(salonId, getRegisteredSession(salonId)?.providerConfig);
+    setDesiredState(salonId, 'running');
+
+    const response = {
+      salonId,
+      status: session.status,
+      phoneNumber: session.phoneNumber
+    };
+
+    if (USE_HYBRID_PROVIDERS && session.activeProvider) {
+      response.activeProvider = session.activeProvider;
+    }
+
+    res.json(response);
+  } catch (error) {
+    sendError(res, 'conflict', error.message);
+  }
+});
+
+// Déconnexion : dissocie le téléphone et supprime les identifiants
+app.post('/session/:salonId/logout', async (req, res) => {
+  const { salonId } = req.params;
+  const success = await logoutSession(salonId);
+  if (getRegisteredSession(salonId)) setDesiredState(salonId, 'stopped');
+  res.json({ salonId, success });
+});
+
+// Alias historique de /logout
 app.delete('/session/:salonId', async (req, res) => {
   const { salonId } = req.params;
-  const success = await disconnectSession(salonId);
+  const success = await logoutSession(salonId);
+  if (getRegisteredSession(salonId)) setDesiredState(salonId, 'stopped');
   res.json({ salonId, success });
 });
 
-app.post('/session/:salonId/send', async (req, res) => {
+// Envois : un retry avec le même Idempotency-Key renvoie la réponse d'origine (pas de doublon)
+app.post('/session/:salonId/send', idempotent(), async (req, res) => {
   const { salonId } = req.params;
   const { phone, message, isLid, lidId } = req.body;
 
-  if (!phone || !message) {
-    return res.status(400).json({ error: 'phone et message requis' });
-  }
-
   try {
     const result = await sendMessage(salonId, phone, message, { isLid, lidId });
     res.json({
@@ -229,7 +434,7 @@ app.post('/session/:salonId/send', async (req, res) => {
       provider: result?.provider
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendError(res, 'send_failed', error.message);
   }
 });
 
@@ -237,21 +442,13 @@ app.post('/session/:salonId/send', async (req, res) => {
 // MEDIA ENDPOINT (Images, Videos, Documents)
 // ═══════════════════════════════════════════
 
-app.post('/session/:salonId/send-media', async (req, res) => {
-  const { salonId } = req.params;
-  const { phone, type, url, base64, caption, fileName, mimetype, ptt, isLid, lidId } = req.body;
-
-  if (!phone) {
-    return res.status(400).json({ error: 'phone requis' });
+app.post('/session/:salonId/send-media', idempotent(), async (req, res) => {
+  if (!sendMediaMessage) {
+    return sendError(res, 'not_supported', 'Media messages are not available in hybrid mode yet');
   }
 
-  if (!type) {
-    return res.status(400).json({ error: 'type requis (image, video, audio, document, sticker)' });
-  }
-
-  if (!url && !base64) {
-    return res.status(400).json({ error: 'url ou base64 requis' });
-  }
+  const { salonId } = req.params;
+  const { phone, type, url, base64, caption, fileName, mimetype, ptt, isLid, lidId } = req.body;
 
   try {
     const media = {
@@ -271,7 +468,7 @@ app.post('/session/:salonId/send-media', async (req, res) => {
       type
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendError(res, 'send_failed', error.message);
   }
 });
 
@@ -279,20 +476,14 @@ app.post('/session/:salonId/send-media', async (req, res) => {
 // TEMPLATE ENDPOINT (Hybrid mode only)
 // ═══════════════════════════════════════════
 
-app.post('/session/:salonId/send-template', async (req, res) => {
+app.post('/session/:salonId/send-template', idempotent(), async (req, res) => {
   if (!USE_HYBRID_PROVIDERS) {
-    return res.status(400).json({
-      error: 'Template messages require hybrid mode (USE_HYBRID_PROVIDERS=true)'
-    });
+    return sendError(res, 'not_supported', 'Template messages require hybrid mode (USE_HYBRID_PROVIDERS=true)');
   }
 
   const { salonId } = req.params;
   const { phone, templateName, params, language } = req.body;
 
-  if (!phone || !templateName) {
-    return res.status(400).json({ error: 'phone et templateName requis' });
-  }
-
   try {
     const result = await sendTemplateMessage(salonId, phone, templateName, params || [], language || 'fr');
     res.json({
@@ -302,7 +493,31 @@ app.post('/session/:salonId/send-template', async (req, res) => {
       templateName
     });
   } catch (error) {
-    res.status(500).json({ error: error.message });
+    sendError(res, 'send_failed', error.message);
+  }
+});
+
+// ═══════════════════════════════════════════
+// TRANSCRIPTION VOCALE (langue par salon)
+// ═══════════════════════════════════════════
+
+app.get('/session/:salonId/transcription', (req, res) => {
+  res.json({
+    salonId: req.params.salonId,
+    backend: getTranscriptionBackendName(),
+    language: getSalonTranscriptionLanguage(req.params.salonId)
+  });
+});
+
+// Body: { language: 'en' | 'auto' | null } (null = langue par défaut)
+app.put('/session/:salonId/transcription', (req, res) => {
+  const { salonId } = req.params;
+
+  try {
+    const language = setSalonTranscriptionLanguage(salonId, req.body.language);
+    res.json({ salonId, backend: getTranscriptionBackendName(), language });
+  } catch (error) {
+    sendError(res, 'validation_error', error.message, { field: 'body.language' });
   }
 });
 
@@ -313,12 +528,15 @@ app.post('/session/:salonId/send-template', async (req, res) => {
 app.get('/debug/queue', (req, res) => {
   res.json({
     length: getQueueLength(),
+    scheduler: getQueueSchedulerState(),
+    deadLetterCount: getDeadLetterCount(),
     messages: getQueuedMessages()
   });
 });
 
 app.post('/debug/queue/process', async (req, res) => {
-  await processQueue();
+  // Force: retry everything now, ignoring backoff and the circuit breaker
+  await processQueue({ force: true });
   res.json({ success: true, remaining: getQueueLength() });
 });
 
@@ -337,7 +555,7 @@ app.post('/debug/queue/add-test', (req, res) => {
 });
 
 app.delete('/debug/queue', (req, res) => {
-  fs.writeFileSync('./message_queue.json', '[]');
+  clearQueue();
   res.json({ success: true });
 });
 
@@ -345,7 +563,7 @@ app.delete('/debug/queue', (req, res) => {
 // PROVIDER INFO (Hybrid mode only)
 // ═══════════════════════════════════════════
 
-app.get('/providers', (req, res) => {
+app.get('/providers', requireAdmin, async (req, res) => {
   if (!USE_HYBRID_PROVIDERS) {
     return res.json({
       mode: 'baileys_only',
@@ -354,7 +572,8 @@ app.get('/providers', (req, res) => {
     });
   }
 
-  const { ProviderFactory } = require('./providers/provider-factory.js');
+  // Chargé comme le gestionnaire hybride : seulement en mode hybride
+  const { ProviderFactory } = await import('./providers/provider-factory.js');
 
   res.json({
     mode: 'hybrid',
@@ -368,6 +587,59 @@ app.get('/providers', (req, res) => {
   });
 });
 
+// ═══════════════════════════════════════════
+// MÉTRIQUES PROMETHEUS (admin ou METRICS_TOKEN : labels par salon)
+// ═══════════════════════════════════════════
+
+new Gauge({
+  name: 'whatsapp_sessions',
+  help: 'Sessions by state',
+  labelNames: ['state'],
+  collect(gauge) {
+    gauge.reset();
+    for (const session of getAllSessions()) {
+      gauge.inc({ state: session.status });
+    }
+  }
+});
+
+new Gauge({
+  name: 'whatsapp_queue_depth',
+  help: 'Inbound messages waiting for webhook redelivery',
+  collect: (gauge) => gauge.set({}, getQueueLength())
+});
+
+new Gauge({
+  name: 'whatsapp_queue_oldest_message_age_seconds',
+  help: 'Age of the oldest message waiting for webhook redelivery (0 when empty)',
+  collect(gauge) {
+    const oldest = getOldestQueuedAt();
+    gauge.set({}, oldest ? (Date.now() - oldest) / 1000 : 0);
+  }
+});
+
+new Gauge({
+  name: 'whatsapp_dead_letters',
+  help: 'Messages in the dead-letter queue',
+  collect: (gauge) => gauge.set({}, getDeadLetterCount())
+});
+
+new Gauge({
+  name: 'whatsapp_websocket_clients',
+  help: 'Open WebSocket connections by authentication state',
+  labelNames: ['authenticated'],
+  collect(gauge) {
+    let authenticated = 0;
+    wss?.clients?.forEach((ws) => { if (ws.principal) authenticated++; });
+    gauge.set({ authenticated: 'true' }, authenticated);
+    gauge.set({ authenticated: 'false' }, (wss?.clients?.size || 0) - authenticated);
+  }
+});
+
+// Routes inconnues et erreurs non gérées : même format { code, message } partout
+app.use(notFoundHandler);
+app.use(errorHandler);
+
 // ═══════════════════════════════════════════
 // WEBSOCKET
 // ═══════════════════════════════════════════
@@ -379,11 +651,34 @@ const wss = new WebSocketServer({ server, path: '/ws' });
 const WS_PING_INTERVAL = 30000; // 30 seconds
 const WS_PONG_TIMEOUT = 10000;  // 10 seconds to respond
 
-wss.on('connection', (ws) => {
-  console.log('🔗 WebSocket connected');
+// Clients must authenticate with a header, an `api_key` query parameter
+// or a first `{ action: 'auth', apiKey }` message within this delay
+const WS_AUTH_TIMEOUT = 10000;
+
+function sendWsError(ws, code, message, salonId, field) {
+  if (ws.readyState === ws.OPEN) {
+    ws.send(JSON.stringify({ type: 'error', code, message, salonId, field }));
+  }
+}
+
+const WS_CLIENT_MESSAGE = { $ref: '#/components/schemas/WsClientMessage' };
+
+wss.on('connection', (ws, req) => {
+  wsLog.debug('WebSocket connected');
   let unsubscribe = null;
   ws.isAlive = true;
 
+  const queryKey = new URL(req.url, 'http://localhost').searchParams.get('api_key');
+  let principal = resolvePrincipal(extractApiKey(req.headers) || queryKey);
+  ws.principal = principal;
+
+  const authTimeout = principal ? null : setTimeout(() => {
+    if (!principal) {
+      wsLog.warn('WebSocket closed: no authentication');
+      ws.close(1008, 'Authentication required');
+    }
+  }, WS_AUTH_TIMEOUT);
+
   // Setup ping/pong heartbeat
   ws.on('pong', () => {
     ws.isAlive = true;
@@ -392,11 +687,50 @@ wss.on('connection', (ws) => {
   ws.on('message', async (data) => {
     // Message timeout protection
     const messageTimeout = setTimeout(() => {
-      console.warn('⚠️ WebSocket message processing timeout');
+      wsLog.warn('WebSocket message processing timeout');
     }, 30000);
 
     try {
-      const msg = JSON.parse(data.toString());
+      let msg;
+      try {
+        msg = JSON.parse(data.toString());
+      } catch {
+        sendWsError(ws, 'invalid_json', 'Message is not valid JSON');
+        return;
+      }
+
+      // Même contrat que le REST : messages décrits par WsClientMessage (document OpenAPI)
+      const errors = validateSchema(openApiSpec, WS_CLIENT_MESSAGE, msg);
+      if (errors.length > 0) {
+        sendWsError(ws, 'validation_error', errors[0].message, msg?.salonId, errors[0].field || undefined);
+        return;
+      }
+
+      if (msg.action === 'auth') {
+        principal = resolvePrincipal(msg.apiKey);
+        if (!principal) {
+          sendWsError(ws, 'unauthorized', 'Invalid API key');
+          ws.close(1008, 'Invalid API key');
+          return;
+        }
+        ws.principal = principal;
+        clearTimeout(authTimeout);
+        if (ws.readyState === ws.OPEN) {
+          ws.send(JSON.stringify({ type: 'authenticated', role: principal.role }));
+        }
+        return;
+      }
+
+      if (!principal) {
+        sendWsError(ws, 'unauthorized', 'Authenticate first with { action: "auth", apiKey }');
+        return;
+      }
+
+      if (['subscribe', 'connect', 'stop', 'resume', 'logout', 'disconnect'].includes(msg.action) && msg.salonId &&
+          !canAccessSalon(principal, msg.salonId)) {
+        sendWsError(ws, 'forbidden', `API key not allowed for salon ${msg.salonId}`, msg.salonId);
+        return;
+      }
 
       if (msg.action === 'subscribe' && msg.salonId) {
         if (unsubscribe) unsubscribe();
@@ -406,8 +740,8 @@ wss.on('connection', (ws) => {
           if (ws.readyState === ws.OPEN) {
             try {
               ws.send(JSON.stringify({ type: 'status_update', salonId: msg.salonId, ...statusData }));
-            } catch (sendError) {
-              console.error('WebSocket send error:', sendError.message);
+            } catch (error) {
+              wsLog.error({ salonId: msg.salonId, error: error.message }, 'WebSocket send error');
             }
           }
         });
@@ -418,7 +752,8 @@ wss.on('connection', (ws) => {
           salonId: msg.salonId,
           status: session?.status || 'not_initialized',
           phoneNumber: session?.phoneNumber,
-          qrCode: session?.qrCodeBase64
+          qrCode: session?.qrCodeBase64,
+          pairingCode: session?.pairingCode || null
         };
 
         if (USE_HYBRID_PROVIDERS && session?.activeProvider) {
@@ -431,11 +766,35 @@ wss.on('connection', (ws) => {
       }
 
       if (msg.action === 'connect' && msg.salonId) {
-        await createSession(msg.salonId);
+        const providerConfig = getRegisteredSession(msg.salonId)?.providerConfig;
+
+        // Le code d'appairage arrive ensuite dans un status_update 'pairing_code_ready'
+        if (msg.method === 'pairing_code') {
+          await connectWithPairingCode(msg.salonId, msg.phoneNumber, providerConfig);
+        } else {
+          await createSession(msg.salonId, providerConfig);
+        }
+        setDesiredState(msg.salonId, 'running');
       }
 
-      if (msg.action === 'disconnect' && msg.salonId) {
-        await disconnectSession(msg.salonId);
+      if (msg.action === 'stop' && msg.salonId) {
+        if (getRegisteredSession(msg.salonId)) setDesiredState(msg.salonId, 'stopped');
+        await stopSession(msg.salonId);
+      }
+
+      if (msg.action === 'resume' && msg.salonId) {
+        try {
+          await resumeSession(msg.salonId, getRegisteredSession(msg.salonId)?.providerConfig);
+          setDesiredState(msg.salonId, 'running');
+        } catch (error) {
+          sendWsError(ws, 'resume_failed', error.message, msg.salonId);
+        }
+      }
+
+      // 'disconnect' : alias historique de 'logout'
+      if ((msg.action === 'logout' || msg.action === 'disconnect') && msg.salonId) {
+        await logoutSession(msg.salonId);
+        if (getRegisteredSession(msg.salonId)) setDesiredState(msg.salonId, 'stopped');
       }
 
       // Respond to ping with pong
@@ -445,28 +804,39 @@ wss.on('connection', (ws) => {
         }
       }
     } catch (e) {
-      console.error('WebSocket error:', e.message);
+      wsLog.error({ error: e.message }, 'WebSocket message error');
     } finally {
       clearTimeout(messageTimeout);
     }
   });
 
   ws.on('close', () => {
+    clearTimeout(authTimeout);
     if (unsubscribe) unsubscribe();
-    console.log('🔌 WebSocket disconnected');
+    wsLog.debug('WebSocket disconnected');
   });
 
   ws.on('error', (error) => {
-    console.error('WebSocket client error:', error.message);
+    wsLog.error({ error: error.message }, 'WebSocket client error');
     if (unsubscribe) unsubscribe();
   });
 });
 
+// Progression de la reconnexion au démarrage, diffusée aux clients authentifiés
+onReconnectProgress((snapshot) => {
+  const payload = JSON.stringify({ type: 'reconnect_progress', ...snapshot });
+  wss.clients.forEach((ws) => {
+    if (ws.principal && ws.readyState === ws.OPEN) {
+      ws.send(payload);
+    }
+  });
+});
+
 // Ping all clients periodically to detect dead connections
 const wsPingInterval = setInterval(() => {
   wss.clients.forEach((ws) => {
     if (ws.isAlive === false) {
-      console.log('🔌 Terminating dead WebSocket connection');
+      wsLog.info('Terminating dead WebSocket connection');
       return ws.terminate();
     }
     ws.isAlive = false;
@@ -474,38 +844,6 @@ const wsPingInterval = setInterval(() => {
   });
 }, WS_PING_INTERVAL);
 
-// ═══════════════════════════════════════════
-// AUTO-RECONNEXION
-// ═══════════════════════════════════════════
-
-async function autoReconnect() {
-  // Use hybrid reconnect if available
-  if (USE_HYBRID_PROVIDERS && reconnectExistingSessions) {
-    await reconnectExistingSessions();
-    return;
-  }
-
-  // Legacy reconnect
-  const authDir = './auth';
-  if (!fs.existsSync(authDir)) return;
-
-  const dirs = fs.readdirSync(authDir).filter(d =>
-    fs.statSync(path.join(authDir, d)).isDirectory()
-  );
-
-  if (dirs.length === 0) return;
-
-  console.log(`\n🔄 Auto-reconnecting ${dirs.length} session(s)...\n`);
-
-  for (const salonId of dirs) {
-    console.log(`   ↳ ${salonId}`);
-    await createSession(salonId);
-    await new Promise(r => setTimeout(r, 2000));
-  }
-
-  console.log('\n✅ Auto-reconnect complete\n');
-}
-
 // ═══════════════════════════════════════════
 // STARTUP
 // ═══════════════════════════════════════════
@@ -513,24 +851,40 @@ async function autoReconnect() {
 const PORT = process.env.PORT || 3000;
 
 server.listen(PORT, async () => {
-  console.log('═══════════════════════════════════════════════════════');
-  console.log('🚀 WhatsApp Baileys Multi-Sessions Server');
-  console.log(`📡 API: http://localhost:${PORT}`);
-  console.log(`🔌 WS: ws://localhost:${PORT}/ws`);
-  console.log(`📝 Webhook: ${process.env.WEBHOOK_URL || 'NOT CONFIGURED'}`);
-  console.log(`📦 Queue: ${getQueueLength()} messages`);
-  console.log('───────────────────────────────────────────────────────');
-  console.log(`🔀 Mode: ${USE_HYBRID_PROVIDERS ? 'HYBRID (Cloud API + Baileys)' : 'BAILEYS ONLY'}`);
-
-  if (USE_HYBRID_PROVIDERS) {
-    console.log(`☁️  Primary: ${process.env.PRIMARY_PROVIDER || 'cloud_api'}`);
-    console.log(`📞 Cloud API Phone ID: ${process.env.CLOUD_API_PHONE_NUMBER_ID || 'NOT SET'}`);
-    console.log(`🔄 Fallback: ${process.env.FALLBACK_ENABLED !== 'false' ? 'ENABLED' : 'DISABLED'}`);
+  log.info({
+    port: PORT,
+    webhookConfigured: Boolean(process.env.WEBHOOK_URL),
+    queued: getQueueLength(),
+    authEnabled: AUTH_ENABLED,
+    mode: USE_HYBRID_PROVIDERS ? 'hybrid' : 'baileys',
+    ...(USE_HYBRID_PROVIDERS && {
+      primaryProvider: process.env.PRIMARY_PROVIDER || 'cloud_api',
+      cloudApiPhoneNumberId: process.env.CLOUD_API_PHONE_NUMBER_ID || null,
+      fallbackEnabled: process.env.FALLBACK_ENABLED !== 'false'
+    }),
+    logLevels: getLogLevels()
+  }, 'WhatsApp Baileys Multi-Sessions Server started');
+  if (AUTH_ENABLED && !hasAdminKey()) {
+    log.warn('No admin API key configured - set ADMIN_API_KEYS to manage keys');
+  }
+
+  // Signale aux commandes de maintenance (rotate:auth-key) qu'un serveur utilise l'auth state
+  writeServerPidFile();
+  process.on('exit', removeServerPidFile);
+
+  // Open the auth state store first: strict encryption refuses to start on plaintext credentials
+  try {
+    await getAuthStore();
+  } catch (error) {
+    log.fatal({ error: error.message }, 'Auth state store unavailable');
+    process.exit(1);
   }
 
-  console.log('═══════════════════════════════════════════════════════\n');
+  startQueueScheduler();
 
-  await autoReconnect();
+  // Démarrer / arrêter les sessions selon le registre
+  await reconcileSessions(sessionManager);
+  notifyPm2WhenReady();
 
   // Start periodic cleanup of dead sessions (every 10 minutes)
   if (cleanupDeadSessions) {
@@ -538,70 +892,92 @@ server.listen(PORT, async () => {
       try {
         cleanupDeadSessions();
       } catch (e) {
-        console.error('Session cleanup error:', e.message);
+        log.error({ error: e.message }, 'Session cleanup error');
       }
     }, 10 * 60 * 1000);
-    console.log('🧹 Periodic session cleanup enabled (every 10 min)');
+    log.info({ intervalMinutes: 10 }, 'Periodic session cleanup enabled');
   }
 });
 
+// PM2 (wait_ready) : le nouveau process ne compte comme démarré qu'une fois prêt
+const PM2_READY_RETRY_MS = 5000;
+
+async function notifyPm2WhenReady(lastReasons = '') {
+  if (!process.send || isShuttingDown) return;
+
+  const { ready, reasons } = await getReadiness();
+  if (ready) {
+    process.send('ready');
+    log.info('PM2 notified: ready');
+    return;
+  }
+
+  if (reasons.join(', ') !== lastReasons) {
+    log.info({ reasons }, 'Not ready yet');
+  }
+  setTimeout(() => notifyPm2WhenReady(reasons.join(', ')), PM2_READY_RETRY_MS).unref();
+}
+
 // ═══════════════════════════════════════════
 // GRACEFUL SHUTDOWN
 // ═══════════════════════════════════════════
 
 async function gracefulShutdown(signal) {
   if (isShuttingDown) {
-    console.log('⚠️ Shutdown already in progress...');
+    log.warn('Shutdown already in progress');
     return;
   }
 
   isShuttingDown = true;
-  console.log(`\n═══════════════════════════════════════════`);
-  console.log(`🛑 Graceful shutdown initiated (${signal})`);
-  console.log(`═══════════════════════════════════════════`);
+  log.info({ signal }, 'Graceful shutdown initiated');
 
   const shutdownTimeout = setTimeout(() => {
-    console.error('⚠️ Shutdown timeout - forcing exit');
+    log.error('Shutdown timeout - forcing exit');
     process.exit(1);
   }, 30000); // 30s max for shutdown
 
   try {
     // 1. Stop accepting new connections
-    console.log('📡 Closing HTTP server...');
+    log.info('Closing HTTP server');
     server.close();
 
     // 2. Stop WebSocket ping interval
-    console.log('🔌 Stopping WebSocket ping interval...');
     clearInterval(wsPingInterval);
 
     // 3. Close all WebSocket connections
-    console.log('🔌 Closing WebSocket connections...');
+    log.info('Closing WebSocket connections');
     wss.clients.forEach((ws) => {
       ws.close(1001, 'Server shutting down');
     });
 
-    // 4. Save queue state
-    console.log('📦 Saving queue state...');
+    // 4. Stop retries and save queue state
+    log.info('Saving queue state');
+    stopQueueScheduler();
     saveQueueSync();
 
-    // 5. Disconnect all sessions gracefully
-    console.log('📱 Disconnecting sessions...');
+    // 5. Stop all sessions (credentials kept: phones stay linked across restarts)
+    log.info('Stopping sessions');
     const sessions = getAllSessions();
     for (const session of sessions) {
       try {
-        await disconnectSession(session.salonId);
-        console.log(`   ✓ ${session.salonId} disconnected`);
+        await stopSession(session.salonId);
       } catch (e) {
-        console.error(`   ✗ ${session.salonId} error:`, e.message);
+        getSalonLogger(session.salonId).error({ error: e.message }, 'Error stopping session');
       }
     }
 
-    console.log('✅ Graceful shutdown complete');
+    // 6. Close the auth state store (database pool)
+    await closeAuthStore();
+
+    // 7. Flush pending trace spans
+    await shutdownTracing();
+
+    log.info('Graceful shutdown complete');
     clearTimeout(shutdownTimeout);
     process.exit(0);
 
   } catch (error) {
-    console.error('❌ Shutdown error:', error);
+    log.error({ err: error }, 'Shutdown error');
     clearTimeout(shutdownTimeout);
     process.exit(1);
   }
@@ -0,0 +1,243 @@
+/**
+ * Logger - Structured JSON logs (pino) with PII redaction and per-salon levels
+ *
+ * Every entry is one JSON line. Module loggers carry a `component` field,
+ * salon loggers carry `salonId` (and `provider` when given); call sites add
+ * `messageId` and other context as fields rather than in the message text.
+ *
+ * Redaction (LOG_REDACT, on by default when NODE_ENV=production):
+ *   - phone-like fields (phone, jid, lidId...) are masked: 336******78
+ *   - content fields (message bodies, captions, transcripts, customer names)
+ *     are dropped; LOG_REDACT_KEYS adds more field names to drop
+ *
+ * Levels:
+ *   - LOG_LEVEL (default 'info'), changeable at runtime
+ *   - per salon: LOG_LEVELS ({"<salonId>": "debug"}) or PUT /admin/log-levels/:salonId
+ *   - Baileys internal logs: BAILEYS_LOG_LEVEL (default 'silent'), or per salon
+ *     through the same endpoint ({ baileysLevel: 'debug' }) while debugging one salon
+ */
+
+import pino from 'pino';
+
+export const LOG_LEVELS = ['fatal', 'error', 'warn', 'info', 'debug', 'trace', 'silent'];
+
+const REDACT = process.env.LOG_REDACT
+  ? process.env.LOG_REDACT === 'true'
+  : process.env.NODE_ENV === 'production';
+
+const PHONE_KEYS = new Set([
+  'phone', 'resolvedPhone', 'phoneNumber', 'pairingPhoneNumber', 'to', 'from', 'jid', 'remoteJid', 'lidId'
+]);
+
+const CONTENT_KEYS = new Set([
+  'message', 'content', 'text', 'body', 'caption', 'customerName', 'pushName',
+  'voiceTranscription', 'transcript',
+  ...(process.env.LOG_REDACT_KEYS || '').split(',').map(key => key.trim()).filter(Boolean)
+]);
+
+const MAX_REDACT_DEPTH = 4;
+
+/**
+ * Mask the digits of a phone number or JID, keeping the first 3 and last 2
+ * @param {string} value - '33612345678' or '33612345678@s.whatsapp.net'
+ * @returns {string}
+ */
+export function maskPhone(value) {
+  if (value === null || value === undefined) return value;
+
+  const [local, domain] = String(value).split('@');
+  const masked = local.length <= 5
+    ? '*'.repeat(local.length)
+    : `${local.slice(0, 3)}${'*'.repeat(local.length - 5)}${local.slice(-2)}`;
+  return domain ? `${masked}@${domain}` : masked;
+}
+
+function redact(value, depth = 0) {
+  if (depth > MAX_REDACT_DEPTH || value === null || typeof value !== 'object') return value;
+  if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+  if (value instanceof Error) return value;
+
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    if (CONTENT_KEYS.has(key)) continue;
+    result[key] = PHONE_KEYS.has(key) && typeof item !== 'object'
+      ? maskPhone(item)
+      : redact(item, depth + 1);
+  }
+  return result;
+}
+
+export const logger = pino({
+  level: process.env.LOG_LEVEL || 'info',
+  base: { pid: process.pid },
+  timestamp: pino.stdTimeFunctions.isoTime,
+  formatters: {
+    level: (label) => ({ level: label }),
+    ...(REDACT && { log: (object) => redact(object) })
+  }
+});
+
+// ═══════════════════════════════════════════
+// CHILD LOGGERS
+// ═══════════════════════════════════════════
+
+const salonLevels = new Map(); // salonId -> { level, baileysLevel }
+const children = new Map();    // cache key -> { logger, salonId, baileys }
+
+try {
+  for (const [salonId, level] of Object.entries(JSON.parse(process.env.LOG_LEVELS || '{}'))) {
+    if (LOG_LEVELS.includes(level)) salonLevels.set(salonId, { level });
+  }
+} catch (error) {
+  logger.error({ error: error.message }, 'LOG_LEVELS is not valid JSON');
+}
+
+function levelFor(salonId, baileys) {
+  const override = salonId ? salonLevels.get(salonId) : null;
+  if (baileys) {
+    return override?.baileysLevel || process.env.BAILEYS_LOG_LEVEL || 'silent';
+  }
+  return override?.level || logger.level;
+}
+
+function getChild(key, bindings, { salonId = null, baileys = false } = {}) {
+  if (!children.has(key)) {
+    const child = logger.child(bindings);
+    child.level = levelFor(salonId, baileys);
+    children.set(key, { logger: child, salonId, baileys });
+  }
+  return children.get(key).logger;
+}
+
+function refreshLevels(salonId = null) {
+  for (const entry of children.values()) {
+    if (salonId && entry.salonId !== salonId) continue;
+    entry.logger.level = levelFor(entry.salonId, entry.baileys);
+  }
+}
+
+/**
+ * Logger for a module
+ * @param {string} component - e.g. 'queue', 'http', 'reconciler'
+ * @returns {import('pino').Logger}
+ */
+export function createLogger(component) {
+  return getChild(`component:${component}`, { component });
+}
+
+/**
+ * Logger for one salon (follows the salon's runtime level)
+ * @param {string} salonId - Salon identifier
+ * @param {string} [provider] - 'baileys' or 'cloud_api'
+ * @returns {import('pino').Logger}
+ */
+export function getSalonLogger(salonId, provider = null) {
+  const bindings = provider ? { salonId, provider } : { salonId };
+  return getChild(`salon:${salonId}:${provider || ''}`, bindings, { salonId });
+}
+
+/**
+ * Logger handed to the Baileys socket (silent unless enabled for the salon)
+ * Sub-loggers Baileys derives from it pick up level changes on the next connection.
+ * @param {string} salonId - Salon identifier
+ * @returns {import('pino').Logger}
+ */
+export function getBaileysLogger(salonId) {
+  return getChild(`baileys:${salonId}`, { salonId, provider: 'baileys', component: 'baileys' }, {
+    salonId,
+    baileys: true
+  });
+}
+
+// ═══════════════════════════════════════════
+// RUNTIME LEVELS
+// ═══════════════════════════════════════════
+
+function assertLevel(level, field) {
+  if (!LOG_LEVELS.includes(level)) {
+    throw new Error(`${field} must be one of: ${LOG_LEVELS.join(', ')}`);
+  }
+}
+
+/**
+ * Change the global level (salons with an override keep theirs)
+ * @param {string} level - pino level
+ */
+export function setLogLevel(level) {
+  assertLevel(level, 'level');
+  logger.level = level;
+  refreshLevels();
+  logger.info({ logLevel: level }, 'Log level changed');
+}
+
+/**
+ * Override levels for one salon
+ * @param {string} salonId - Salon identifier
+ * @param {object} levels - { level?, baileysLevel? } (null removes that override)
+ * @returns {object} Effective levels
+ */
+export function setSalonLogLevel(salonId, { level, baileysLevel } = {}) {
+  if (level) assertLevel(level, 'level');
+  if (baileysLevel) assertLevel(baileysLevel, 'baileysLevel');
+
+  const current = salonLevels.get(salonId) || {};
+  const next = {
+    ...current,
+    ...(level !== undefined && { level: level || undefined }),
+    ...(baileysLevel !== undefined && { baileysLevel: baileysLevel || undefined })
+  };
+
+  if (next.level || next.baileysLevel) {
+    salonLevels.set(salonId, next);
+  } else {
+    salonLevels.delete(salonId);
+  }
+
+  refreshLevels(salonId);
+  logger.info({ salonId, logLevels: getSalonLogLevel(salonId) }, 'Salon log level changed');
+  return getSalonLogLevel(salonId);
+}
+
+export function resetSalonLogLevel(salonId) {
+  salonLevels.delete(salonId);
+  refreshLevels(salonId);
+}
+
+/**
+ * Effective levels for a salon
+ * @param {string} salonId - Salon identifier
+ * @returns {{level: string, baileysLevel: string, overridden: boolean}}
+ */
+export function getSalonLogLevel(salonId) {
+  return {
+    level: levelFor(salonId, false),
+    baileysLevel: levelFor(salonId, true),
+    overridden: salonLevels.has(salonId)
+  };
+}
+
+/**
+ * Global level and every salon override
+ * @returns {{level: string, redact: boolean, salons: object}}
+ */
+export function getLogLevels() {
+  return {
+    level: logger.level,
+    redact: REDACT,
+    salons: Object.fromEntries([...salonLevels.keys()].map(salonId => [salonId, getSalonLogLevel(salonId)]))
+  };
+}
+
+export default {
+  logger,
+  LOG_LEVELS,
+  maskPhone,
+  createLogger,
+  getSalonLogger,
+  getBaileysLogger,
+  setLogLevel,
+  setSalonLogLevel,
+  resetSalonLogLevel,
+  getSalonLogLevel,
+  getLogLevels
+};
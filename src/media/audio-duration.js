@@ -0,0 +1,31 @@
+/**
+ * Audio Duration - Read the length of an Ogg Opus stream (WhatsApp voice notes)
+ * The Cloud API does not report voice-note durations, Baileys does.
+ */
+
+const OPUS_SAMPLE_RATE = 48000;
+
+/**
+ * Duration of an Ogg Opus buffer, from the granule position of its last page
+ * @param {Buffer} buffer - Audio content
+ * @returns {number|null} Seconds (rounded), or null if not Ogg Opus
+ */
+export function getOggOpusDuration(buffer) {
+  if (!buffer || buffer.length < 28 || buffer.toString('ascii', 0, 4) !== 'OggS') {
+    return null;
+  }
+
+  const head = buffer.indexOf('OpusHead');
+  const lastPage = buffer.lastIndexOf('OggS');
+  if (head === -1 || head + 12 > buffer.length || lastPage + 14 > buffer.length) {
+    return null;
+  }
+
+  const preSkip = buffer.readUInt16LE(head + 10);
+  const granule = Number(buffer.readBigInt64LE(lastPage + 6));
+  if (granule <= 0) return null;
+
+  return Math.max(0, Math.round((granule - preSkip) / OPUS_SAMPLE_RATE));
+}
+
+export default { getOggOpusDuration };
@@ -0,0 +1,104 @@
+/**
+ * Local Media Storage - Stores inbound media on the local disk
+ * Each object is written next to a `.meta.json` sidecar holding its metadata.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+export class LocalMediaStorage {
+  constructor(config = {}) {
+    this.baseDir = path.resolve(config.baseDir || process.env.MEDIA_LOCAL_DIR || './data/media');
+  }
+
+  getName() {
+    return 'local';
+  }
+
+  resolvePath(key) {
+    const filePath = path.resolve(this.baseDir, key);
+    // Keys are generated by media-store.js, but never let one escape the base dir
+    if (!filePath.startsWith(this.baseDir + path.sep)) {
+      throw new Error(`Invalid media key: ${key}`);
+    }
+    return filePath;
+  }
+
+  /**
+   * Store an object
+   * @param {string} key - Object key ('<salonId>/<file>')
+   * @param {Buffer} buffer - Content
+   * @param {object} metadata - { mimeType, size, sha256, fileName }
+   */
+  async put(key, buffer, metadata = {}) {
+    const filePath = this.resolvePath(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+
+    // Write then rename so readers never see a partial file
+    await fs.writeFile(`${filePath}.tmp`, buffer);
+    await fs.rename(`${filePath}.tmp`, filePath);
+    await fs.writeFile(`${filePath}.meta.json`, JSON.stringify(metadata));
+  }
+
+  /**
+   * Read an object
+   * @param {string} key - Object key
+   * @returns {Promise<{buffer: Buffer, metadata: object}|null>}
+   */
+  async get(key) {
+    const filePath = this.resolvePath(key);
+
+    try {
+      const [buffer, meta] = await Promise.all([
+        fs.readFile(filePath),
+        fs.readFile(`${filePath}.meta.json`, 'utf-8').catch(() => '{}')
+      ]);
+      return { buffer, metadata: JSON.parse(meta) };
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async delete(key) {
+    const filePath = this.resolvePath(key);
+    await fs.rm(filePath, { force: true });
+    await fs.rm(`${filePath}.meta.json`, { force: true });
+  }
+
+  /**
+   * Delete objects written before a date (retention)
+   * @param {number} cutoff - Unix milliseconds
+   * @returns {Promise<number>} Objects removed
+   */
+  async deleteOlderThan(cutoff) {
+    let salonDirs;
+    try {
+      salonDirs = await fs.readdir(this.baseDir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') return 0;
+      throw error;
+    }
+
+    let removed = 0;
+    for (const salonDir of salonDirs.filter(entry => entry.isDirectory())) {
+      const dir = path.join(this.baseDir, salonDir.name);
+
+      for (const name of await fs.readdir(dir)) {
+        // Sidecars go with their object
+        if (name.endsWith('.meta.json')) continue;
+
+        const filePath = path.join(dir, name);
+        const stats = await fs.stat(filePath).catch(() => null);
+        if (!stats || stats.mtimeMs >= cutoff) continue;
+
+        await fs.rm(filePath, { force: true });
+        await fs.rm(`${filePath}.meta.json`, { force: true });
+        if (!name.endsWith('.tmp')) removed++;
+      }
+    }
+    return removed;
+  }
+}
+
+export default LocalMediaStorage;
@@ -0,0 +1,246 @@
+/**
+ * Media Store - Inbound media persistence and signed download URLs
+ *
+ * Downloaded media is sniffed for its real MIME type, hashed, saved to the
+ * configured backend (MEDIA_STORAGE=local|s3) and referenced in the webhook
+ * payload as:
+ *   { id, mimeType, size, sha256, fileName, url, expiresAt }
+ * where `url` is a time-limited link served by this server (GET /media/...).
+ *
+ * MEDIA_URL_SECRET signs the links. Set it in production: without it a random
+ * secret is generated per process and every link already sent (including
+ * webhooks still in the retry queue or dead-letter store) returns 403 after a
+ * restart. Local media is deleted after MEDIA_RETENTION_HOURS (defaults to the
+ * link validity, MEDIA_URL_TTL_SECONDS); for S3, use a bucket lifecycle rule.
+ */
+
+import crypto from 'crypto';
+import { fileTypeFromBuffer } from 'file-type';
+import { LocalMediaStorage } from './local-media-storage.js';
+import { S3MediaStorage } from './s3-media-storage.js';
+import { createLogger } from '../logger.js';
+
+const log = createLogger('media');
+
+const MEDIA_STORAGE = process.env.MEDIA_STORAGE || 'local';
+const MEDIA_URL_TTL = parseInt(process.env.MEDIA_URL_TTL_SECONDS) || 24 * 60 * 60;
+const MEDIA_MAX_BYTES = parseInt(process.env.MEDIA_MAX_BYTES) || 25 * 1024 * 1024;
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/$/, '');
+
+// Without MEDIA_URL_SECRET links only survive until the next restart
+const MEDIA_URL_SECRET = process.env.MEDIA_URL_SECRET || crypto.randomBytes(32).toString('hex');
+
+const MEDIA_RETENTION = (parseFloat(process.env.MEDIA_RETENTION_HOURS) || MEDIA_URL_TTL / 3600) * 60 * 60 * 1000;
+const PRUNE_INTERVAL = 60 * 60 * 1000;
+
+const EXTENSIONS = {
+  'audio/ogg': 'ogg',
+  'audio/mpeg': 'mp3',
+  'audio/mp4': 'm4a',
+  'audio/aac': 'aac',
+  'audio/amr': 'amr',
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'video/mp4': 'mp4',
+  'video/3gpp': '3gp',
+  'application/pdf': 'pdf',
+  'text/plain': 'txt'
+};
+
+let storage = null;
+
+/**
+ * Get the configured storage backend (created on first use)
+ * @returns {LocalMediaStorage|S3MediaStorage}
+ */
+export function getMediaStorage() {
+  if (!storage) {
+    storage = MEDIA_STORAGE === 's3' ? new S3MediaStorage() : new LocalMediaStorage();
+    log.info({ storage: storage.getName() }, 'Media storage ready');
+  }
+  return storage;
+}
+
+export function getMaxMediaBytes() {
+  return MEDIA_MAX_BYTES;
+}
+
+function sanitize(value) {
+  return String(value).replace(/[^A-Za-z0-9_-]/g, '_');
+}
+
+function extensionFor(mimeType) {
+  if (EXTENSIONS[mimeType]) return EXTENSIONS[mimeType];
+  const subtype = mimeType?.split('/')[1]?.split(';')[0];
+  return subtype && /^[a-z0-9.+-]+$/i.test(subtype) ? subtype.replace(/[^a-z0-9]/gi, '') : 'bin';
+}
+
+// ═══════════════════════════════════════════
+// SIGNED URLS
+// ═══════════════════════════════════════════
+
+function computeUrlSignature(salonId, fileName, expires) {
+  return crypto
+    .createHmac('sha256', MEDIA_URL_SECRET)
+    .update(`${salonId}/${fileName}:${expires}`)
+    .digest('hex');
+}
+
+/**
+ * Build a time-limited download URL for a stored object
+ * @param {string} salonId - Salon identifier
+ * @param {string} fileName - Stored file name ('<messageId>.<ext>')
+ * @param {number} [ttlSeconds] - Validity
+ * @returns {{url: string, expiresAt: string}}
+ */
+export function createSignedMediaUrl(salonId, fileName, ttlSeconds = MEDIA_URL_TTL) {
+  const expires = Math.floor(Date.now() / 1000) + ttlSeconds;
+  const signature = computeUrlSignature(salonId, fileName, expires);
+
+  return {
+    url: `${PUBLIC_BASE_URL}/media/${encodeURIComponent(salonId)}/${encodeURIComponent(fileName)}?expires=${expires}&signature=${signature}`,
+    expiresAt: new Date(expires * 1000).toISOString()
+  };
+}
+
+/**
+ * Check a signed download URL
+ * @returns {{valid: boolean, reason: string|null}}
+ */
+export function verifySignedMediaUrl(salonId, fileName, expires, signature) {
+  const expiresAt = parseInt(expires);
+  if (!expiresAt || !signature) {
+    return { valid: false, reason: 'missing_signature' };
+  }
+  if (expiresAt < Math.floor(Date.now() / 1000)) {
+    return { valid: false, reason: 'expired' };
+  }
+
+  const expected = Buffer.from(computeUrlSignature(salonId, fileName, expiresAt));
+  const received = Buffer.from(String(signature));
+
+  if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+    return { valid: false, reason: 'invalid_signature' };
+  }
+  return { valid: true, reason: null };
+}
+
+// ═══════════════════════════════════════════
+// STORE / READ
+// ═══════════════════════════════════════════
+
+/**
+ * Find the downloadable part of a Baileys message
+ * @param {object} message - proto.IMessage
+ * @returns {{mimeType: string, fileName: string|null, fileLength: number}|null}
+ */
+export function describeBaileysMedia(message) {
+  if (!message) return null;
+
+  const node = message.imageMessage ||
+    message.videoMessage ||
+    message.audioMessage ||
+    message.documentMessage ||
+    message.documentWithCaptionMessage?.message?.documentMessage ||
+    message.stickerMessage;
+
+  if (!node) return null;
+
+  return {
+    mimeType: node.mimetype || null,
+    fileName: node.fileName || null,
+    fileLength: Number(node.fileLength || 0)
+  };
+}
+
+/**
+ * Store an inbound media buffer and build its webhook reference
+ * @param {object} params
+ * @param {Buffer} params.buffer - Media content
+ * @param {string} params.salonId - Salon identifier
+ * @param {string} params.messageId - WhatsApp message ID (used as object name)
+ * @param {string} [params.declaredMimeType] - MIME type announced by WhatsApp
+ * @param {string} [params.fileName] - Original file name (documents)
+ * @returns {Promise<object>} Media reference
+ */
+export async function storeInboundMedia({ buffer, salonId, messageId, declaredMimeType, fileName }) {
+  if (buffer.length > MEDIA_MAX_BYTES) {
+    throw new Error(`Media too large (${buffer.length} > ${MEDIA_MAX_BYTES} bytes)`);
+  }
+
+  // Trust the bytes over the declared type; fall back for text-like formats file-type cannot sniff
+  const detected = await fileTypeFromBuffer(buffer);
+  const mimeType = detected?.mime || declaredMimeType?.split(';')[0].trim() || 'application/octet-stream';
+
+  const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+  const storedName = `${sanitize(messageId)}.${detected?.ext || extensionFor(mimeType)}`;
+  const key = `${sanitize(salonId)}/${storedName}`;
+
+  const metadata = {
+    mimeType,
+    size: buffer.length,
+    sha256,
+    fileName: fileName || null,
+    declaredMimeType: declaredMimeType || null,
+    storedAt: new Date().toISOString()
+  };
+
+  await getMediaStorage().put(key, buffer, metadata);
+
+  return {
+    id: storedName,
+    mimeType,
+    size: buffer.length,
+    sha256,
+    fileName: fileName || null,
+    ...createSignedMediaUrl(sanitize(salonId), storedName)
+  };
+}
+
+/**
+ * Delete local media past MEDIA_RETENTION_HOURS (S3 objects expire through bucket lifecycle rules)
+ * @returns {Promise<number>} Objects removed
+ */
+export async function pruneInboundMedia() {
+  const mediaStorage = getMediaStorage();
+  if (!mediaStorage.deleteOlderThan) return 0;
+
+  const removed = await mediaStorage.deleteOlderThan(Date.now() - MEDIA_RETENTION);
+  if (removed > 0) {
+    log.info({ removed, retentionHours: MEDIA_RETENTION / 3600000 }, 'Expired media deleted');
+  }
+  return removed;
+}
+
+/**
+ * Read a stored object
+ * @param {string} salonId - Salon identifier (as it appears in the URL)
+ * @param {string} fileName - Stored file name
+ * @returns {Promise<{buffer: Buffer, metadata: object}|null>}
+ */
+export async function readInboundMedia(salonId, fileName) {
+  if (sanitize(salonId) !== salonId || !/^[A-Za-z0-9_-]+\.[A-Za-z0-9]+$/.test(fileName)) {
+    return null;
+  }
+  return getMediaStorage().get(`${salonId}/${fileName}`);
+}
+
+if (!process.env.MEDIA_URL_SECRET) {
+  log.warn('MEDIA_URL_SECRET not configured - media links sent before a restart will return 403');
+}
+
+setInterval(() => {
+  pruneInboundMedia().catch(error => log.error({ error: error.message }, 'Media pruning error'));
+}, PRUNE_INTERVAL).unref();
+
+export default {
+  getMediaStorage,
+  getMaxMediaBytes,
+  createSignedMediaUrl,
+  verifySignedMediaUrl,
+  describeBaileysMedia,
+  storeInboundMedia,
+  pruneInboundMedia,
+  readInboundMedia
+};
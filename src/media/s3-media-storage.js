@@ -0,0 +1,145 @@
+/**
+ * S3 Media Storage - Stores inbound media in an S3-compatible bucket
+ * (AWS S3, MinIO, Cloudflare R2, Supabase Storage S3 endpoint, ...)
+ *
+ * Requests are signed with AWS Signature V4 and use path-style URLs,
+ * which every S3-compatible service accepts.
+ */
+
+import crypto from 'crypto';
+import axios from 'axios';
+
+function sha256Hex(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function hmac(key, data) {
+  return crypto.createHmac('sha256', key).update(data).digest();
+}
+
+function encodeKey(key) {
+  return key.split('/').map(encodeURIComponent).join('/');
+}
+
+export class S3MediaStorage {
+  constructor(config = {}) {
+    this.endpoint = (config.endpoint || process.env.MEDIA_S3_ENDPOINT || '').replace(/\/$/, '');
+    this.bucket = config.bucket || process.env.MEDIA_S3_BUCKET;
+    this.region = config.region || process.env.MEDIA_S3_REGION || 'us-east-1';
+    this.accessKeyId = config.accessKeyId || process.env.MEDIA_S3_ACCESS_KEY_ID;
+    this.secretAccessKey = config.secretAccessKey || process.env.MEDIA_S3_SECRET_ACCESS_KEY;
+
+    if (!this.endpoint) {
+      this.endpoint = `https://s3.${this.region}.amazonaws.com`;
+    }
+
+    if (!this.bucket || !this.accessKeyId || !this.secretAccessKey) {
+      throw new Error('S3 media storage not configured (MEDIA_S3_BUCKET, MEDIA_S3_ACCESS_KEY_ID, MEDIA_S3_SECRET_ACCESS_KEY)');
+    }
+  }
+
+  getName() {
+    return 's3';
+  }
+
+  /**
+   * Build a Signature V4 signed request
+   * @param {string} method - HTTP method
+   * @param {string} key - Object key
+   * @param {object} options - { body, headers }
+   * @returns {{url: string, headers: object}}
+   */
+  signRequest(method, key, { body = '', headers = {} } = {}) {
+    const url = new URL(`${this.endpoint}/${this.bucket}/${encodeKey(key)}`);
+    const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+    const dateStamp = amzDate.slice(0, 8);
+    const payloadHash = sha256Hex(body);
+
+    const allHeaders = {
+      host: url.host,
+      'x-amz-content-sha256': payloadHash,
+      'x-amz-date': amzDate
+    };
+    for (const [name, value] of Object.entries(headers)) {
+      allHeaders[name.toLowerCase()] = String(value).trim();
+    }
+
+    const headerNames = Object.keys(allHeaders).sort();
+    const canonicalHeaders = headerNames.map(name => `${name}:${allHeaders[name]}\n`).join('');
+    const signedHeaders = headerNames.join(';');
+
+    const canonicalRequest = [
+      method,
+      url.pathname,
+      '',
+      canonicalHeaders,
+      signedHeaders,
+      payloadHash
+    ].join('\n');
+
+    const scope = `${dateStamp}/${this.region}/s3/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+
+    const signingKey = ['s3', 'aws4_request'].reduce(
+      (key, part) => hmac(key, part),
+      hmac(hmac(`AWS4${this.secretAccessKey}`, dateStamp), this.region)
+    );
+    const signature = hmac(signingKey, stringToSign).toString('hex');
+
+    delete allHeaders.host;
+    allHeaders.authorization =
+      `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`;
+
+    return { url: url.toString(), headers: allHeaders };
+  }
+
+  async put(key, buffer, metadata = {}) {
+    const headers = {
+      'content-type': metadata.mimeType || 'application/octet-stream',
+      'x-amz-meta-sha256': metadata.sha256 || ''
+    };
+    if (metadata.fileName) {
+      headers['x-amz-meta-filename'] = encodeURIComponent(metadata.fileName);
+    }
+
+    const request = this.signRequest('PUT', key, { body: buffer, headers });
+    await axios.put(request.url, buffer, {
+      headers: request.headers,
+      timeout: 30000,
+      maxBodyLength: Infinity
+    });
+  }
+
+  async get(key) {
+    const request = this.signRequest('GET', key);
+
+    try {
+      const response = await axios.get(request.url, {
+        headers: request.headers,
+        responseType: 'arraybuffer',
+        timeout: 30000
+      });
+
+      const fileName = response.headers['x-amz-meta-filename'];
+      return {
+        buffer: Buffer.from(response.data),
+        metadata: {
+          mimeType: response.headers['content-type'],
+          size: parseInt(response.headers['content-length']),
+          sha256: response.headers['x-amz-meta-sha256'] || null,
+          fileName: fileName ? decodeURIComponent(fileName) : null
+        }
+      };
+    } catch (error) {
+      if (error.response?.status === 404) return null;
+      throw error;
+    }
+  }
+
+  async delete(key) {
+    const request = this.signRequest('DELETE', key);
+    await axios.delete(request.url, { headers: request.headers, timeout: 30000 });
+  }
+}
+
+export default S3MediaStorage;
@@ -0,0 +1,213 @@
+/**
+ * Message Status - Delivery/read receipts as unified `message.status` events
+ *
+ * Both providers report receipts for outbound messages in their own format
+ * (Baileys numeric WebMessageInfo.Status, Cloud API status strings). They
+ * are normalized here to:
+ *   { provider, messageId, status, timestamp, recipient, errorCode, errorReason }
+ * with status one of 'sent' | 'delivered' | 'read' | 'failed', then
+ * forwarded to the webhook and reported to Supabase (whatsapp-mark-sent).
+ *
+ * whatsapp-mark-sent contract - two payloads, told apart by `type`:
+ *   send outcome (session managers, no type), rows looked up by their Supabase IDs:
+ *     { messageIds, status: 'sent' | 'failed', whatsappMessageId?, errorMessage? }
+ *   receipt (this module), row looked up by salonId + whatsappMessageId
+ *   (the ID stored by the send outcome) and its delivery status updated:
+ *     { type: 'message.status', salonId, whatsappMessageId,
+ *       status: 'sent' | 'delivered' | 'read' | 'failed', statusTimestamp,
+ *       errorCode?, errorMessage? }
+ *   A receipt matching no row (message not sent through Supabase) is ignored.
+ */
+
+import axios from 'axios';
+import { postSignedWebhook } from './webhook-signer.js';
+import { getSalonLogger } from './logger.js';
+
+const WEBHOOK_URL = process.env.WEBHOOK_URL;
+const SUPABASE_URL = process.env.SUPABASE_URL;
+const SUPABASE_ANON_KEY = process.env.SUPABASE_ANON_KEY;
+
+// proto.WebMessageInfo.Status
+const BAILEYS_STATUS = {
+  0: 'failed',    // ERROR
+  2: 'sent',      // SERVER_ACK
+  3: 'delivered', // DELIVERY_ACK
+  4: 'read',      // READ
+  5: 'read'       // PLAYED (voice note listened)
+};
+
+const CLOUD_API_STATUSES = ['sent', 'delivered', 'read', 'failed'];
+
+function toUnixSeconds(value) {
+  if (value == null) return Math.floor(Date.now() / 1000);
+  return Number(value);
+}
+
+// ═══════════════════════════════════════════
+// NORMALIZATION
+// ═══════════════════════════════════════════
+
+/**
+ * Normalize a Baileys `messages.update` entry
+ * @param {object} entry - { key, update }
+ * @returns {object|null} Status event, or null if not a receipt of ours
+ */
+export function normalizeBaileysUpdate({ key, update }) {
+  if (!key?.fromMe || update?.status == null) return null;
+
+  const status = BAILEYS_STATUS[update.status];
+  if (!status) return null; // PENDING: not yet on the server
+
+  return {
+    provider: 'baileys',
+    messageId: key.id,
+    status,
+    timestamp: toUnixSeconds(null),
+    recipient: key.remoteJid || null,
+    errorCode: status === 'failed' ? 'BAILEYS_ERROR' : null,
+    errorReason: status === 'failed' ? 'WhatsApp reported a delivery error' : null
+  };
+}
+
+/**
+ * Normalize a Baileys `message-receipt.update` entry (groups / per recipient)
+ * @param {object} entry - { key, receipt }
+ * @returns {object|null}
+ */
+export function normalizeBaileysReceipt({ key, receipt }) {
+  if (!key?.fromMe || !receipt) return null;
+
+  let status = null;
+  let timestamp = null;
+
+  if (receipt.playedTimestamp || receipt.readTimestamp) {
+    status = 'read';
+    timestamp = receipt.playedTimestamp || receipt.readTimestamp;
+  } else if (receipt.receiptTimestamp) {
+    status = 'delivered';
+    timestamp = receipt.receiptTimestamp;
+  }
+
+  if (!status) return null;
+
+  return {
+    provider: 'baileys',
+    messageId: key.id,
+    status,
+    timestamp: toUnixSeconds(timestamp),
+    recipient: receipt.userJid || key.remoteJid || null,
+    errorCode: null,
+    errorReason: null
+  };
+}
+
+/**
+ * Normalize a Cloud API `statuses[]` webhook entry
+ * @param {object} status - Cloud API status object
+ * @returns {object|null}
+ */
+export function normalizeCloudApiStatus(status) {
+  if (!status?.id || !CLOUD_API_STATUSES.includes(status.status)) return null;
+
+  const error = status.errors?.[0];
+
+  return {
+    provider: 'cloud_api',
+    messageId: status.id,
+    status: status.status,
+    timestamp: toUnixSeconds(status.timestamp),
+    recipient: status.recipient_id || null,
+    errorCode: error?.code || null,
+    errorReason: error ? (error.error_data?.details || error.message || error.title) : null
+  };
+}
+
+// ═══════════════════════════════════════════
+// DISPATCH
+// ═══════════════════════════════════════════
+
+/**
+ * Build the `message.status` webhook payload
+ * @param {string} salonId - Salon identifier
+ * @param {object} event - Normalized status event
+ * @returns {object}
+ */
+export function buildStatusPayload(salonId, event) {
+  return {
+    type: 'message.status',
+    salonId,
+    provider: event.provider,
+    whatsappMessageId: event.messageId,
+    status: event.status,
+    timestamp: event.timestamp,
+    recipient: event.recipient,
+    errorCode: event.errorCode,
+    errorReason: event.errorReason
+  };
+}
+
+// Receipt payload of whatsapp-mark-sent (see the contract above)
+export function buildSupabaseStatusPayload(salonId, event) {
+  const payload = {
+    type: 'message.status',
+    salonId,
+    whatsappMessageId: event.messageId,
+    status: event.status,
+    statusTimestamp: event.timestamp
+  };
+  if (event.errorCode) payload.errorCode = event.errorCode;
+  if (event.errorReason) payload.errorMessage = event.errorReason;
+  return payload;
+}
+
+async function reportStatusToSupabase(salonId, event) {
+  if (!SUPABASE_URL || !SUPABASE_ANON_KEY) return;
+
+  const payload = buildSupabaseStatusPayload(salonId, event);
+
+  await axios.post(
+    `${SUPABASE_URL}/functions/v1/whatsapp-mark-sent`,
+    payload,
+    {
+      headers: {
+        'Authorization': `Bearer ${SUPABASE_ANON_KEY}`,
+        'Content-Type': 'application/json'
+      },
+      timeout: 10000
+    }
+  );
+}
+
+/**
+ * Forward a status event to the webhook and Supabase (best effort, not queued)
+ * @param {string} salonId - Salon identifier
+ * @param {object} event - Normalized status event
+ */
+export async function dispatchMessageStatus(salonId, event) {
+  if (!event) return;
+
+  const log = getSalonLogger(salonId);
+  log.debug({ messageId: event.messageId, status: event.status }, 'Message status');
+
+  const results = await Promise.allSettled([
+    WEBHOOK_URL ? postSignedWebhook(WEBHOOK_URL, buildStatusPayload(salonId, event), { timeout: 10000 }) : null,
+    reportStatusToSupabase(salonId, event)
+  ]);
+
+  const [webhookResult, supabaseResult] = results;
+  if (webhookResult.status === 'rejected') {
+    log.error({ messageId: event.messageId, error: webhookResult.reason.message }, 'Status webhook error');
+  }
+  if (supabaseResult.status === 'rejected') {
+    log.error({ messageId: event.messageId, error: supabaseResult.reason.message }, 'Status mark-sent error');
+  }
+}
+
+export default {
+  normalizeBaileysUpdate,
+  normalizeBaileysReceipt,
+  normalizeCloudApiStatus,
+  buildStatusPayload,
+  buildSupabaseStatusPayload,
+  dispatchMessageStatus
+};
@@ -0,0 +1,276 @@
+/**
+ * Metrics - Prometheus text exposition (format 0.0.4), no client library
+ *
+ * Counters and histograms are updated where things happen (providers,
+ * session managers, webhook delivery, transcription). Gauges describing
+ * current state (sessions, queue, WebSocket clients) take a collect()
+ * callback evaluated at scrape time. Everything is exposed on GET /metrics.
+ *
+ * Label values come from our own code (salon IDs, provider names, message
+ * types), never from message content, to keep cardinality bounded.
+ */
+
+import { createLogger } from './logger.js';
+
+const log = createLogger('metrics');
+
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+const metrics = new Map(); // name -> metric
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) return '';
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  return String(value);
+}
+
+class Metric {
+  /**
+   * @param {object} options
+   * @param {string} options.name - Metric name
+   * @param {string} options.help - HELP text
+   * @param {string[]} [options.labelNames] - Allowed labels (missing ones are exported empty)
+   */
+  constructor({ name, help, labelNames = [] }) {
+    if (metrics.has(name)) {
+      throw new Error(`Metric ${name} already registered`);
+    }
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.values = new Map(); // label key -> { labels, value }
+    metrics.set(name, this);
+  }
+
+  normalizeLabels(labels = {}) {
+    return Object.fromEntries(this.labelNames.map(key => [key, labels[key] ?? '']));
+  }
+
+  entry(labels) {
+    const normalized = this.normalizeLabels(labels);
+    const key = JSON.stringify(normalized);
+    if (!this.values.has(key)) {
+      this.values.set(key, { labels: normalized, value: 0 });
+    }
+    return this.values.get(key);
+  }
+
+  header() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+  }
+
+  async render() {
+    const lines = this.header();
+    for (const { labels, value } of this.values.values()) {
+      lines.push(`${this.name}${formatLabels(labels)} ${formatValue(value)}`);
+    }
+    return lines;
+  }
+}
+
+export class Counter extends Metric {
+  constructor(options) {
+    super(options);
+    this.type = 'counter';
+  }
+
+  inc(labels = {}, value = 1) {
+    this.entry(labels).value += value;
+  }
+}
+
+export class Gauge extends Metric {
+  /**
+   * @param {object} options - Metric options, plus:
+   * @param {function(Gauge): (void|Promise<void>)} [options.collect] - Refreshes values at scrape time
+   */
+  constructor(options) {
+    super(options);
+    this.type = 'gauge';
+    this.collect = options.collect || null;
+  }
+
+  set(labels = {}, value) {
+    this.entry(labels).value = value;
+  }
+
+  inc(labels = {}, value = 1) {
+    this.entry(labels).value += value;
+  }
+
+  dec(labels = {}, value = 1) {
+    this.entry(labels).value -= value;
+  }
+
+  reset() {
+    this.values.clear();
+  }
+
+  async render() {
+    if (this.collect) {
+      try {
+        await this.collect(this);
+      } catch (error) {
+        log.error({ metric: this.name, error: error.message }, 'Metrics collect error');
+      }
+    }
+    return super.render();
+  }
+}
+
+export class Histogram extends Metric {
+  /**
+   * @param {object} options - Metric options, plus:
+   * @param {number[]} [options.buckets] - Upper bounds, ascending (seconds)
+   */
+  constructor(options) {
+    super(options);
+    this.type = 'histogram';
+    this.buckets = options.buckets || DEFAULT_BUCKETS;
+  }
+
+  entry(labels) {
+    const normalized = this.normalizeLabels(labels);
+    const key = JSON.stringify(normalized);
+    if (!this.values.has(key)) {
+      this.values.set(key, { labels: normalized, counts: this.buckets.map(() => 0), sum: 0, count: 0 });
+    }
+    return this.values.get(key);
+  }
+
+  observe(labels = {}, value) {
+    const entry = this.entry(labels);
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) entry.counts[i]++;
+    });
+    entry.sum += value;
+    entry.count++;
+  }
+
+  /**
+   * Start a timer
+   * @param {object} [labels] - Labels known upfront
+   * @returns {function(object=): number} Stops the timer (extra labels allowed), returns seconds
+   */
+  startTimer(labels = {}) {
+    const startedAt = process.hrtime.bigint();
+    return (extraLabels = {}) => {
+      const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+      this.observe({ ...labels, ...extraLabels }, seconds);
+      return seconds;
+    };
+  }
+
+  async render() {
+    const lines = this.header();
+    for (const { labels, counts, sum, count } of this.values.values()) {
+      this.buckets.forEach((bound, i) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${counts[i]}`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${sum}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    }
+    return lines;
+  }
+}
+
+/**
+ * Render every registered metric
+ * @returns {Promise<string>} Prometheus text format
+ */
+export async function renderMetrics() {
+  const lines = [];
+  for (const metric of metrics.values()) {
+    lines.push(...await metric.render());
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+export const METRICS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+// ═══════════════════════════════════════════
+// APPLICATION METRICS
+// ═══════════════════════════════════════════
+
+export const messagesSent = new Counter({
+  name: 'whatsapp_messages_sent_total',
+  help: 'Outgoing messages by salon, provider, type and outcome (success, failure)',
+  labelNames: ['salon_id', 'provider', 'type', 'outcome']
+});
+
+export const messagesReceived = new Counter({
+  name: 'whatsapp_messages_received_total',
+  help: 'Incoming messages by salon, provider and type',
+  labelNames: ['salon_id', 'provider', 'type']
+});
+
+export const sendDuration = new Histogram({
+  name: 'whatsapp_message_send_duration_seconds',
+  help: 'Time to send one message through a provider',
+  labelNames: ['provider', 'type', 'outcome']
+});
+
+export const webhookDeliveries = new Counter({
+  name: 'whatsapp_webhook_deliveries_total',
+  help: 'Inbound message webhook deliveries by outcome (delivered, rejected, failed) and source (live, retry)',
+  labelNames: ['outcome', 'source']
+});
+
+export const sessionReconnects = new Counter({
+  name: 'whatsapp_session_reconnects_total',
+  help: 'Sessions entering the reconnecting state',
+  labelNames: ['salon_id']
+});
+
+export const providerFallbacks = new Counter({
+  name: 'whatsapp_provider_fallbacks_total',
+  help: 'Sends moved to the next provider (hybrid mode), by provider given up and reason',
+  labelNames: ['salon_id', 'provider', 'reason']
+});
+
+export const transcriptionDuration = new Histogram({
+  name: 'whatsapp_transcription_duration_seconds',
+  help: 'Voice note transcription time by backend and outcome',
+  labelNames: ['backend', 'outcome'],
+  buckets: [0.5, 1, 2, 5, 10, 20, 30, 60, 120]
+});
+
+export const inboundDuplicates = new Counter({
+  name: 'whatsapp_inbound_duplicates_total',
+  help: 'Incoming messages dropped as duplicates (re-emitted by Baileys, retried by Meta) before the webhook',
+  labelNames: ['salon_id', 'provider']
+});
+
+export const idempotentRequests = new Counter({
+  name: 'whatsapp_idempotent_requests_total',
+  help: 'Send requests carrying an Idempotency-Key, by outcome (new, replayed, in_use, mismatch)',
+  labelNames: ['outcome']
+});
+
+export default {
+  Counter,
+  Gauge,
+  Histogram,
+  renderMetrics,
+  METRICS_CONTENT_TYPE,
+  messagesSent,
+  messagesReceived,
+  sendDuration,
+  webhookDeliveries,
+  sessionReconnects,
+  providerFallbacks,
+  transcriptionDuration,
+  inboundDuplicates,
+  idempotentRequests
+};
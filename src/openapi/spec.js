@@ -0,0 +1,1267 @@
+/**
+ * OpenAPI Document - Single source of truth for the HTTP and WebSocket API
+ *
+ * Served as GET /openapi.json (interactive docs on GET /docs) and used by
+ * validator.js to check every request, so a route change starts here.
+ * Clients are generated from it: keep operationIds stable.
+ *
+ *   paths                 REST routes (index.js and src/routes/)
+ *   webhooks              Payloads this server POSTs to WEBHOOK_URL
+ *   x-websocket           /ws protocol: WsClientMessage in, WsServerMessage out
+ *   components.schemas    Shared shapes, including the Error response
+ */
+
+import { SESSION_STATES } from '../session-lifecycle.js';
+import { DESIRED_STATES } from '../session-registry.js';
+import { LOG_LEVELS } from '../logger.js';
+import { ERROR_STATUS } from '../http-errors.js';
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const json = (schema) => ({ 'application/json': { schema } });
+const ok = (description, schema) => ({ description, content: json(schema) });
+const body = (schema, required = true) => ({ required, content: json(schema) });
+const error = (name) => ({ $ref: `#/components/responses/${name}` });
+const nullable = (schema) => (schema.$ref
+  ? { anyOf: [schema, { type: 'null' }] }
+  : { ...schema, type: [schema.type, 'null'] });
+
+const SALON_ID = { name: 'salonId', in: 'path', required: true, description: 'Salon identifier', schema: ref('SalonId') };
+
+const IDEMPOTENCY_KEY = {
+  name: 'Idempotency-Key',
+  in: 'header',
+  description: 'Retrying with the same key returns the original response instead of sending again ' +
+    '(kept IDEMPOTENCY_WINDOW_HOURS, 24h by default, per salon)',
+  schema: { type: 'string', minLength: 1, maxLength: 255, pattern: '^[\\x21-\\x7e]+$' }
+};
+
+const PUBLIC = [];
+const SALON_ERRORS = { 401: error('Unauthorized'), 403: error('Forbidden') };
+const ADMIN_ERRORS = { 401: error('Unauthorized'), 403: error('Forbidden') };
+
+// Filters shared by dead-letter listing, replay and purge
+const DEAD_LETTER_FILTERS = [
+  { name: 'salonId', in: 'query', schema: ref('SalonId') },
+  { name: 'from', in: 'query', description: 'ISO date or unix milliseconds (deadLetteredAt >= from)', schema: { type: 'string' } },
+  { name: 'to', in: 'query', description: 'ISO date or unix milliseconds (deadLetteredAt <= to)', schema: { type: 'string' } }
+];
+
+// ═══════════════════════════════════════════
+// SCHEMAS
+// ═══════════════════════════════════════════
+
+const schemas = {
+  Error: {
+    type: 'object',
+    required: ['code', 'message'],
+    properties: {
+      code: { type: 'string', enum: Object.keys(ERROR_STATUS) },
+      message: { type: 'string' },
+      field: { type: 'string', description: "Offending input, e.g. 'body.phone' or 'query.limit'" },
+      details: {
+        type: 'array',
+        description: 'Every validation problem found (validation_error)',
+        items: {
+          type: 'object',
+          required: ['field', 'message'],
+          properties: { field: { type: 'string' }, message: { type: 'string' } }
+        }
+      },
+      error: { type: 'string', deprecated: true, description: 'Same as message (former error format)' }
+    }
+  },
+
+  SalonId: { type: 'string', minLength: 1, maxLength: 128 },
+  Phone: {
+    type: 'string',
+    minLength: 1,
+    maxLength: 64,
+    description: 'International number (+33612345678), or the LID when isLid is true'
+  },
+  SessionStatus: { type: 'string', enum: SESSION_STATES },
+  ProviderName: { type: 'string', enum: ['cloud_api', 'baileys'] },
+
+  ProviderStatus: {
+    type: 'object',
+    properties: {
+      status: { type: 'string' },
+      isHealthy: { type: 'boolean' },
+      healthMetrics: { type: 'object' }
+    }
+  },
+
+  Session: {
+    type: 'object',
+    required: ['salonId', 'status'],
+    properties: {
+      salonId: ref('SalonId'),
+      status: { type: 'string', enum: [...SESSION_STATES, 'not_found'] },
+      phoneNumber: nullable({ type: 'string' }),
+      connectedAt: nullable({ type: 'string', format: 'date-time' }),
+      qrCode: nullable({ type: 'string', description: 'QR code as a PNG data URL (qr_ready)' }),
+      pairingCode: nullable({ type: 'string', description: '8-character pairing code (pairing_code_ready)' }),
+      activeProvider: ref('ProviderName'),
+      providerStatuses: { type: 'object', additionalProperties: ref('ProviderStatus') }
+    }
+  },
+
+  SessionSummary: {
+    type: 'object',
+    required: ['salonId', 'status'],
+    properties: {
+      salonId: ref('SalonId'),
+      status: ref('SessionStatus'),
+      phoneNumber: nullable({ type: 'string' }),
+      pairingCode: nullable({ type: 'string' }),
+      connectedAt: nullable({ type: 'string', format: 'date-time' }),
+      activeProvider: nullable(ref('ProviderName')),
+      providerStatuses: { type: 'object', additionalProperties: ref('ProviderStatus') }
+    }
+  },
+
+  SessionEvent: {
+    type: 'object',
+    required: ['at', 'from', 'to'],
+    properties: {
+      at: { type: 'string', format: 'date-time' },
+      from: ref('SessionStatus'),
+      to: ref('SessionStatus'),
+      reason: { type: 'string' },
+      error: { type: 'string' },
+      attempt: { type: 'integer' },
+      maxAttempts: { type: 'integer' },
+      nextRetryIn: { type: 'integer', description: 'Milliseconds' },
+      provider: ref('ProviderName')
+    }
+  },
+
+  SessionEvents: {
+    type: 'object',
+    required: ['salonId', 'state', 'events'],
+    properties: {
+      salonId: ref('SalonId'),
+      state: ref('SessionStatus'),
+      enteredAt: { type: 'string', format: 'date-time' },
+      timeoutAt: nullable({ type: 'string', format: 'date-time' }),
+      events: { type: 'array', items: ref('SessionEvent') }
+    }
+  },
+
+  ConnectRequest: {
+    type: 'object',
+    properties: {
+      method: { type: 'string', enum: ['qr', 'pairing_code'], default: 'qr' },
+      phoneNumber: { type: 'string', description: 'Required for pairing_code: the phone to link, international format' }
+    }
+  },
+
+  SessionActionResult: {
+    type: 'object',
+    required: ['salonId', 'success'],
+    properties: {
+      salonId: ref('SalonId'),
+      success: { type: 'boolean' },
+      status: { type: 'string' }
+    }
+  },
+
+  SendRequest: {
+    type: 'object',
+    required: ['phone', 'message'],
+    properties: {
+      phone: ref('Phone'),
+      message: { type: 'string', minLength: 1, maxLength: 4096 },
+      isLid: { type: 'boolean', default: false },
+      lidId: { type: 'string' }
+    }
+  },
+
+  SendMediaRequest: {
+    type: 'object',
+    required: ['phone', 'type'],
+    properties: {
+      phone: ref('Phone'),
+      type: { type: 'string', enum: ['image', 'video', 'audio', 'document', 'sticker'] },
+      url: { type: 'string', format: 'uri' },
+      base64: { type: 'string', minLength: 1 },
+      caption: { type: 'string', maxLength: 1024 },
+      fileName: { type: 'string', maxLength: 255 },
+      mimetype: { type: 'string' },
+      ptt: { type: 'boolean', description: 'Send audio as a voice note' },
+      isLid: { type: 'boolean', default: false },
+      lidId: { type: 'string' }
+    },
+    anyOf: [{ required: ['url'] }, { required: ['base64'] }],
+    'x-anyOf-message': 'requires url or base64'
+  },
+
+  SendTemplateRequest: {
+    type: 'object',
+    required: ['phone', 'templateName'],
+    properties: {
+      phone: ref('Phone'),
+      templateName: { type: 'string', minLength: 1, maxLength: 512 },
+      params: { type: 'array', items: { type: 'string' }, default: [] },
+      language: { type: 'string', default: 'fr' }
+    }
+  },
+
+  SendResult: {
+    type: 'object',
+    required: ['success'],
+    properties: {
+      success: { type: 'boolean', const: true },
+      messageId: nullable({ type: 'string' }),
+      provider: ref('ProviderName'),
+      type: { type: 'string', description: 'Media type (send-media)' },
+      templateName: { type: 'string', description: 'send-template' }
+    }
+  },
+
+  TranscriptionSettings: {
+    type: 'object',
+    required: ['salonId', 'backend', 'language'],
+    properties: {
+      salonId: ref('SalonId'),
+      backend: { type: 'string' },
+      language: nullable({ type: 'string', description: "ISO 639-1 code, or 'auto'" })
+    }
+  },
+
+  TranscriptionUpdate: {
+    type: 'object',
+    required: ['language'],
+    properties: {
+      language: {
+        type: ['string', 'null'],
+        pattern: '^([a-z]{2,3}|auto)$',
+        description: "ISO 639-1 code, 'auto' (detect), or null (server default)"
+      }
+    }
+  },
+
+  ApiKey: {
+    type: 'object',
+    required: ['id', 'name', 'role', 'salonIds', 'createdAt'],
+    properties: {
+      id: { type: 'string' },
+      name: { type: 'string' },
+      role: { type: 'string', enum: ['admin', 'salon'] },
+      salonIds: { type: 'array', items: ref('SalonId') },
+      createdAt: { type: 'string', format: 'date-time' },
+      rotatedAt: nullable({ type: 'string', format: 'date-time' }),
+      expiresAt: nullable({ type: 'string', format: 'date-time' }),
+      revokedAt: nullable({ type: 'string', format: 'date-time' }),
+      previousKeyExpiresAt: nullable({ type: 'string', format: 'date-time' })
+    }
+  },
+
+  ApiKeyCreateRequest: {
+    type: 'object',
+    properties: {
+      name: { type: 'string', maxLength: 255 },
+      role: { type: 'string', enum: ['admin', 'salon'], default: 'salon' },
+      salonIds: { type: 'array', items: ref('SalonId'), description: "Required for 'salon' keys" },
+      expiresAt: nullable({ type: 'string', format: 'date-time' })
+    }
+  },
+
+  ApiKeySecret: {
+    type: 'object',
+    required: ['key', 'apiKey'],
+    properties: {
+      key: { type: 'string', description: 'Plaintext key, only returned once' },
+      apiKey: ref('ApiKey')
+    }
+  },
+
+  RegisteredSession: {
+    type: 'object',
+    required: ['salonId', 'desiredState', 'labels', 'createdAt', 'updatedAt'],
+    properties: {
+      salonId: ref('SalonId'),
+      desiredState: { type: 'string', enum: DESIRED_STATES },
+      providerConfig: nullable({ type: 'object', description: 'Provider settings (tokens are returned as ***)' }),
+      labels: { type: 'object', additionalProperties: { type: 'string', maxLength: 255 } },
+      createdAt: { type: 'string', format: 'date-time' },
+      updatedAt: { type: 'string', format: 'date-time' },
+      lastActiveAt: nullable({ type: 'string', format: 'date-time' }),
+      status: { type: 'string', description: "Current session status, or 'not_started'" },
+      outcome: { type: 'string', enum: ['started', 'stopped', 'unchanged', 'skipped', 'unregistered'] }
+    }
+  },
+
+  RegisteredSessionCreate: {
+    type: 'object',
+    required: ['salonId'],
+    properties: {
+      salonId: ref('SalonId'),
+      desiredState: { type: 'string', enum: DESIRED_STATES, default: 'running' },
+      providerConfig: nullable({ type: 'object' }),
+      labels: { type: 'object', additionalProperties: { type: 'string', maxLength: 255 } }
+    }
+  },
+
+  RegisteredSessionPatch: {
+    type: 'object',
+    properties: {
+      desiredState: { type: 'string', enum: DESIRED_STATES },
+      providerConfig: nullable({ type: 'object' }),
+      labels: { type: 'object', additionalProperties: { type: 'string', maxLength: 255 } }
+    }
+  },
+
+  DeadLetter: {
+    type: 'object',
+    required: ['messageId', 'reason', 'attempts', 'deadLetteredAt', 'message'],
+    properties: {
+      messageId: { type: 'string' },
+      salonId: ref('SalonId'),
+      reason: { type: 'string' },
+      lastError: nullable({ type: 'string' }),
+      lastStatusCode: nullable({ type: 'integer' }),
+      attempts: { type: 'integer' },
+      history: { type: 'array', items: { type: 'object' } },
+      queuedAt: nullable({ type: 'string' }),
+      deadLetteredAt: { type: 'string', format: 'date-time' },
+      replayCount: { type: 'integer' },
+      lastReplayError: { type: 'string' },
+      message: { type: 'object', description: 'Inbound message as it would be forwarded' }
+    }
+  },
+
+  ReplayRequest: {
+    type: 'object',
+    properties: {
+      messageIds: { type: 'array', items: { type: 'string' }, minItems: 1, description: 'At most DEAD_LETTER_REPLAY_BATCH_SIZE (20 by default)' },
+      salonId: ref('SalonId'),
+      from: { type: 'string' },
+      to: { type: 'string' },
+      all: { type: 'boolean', description: 'Select every dead letter (required when neither messageIds nor a filter is given)' }
+    }
+  },
+
+  ReplayResult: {
+    type: 'object',
+    required: ['messageId', 'status'],
+    properties: {
+      messageId: { type: 'string' },
+      status: { type: 'string', enum: ['delivered', 'requeued', 'failed', 'not_found'] }
+    }
+  },
+
+  LogLevel: { type: 'string', enum: LOG_LEVELS },
+
+  SalonLogLevels: {
+    type: 'object',
+    required: ['level', 'baileysLevel', 'overridden'],
+    properties: {
+      salonId: ref('SalonId'),
+      level: ref('LogLevel'),
+      baileysLevel: ref('LogLevel'),
+      overridden: { type: 'boolean' }
+    }
+  },
+
+  LogLevels: {
+    type: 'object',
+    required: ['level', 'redact', 'salons'],
+    properties: {
+      level: ref('LogLevel'),
+      redact: { type: 'boolean' },
+      salons: { type: 'object', additionalProperties: ref('SalonLogLevels') }
+    }
+  },
+
+  ReconnectProgress: {
+    type: 'object',
+    properties: {
+      phase: { type: 'string', enum: ['idle', 'running', 'done'] },
+      total: { type: 'integer' },
+      completed: { type: 'integer' },
+      inFlight: { type: 'integer' },
+      started: { type: 'integer' },
+      stopped: { type: 'integer' },
+      unchanged: { type: 'integer' },
+      skipped: { type: 'integer' },
+      connected: { type: 'integer' },
+      failed: { type: 'integer', description: 'Resumed salons settled without connecting (not waited for by readiness)' },
+      ready: { type: 'boolean' },
+      startedAt: nullable({ type: 'string', format: 'date-time' }),
+      finishedAt: nullable({ type: 'string', format: 'date-time' }),
+      readyAt: nullable({ type: 'string', format: 'date-time' }),
+      concurrency: { type: 'integer' },
+      readyFraction: { type: 'number' }
+    }
+  },
+
+  Readiness: {
+    type: 'object',
+    required: ['status', 'reasons'],
+    properties: {
+      status: { type: 'string', enum: ['ready', 'not_ready'] },
+      reasons: {
+        type: 'array',
+        items: { type: 'string' },
+        description: "shutting_down, sessions_reconnecting, dependency_down:<name>"
+      },
+      reconnect: ref('ReconnectProgress'),
+      dependencies: {
+        type: 'object',
+        additionalProperties: {
+          type: 'object',
+          properties: {
+            status: { type: 'string', enum: ['up', 'down'] },
+            critical: { type: 'boolean' },
+            latencyMs: { type: 'integer' },
+            checkedAt: { type: 'string', format: 'date-time' },
+            error: nullable({ type: 'string' }),
+            consecutiveFailures: { type: 'integer' },
+            lastFailureAt: nullable({ type: 'string', format: 'date-time' })
+          }
+        }
+      }
+    }
+  },
+
+  // ─── Outbound webhooks (POST to WEBHOOK_URL) ───
+
+  InboundMedia: {
+    type: 'object',
+    properties: {
+      id: { type: 'string' },
+      url: { type: 'string', format: 'uri', description: 'Signed, time-limited download link' },
+      expiresAt: { type: 'string', format: 'date-time' },
+      mimeType: { type: 'string' },
+      size: { type: 'integer' },
+      sha256: { type: 'string' },
+      fileName: nullable({ type: 'string' }),
+      kind: { type: 'string' }
+    }
+  },
+
+  MessageWebhook: {
+    type: 'object',
+    required: ['type', 'salonId', 'whatsappMessageId'],
+    properties: {
+      type: { type: 'string', const: 'message' },
+      salonId: ref('SalonId'),
+      phone: nullable({ type: 'string', description: 'Sender in international format (null for LID senders)' }),
+      message: { type: 'string', description: 'Text, caption, or voice note transcription' },
+      customerName: nullable({ type: 'string' }),
+      whatsappMessageId: { type: 'string' },
+      isLid: { type: 'boolean' },
+      lidId: nullable({ type: 'string' }),
+      isVoiceMessage: { type: 'boolean' },
+      voiceTranscription: nullable({ type: 'string' }),
+      voiceTranscriptionLanguage: nullable({ type: 'string' }),
+      voiceTranscriptionConfidence: nullable({ type: 'number' }),
+      voiceDurationSeconds: nullable({ type: 'number' }),
+      media: nullable(ref('InboundMedia')),
+      provider: ref('ProviderName')
+    }
+  },
+
+  MessageStatusWebhook: {
+    type: 'object',
+    required: ['type', 'salonId', 'whatsappMessageId', 'status'],
+    properties: {
+      type: { type: 'string', const: 'message.status' },
+      salonId: ref('SalonId'),
+      provider: ref('ProviderName'),
+      whatsappMessageId: { type: 'string' },
+      status: { type: 'string', enum: ['sent', 'delivered', 'read', 'failed'] },
+      timestamp: { type: 'string', format: 'date-time' },
+      recipient: nullable({ type: 'string' }),
+      errorCode: nullable({ type: ['string', 'integer'] }),
+      errorReason: nullable({ type: 'string' })
+    }
+  },
+
+  // ─── WebSocket (/ws) ───
+
+  WsAuth: {
+    type: 'object',
+    required: ['action', 'apiKey'],
+    properties: { action: { const: 'auth' }, apiKey: { type: 'string', minLength: 1 } }
+  },
+  WsSalonAction: {
+    type: 'object',
+    required: ['action', 'salonId'],
+    properties: {
+      action: { type: 'string', enum: ['subscribe', 'stop', 'resume', 'logout', 'disconnect'] },
+      salonId: ref('SalonId')
+    }
+  },
+  WsConnect: {
+    type: 'object',
+    required: ['action', 'salonId'],
+    properties: {
+      action: { const: 'connect' },
+      salonId: ref('SalonId'),
+      method: { type: 'string', enum: ['qr', 'pairing_code'], default: 'qr' },
+      phoneNumber: { type: 'string' }
+    }
+  },
+  WsPing: {
+    type: 'object',
+    required: ['action'],
+    properties: { action: { const: 'ping' } }
+  },
+  WsClientMessage: {
+    description: "Messages sent by clients. Authenticate first (header, api_key query parameter, or an 'auth' message within 10s).",
+    oneOf: [ref('WsAuth'), ref('WsSalonAction'), ref('WsConnect'), ref('WsPing')],
+    discriminator: {
+      propertyName: 'action',
+      mapping: {
+        auth: '#/components/schemas/WsAuth',
+        subscribe: '#/components/schemas/WsSalonAction',
+        connect: '#/components/schemas/WsConnect',
+        stop: '#/components/schemas/WsSalonAction',
+        resume: '#/components/schemas/WsSalonAction',
+        logout: '#/components/schemas/WsSalonAction',
+        disconnect: '#/components/schemas/WsSalonAction',
+        ping: '#/components/schemas/WsPing'
+      }
+    }
+  },
+
+  WsAuthenticated: {
+    type: 'object',
+    required: ['type', 'role'],
+    properties: { type: { const: 'authenticated' }, role: { type: 'string', enum: ['admin', 'salon'] } }
+  },
+  WsCurrentStatus: {
+    type: 'object',
+    required: ['type', 'salonId', 'status'],
+    properties: {
+      type: { const: 'current_status' },
+      salonId: ref('SalonId'),
+      status: { type: 'string', enum: [...SESSION_STATES, 'not_initialized'] },
+      phoneNumber: nullable({ type: 'string' }),
+      qrCode: nullable({ type: 'string' }),
+      pairingCode: nullable({ type: 'string' }),
+      activeProvider: ref('ProviderName')
+    }
+  },
+  WsStatusUpdate: {
+    type: 'object',
+    required: ['type', 'salonId', 'status'],
+    description: 'Session state change; extra fields depend on the state (qrCode, pairingCode, phoneNumber, reason, attempt...)',
+    properties: {
+      type: { const: 'status_update' },
+      salonId: ref('SalonId'),
+      status: ref('SessionStatus'),
+      qrCode: { type: 'string' },
+      pairingCode: { type: 'string' },
+      phoneNumber: { type: 'string' },
+      reason: { type: 'string' },
+      error: { type: 'string' },
+      attempt: { type: 'integer' },
+      maxAttempts: { type: 'integer' },
+      nextRetryIn: { type: 'integer' },
+      provider: ref('ProviderName')
+    }
+  },
+  WsReconnectProgress: {
+    allOf: [
+      { type: 'object', required: ['type'], properties: { type: { const: 'reconnect_progress' } } },
+      ref('ReconnectProgress')
+    ]
+  },
+  WsPong: {
+    type: 'object',
+    required: ['type', 'timestamp'],
+    properties: { type: { const: 'pong' }, timestamp: { type: 'integer' } }
+  },
+  WsError: {
+    type: 'object',
+    required: ['type', 'code', 'message'],
+    properties: {
+      type: { const: 'error' },
+      code: { type: 'string', enum: ['unauthorized', 'forbidden', 'invalid_json', 'validation_error', 'resume_failed'] },
+      message: { type: 'string' },
+      field: { type: 'string' },
+      salonId: ref('SalonId')
+    }
+  },
+  WsServerMessage: {
+    oneOf: [
+      ref('WsAuthenticated'),
+      ref('WsCurrentStatus'),
+      ref('WsStatusUpdate'),
+      ref('WsReconnectProgress'),
+      ref('WsPong'),
+      ref('WsError')
+    ],
+    discriminator: {
+      propertyName: 'type',
+      mapping: {
+        authenticated: '#/components/schemas/WsAuthenticated',
+        current_status: '#/components/schemas/WsCurrentStatus',
+        status_update: '#/components/schemas/WsStatusUpdate',
+        reconnect_progress: '#/components/schemas/WsReconnectProgress',
+        pong: '#/components/schemas/WsPong',
+        error: '#/components/schemas/WsError'
+      }
+    }
+  }
+};
+
+// ═══════════════════════════════════════════
+// PATHS
+// ═══════════════════════════════════════════
+
+const sent = {
+  ...ok('Sent', ref('SendResult')),
+  headers: {
+    'Idempotent-Replayed': {
+      description: "'true' when this is the stored response of an earlier request with the same Idempotency-Key",
+      schema: { type: 'string', const: 'true' }
+    }
+  }
+};
+
+const paths = {
+  // ─── Health (public) ───
+  '/health': {
+    get: {
+      operationId: 'getHealth',
+      tags: ['Health'],
+      summary: 'Server status, sessions by state, queue and memory',
+      security: PUBLIC,
+      responses: { 200: ok('Status', { type: 'object' }) }
+    }
+  },
+  '/health/live': {
+    get: {
+      operationId: 'getLiveness',
+      tags: ['Health'],
+      summary: 'Liveness: the process answers',
+      security: PUBLIC,
+      responses: {
+        200: ok('Alive', {
+          type: 'object',
+          properties: { status: { const: 'ok' }, uptime: { type: 'integer' } }
+        })
+      }
+    }
+  },
+  '/health/ready': {
+    get: {
+      operationId: 'getReadiness',
+      tags: ['Health'],
+      summary: 'Readiness: sessions reconnected and critical dependencies up',
+      security: PUBLIC,
+      responses: {
+        200: ok('Ready', ref('Readiness')),
+        503: ok('Not ready', ref('Readiness'))
+      }
+    }
+  },
+
+  // ─── Sessions ───
+  '/sessions': {
+    get: {
+      operationId: 'listSessions',
+      tags: ['Sessions'],
+      summary: 'Sessions the API key may access',
+      responses: { 200: ok('Sessions', { type: 'array', items: ref('SessionSummary') }), 401: error('Unauthorized') }
+    }
+  },
+  '/session/{salonId}': {
+    parameters: [SALON_ID],
+    get: {
+      operationId: 'getSession',
+      tags: ['Sessions'],
+      summary: "Session status, QR code or pairing code ('not_found' when none)",
+      responses: { 200: ok('Session', ref('Session')), ...SALON_ERRORS }
+    },
+    delete: {
+      operationId: 'deleteSession',
+      tags: ['Sessions'],
+      summary: 'Alias of POST /session/{salonId}/logout',
+      deprecated: true,
+      responses: { 200: ok('Logged out', ref('SessionActionResult')), ...SALON_ERRORS }
+    }
+  },
+  '/session/{salonId}/events': {
+    parameters: [SALON_ID],
+    get: {
+      operationId: 'getSessionEvents',
+      tags: ['Sessions'],
+      summary: 'State machine timeline (transitions, reasons, running timeout)',
+      responses: { 200: ok('Timeline', ref('SessionEvents')), ...SALON_ERRORS, 404: error('NotFound') }
+    }
+  },
+  '/session/{salonId}/connect': {
+    parameters: [SALON_ID],
+    post: {
+      operationId: 'connectSession',
+      tags: ['Sessions'],
+      summary: 'Start a session with a QR code (default) or an 8-character pairing code',
+      requestBody: body(ref('ConnectRequest'), false),
+      responses: {
+        200: ok('Session', ref('Session')),
+        400: error('BadRequest'),
+        ...SALON_ERRORS,
+        500: error('InternalError')
+      }
+    }
+  },
+  '/session/{salonId}/stop': {
+    parameters: [SALON_ID],
+    post: {
+      operationId: 'stopSession',
+      tags: ['Sessions'],
+      summary: 'Close the connection, the phone stays linked',
+      responses: { 200: ok('Stopped', ref('SessionActionResult')), ...SALON_ERRORS }
+    }
+  },
+  '/session/{salonId}/resume': {
+    parameters: [SALON_ID],
+    post: {
+      operationId: 'resumeSession',
+      tags: ['Sessions'],
+      summary: 'Reconnect a stopped session with its stored credentials',
+      responses: {
+        200: ok('Session', ref('Session')),
+        ...SALON_ERRORS,
+        409: error('Conflict')
+      }
+    }
+  },
+  '/session/{salonId}/logout': {
+    parameters: [SALON_ID],
+    post: {
+      operationId: 'logoutSession',
+      tags: ['Sessions'],
+      summary: 'Unlink the phone and delete the stored credentials',
+      responses: { 200: ok('Logged out', ref('SessionActionResult')), ...SALON_ERRORS }
+    }
+  },
+
+  // ─── Messages ───
+  '/session/{salonId}/send': {
+    parameters: [SALON_ID],
+    post: {
+      operationId: 'sendMessage',
+      tags: ['Messages'],
+      summary: 'Send a text message',
+      requestBody: body(ref('SendRequest')),
+      parameters: [IDEMPOTENCY_KEY],
+      responses: {
+        200: sent,
+        400: error('BadRequest'),
+        ...SALON_ERRORS,
+        409: error('IdempotencyKeyInUse'),
+        422: error('IdempotencyKeyMismatch'),
+        500: error('SendFailed')
+      }
+    }
+  },
+  '/session/{salonId}/send-media': {
+    parameters: [SALON_ID],
+    post: {
+      operationId: 'sendMedia',
+      tags: ['Messages'],
+      summary: 'Send an image, video, audio, document or sticker (by URL or base64)',
+      requestBody: body(ref('SendMediaRequest')),
+      parameters: [IDEMPOTENCY_KEY],
+      responses: {
+        200: sent,
+        400: error('BadRequest'),
+        ...SALON_ERRORS,
+        409: error('IdempotencyKeyInUse'),
+        422: error('IdempotencyKeyMismatch'),
+        500: error('SendFailed')
+      }
+    }
+  },
+  '/session/{salonId}/send-template': {
+    parameters: [SALON_ID],
+    post: {
+      operationId: 'sendTemplate',
+      tags: ['Messages'],
+      summary: 'Send an approved template (Cloud API, hybrid mode only)',
+      requestBody: body(ref('SendTemplateRequest')),
+      parameters: [IDEMPOTENCY_KEY],
+      responses: {
+        200: sent,
+        400: error('BadRequest'),
+        ...SALON_ERRORS,
+        409: error('IdempotencyKeyInUse'),
+        422: error('IdempotencyKeyMismatch'),
+        500: error('SendFailed')
+      }
+    }
+  },
+
+  // ─── Transcription ───
+  '/session/{salonId}/transcription': {
+    parameters: [SALON_ID],
+    get: {
+      operationId: 'getTranscriptionSettings',
+      tags: ['Transcription'],
+      summary: 'Voice note transcription backend and language',
+      responses: { 200: ok('Settings', ref('TranscriptionSettings')), ...SALON_ERRORS }
+    },
+    put: {
+      operationId: 'setTranscriptionLanguage',
+      tags: ['Transcription'],
+      summary: 'Set the transcription language of the salon',
+      requestBody: body(ref('TranscriptionUpdate')),
+      responses: { 200: ok('Settings', ref('TranscriptionSettings')), 400: error('BadRequest'), ...SALON_ERRORS }
+    }
+  },
+
+  // ─── Admin: API keys ───
+  '/admin/api-keys': {
+    get: {
+      operationId: 'listApiKeys',
+      tags: ['Admin: API keys'],
+      summary: 'List keys (secrets are never returned)',
+      responses: {
+        200: ok('Keys', { type: 'object', properties: { keys: { type: 'array', items: ref('ApiKey') } } }),
+        ...ADMIN_ERRORS
+      }
+    },
+    post: {
+      operationId: 'createApiKey',
+      tags: ['Admin: API keys'],
+      summary: 'Issue a key (the plaintext key is only returned here)',
+      requestBody: body(ref('ApiKeyCreateRequest'), false),
+      responses: { 201: ok('Created', ref('ApiKeySecret')), 400: error('BadRequest'), ...ADMIN_ERRORS }
+    }
+  },
+  '/admin/api-keys/{keyId}': {
+    parameters: [{ name: 'keyId', in: 'path', required: true, schema: { type: 'string' } }],
+    get: {
+      operationId: 'getApiKey',
+      tags: ['Admin: API keys'],
+      responses: { 200: ok('Key', ref('ApiKey')), ...ADMIN_ERRORS, 404: error('NotFound') }
+    },
+    delete: {
+      operationId: 'revokeApiKey',
+      tags: ['Admin: API keys'],
+      summary: 'Revoke a key immediately',
+      responses: {
+        200: ok('Revoked', { type: 'object', properties: { keyId: { type: 'string' }, success: { type: 'boolean' } } }),
+        ...ADMIN_ERRORS,
+        404: error('NotFound')
+      }
+    }
+  },
+  '/admin/api-keys/{keyId}/rotate': {
+    parameters: [{ name: 'keyId', in: 'path', required: true, schema: { type: 'string' } }],
+    post: {
+      operationId: 'rotateApiKey',
+      tags: ['Admin: API keys'],
+      summary: 'Replace the secret; the previous one keeps working for graceSeconds',
+      requestBody: body({
+        type: 'object',
+        properties: { graceSeconds: { type: 'integer', minimum: 0, default: 0 } }
+      }, false),
+      responses: { 200: ok('Rotated', ref('ApiKeySecret')), 400: error('BadRequest'), ...ADMIN_ERRORS, 404: error('NotFound') }
+    }
+  },
+
+  // ─── Admin: session registry ───
+  '/admin/sessions': {
+    get: {
+      operationId: 'listRegisteredSessions',
+      tags: ['Admin: Sessions'],
+      parameters: [
+        { name: 'desiredState', in: 'query', schema: { type: 'string', enum: DESIRED_STATES } },
+        { name: 'label', in: 'query', description: "'key' or 'key:value'", schema: { type: 'string' } }
+      ],
+      responses: {
+        200: ok('Registered sessions', {
+          type: 'object',
+          properties: { count: { type: 'integer' }, sessions: { type: 'array', items: ref('RegisteredSession') } }
+        }),
+        400: error('BadRequest'),
+        ...ADMIN_ERRORS
+      }
+    },
+    post: {
+      operationId: 'registerSession',
+      tags: ['Admin: Sessions'],
+      summary: 'Register a salon and start or stop it to match desiredState',
+      requestBody: body(ref('RegisteredSessionCreate')),
+      responses: {
+        201: ok('Registered', ref('RegisteredSession')),
+        400: error('BadRequest'),
+        ...ADMIN_ERRORS,
+        409: error('Conflict')
+      }
+    }
+  },
+  '/admin/sessions/{salonId}': {
+    parameters: [SALON_ID],
+    get: {
+      operationId: 'getRegisteredSession',
+      tags: ['Admin: Sessions'],
+      responses: { 200: ok('Registered session', ref('RegisteredSession')), ...ADMIN_ERRORS, 404: error('NotFound') }
+    },
+    patch: {
+      operationId: 'updateRegisteredSession',
+      tags: ['Admin: Sessions'],
+      summary: 'Update desiredState, providerConfig or labels (a providerConfig change restarts the session)',
+      requestBody: body(ref('RegisteredSessionPatch')),
+      responses: {
+        200: ok('Updated', ref('RegisteredSession')),
+        400: error('BadRequest'),
+        ...ADMIN_ERRORS,
+        404: error('NotFound')
+      }
+    },
+    delete: {
+      operationId: 'removeRegisteredSession',
+      tags: ['Admin: Sessions'],
+      summary: 'Stop the session and forget the salon (logout=true also unlinks the phone)',
+      parameters: [{ name: 'logout', in: 'query', schema: { type: 'boolean', default: false } }],
+      responses: { 200: ok('Removed', ref('SessionActionResult')), 400: error('BadRequest'), ...ADMIN_ERRORS, 404: error('NotFound') }
+    }
+  },
+
+  // ─── Admin: dead letters ───
+  '/admin/dead-letters': {
+    get: {
+      operationId: 'listDeadLetters',
+      tags: ['Admin: Dead letters'],
+      parameters: [...DEAD_LETTER_FILTERS, { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1 } }],
+      responses: {
+        200: ok('Dead letters, newest first', {
+          type: 'object',
+          properties: { count: { type: 'integer' }, deadLetters: { type: 'array', items: ref('DeadLetter') } }
+        }),
+        400: error('BadRequest'),
+        ...ADMIN_ERRORS
+      }
+    },
+    delete: {
+      operationId: 'purgeDeadLetters',
+      tags: ['Admin: Dead letters'],
+      summary: 'Purge matching dead letters (a filter or all=true is required)',
+      parameters: [...DEAD_LETTER_FILTERS, { name: 'all', in: 'query', description: 'Purge every dead letter', schema: { type: 'boolean' } }],
+      responses: {
+        200: ok('Purged', { type: 'object', properties: { success: { type: 'boolean' }, purged: { type: 'integer' } } }),
+        400: error('BadRequest'),
+        ...ADMIN_ERRORS
+      }
+    }
+  },
+  '/admin/dead-letters/replay': {
+    post: {
+      operationId: 'replayDeadLetters',
+      tags: ['Admin: Dead letters'],
+      summary: 'Replay dead letters by id, or one batch of those matching a filter (call again while remaining > 0)',
+      requestBody: body(ref('ReplayRequest')),
+      responses: {
+        200: ok('Results', {
+          type: 'object',
+          properties: {
+            count: { type: 'integer' },
+            results: { type: 'array', items: ref('ReplayResult') },
+            remaining: { type: 'integer', description: 'Matching dead letters left for the next call' }
+          }
+        }),
+        400: error('BadRequest'),
+        ...ADMIN_ERRORS
+      }
+    }
+  },
+  '/admin/dead-letters/{messageId}': {
+    parameters: [{ name: 'messageId', in: 'path', required: true, schema: { type: 'string' } }],
+    get: {
+      operationId: 'getDeadLetter',
+      tags: ['Admin: Dead letters'],
+      responses: { 200: ok('Dead letter', ref('DeadLetter')), ...ADMIN_ERRORS, 404: error('NotFound') }
+    },
+    delete: {
+      operationId: 'deleteDeadLetter',
+      tags: ['Admin: Dead letters'],
+      responses: {
+        200: ok('Deleted', { type: 'object', properties: { messageId: { type: 'string' }, success: { type: 'boolean' } } }),
+        ...ADMIN_ERRORS,
+        404: error('NotFound')
+      }
+    }
+  },
+  '/admin/dead-letters/{messageId}/replay': {
+    parameters: [{ name: 'messageId', in: 'path', required: true, schema: { type: 'string' } }],
+    post: {
+      operationId: 'replayDeadLetter',
+      tags: ['Admin: Dead letters'],
+      responses: { 200: ok('Result', ref('ReplayResult')), ...ADMIN_ERRORS, 404: error('NotFound') }
+    }
+  },
+
+  // ─── Admin: log levels ───
+  '/admin/log-levels': {
+    get: {
+      operationId: 'getLogLevels',
+      tags: ['Admin: Log levels'],
+      responses: { 200: ok('Levels', ref('LogLevels')), ...ADMIN_ERRORS }
+    },
+    put: {
+      operationId: 'setLogLevel',
+      tags: ['Admin: Log levels'],
+      summary: 'Change the global level (salon overrides are kept)',
+      requestBody: body({ type: 'object', required: ['level'], properties: { level: ref('LogLevel') } }),
+      responses: { 200: ok('Levels', ref('LogLevels')), 400: error('BadRequest'), ...ADMIN_ERRORS }
+    }
+  },
+  '/admin/log-levels/{salonId}': {
+    parameters: [SALON_ID],
+    get: {
+      operationId: 'getSalonLogLevel',
+      tags: ['Admin: Log levels'],
+      responses: { 200: ok('Levels', ref('SalonLogLevels')), ...ADMIN_ERRORS }
+    },
+    put: {
+      operationId: 'setSalonLogLevel',
+      tags: ['Admin: Log levels'],
+      summary: "Override the salon's level and/or Baileys' internal level (null removes an override)",
+      requestBody: body({
+        type: 'object',
+        properties: {
+          level: nullable(ref('LogLevel')),
+          baileysLevel: nullable(ref('LogLevel'))
+        },
+        anyOf: [{ required: ['level'] }, { required: ['baileysLevel'] }],
+        'x-anyOf-message': 'requires level or baileysLevel'
+      }),
+      responses: { 200: ok('Levels', ref('SalonLogLevels')), 400: error('BadRequest'), ...ADMIN_ERRORS }
+    },
+    delete: {
+      operationId: 'resetSalonLogLevel',
+      tags: ['Admin: Log levels'],
+      summary: 'Back to the global level',
+      responses: { 200: ok('Levels', ref('SalonLogLevels')), ...ADMIN_ERRORS }
+    }
+  },
+
+  // ─── Debug & operations (admin) ───
+  '/debug/queue': {
+    get: {
+      operationId: 'getQueue',
+      tags: ['Debug'],
+      summary: 'Webhook retry queue and scheduler state',
+      responses: { 200: ok('Queue', { type: 'object' }), ...ADMIN_ERRORS }
+    },
+    delete: {
+      operationId: 'clearQueue',
+      tags: ['Debug'],
+      responses: { 200: ok('Cleared', { type: 'object', properties: { success: { type: 'boolean' } } }), ...ADMIN_ERRORS }
+    }
+  },
+  '/debug/queue/process': {
+    post: {
+      operationId: 'processQueue',
+      tags: ['Debug'],
+      summary: 'Retry every queued message now (ignores backoff and the circuit breaker)',
+      responses: {
+        200: ok('Processed', { type: 'object', properties: { success: { type: 'boolean' }, remaining: { type: 'integer' } } }),
+        ...ADMIN_ERRORS
+      }
+    }
+  },
+  '/debug/queue/add-test': {
+    post: {
+      operationId: 'addTestQueueMessage',
+      tags: ['Debug'],
+      requestBody: body({ type: 'object', properties: { salonId: ref('SalonId') } }, false),
+      responses: {
+        200: ok('Queued', { type: 'object', properties: { success: { type: 'boolean' }, queueLength: { type: 'integer' } } }),
+        400: error('BadRequest'),
+        ...ADMIN_ERRORS
+      }
+    }
+  },
+  '/providers': {
+    get: {
+      operationId: 'getProviders',
+      tags: ['Debug'],
+      summary: 'Provider mode, priority and capabilities',
+      responses: { 200: ok('Providers', { type: 'object' }), ...ADMIN_ERRORS }
+    }
+  },
+  '/metrics': {
+    get: {
+      operationId: 'getMetrics',
+      tags: ['Debug'],
+      summary: 'Prometheus metrics',
+      description: 'Accepts the read-only `METRICS_TOKEN` as a Bearer token (valid on this route only) or an admin API key.',
+      responses: {
+        200: { description: 'Prometheus text format 0.0.4', content: { 'text/plain': { schema: { type: 'string' } } } },
+        ...ADMIN_ERRORS
+      }
+    }
+  },
+
+  // ─── Media (signed links, no API key) ───
+  '/media/{salonId}/{fileName}': {
+    get: {
+      operationId: 'downloadMedia',
+      tags: ['Media'],
+      summary: 'Download stored inbound media (link from a message webhook)',
+      security: PUBLIC,
+      parameters: [
+        SALON_ID,
+        { name: 'fileName', in: 'path', required: true, schema: { type: 'string' } },
+        { name: 'expires', in: 'query', required: true, schema: { type: 'integer' } },
+        { name: 'signature', in: 'query', required: true, schema: { type: 'string' } }
+      ],
+      responses: {
+        200: { description: 'Media content', content: { 'application/octet-stream': { schema: { type: 'string', format: 'binary' } } } },
+        403: error('Forbidden'),
+        404: error('NotFound'),
+        500: error('InternalError')
+      }
+    }
+  },
+
+  // ─── Cloud API webhook (Meta, hybrid mode) ───
+  '/webhook/cloud-api': {
+    get: {
+      operationId: 'verifyCloudApiWebhook',
+      tags: ['Cloud API webhook'],
+      summary: 'Subscription verification (Meta)',
+      security: PUBLIC,
+      parameters: [
+        { name: 'hub.mode', in: 'query', schema: { type: 'string' } },
+        { name: 'hub.verify_token', in: 'query', schema: { type: 'string' } },
+        { name: 'hub.challenge', in: 'query', schema: { type: 'string' } }
+      ],
+      responses: {
+        200: { description: 'Challenge echoed back', content: { 'text/plain': { schema: { type: 'string' } } } },
+        403: { description: 'Verification failed' }
+      }
+    },
+    post: {
+      operationId: 'receiveCloudApiWebhook',
+      tags: ['Cloud API webhook'],
+      summary: 'Messages and statuses from Meta (X-Hub-Signature-256 required)',
+      security: PUBLIC,
+      parameters: [{ name: 'X-Hub-Signature-256', in: 'header', required: true, schema: { type: 'string' } }],
+      requestBody: body({ type: 'object' }),
+      responses: {
+        200: { description: 'Accepted' },
+        401: { description: 'Missing or invalid signature' },
+        503: { description: 'CLOUD_API_APP_SECRET not configured' }
+      }
+    }
+  },
+
+  // ─── API documentation ───
+  '/openapi.json': {
+    get: {
+      operationId: 'getOpenApiDocument',
+      tags: ['Documentation'],
+      security: PUBLIC,
+      responses: { 200: ok('This document', { type: 'object' }) }
+    }
+  }
+};
+
+// ═══════════════════════════════════════════
+// DOCUMENT
+// ═══════════════════════════════════════════
+
+const errorResponse = (description) => ({ description, content: json(ref('Error')) });
+
+const webhookHeaders = {
+  'X-Webhook-Id': { description: 'Delivery ID, the same on every retry of one message (signed)', schema: { type: 'string' } },
+  'X-Webhook-Timestamp': { description: 'Unix seconds, part of the signed content', schema: { type: 'string' } },
+  'X-Webhook-Signature': {
+    description: 't=<timestamp>,v2=<hex HMAC-SHA256 of "<X-Webhook-Id>.<timestamp>.<raw body>"> (one v2 per active WEBHOOK_SECRET)',
+    schema: { type: 'string' }
+  },
+  traceparent: { description: 'W3C trace context when tracing is enabled', schema: { type: 'string' } }
+};
+
+export const openApiSpec = {
+  openapi: '3.1.0',
+  info: {
+    title: 'WhatsApp Baileys Multi-Sessions Server',
+    version: '1.0.0',
+    description: [
+      'REST and WebSocket API of the multi-salon WhatsApp server.',
+      '',
+      'Authenticate with `Authorization: Bearer <key>` or `X-API-Key: <key>`. Salon keys only reach',
+      'their own salons; /admin, /debug, /providers and /metrics need an admin key (/metrics also',
+      'accepts the read-only `METRICS_TOKEN`).',
+      '',
+      'Errors always have the `Error` shape: a stable `code`, a `message` and, for invalid input,',
+      'the offending `field`.',
+      '',
+      'Real-time session updates: connect to `/ws` (see `x-websocket` and the Ws* schemas).'
+    ].join('\n')
+  },
+  servers: [{ url: '/' }],
+  security: [{ bearerAuth: [] }, { apiKeyHeader: [] }],
+  tags: [
+    { name: 'Health' },
+    { name: 'Sessions' },
+    { name: 'Messages' },
+    { name: 'Transcription' },
+    { name: 'Admin: API keys' },
+    { name: 'Admin: Sessions' },
+    { name: 'Admin: Dead letters' },
+    { name: 'Admin: Log levels' },
+    { name: 'Debug' },
+    { name: 'Media' },
+    { name: 'Cloud API webhook' },
+    { name: 'Documentation' }
+  ],
+  paths,
+  webhooks: {
+    message: {
+      post: {
+        summary: 'Inbound message forwarded to WEBHOOK_URL',
+        parameters: Object.entries(webhookHeaders).map(([name, header]) => ({ name, in: 'header', ...header })),
+        requestBody: body(ref('MessageWebhook')),
+        responses: {
+          200: { description: 'Accepted (any 2xx)' },
+          400: { description: 'Rejected for good: moved to the dead-letter queue' }
+        }
+      }
+    },
+    'message.status': {
+      post: {
+        summary: 'Sent / delivered / read / failed receipt for an outgoing message',
+        parameters: Object.entries(webhookHeaders).map(([name, header]) => ({ name, in: 'header', ...header })),
+        requestBody: body(ref('MessageStatusWebhook')),
+        responses: { 200: { description: 'Accepted (any 2xx)' } }
+      }
+    }
+  },
+  'x-websocket': {
+    path: '/ws',
+    description: 'JSON messages both ways. Authenticate with a header, an api_key query parameter, or an auth message within 10 seconds.',
+    clientMessages: ref('WsClientMessage'),
+    serverMessages: ref('WsServerMessage')
+  },
+  components: {
+    securitySchemes: {
+      bearerAuth: { type: 'http', scheme: 'bearer' },
+      apiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' }
+    },
+    responses: {
+      BadRequest: errorResponse('Invalid request (validation_error, invalid_json, not_supported)'),
+      Unauthorized: errorResponse('Missing or invalid API key'),
+      Forbidden: errorResponse('API key not allowed for this salon or route'),
+      NotFound: errorResponse('Not found'),
+      Conflict: errorResponse('Conflicts with the current state'),
+      SendFailed: errorResponse('The message could not be sent (send_failed)'),
+      IdempotencyKeyInUse: errorResponse('A request with this Idempotency-Key is still running: retry later'),
+      IdempotencyKeyMismatch: errorResponse('Idempotency-Key already used for a different request'),
+      InternalError: errorResponse('Unexpected error')
+    },
+    schemas
+  }
+};
+
+export default openApiSpec;
@@ -0,0 +1,309 @@
+/**
+ * OpenAPI Validator - Check requests against the OpenAPI document
+ *
+ * Implements the JSON Schema subset the document uses: type (incl. 'integer',
+ * 'null' and type arrays), enum, const, properties / required /
+ * additionalProperties, items / minItems / maxItems, minLength / maxLength /
+ * pattern, minimum / maximum, format (date-time, uri), anyOf, oneOf (with a
+ * discriminator), allOf and local $ref ('#/components/schemas/...').
+ *
+ * Path and query parameters arrive as strings and are coerced to their
+ * schema type (integer, number, boolean) before validation.
+ */
+
+import { sendError } from '../http-errors.js';
+
+const MAX_ERRORS = 20;
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+function join(path, key) {
+  return path ? `${path}.${key}` : key;
+}
+
+/**
+ * Validate a value against a schema
+ * @param {object} spec - OpenAPI document (for $ref)
+ * @param {object} schema - Schema
+ * @param {*} value - Value to check
+ * @param {string} [path] - Location used in errors, e.g. 'body'
+ * @returns {Array<{field: string, message: string}>} Empty when valid
+ */
+export function validateSchema(spec, schema, value, path = '') {
+  const errors = [];
+  check(spec, schema, value, path, errors);
+  return errors.slice(0, MAX_ERRORS);
+}
+
+function resolve(spec, schema) {
+  if (!schema?.$ref) return schema;
+
+  const target = schema.$ref.replace(/^#\//, '').split('/').reduce((node, key) => node?.[key], spec);
+  if (!target) {
+    throw new Error(`Unresolved $ref: ${schema.$ref}`);
+  }
+  return resolve(spec, target);
+}
+
+function check(spec, rawSchema, value, path, errors) {
+  const schema = resolve(spec, rawSchema);
+  if (!schema || errors.length >= MAX_ERRORS) return;
+  const fail = (message) => errors.push({ field: path, message: `${path || 'value'} ${message}` });
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      return fail(`must be ${types.join(' or ')}`);
+    }
+  }
+
+  if (schema.const !== undefined && value !== schema.const) {
+    return fail(`must be ${JSON.stringify(schema.const)}`);
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    return fail(`must be one of: ${schema.enum.map(item => item === null ? 'null' : item).join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      fail(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      fail(`must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      fail(`must match ${schema.pattern}`);
+    }
+    if (schema.format === 'date-time' && isNaN(Date.parse(value))) {
+      fail('must be a date-time');
+    }
+    if (schema.format === 'uri' && !URL.canParse(value)) {
+      fail('must be a URL');
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) fail(`must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) fail(`must be <= ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) fail(`must have at least ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) fail(`must have at most ${schema.maxItems} items`);
+    if (schema.items) {
+      value.forEach((item, i) => check(spec, schema.items, item, `${path}[${i}]`, errors));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push({ field: join(path, key), message: `${join(path, key)} is required` });
+      }
+    }
+    for (const [key, item] of Object.entries(value)) {
+      if (item === undefined) continue;
+      if (schema.properties?.[key]) {
+        check(spec, schema.properties[key], item, join(path, key), errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ field: join(path, key), message: `${join(path, key)} is not allowed` });
+      } else if (typeof schema.additionalProperties === 'object') {
+        check(spec, schema.additionalProperties, item, join(path, key), errors);
+      }
+    }
+  }
+
+  for (const sub of schema.allOf || []) {
+    check(spec, sub, value, path, errors);
+  }
+
+  if (schema.anyOf && !schema.anyOf.some(sub => validateSchema(spec, sub, value, path).length === 0)) {
+    fail(schema['x-anyOf-message'] || 'does not match any allowed form');
+  }
+
+  if (schema.oneOf) {
+    checkOneOf(spec, schema, value, path, errors, fail);
+  }
+}
+
+function checkOneOf(spec, schema, value, path, errors, fail) {
+  const discriminator = schema.discriminator;
+  if (discriminator && typeOf(value) === 'object') {
+    const tag = value[discriminator.propertyName];
+    const target = discriminator.mapping?.[tag];
+    if (!target) {
+      const field = join(path, discriminator.propertyName);
+      const allowed = Object.keys(discriminator.mapping || {}).join(', ');
+      errors.push({ field, message: `${field} must be one of: ${allowed}` });
+      return;
+    }
+    check(spec, { $ref: target }, value, path, errors);
+    return;
+  }
+
+  const matching = schema.oneOf.filter(sub => validateSchema(spec, sub, value, path).length === 0).length;
+  if (matching !== 1) {
+    fail(matching === 0 ? 'does not match any allowed form' : 'matches more than one allowed form');
+  }
+}
+
+// ═══════════════════════════════════════════
+// REQUEST VALIDATION
+// ═══════════════════════════════════════════
+
+function coerce(value, schema) {
+  if (typeof value !== 'string' || !schema) return value;
+
+  switch (schema.type) {
+    case 'integer':
+      return /^-?\d+$/.test(value) ? Number(value) : value;
+    case 'number':
+      return value.trim() !== '' && !isNaN(Number(value)) ? Number(value) : value;
+    case 'boolean':
+      return value === 'true' ? true : value === 'false' ? false : value;
+    default:
+      return value;
+  }
+}
+
+function compilePath(template) {
+  const names = [];
+  const pattern = template.replace(/[.*+?^$()|[\]\\]/g, '\\$&').replace(/\{([^}]+)\}/g, (match, name) => {
+    names.push(name);
+    return '([^/]+)';
+  });
+  return { regex: new RegExp(`^${pattern}/?$`), names };
+}
+
+/**
+ * Operations of the document, literal paths before templated ones
+ * (so /admin/dead-letters/replay wins over /admin/dead-letters/{messageId})
+ */
+function compileOperations(spec) {
+  const operations = [];
+  for (const [template, pathItem] of Object.entries(spec.paths)) {
+    const { regex, names } = compilePath(template);
+    for (const method of ['get', 'post', 'put', 'patch', 'delete']) {
+      const operation = pathItem[method];
+      if (!operation) continue;
+      operations.push({
+        method: method.toUpperCase(),
+        template,
+        regex,
+        names,
+        operation,
+        parameters: [...(pathItem.parameters || []), ...(operation.parameters || [])].map(p => resolve(spec, p))
+      });
+    }
+  }
+  return operations.sort((a, b) => a.names.length - b.names.length);
+}
+
+/**
+ * Find the operation for a request
+ * @param {object[]} operations - From compileOperations()
+ * @param {string} method - HTTP method
+ * @param {string} path - Request path
+ * @returns {{entry: object, params: object}|null}
+ */
+function findOperation(operations, method, path) {
+  for (const entry of operations) {
+    if (entry.method !== method) continue;
+    const match = entry.regex.exec(path);
+    if (!match) continue;
+
+    const params = {};
+    entry.names.forEach((name, i) => {
+      try {
+        params[name] = decodeURIComponent(match[i + 1]);
+      } catch {
+        params[name] = match[i + 1];
+      }
+    });
+    return { entry, params };
+  }
+  return null;
+}
+
+/**
+ * Validate one request against its operation
+ * @returns {Array<{field: string, message: string}>}
+ */
+function validateRequestParts(spec, entry, { params = {}, query = {}, headers = {}, body } = {}) {
+  const errors = [];
+  const sources = { path: params, query, header: headers };
+
+  for (const parameter of entry.parameters) {
+    const source = sources[parameter.in];
+    if (!source) continue;
+
+    const key = parameter.in === 'header' ? parameter.name.toLowerCase() : parameter.name;
+    const field = `${parameter.in}.${parameter.name}`;
+    const raw = source[key];
+
+    if (raw === undefined || raw === '') {
+      if (parameter.required) errors.push({ field, message: `${field} is required` });
+      continue;
+    }
+    errors.push(...validateSchema(spec, parameter.schema, coerce(raw, resolve(spec, parameter.schema)), field));
+  }
+
+  const requestBody = resolve(spec, entry.operation.requestBody);
+  const schema = requestBody?.content?.['application/json']?.schema;
+  if (schema) {
+    const empty = body === undefined || (typeOf(body) === 'object' && Object.keys(body).length === 0);
+    if (empty && !requestBody.required) return errors;
+    errors.push(...validateSchema(spec, schema, body ?? {}, 'body'));
+  }
+
+  return errors.slice(0, MAX_ERRORS);
+}
+
+/**
+ * Express middleware validating path, query, header parameters and JSON bodies
+ * Requests that match no documented operation are passed through untouched.
+ * Invalid requests get a 400 validation_error naming the first offending field.
+ * @param {object} spec - OpenAPI document
+ * @returns {function} Middleware
+ */
+export function validateRequest(spec) {
+  const operations = compileOperations(spec);
+
+  return (req, res, next) => {
+    const found = findOperation(operations, req.method, req.path);
+    if (!found) return next();
+
+    const errors = validateRequestParts(spec, found.entry, {
+      params: found.params,
+      query: req.query,
+      headers: req.headers,
+      body: req.body
+    });
+
+    if (errors.length > 0) {
+      return sendError(res, 'validation_error', errors[0].message, {
+        field: errors[0].field,
+        details: errors
+      });
+    }
+
+    req.operationId = found.entry.operation.operationId;
+    next();
+  };
+}
+
+export default {
+  validateSchema,
+  validateRequest
+};
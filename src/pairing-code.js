@@ -0,0 +1,44 @@
+/**
+ * Pairing Code - Phone-number login as an alternative to scanning the QR code
+ *
+ * Baileys' requestPairingCode(phone) returns an 8-character code that the
+ * salon owner types in WhatsApp > Linked devices > Link with phone number.
+ * The code can only be requested once the socket is up, i.e. on the first
+ * `qr` connection update, and only for unregistered credentials.
+ */
+
+export const PAIRING_CODE_TIMEOUT_MS = parseInt(process.env.PAIRING_CODE_TIMEOUT_MS) || 30000;
+
+/**
+ * Normalize a phone number for requestPairingCode (international format, digits only)
+ * @param {string} phoneNumber - e.g. '+33 6 12 34 56 78'
+ * @returns {string} e.g. '33612345678'
+ * @throws {Error} When the number is not 8-15 digits
+ */
+export function normalizePairingPhoneNumber(phoneNumber) {
+  const digits = String(phoneNumber || '').replace(/^00/, '').replace(/\D/g, '');
+  if (digits.length < 8 || digits.length > 15) {
+    throw new Error('phoneNumber must be in international format, e.g. +33612345678');
+  }
+  return digits;
+}
+
+/**
+ * Wait for a pairing code promise with a timeout
+ * @param {Promise<string>} promise - Resolves with the code
+ * @param {number} [timeoutMs]
+ * @returns {Promise<string>}
+ */
+export function waitForPairingCode(promise, timeoutMs = PAIRING_CODE_TIMEOUT_MS) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error('Pairing code timeout')), timeoutMs);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+export default {
+  PAIRING_CODE_TIMEOUT_MS,
+  normalizePairingPhoneNumber,
+  waitForPairingCode
+};
@@ -1,52 +1,50 @@
 /**
  * Baileys Provider - WhatsApp Web implementation using Baileys library
- * Fallback provider using QR code authentication
+ * Fallback provider using QR code or pairing code authentication
  */
 
 import { BaseProvider } from './base-provider.js';
 import makeWASocket, {
-  useMultiFileAuthState,
   DisconnectReason,
   fetchLatestBaileysVersion,
   makeCacheableSignalKeyStore,
   downloadMediaMessage
 } from '@whiskeysockets/baileys';
-import pino from 'pino';
 import QRCode from 'qrcode';
-import fs from 'fs';
-import path from 'path';
-import OpenAI from 'openai';
-
-const logger = pino({ level: 'silent' });
-
-// OpenAI client for voice transcription
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-const openai = OPENAI_API_KEY ? new OpenAI({ apiKey: OPENAI_API_KEY }) : null;
-
-// Temp directory for audio files
-const TEMP_DIR = './temp';
-if (!fs.existsSync(TEMP_DIR)) {
-  fs.mkdirSync(TEMP_DIR, { recursive: true });
-}
+import { normalizeBaileysUpdate, normalizeBaileysReceipt } from '../message-status.js';
+import { describeBaileysMedia, storeInboundMedia, getMaxMediaBytes } from '../media/media-store.js';
+import { useStoreAuthState, deleteAuthState, hasAuthState } from '../auth-state/auth-state.js';
+import { processInboundOnce } from '../inbound-dedup.js';
+import {
+  isTranscriptionEnabled,
+  getTranscriptionBackendName,
+  transcribeVoiceNote
+} from '../transcription/transcription-service.js';
+import { getSalonLogger, getBaileysLogger } from '../logger.js';
+import { withSpan, setSpanAttributes } from '../tracing.js';
 
 export class BaileysProvider extends BaseProvider {
   constructor(salonId, config = {}, options = {}) {
     super(salonId, config);
 
-    this.authDir = path.join('./auth', salonId);
     this.socket = null;
     this.qrCode = null;
     this.qrCodeBase64 = null;
+    this.pairingPhoneNumber = options.pairingPhoneNumber || null; // Digits only; replaces the QR code
+    this.pairingCode = null;
     this.reconnectAttempts = 0;
     this.maxReconnectAttempts = options.maxReconnectAttempts || 5;
     this.saveCreds = null;
     this.reconnectTimer = null;
     this.eventHandlers = new Map(); // Track event handlers for cleanup
+    this.log = getSalonLogger(salonId, 'baileys');
+    this.baileysLogger = getBaileysLogger(salonId); // Silent unless enabled for this salon
 
     // Callbacks
     this.onQrCode = options.onQrCode || (() => {});
     this.onMessage = options.onMessage || (() => {});
     this.onStatusChange = options.onStatusChange || (() => {});
+    this.onMessageStatus = options.onMessageStatus || (() => {});
 
     // Connection promise resolvers
     this.connectionResolver = null;
@@ -58,28 +56,28 @@ export class BaileysProvider extends BaseProvider {
   // ═══════════════════════════════════════════
 
   async connect() {
-    // Create auth directory if needed
-    if (!fs.existsSync(this.authDir)) {
-      fs.mkdirSync(this.authDir, { recursive: true });
-    }
-
     this.setStatus('connecting');
     this.onStatusChange({ status: 'connecting' });
 
     try {
-      const { state, saveCreds } = await useMultiFileAuthState(this.authDir);
+      const { state, saveCreds } = await useStoreAuthState(this.salonId);
       this.saveCreds = saveCreds;
 
       const { version } = await fetchLatestBaileysVersion();
 
+      if (this.pairingPhoneNumber && state.creds.registered) {
+        this.log.info('Already paired, ignoring pairing code request');
+        this.pairingPhoneNumber = null;
+      }
+
       this.socket = makeWASocket({
         version,
         auth: {
           creds: state.creds,
-          keys: makeCacheableSignalKeyStore(state.keys, logger)
+          keys: makeCacheableSignalKeyStore(state.keys, this.baileysLogger)
         },
         printQRInTerminal: false,
-        logger,
+        logger: this.baileysLogger,
         generateHighQualityLinkPreview: true,
         syncFullHistory: false,
         markOnlineOnConnect: false
@@ -90,7 +88,7 @@ export class BaileysProvider extends BaseProvider {
       // Return a promise that resolves when connected or rejects on failure
       return new Promise((resolve, reject) => {
         const timeout = setTimeout(() => {
-          if (this.status !== 'connected' && this.status !== 'qr_ready') {
+          if (!['connected', 'qr_ready', 'pairing_code_ready'].includes(this.status)) {
             reject(new Error('Connection timeout'));
           }
         }, 60000);
@@ -146,6 +144,19 @@ export class BaileysProvider extends BaseProvider {
     };
     this.socket.ev.on('messages.upsert', messageHandler);
     this.eventHandlers.set('messages.upsert', messageHandler);
+
+    // Delivery / read receipts for outbound messages
+    const updateHandler = (updates) => {
+      this.handleStatusUpdates(updates, normalizeBaileysUpdate);
+    };
+    this.socket.ev.on('messages.update', updateHandler);
+    this.eventHandlers.set('messages.update', updateHandler);
+
+    const receiptHandler = (receipts) => {
+      this.handleStatusUpdates(receipts, normalizeBaileysReceipt);
+    };
+    this.socket.ev.on('message-receipt.update', receiptHandler);
+    this.eventHandlers.set('message-receipt.update', receiptHandler);
   }
 
   cleanupEventHandlers() {
@@ -174,6 +185,14 @@ export class BaileysProvider extends BaseProvider {
   async handleConnectionUpdate(update) {
     const { connection, lastDisconnect, qr } = update;
 
+    // Pairing code: requested once, on the first QR emitted by the socket
+    if (qr && this.pairingPhoneNumber) {
+      if (!this.pairingCode) {
+        await this.requestPairingCode();
+      }
+      return;
+    }
+
     // QR Code ready
     if (qr) {
       this.setStatus('qr_ready');
@@ -186,10 +205,10 @@ export class BaileysProvider extends BaseProvider {
           color: { dark: '#000000', light: '#FFFFFF' }
         });
       } catch (e) {
-        console.error(`[Baileys:${this.salonId}] QR generation error:`, e);
+        this.log.error({ err: e }, 'QR generation error');
       }
 
-      console.log(`[Baileys:${this.salonId}] QR code ready`);
+      this.log.info('QR code ready');
       this.onQrCode(this.qrCodeBase64);
       this.onStatusChange({ status: 'qr_ready', qrCode: this.qrCodeBase64 });
 
@@ -204,17 +223,18 @@ export class BaileysProvider extends BaseProvider {
     if (connection === 'close') {
       this.qrCode = null;
       this.qrCodeBase64 = null;
+      this.pairingCode = null;
 
       const statusCode = lastDisconnect?.error?.output?.statusCode;
       const reason = lastDisconnect?.error?.output?.payload?.message || 'Unknown';
 
-      console.log(`[Baileys:${this.salonId}] Disconnected - Code: ${statusCode}, Reason: ${reason}`);
+      this.log.warn({ statusCode, reason }, 'Disconnected');
 
       // Logged out
       if (statusCode === DisconnectReason.loggedOut) {
         this.setStatus('logged_out');
         this.phoneNumber = null;
-        fs.rmSync(this.authDir, { recursive: true, force: true });
+        await this.clearAuthState();
         this.onStatusChange({ status: 'logged_out' });
 
         if (this.connectionRejecter) {
@@ -226,7 +246,7 @@ export class BaileysProvider extends BaseProvider {
 
       // Bad session - clear auth and reset attempts
       if (statusCode === DisconnectReason.badSession) {
-        fs.rmSync(this.authDir, { recursive: true, force: true });
+        await this.clearAuthState();
         this.reconnectAttempts = 0;
       }
 
@@ -244,7 +264,7 @@ export class BaileysProvider extends BaseProvider {
           nextRetryIn: delay
         });
 
-        console.log(`[Baileys:${this.salonId}] Reconnecting in ${delay}ms (attempt ${this.reconnectAttempts}/${this.maxReconnectAttempts})`);
+        this.log.info({ delayMs: delay, attempt: this.reconnectAttempts, maxAttempts: this.maxReconnectAttempts }, 'Reconnecting');
 
         // Clear any existing reconnect timer
         if (this.reconnectTimer) {
@@ -254,7 +274,7 @@ export class BaileysProvider extends BaseProvider {
         this.reconnectTimer = setTimeout(() => {
           this.reconnectTimer = null;
           this.connect().catch(err => {
-            console.error(`[Baileys:${this.salonId}] Reconnect failed:`, err.message);
+            this.log.error({ error: err.message }, 'Reconnect failed');
           });
         }, delay);
       } else {
@@ -273,19 +293,18 @@ export class BaileysProvider extends BaseProvider {
       this.setStatus('connected');
       this.qrCode = null;
       this.qrCodeBase64 = null;
+      this.pairingPhoneNumber = null;
+      this.pairingCode = null;
       this.reconnectAttempts = 0;
 
       // Extract phone number
       const rawId = this.socket.user?.id || '';
       this.phoneNumber = rawId.split(':')[0].split('@')[0];
 
-      console.log(`[Baileys:${this.salonId}] Connected! Phone: ${this.phoneNumber}`);
-
-      if (openai) {
-        console.log(`[Baileys:${this.salonId}] Voice transcription: ENABLED`);
-      } else {
-        console.log(`[Baileys:${this.salonId}] Voice transcription: DISABLED`);
-      }
+      this.log.info({
+        phoneNumber: this.phoneNumber,
+        transcription: isTranscriptionEnabled() ? getTranscriptionBackendName() : 'disabled'
+      }, 'Connected');
 
       this.onStatusChange({
         status: 'connected',
@@ -303,8 +322,34 @@ export class BaileysProvider extends BaseProvider {
     }
   }
 
-  async disconnect() {
-    // Clear reconnect timer if pending
+  async requestPairingCode() {
+    try {
+      this.pairingCode = await this.socket.requestPairingCode(this.pairingPhoneNumber);
+    } catch (error) {
+      this.log.error({ error: error.message }, 'Pairing code error');
+      this.setStatus('error');
+      this.lastError = error;
+      this.onStatusChange({ status: 'error', error: error.message });
+
+      if (this.connectionRejecter) {
+        this.connectionRejecter(error);
+        this.connectionRejecter = null;
+      }
+      return;
+    }
+
+    this.setStatus('pairing_code_ready');
+    this.log.info('Pairing code ready');
+    this.onStatusChange({ status: 'pairing_code_ready', pairingCode: this.pairingCode });
+
+    if (this.connectionResolver) {
+      this.connectionResolver({ success: true, status: 'pairing_code_ready', pairingCode: this.pairingCode });
+      this.connectionResolver = null;
+    }
+  }
+
+  // Detach the socket: no more events, no automatic reconnect
+  releaseSocket() {
     if (this.reconnectTimer) {
       clearTimeout(this.reconnectTimer);
       this.reconnectTimer = null;
@@ -313,33 +358,57 @@ export class BaileysProvider extends BaseProvider {
     // Clean up event handlers to prevent memory leaks
     this.cleanupEventHandlers();
 
-    try {
-      if (this.socket) {
-        await this.socket.logout();
-      }
-    } catch (e) {
-      console.error(`[Baileys:${this.salonId}] Logout error:`, e.message);
-    }
-
-    // Clear auth directory
-    try {
-      fs.rmSync(this.authDir, { recursive: true, force: true });
-    } catch (e) {
-      console.error(`[Baileys:${this.salonId}] Auth cleanup error:`, e.message);
+    if (this.connectionRejecter) {
+      this.connectionRejecter(new Error('Session stopped'));
     }
+  }
 
-    this.setStatus('disconnected');
+  resetState(status) {
+    this.setStatus(status);
     this.socket = null;
-    this.phoneNumber = null;
     this.qrCode = null;
     this.qrCodeBase64 = null;
+    this.pairingPhoneNumber = null;
+    this.pairingCode = null;
     this.connectionResolver = null;
     this.connectionRejecter = null;
     this.reconnectAttempts = 0;
+  }
+
+  async stop() {
+    this.releaseSocket();
+
+    try {
+      this.socket?.end(undefined);
+    } catch (e) {
+      // Ignore cleanup errors
+    }
+
+    this.resetState('stopped');
+    this.onStatusChange({ status: 'stopped' });
+
+    this.log.info('Stopped (credentials kept)');
+    return { success: true };
+  }
 
-    this.onStatusChange({ status: 'disconnected' });
+  async logout() {
+    this.releaseSocket();
 
-    console.log(`[Baileys:${this.salonId}] Disconnected and cleaned up`);
+    try {
+      if (this.socket) {
+        await this.socket.logout();
+      }
+    } catch (e) {
+      this.log.error({ error: e.message }, 'Logout error');
+    }
+
+    await this.clearAuthState();
+
+    this.resetState('logged_out');
+    this.phoneNumber = null;
+    this.onStatusChange({ status: 'logged_out' });
+
+    this.log.info('Logged out and cleaned up');
     return { success: true };
   }
 
@@ -364,7 +433,7 @@ export class BaileysProvider extends BaseProvider {
 
       this.recordSuccess(Date.now() - startTime);
 
-      console.log(`[Baileys:${this.salonId}] Message sent to ${to}`);
+      this.log.info({ messageId: result?.key?.id, phone: to }, 'Message sent');
 
       return {
         success: true,
@@ -458,12 +527,30 @@ export class BaileysProvider extends BaseProvider {
       if (msg.key.fromMe) continue;
 
       try {
-        const normalized = await this.processIncomingMessage(msg);
-        if (normalized) {
-          this.onMessage(normalized);
-        }
+        // Messages re-emitted after a reconnect are dropped before media download and transcription.
+        // Root of the inbound trace: transcription and webhook delivery are child spans
+        await processInboundOnce('baileys', this.salonId, msg.key.id, () => withSpan('whatsapp.inbound', {
+          'salon.id': this.salonId,
+          provider: 'baileys',
+          'message.id': msg.key.id
+        }, async () => {
+          const normalized = await this.processIncomingMessage(msg);
+          if (normalized) {
+            setSpanAttributes({ 'message.type': normalized.type });
+            await this.onMessage(normalized);
+          }
+        }, { kind: 'consumer' }));
       } catch (error) {
-        console.error(`[Baileys:${this.salonId}] Error processing message:`, error);
+        this.log.error({ messageId: msg.key.id, err: error }, 'Error processing message');
+      }
+    }
+  }
+
+  handleStatusUpdates(entries, normalize) {
+    for (const entry of entries) {
+      const event = normalize(entry);
+      if (event) {
+        this.onMessageStatus(event);
       }
     }
   }
@@ -476,7 +563,10 @@ export class BaileysProvider extends BaseProvider {
     let messageType = 'unknown';
     let isVoiceMessage = false;
     let voiceTranscription = null;
+    let voiceTranscriptionLanguage = null;
+    let voiceTranscriptionConfidence = null;
     let voiceDurationSeconds = null;
+    let media = null;
 
     // Voice message processing
     if (msg.message?.audioMessage?.ptt) {
@@ -484,7 +574,7 @@ export class BaileysProvider extends BaseProvider {
       voiceDurationSeconds = msg.message.audioMessage.seconds || 0;
       messageType = 'voice';
 
-      console.log(`[Baileys:${this.salonId}] Voice message received (${voiceDurationSeconds}s)`);
+      this.log.info({ messageId: msg.key.id, durationSeconds: voiceDurationSeconds }, 'Voice message received');
 
       try {
         const buffer = await downloadMediaMessage(
@@ -492,24 +582,34 @@ export class BaileysProvider extends BaseProvider {
           'buffer',
           {},
           {
-            logger,
+            logger: this.baileysLogger,
             reuploadRequest: this.socket.updateMediaMessage
           }
         );
 
-        if (openai) {
-          voiceTranscription = await this.transcribeAudio(buffer, msg.key.id);
+        media = await this.storeMessageMedia(msg, buffer);
+
+        if (isTranscriptionEnabled()) {
+          const transcription = await transcribeVoiceNote(this.salonId, buffer, {
+            messageId: msg.key.id,
+            mimeType: msg.message.audioMessage.mimetype
+          });
+
+          voiceTranscription = transcription?.text || null;
+          voiceTranscriptionLanguage = transcription?.language || null;
+          voiceTranscriptionConfidence = transcription?.confidence ?? null;
           content = voiceTranscription || '[Voice message - transcription failed]';
         } else {
           content = '[Voice message - transcription not configured]';
         }
       } catch (downloadError) {
-        console.error(`[Baileys:${this.salonId}] Audio download error:`, downloadError.message);
+        this.log.error({ messageId: msg.key.id, error: downloadError.message }, 'Audio download error');
         content = '[Voice message - download error]';
       }
     } else {
       content = this.extractMessageContent(msg.message);
       messageType = this.getMessageType(msg.message);
+      media = await this.storeMessageMedia(msg);
     }
 
     return {
@@ -526,55 +626,60 @@ export class BaileysProvider extends BaseProvider {
       pushName: msg.pushName || null,
       isVoiceMessage: isVoiceMessage,
       voiceTranscription: voiceTranscription,
-      voiceDurationSeconds: voiceDurationSeconds
+      voiceTranscriptionLanguage: voiceTranscriptionLanguage,
+      voiceTranscriptionConfidence: voiceTranscriptionConfidence,
+      voiceDurationSeconds: voiceDurationSeconds,
+      media: media
     };
   }
 
-  normalizeIncomingMessage(rawMessage) {
-    // This is called with already processed message data
-    return rawMessage;
-  }
-
-  // ═══════════════════════════════════════════
-  // VOICE TRANSCRIPTION
-  // ═══════════════════════════════════════════
-
-  async transcribeAudio(audioBuffer, messageId) {
-    if (!openai) {
-      console.warn(`[Baileys:${this.salonId}] OpenAI not configured`);
+  /**
+   * Download (unless already done) and store the media of an incoming message
+   * @param {object} msg - Baileys message
+   * @param {Buffer} [buffer] - Already downloaded content (voice notes)
+   * @returns {Promise<object|null>} Media reference for the webhook
+   */
+  async storeMessageMedia(msg, buffer = null) {
+    const info = describeBaileysMedia(msg.message);
+    if (!info) return null;
+
+    if (info.fileLength > getMaxMediaBytes()) {
+      this.log.warn({ messageId: msg.key.id, size: info.fileLength, maxSize: getMaxMediaBytes() }, 'Media skipped: too large');
       return null;
     }
 
-    const tempPath = path.join(TEMP_DIR, `voice-${messageId}.ogg`);
-
     try {
-      fs.writeFileSync(tempPath, audioBuffer);
-
-      console.log(`[Baileys:${this.salonId}] Transcribing audio...`);
-
-      const transcription = await openai.audio.transcriptions.create({
-        file: fs.createReadStream(tempPath),
-        model: 'whisper-1',
-        language: 'fr'
+      const data = buffer || await downloadMediaMessage(
+        msg,
+        'buffer',
+        {},
+        {
+          logger: this.baileysLogger,
+          reuploadRequest: this.socket.updateMediaMessage
+        }
+      );
+
+      const media = await storeInboundMedia({
+        buffer: data,
+        salonId: this.salonId,
+        messageId: msg.key.id,
+        declaredMimeType: info.mimeType,
+        fileName: info.fileName
       });
 
-      console.log(`[Baileys:${this.salonId}] Transcription: "${transcription.text.substring(0, 50)}..."`);
-
-      return transcription.text;
+      this.log.info({ messageId: msg.key.id, mediaId: media.id, mimeType: media.mimeType, size: media.size }, 'Media stored');
+      return media;
     } catch (error) {
-      console.error(`[Baileys:${this.salonId}] Transcription error:`, error.message);
+      this.log.error({ messageId: msg.key.id, error: error.message }, 'Media storage error');
       return null;
-    } finally {
-      try {
-        if (fs.existsSync(tempPath)) {
-          fs.unlinkSync(tempPath);
-        }
-      } catch (e) {
-        // Ignore cleanup errors
-      }
     }
   }
 
+  normalizeIncomingMessage(rawMessage) {
+    // This is called with already processed message data
+    return rawMessage;
+  }
+
   // ═══════════════════════════════════════════
   // UTILITY METHODS
   // ═══════════════════════════════════════════
@@ -674,8 +779,20 @@ export class BaileysProvider extends BaseProvider {
     return this.qrCodeBase64;
   }
 
-  hasCredentials() {
-    return fs.existsSync(path.join(this.authDir, 'creds.json'));
+  getPairingCode() {
+    return this.pairingCode;
+  }
+
+  async hasCredentials() {
+    return hasAuthState(this.salonId);
+  }
+
+  async clearAuthState() {
+    try {
+      await deleteAuthState(this.salonId);
+    } catch (e) {
+      this.log.error({ error: e.message }, 'Auth cleanup error');
+    }
   }
 }
 
@@ -39,11 +39,20 @@ export class BaseProvider {
   }
 
   /**
-   * Disconnect from the WhatsApp service
+   * Close the connection but keep credentials (shutdown, suspend)
+   * A later connect() resumes without pairing again.
    * @returns {Promise<{success: boolean}>}
    */
-  async disconnect() {
-    throw new Error('Method disconnect() must be implemented');
+  async stop() {
+    throw new Error('Method stop() must be implemented');
+  }
+
+  /**
+   * Unlink from the WhatsApp account and delete credentials
+   * @returns {Promise<{success: boolean}>}
+   */
+  async logout() {
+    throw new Error('Method logout() must be implemented');
   }
 
   /**
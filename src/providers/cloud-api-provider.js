@@ -5,9 +5,19 @@
 
 import { BaseProvider } from './base-provider.js';
 import axios from 'axios';
+import { normalizeCloudApiStatus } from '../message-status.js';
+import { storeInboundMedia } from '../media/media-store.js';
+import { getOggOpusDuration } from '../media/audio-duration.js';
+import { isTranscriptionEnabled, transcribeVoiceNote } from '../transcription/transcription-service.js';
+import { processInboundOnce } from '../inbound-dedup.js';
+import { getSalonLogger } from '../logger.js';
+import { withSpan } from '../tracing.js';
 
 const GRAPH_API_VERSION = 'v18.0';
-const GRAPH_API_URL = `https://graph.facebook.com/${GRAPH_API_VERSION}`;
+export const GRAPH_API_URL = `https://graph.facebook.com/${GRAPH_API_VERSION}`;
+
+// Message types carrying a downloadable media object ({ id, mime_type, sha256 })
+const MEDIA_MESSAGE_TYPES = ['image', 'video', 'audio', 'document', 'sticker'];
 
 export class CloudApiProvider extends BaseProvider {
   constructor(salonId, config = {}, options = {}) {
@@ -18,10 +28,12 @@ export class CloudApiProvider extends BaseProvider {
     this.accessToken = config.accessToken || process.env.CLOUD_API_ACCESS_TOKEN;
     this.businessAccountId = config.businessAccountId || process.env.CLOUD_API_BUSINESS_ACCOUNT_ID;
     this.verifyToken = config.verifyToken || process.env.CLOUD_API_VERIFY_TOKEN;
+    this.log = getSalonLogger(salonId, 'cloud_api');
 
     // Callbacks
     this.onMessage = options.onMessage || (() => {});
     this.onStatusChange = options.onStatusChange || (() => {});
+    this.onMessageStatus = options.onMessageStatus || (() => {});
 
     // Axios instance for API calls
     this.api = axios.create({
@@ -62,8 +74,11 @@ export class CloudApiProvider extends BaseProvider {
 
       this.setStatus('connected');
 
-      console.log(`[CloudAPI:${this.salonId}] Connected: ${this.verifiedName} (${this.phoneNumber})`);
-      console.log(`[CloudAPI:${this.salonId}] Quality: ${response.data.quality_rating || 'N/A'}`);
+      this.log.info({
+        verifiedName: this.verifiedName,
+        phoneNumber: this.phoneNumber,
+        qualityRating: response.data.quality_rating || null
+      }, 'Connected');
 
       this.onStatusChange({
         status: 'connected',
@@ -83,7 +98,7 @@ export class CloudApiProvider extends BaseProvider {
       this.setStatus('error');
       this.lastError = normalizedError;
 
-      console.error(`[CloudAPI:${this.salonId}] Connection failed:`, normalizedError.message);
+      this.log.error({ error: normalizedError.message }, 'Connection failed');
 
       this.onStatusChange({
         status: 'error',
@@ -94,15 +109,24 @@ export class CloudApiProvider extends BaseProvider {
     }
   }
 
-  async disconnect() {
-    // Cloud API doesn't need explicit disconnection
-    this.setStatus('disconnected');
+  async stop() {
+    // Cloud API doesn't hold a connection: just stop using it
+    this.setStatus('stopped');
+    this.onStatusChange({ status: 'stopped' });
+
+    this.log.info('Stopped');
+    return { success: true };
+  }
+
+  async logout() {
+    // Nothing to unlink: credentials live in the configuration
+    this.setStatus('logged_out');
     this.phoneNumber = null;
     this.verifiedName = null;
 
-    this.onStatusChange({ status: 'disconnected' });
+    this.onStatusChange({ status: 'logged_out' });
 
-    console.log(`[CloudAPI:${this.salonId}] Disconnected`);
+    this.log.info('Logged out');
     return { success: true };
   }
 
@@ -126,7 +150,7 @@ export class CloudApiProvider extends BaseProvider {
       this.recordSuccess(Date.now() - startTime);
 
       const messageId = response.data.messages?.[0]?.id;
-      console.log(`[CloudAPI:${this.salonId}] Message sent to ${phone}: ${messageId}`);
+      this.log.info({ messageId, phone }, 'Message sent');
 
       return {
         success: true,
@@ -180,7 +204,7 @@ export class CloudApiProvider extends BaseProvider {
       this.recordSuccess(Date.now() - startTime);
 
       const messageId = response.data.messages?.[0]?.id;
-      console.log(`[CloudAPI:${this.salonId}] Template '${templateName}' sent to ${phone}: ${messageId}`);
+      this.log.info({ messageId, phone, templateName }, 'Template sent');
 
       return {
         success: true,
@@ -251,7 +275,7 @@ export class CloudApiProvider extends BaseProvider {
       this.recordSuccess(Date.now() - startTime);
 
       const messageId = response.data.messages?.[0]?.id;
-      console.log(`[CloudAPI:${this.salonId}] ${media.type} sent to ${phone}: ${messageId}`);
+      this.log.info({ messageId, phone, mediaType: media.type }, 'Media sent');
 
       return {
         success: true,
@@ -343,7 +367,7 @@ export class CloudApiProvider extends BaseProvider {
    */
   verifyWebhook(mode, token, challenge) {
     if (mode === 'subscribe' && token === this.verifyToken) {
-      console.log(`[CloudAPI:${this.salonId}] Webhook verified`);
+      this.log.info('Webhook verified');
       return challenge;
     }
     throw new Error('Webhook verification failed');
@@ -352,7 +376,7 @@ export class CloudApiProvider extends BaseProvider {
   /**
    * Process incoming webhook payload
    */
-  processWebhook(body) {
+  async processWebhook(body) {
     if (body.object !== 'whatsapp_business_account') {
       return null;
     }
@@ -369,10 +393,20 @@ export class CloudApiProvider extends BaseProvider {
         for (const message of value.messages || []) {
           const contact = value.contacts?.find(c => c.wa_id === message.from);
           const normalized = this.normalizeIncomingMessage(message, contact, value.metadata);
-          if (normalized) {
+          if (!normalized) continue;
+
+          // Meta retries deliveries it thinks failed: drop them before media download and transcription.
+          // Root of the inbound trace: media, transcription and webhook delivery are child spans
+          await processInboundOnce('cloud_api', this.salonId, normalized.messageId, () => withSpan('whatsapp.inbound', {
+            'salon.id': this.salonId,
+            provider: 'cloud_api',
+            'message.id': normalized.messageId,
+            'message.type': normalized.type
+          }, async () => {
+            await this.processIncomingMedia(message, normalized);
             results.push(normalized);
-            this.onMessage(normalized);
-          }
+            await this.onMessage(normalized);
+          }, { kind: 'consumer' }));
         }
 
         // Process status updates (delivered, read, etc.)
@@ -386,14 +420,19 @@ export class CloudApiProvider extends BaseProvider {
   }
 
   handleStatusUpdate(status) {
-    console.log(`[CloudAPI:${this.salonId}] Status update: ${status.id} -> ${status.status}`);
-    // Can be extended to emit events or update database
+    this.log.debug({ messageId: status.id, status: status.status }, 'Status update');
+
+    const event = normalizeCloudApiStatus(status);
+    if (event) {
+      this.onMessageStatus(event);
+    }
   }
 
   normalizeIncomingMessage(message, contact, metadata) {
     if (!message) return null;
 
     const content = this.extractContent(message);
+    const isVoiceMessage = message.type === 'audio' && !!message.audio?.voice;
 
     return {
       provider: 'cloud_api',
@@ -404,12 +443,16 @@ export class CloudApiProvider extends BaseProvider {
       isLid: false,
       lidId: null,
       timestamp: parseInt(message.timestamp),
-      type: message.type,
+      type: isVoiceMessage ? 'voice' : message.type,
       content: content,
       pushName: contact?.profile?.name || null,
-      isVoiceMessage: message.type === 'audio' && message.audio?.voice,
-      voiceTranscription: null, // Cloud API doesn't provide transcription
+      isVoiceMessage: isVoiceMessage,
+      // Filled in by processIncomingMedia once the audio is downloaded
+      voiceTranscription: null,
+      voiceTranscriptionLanguage: null,
+      voiceTranscriptionConfidence: null,
       voiceDurationSeconds: null,
+      media: null,
       // Additional Cloud API specific fields
       context: message.context || null, // Reply context
       referral: message.referral || null // Ad referral
@@ -502,11 +545,84 @@ export class CloudApiProvider extends BaseProvider {
       };
 
     } catch (error) {
-      console.error(`[CloudAPI:${this.salonId}] Media download failed:`, error.message);
+      this.log.error({ mediaId, error: error.message }, 'Media download failed');
       throw this.normalizeError(error);
     }
   }
 
+  /**
+   * Download the media attached to an incoming message, store it and,
+   * for voice notes, transcribe it like BaileysProvider does
+   * @param {object} message - Cloud API message
+   * @param {object} normalized - Normalized message, completed in place
+   */
+  async processIncomingMedia(message, normalized) {
+    const info = message[message.type];
+    if (!MEDIA_MESSAGE_TYPES.includes(message.type) || !info?.id) return;
+
+    let downloaded;
+    try {
+      downloaded = await this.downloadMedia(info.id);
+    } catch (error) {
+      if (normalized.isVoiceMessage) {
+        normalized.content = '[Voice message - download error]';
+      }
+      return;
+    }
+
+    normalized.media = await this.storeIncomingMedia(message, downloaded);
+
+    if (normalized.isVoiceMessage) {
+      await this.transcribeIncomingVoice(message, normalized, downloaded);
+    }
+  }
+
+  async transcribeIncomingVoice(message, normalized, downloaded) {
+    normalized.voiceDurationSeconds = getOggOpusDuration(downloaded.buffer);
+    this.log.info({ messageId: message.id, durationSeconds: normalized.voiceDurationSeconds ?? null }, 'Voice message received');
+
+    if (!isTranscriptionEnabled()) {
+      normalized.content = '[Voice message - transcription not configured]';
+      return;
+    }
+
+    const transcription = await transcribeVoiceNote(this.salonId, downloaded.buffer, {
+      messageId: message.id,
+      mimeType: downloaded.mimeType || message.audio.mime_type
+    });
+
+    normalized.voiceTranscription = transcription?.text || null;
+    normalized.voiceTranscriptionLanguage = transcription?.language || null;
+    normalized.voiceTranscriptionConfidence = transcription?.confidence ?? null;
+    normalized.content = normalized.voiceTranscription || '[Voice message - transcription failed]';
+  }
+
+  /**
+   * Store downloaded media and build its webhook reference
+   * @param {object} message - Cloud API message
+   * @param {object} downloaded - Result of downloadMedia()
+   * @returns {Promise<object|null>} Media reference for the webhook
+   */
+  async storeIncomingMedia(message, downloaded) {
+    const info = message[message.type];
+
+    try {
+      const media = await storeInboundMedia({
+        buffer: downloaded.buffer,
+        salonId: this.salonId,
+        messageId: message.id,
+        declaredMimeType: downloaded.mimeType || info.mime_type,
+        fileName: info.filename || null
+      });
+
+      this.log.info({ messageId: message.id, mediaId: media.id, mimeType: media.mimeType, size: media.size }, 'Media stored');
+      return media;
+    } catch (error) {
+      this.log.error({ messageId: message.id, error: error.message }, 'Media storage error');
+      return null;
+    }
+  }
+
   // ═══════════════════════════════════════════
   // UTILITY METHODS
   // ═══════════════════════════════════════════
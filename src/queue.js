@@ -1,128 +1,266 @@
-import fs from 'fs/promises';
-import { existsSync, readFileSync, writeFileSync } from 'fs';
+import { existsSync, readFileSync, renameSync } from 'fs';
+import { AppendLogStore } from './storage/append-log-store.js';
+import { addDeadLetter } from './dead-letter.js';
+import { createLogger } from './logger.js';
 
-const QUEUE_FILE = './message_queue.json';
+const log = createLogger('queue');
+
+// File JSON historique, importé une seule fois dans le store
+const LEGACY_QUEUE_FILE = './message_queue.json';
+const QUEUE_DB_FILE = process.env.QUEUE_DB_FILE || './data/message_queue.log';
 const MESSAGE_TTL = 24 * 60 * 60 * 1000; // 24 hours TTL for messages
-let messageQueue = [];
-let saveInProgress = false;
-let pendingSave = false;
+const MAX_ATTEMPTS = parseInt(process.env.QUEUE_MAX_ATTEMPTS) || 8;
+const RETRY_BASE_DELAY = parseInt(process.env.QUEUE_RETRY_BASE_DELAY_MS) || 5000;
+const RETRY_MAX_DELAY = parseInt(process.env.QUEUE_RETRY_MAX_DELAY_MS) || 30 * 60 * 1000;
+const MAX_HISTORY = 20; // Tentatives conservées par message
 
-// Charger la queue depuis le disque au démarrage (sync for initialization)
-export function loadQueue() {
-  try {
-    if (existsSync(QUEUE_FILE)) {
-      const data = readFileSync(QUEUE_FILE, 'utf-8');
-      messageQueue = JSON.parse(data);
-      // Clean up old messages on load
-      const now = Date.now();
-      const before = messageQueue.length;
-      messageQueue = messageQueue.filter(m => (now - m.queuedAt) < MESSAGE_TTL);
-      const removed = before - messageQueue.length;
-      if (removed > 0) {
-        console.log(`🧹 Removed ${removed} expired messages from queue`);
-      }
-      console.log(`📦 ${messageQueue.length} messages en attente chargés`);
-    }
-  } catch (error) {
-    console.error('Erreur chargement queue:', error.message);
-    messageQueue = [];
+// Champs internes à la queue (retirés avant redélivrance / dead-letter)
+const QUEUE_FIELDS = [
+  'state', 'queuedAt', 'attempts', 'nextAttemptAt', 'lastAttemptAt',
+  'lastError', 'lastStatusCode', 'history'
+];
+
+const store = new AppendLogStore(QUEUE_DB_FILE, {
+  fsync: process.env.QUEUE_FSYNC !== 'false'
+});
+
+// Index salonId -> Set<messageId>
+const salonIndex = new Map();
+
+function indexMessage(msg) {
+  if (!salonIndex.has(msg.salonId)) {
+    salonIndex.set(msg.salonId, new Set());
   }
+  salonIndex.get(msg.salonId).add(msg.messageId);
 }
 
-// Sauvegarder la queue sur disque (async, debounced)
-async function saveQueue() {
-  // If save is in progress, mark as pending
-  if (saveInProgress) {
-    pendingSave = true;
-    return;
+function unindexMessage(msg) {
+  const ids = salonIndex.get(msg.salonId);
+  if (!ids) return;
+  ids.delete(msg.messageId);
+  if (ids.size === 0) salonIndex.delete(msg.salonId);
+}
+
+function removeMessage(messageId) {
+  const msg = store.get(messageId);
+  if (!msg) return false;
+  store.delete(messageId);
+  unindexMessage(msg);
+  return true;
+}
+
+// Données du message d'origine, sans l'état de la queue
+export function stripQueueFields(msg) {
+  const messageData = { ...msg };
+  for (const field of QUEUE_FIELDS) {
+    delete messageData[field];
   }
+  return messageData;
+}
 
-  saveInProgress = true;
+// Déplacer un message vers la dead-letter queue au lieu de le supprimer
+export function moveToDeadLetter(messageId, reason, failure = {}) {
+  const msg = store.get(messageId);
+  if (!msg) return false;
+
+  addDeadLetter(stripQueueFields(msg), {
+    reason,
+    error: failure.error || msg.lastError,
+    statusCode: failure.statusCode || msg.lastStatusCode,
+    attempts: msg.attempts,
+    history: msg.history,
+    queuedAt: msg.queuedAt
+  });
+  return removeMessage(messageId);
+}
+
+// Importer l'ancienne queue JSON au premier démarrage
+function migrateLegacyQueue() {
+  if (store.exists() || !existsSync(LEGACY_QUEUE_FILE)) return;
 
   try {
-    await fs.writeFile(QUEUE_FILE, JSON.stringify(messageQueue, null, 2));
+    const legacy = JSON.parse(readFileSync(LEGACY_QUEUE_FILE, 'utf-8'));
+    store.open();
+
+    for (const msg of legacy) {
+      if (!msg.messageId || store.has(msg.messageId)) continue;
+      store.put(msg.messageId, { state: 'pending', nextAttemptAt: Date.now(), ...msg });
+    }
+    store.compact();
+
+    log.info({ count: store.size, file: LEGACY_QUEUE_FILE }, 'Legacy queue migrated');
+
+    try {
+      renameSync(LEGACY_QUEUE_FILE, `${LEGACY_QUEUE_FILE}.migrated`);
+    } catch (e) {
+      // Bind-mounted file (docker): leave it, the store now exists so no re-import
+    }
   } catch (error) {
-    console.error('Erreur sauvegarde queue:', error.message);
-  } finally {
-    saveInProgress = false;
-
-    // If there was a pending save, do it now
-    if (pendingSave) {
-      pendingSave = false;
-      setImmediate(() => saveQueue());
+    log.error({ error: error.message }, 'Legacy queue migration error');
+  }
+}
+
+// Charger la queue depuis le disque au démarrage
+export function loadQueue() {
+  try {
+    migrateLegacyQueue();
+    store.open();
+
+    salonIndex.clear();
+    const now = Date.now();
+    let removed = 0;
+
+    for (const msg of store.values()) {
+      indexMessage(msg);
+      // Move old messages to the dead-letter queue on load
+      if ((now - msg.queuedAt) >= MESSAGE_TTL) {
+        moveToDeadLetter(msg.messageId, 'expired');
+        removed++;
+      }
+    }
+
+    if (removed > 0) {
+      log.info({ count: removed }, 'Expired messages moved to dead-letter queue');
     }
+    log.info({ count: store.size }, 'Queue loaded');
+  } catch (error) {
+    log.error({ error: error.message }, 'Queue load error');
   }
 }
 
-// Sync save for critical operations (shutdown)
+// Compacter le log (arrêt du serveur) - chaque écriture est déjà durable
 export function saveQueueSync() {
   try {
-    writeFileSync(QUEUE_FILE, JSON.stringify(messageQueue, null, 2));
+    store.compact();
   } catch (error) {
-    console.error('Erreur sauvegarde queue sync:', error.message);
+    log.error({ error: error.message }, 'Queue save error');
   }
 }
 
 // Ajouter un message à la queue
 export function enqueue(messageData) {
-  messageQueue.push({
+  if (store.has(messageData.messageId)) {
+    log.debug({ salonId: messageData.salonId, messageId: messageData.messageId }, 'Message already queued');
+    return;
+  }
+
+  const now = Date.now();
+  const msg = {
     ...messageData,
-    queuedAt: Date.now(),
-    attempts: 0
-  });
-  saveQueue();
-  console.log(`📦 Message ajouté à la queue (${messageQueue.length} en attente)`);
+    state: 'pending',
+    queuedAt: now,
+    attempts: 0,
+    nextAttemptAt: now + getRetryDelay(0)
+  };
+
+  store.put(msg.messageId, msg);
+  indexMessage(msg);
+  log.info({ salonId: msg.salonId, messageId: msg.messageId, queued: store.size }, 'Message queued for redelivery');
 }
 
 // Récupérer tous les messages en attente
 export function getQueuedMessages() {
-  return [...messageQueue];
+  return store.values().map(msg => ({ ...msg }));
+}
+
+// Messages dont la prochaine tentative est due, les plus anciens d'abord
+export function getDueMessages(now = Date.now(), limit = Infinity) {
+  return store.values()
+    .filter(msg => (msg.nextAttemptAt || 0) <= now)
+    .sort((a, b) => (a.nextAttemptAt || 0) - (b.nextAttemptAt || 0))
+    .slice(0, limit)
+    .map(msg => ({ ...msg }));
+}
+
+// Récupérer un message par messageId
+export function getQueuedMessage(messageId) {
+  const msg = store.get(messageId);
+  return msg ? { ...msg } : null;
+}
+
+// Récupérer les messages en attente d'un salon
+export function getQueuedMessagesBySalon(salonId) {
+  const ids = salonIndex.get(salonId) || new Set();
+  return [...ids].map(id => ({ ...store.get(id) }));
 }
 
 // Supprimer un message de la queue (après succès)
 export function dequeue(messageId) {
-  messageQueue = messageQueue.filter(m => m.messageId !== messageId);
-  saveQueue();
+  removeMessage(messageId);
 }
 
-// Incrémenter les tentatives
-export function incrementAttempts(messageId) {
-  const msg = messageQueue.find(m => m.messageId === messageId);
+// Incrémenter les tentatives et planifier la suivante
+export function incrementAttempts(messageId, failure = {}) {
+  const msg = store.get(messageId);
   if (msg) {
-    msg.attempts++;
-    saveQueue();
+    const now = Date.now();
+    const attempts = msg.attempts + 1;
+    const history = [
+      ...(msg.history || []),
+      { at: new Date(now).toISOString(), error: failure.error || null, statusCode: failure.statusCode || null }
+    ].slice(-MAX_HISTORY);
+
+    store.put(messageId, {
+      ...msg,
+      attempts,
+      history,
+      lastAttemptAt: now,
+      lastError: failure.error || null,
+      lastStatusCode: failure.statusCode || null,
+      nextAttemptAt: now + getRetryDelay(attempts)
+    });
   }
 }
 
-// Supprimer les messages avec trop de tentatives (max 5) ou expirés
+// Déplacer en dead-letter les messages avec trop de tentatives (QUEUE_MAX_ATTEMPTS) ou expirés
 export function cleanupFailedMessages() {
-  const before = messageQueue.length;
   const now = Date.now();
+  let moved = 0;
 
-  messageQueue = messageQueue.filter(m => {
-    // Remove if too many attempts
-    if (m.attempts >= 5) return false;
-    // Remove if expired (TTL)
-    if ((now - m.queuedAt) >= MESSAGE_TTL) return false;
-    return true;
-  });
+  for (const m of store.values()) {
+    if (m.attempts >= MAX_ATTEMPTS) {
+      moveToDeadLetter(m.messageId, 'max_attempts');
+      moved++;
+    } else if ((now - m.queuedAt) >= MESSAGE_TTL) {
+      moveToDeadLetter(m.messageId, 'expired');
+      moved++;
+    }
+  }
 
-  const removed = before - messageQueue.length;
-  if (removed > 0) {
-    console.log(`🗑️ ${removed} messages supprimés (échecs ou expirés)`);
-    saveQueue();
+  if (moved > 0) {
+    log.info({ count: moved }, 'Failed or expired messages moved to dead-letter queue');
   }
 }
 
-// Get next retry delay with exponential backoff
+// Vider la queue
+export function clearQueue() {
+  store.clear();
+  salonIndex.clear();
+}
+
+// Get next retry delay with exponential backoff and jitter
 export function getRetryDelay(attempts) {
-  const baseDelay = 1000; // 1 second
-  const maxDelay = 30000; // 30 seconds max
-  return Math.min(baseDelay * Math.pow(2, attempts), maxDelay);
+  const exponentialDelay = Math.min(RETRY_BASE_DELAY * Math.pow(2, attempts), RETRY_MAX_DELAY);
+  // "Equal jitter": half fixed, half random - spreads retries after an outage
+  const jitter = Math.random() * exponentialDelay * 0.5;
+  return Math.floor(exponentialDelay * 0.5 + jitter);
+}
+
+export function getMaxAttempts() {
+  return MAX_ATTEMPTS;
 }
 
 export function getQueueLength() {
-  return messageQueue.length;
+  return store.size;
+}
+
+// Date d'entrée (ms) du plus ancien message en attente, null si la queue est vide
+export function getOldestQueuedAt() {
+  let oldest = null;
+  for (const msg of store.values()) {
+    if (oldest === null || msg.queuedAt < oldest) oldest = msg.queuedAt;
+  }
+  return oldest;
 }
 
 // Charger la queue au démarrage du module
@@ -0,0 +1,124 @@
+/**
+ * Retry Scheduler - Background redelivery of queued webhook messages
+ *
+ * Runs on a fixed tick and only retries messages whose `nextAttemptAt`
+ * is due (see getRetryDelay in queue.js for the backoff). A circuit
+ * breaker pauses all retries after consecutive failures so a webhook
+ * outage is not hammered; the pause doubles on each new failure streak.
+ */
+
+import { getDueMessages, getQueuedMessages, cleanupFailedMessages, getQueueLength } from './queue.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('queue');
+
+const TICK_INTERVAL = parseInt(process.env.QUEUE_RETRY_TICK_MS) || 1000;
+const BATCH_SIZE = parseInt(process.env.QUEUE_RETRY_BATCH_SIZE) || 20;
+const CIRCUIT_THRESHOLD = parseInt(process.env.QUEUE_CIRCUIT_THRESHOLD) || 5;
+const CIRCUIT_COOLDOWN = parseInt(process.env.QUEUE_CIRCUIT_COOLDOWN_MS) || 60000;
+const CIRCUIT_MAX_COOLDOWN = 15 * 60 * 1000;
+
+/**
+ * Create a retry scheduler
+ * @param {object} options
+ * @param {function(object): Promise<boolean>} options.deliver - Redeliver one queued message
+ * @returns {{start: function, stop: function, runOnce: function, getState: function}}
+ */
+export function createRetryScheduler({ deliver }) {
+  let timer = null;
+  let currentRun = null;
+  let consecutiveFailures = 0;
+  let circuitOpenUntil = 0;
+  let circuitOpenings = 0;
+  let lastRunAt = null;
+
+  function openCircuit() {
+    const cooldown = Math.min(CIRCUIT_COOLDOWN * Math.pow(2, circuitOpenings), CIRCUIT_MAX_COOLDOWN);
+    circuitOpenings++;
+    circuitOpenUntil = Date.now() + cooldown;
+    log.warn({ consecutiveFailures, cooldownSeconds: Math.round(cooldown / 1000) }, 'Webhook failing - retries suspended');
+  }
+
+  /**
+   * Deliver due messages
+   * A scheduled run is skipped while another is in progress; a forced run
+   * waits for it, then retries everything.
+   * @param {object} options - { force: retry every queued message now, ignoring backoff and circuit }
+   */
+  async function runOnce({ force = false } = {}) {
+    if (currentRun) {
+      if (!force) return;
+      while (currentRun) await currentRun;
+    }
+    if (!force && Date.now() < circuitOpenUntil) return;
+
+    currentRun = deliverQueued(force).finally(() => {
+      currentRun = null;
+    });
+    return currentRun;
+  }
+
+  async function deliverQueued(force) {
+    lastRunAt = new Date().toISOString();
+
+    try {
+      // Half-open circuit: probe with a single message
+      const halfOpen = circuitOpenUntil > 0 && !force;
+      const limit = halfOpen ? 1 : BATCH_SIZE;
+      const messages = force ? getQueuedMessages() : getDueMessages(Date.now(), limit);
+
+      if (messages.length === 0) return;
+
+      if (force) {
+        log.info({ count: messages.length }, 'Processing every queued message');
+      }
+
+      for (const msg of messages) {
+        const delivered = await deliver(msg);
+
+        if (delivered) {
+          consecutiveFailures = 0;
+          circuitOpenUntil = 0;
+          circuitOpenings = 0;
+          continue;
+        }
+
+        consecutiveFailures++;
+        if (!force && consecutiveFailures >= CIRCUIT_THRESHOLD) {
+          openCircuit();
+          break;
+        }
+      }
+
+      cleanupFailedMessages();
+    } catch (error) {
+      log.error({ error: error.message }, 'Retry scheduler error');
+    }
+  }
+
+  function start() {
+    if (timer) return;
+    timer = setInterval(() => runOnce(), TICK_INTERVAL);
+    log.info({ tickMs: TICK_INTERVAL, queued: getQueueLength() }, 'Retry scheduler started');
+  }
+
+  function stop() {
+    if (!timer) return;
+    clearInterval(timer);
+    timer = null;
+  }
+
+  function getState() {
+    return {
+      running: !!timer,
+      lastRunAt,
+      consecutiveFailures,
+      circuitOpen: Date.now() < circuitOpenUntil,
+      circuitOpenUntil: circuitOpenUntil ? new Date(circuitOpenUntil).toISOString() : null
+    };
+  }
+
+  return { start, stop, runOnce, getState };
+}
+
+export default { createRetryScheduler };
@@ -0,0 +1,91 @@
+/**
+ * API Key Admin Routes
+ * Issue, list, rotate and revoke API keys (admin keys only)
+ */
+
+import express from 'express';
+import {
+  listApiKeys,
+  getApiKey,
+  createApiKey,
+  rotateApiKey,
+  revokeApiKey
+} from '../security/api-keys.js';
+import { requireAdmin } from '../security/auth-middleware.js';
+import { sendError } from '../http-errors.js';
+
+/**
+ * Create API key management routes
+ * @returns {Router}
+ */
+export function createApiKeyRoutes() {
+  const router = express.Router();
+
+  router.use('/admin/api-keys', requireAdmin);
+
+  /**
+   * GET /admin/api-keys
+   * List keys (hashes are never returned)
+   */
+  router.get('/admin/api-keys', (req, res) => {
+    res.json({ keys: listApiKeys() });
+  });
+
+  /**
+   * GET /admin/api-keys/:keyId
+   */
+  router.get('/admin/api-keys/:keyId', (req, res) => {
+    const apiKey = getApiKey(req.params.keyId);
+    if (!apiKey) {
+      return sendError(res, 'not_found', 'API key not found');
+    }
+    res.json(apiKey);
+  });
+
+  /**
+   * POST /admin/api-keys
+   * Body: { name, role: 'admin' | 'salon', salonIds: [], expiresAt? }
+   * The plaintext key is only returned in this response.
+   */
+  router.post('/admin/api-keys', (req, res) => {
+    const { name, role, salonIds, expiresAt } = req.body || {};
+
+    try {
+      const result = createApiKey({ name, role, salonIds, expiresAt });
+      res.status(201).json(result);
+    } catch (error) {
+      sendError(res, 'validation_error', error.message);
+    }
+  });
+
+  /**
+   * POST /admin/api-keys/:keyId/rotate
+   * Body: { graceSeconds? } - how long the previous secret keeps working
+   */
+  router.post('/admin/api-keys/:keyId/rotate', (req, res) => {
+    const graceSeconds = parseInt(req.body?.graceSeconds) || 0;
+    const result = rotateApiKey(req.params.keyId, graceSeconds);
+
+    if (!result) {
+      return sendError(res, 'not_found', 'API key not found or revoked');
+    }
+    res.json(result);
+  });
+
+  /**
+   * DELETE /admin/api-keys/:keyId
+   * Revoke a key immediately
+   */
+  router.delete('/admin/api-keys/:keyId', (req, res) => {
+    const success = revokeApiKey(req.params.keyId);
+
+    if (!success) {
+      return sendError(res, 'not_found', 'API key not found');
+    }
+    res.json({ keyId: req.params.keyId, success });
+  });
+
+  return router;
+}
+
+export default { createApiKeyRoutes };
@@ -4,15 +4,78 @@
  */
 
 import express from 'express';
+import crypto from 'crypto';
+import { createLogger } from '../logger.js';
+
+const log = createLogger('cloud-api-webhook');
 
 const router = express.Router();
 
+const SIGNATURE_HEADER = 'x-hub-signature-256';
+
+// Rejection counters (exposed on /health)
+const signatureStats = {
+  verified: 0,
+  rejected: 0,
+  rejectedByReason: {}
+};
+
+/**
+ * Verify Meta's X-Hub-Signature-256 header against the raw request body
+ * @param {Buffer} rawBody - Exact bytes received (captured by express.json verify)
+ * @param {string} header - Header value, e.g. 'sha256=<hex>'
+ * @param {string} appSecret - Meta app secret
+ * @returns {{valid: boolean, reason: string|null}}
+ */
+export function verifyMetaSignature(rawBody, header, appSecret) {
+  if (!appSecret) return { valid: false, reason: 'app_secret_not_configured' };
+  if (!header) return { valid: false, reason: 'missing_signature' };
+  if (!rawBody) return { valid: false, reason: 'missing_raw_body' };
+
+  const [algorithm, signature] = header.split('=');
+  if (algorithm !== 'sha256' || !signature) {
+    return { valid: false, reason: 'malformed_signature' };
+  }
+
+  const expected = crypto.createHmac('sha256', appSecret).update(rawBody).digest();
+  const received = Buffer.from(signature, 'hex');
+
+  if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+    return { valid: false, reason: 'signature_mismatch' };
+  }
+
+  return { valid: true, reason: null };
+}
+
+/**
+ * Get signature verification counters
+ * @returns {{verified: number, rejected: number, rejectedByReason: object}}
+ */
+export function getWebhookSignatureStats() {
+  return {
+    ...signatureStats,
+    rejectedByReason: { ...signatureStats.rejectedByReason }
+  };
+}
+
+function recordRejection(req, reason) {
+  signatureStats.rejected++;
+  signatureStats.rejectedByReason[reason] = (signatureStats.rejectedByReason[reason] || 0) + 1;
+  log.warn({ reason, ip: req.ip }, 'Cloud API webhook rejected');
+}
+
 /**
  * Create webhook routes with session manager dependency
  * @param {object} sessionManager - Hybrid session manager instance
  * @returns {Router}
  */
 export function createCloudApiWebhookRoutes(sessionManager) {
+  const appSecret = process.env.CLOUD_API_APP_SECRET;
+
+  if (!appSecret) {
+    log.warn('CLOUD_API_APP_SECRET not set - all Cloud API webhook deliveries will be rejected');
+  }
+
   /**
    * GET /webhook/cloud-api
    * Webhook verification endpoint (required by Meta)
@@ -24,10 +87,10 @@ export function createCloudApiWebhookRoutes(sessionManager) {
 
     try {
       const result = sessionManager.verifyCloudApiWebhook(mode, token, challenge);
-      console.log('Cloud API webhook verified successfully');
+      log.info('Cloud API webhook verified');
       res.status(200).send(result);
     } catch (error) {
-      console.error('Cloud API webhook verification failed:', error.message);
+      log.error({ error: error.message }, 'Cloud API webhook verification failed');
       res.sendStatus(403);
     }
   });
@@ -37,6 +100,14 @@ export function createCloudApiWebhookRoutes(sessionManager) {
    * Receive incoming messages and status updates from Meta
    */
   router.post('/webhook/cloud-api', async (req, res) => {
+    // Reject anything not signed with our app secret
+    const verification = verifyMetaSignature(req.rawBody, req.get(SIGNATURE_HEADER), appSecret);
+    if (!verification.valid) {
+      recordRejection(req, verification.reason);
+      return res.sendStatus(verification.reason === 'app_secret_not_configured' ? 503 : 401);
+    }
+    signatureStats.verified++;
+
     // Always respond 200 quickly (Meta requirement)
     res.sendStatus(200);
 
@@ -45,19 +116,19 @@ export function createCloudApiWebhookRoutes(sessionManager) {
 
       // Validate it's a WhatsApp Business Account webhook
       if (body.object !== 'whatsapp_business_account') {
-        console.log('Ignoring non-WhatsApp webhook');
+        log.debug({ object: body.object }, 'Ignoring non-WhatsApp webhook');
         return;
       }
 
       // Process the webhook
-      const results = sessionManager.handleCloudApiWebhook(body);
+      const results = await sessionManager.handleCloudApiWebhook(body);
 
       if (results && results.length > 0) {
-        console.log(`Processed ${results.length} incoming message(s) from Cloud API`);
+        log.debug({ count: results.length }, 'Processed incoming Cloud API messages');
       }
 
     } catch (error) {
-      console.error('Error processing Cloud API webhook:', error);
+      log.error({ err: error }, 'Error processing Cloud API webhook');
       // Don't throw - we already sent 200 response
     }
   });
@@ -77,18 +148,22 @@ standaloneWebhookRoutes.get('/webhook/cloud-api', (req, res) => {
   const verifyToken = process.env.CLOUD_API_VERIFY_TOKEN || 'whatsapp_webhook_verify';
 
   if (mode === 'subscribe' && token === verifyToken) {
-    console.log('Cloud API webhook verified');
+    log.info('Cloud API webhook verified');
     res.status(200).send(challenge);
   } else {
-    console.error('Cloud API webhook verification failed');
+    log.error('Cloud API webhook verification failed');
     res.sendStatus(403);
   }
 });
 
 standaloneWebhookRoutes.post('/webhook/cloud-api', (req, res) => {
   res.sendStatus(200);
-  console.log('Received Cloud API webhook (standalone mode - not processed)');
-  console.log('To process webhooks, enable USE_HYBRID_PROVIDERS=true');
+  log.warn('Cloud API webhook received in standalone mode and not processed - enable USE_HYBRID_PROVIDERS=true');
 });
 
-export default { createCloudApiWebhookRoutes, standaloneWebhookRoutes };
+export default {
+  createCloudApiWebhookRoutes,
+  standaloneWebhookRoutes,
+  verifyMetaSignature,
+  getWebhookSignatureStats
+};
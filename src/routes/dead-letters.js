@@ -0,0 +1,166 @@
+/**
+ * Dead Letter Admin Routes
+ * Inspect, replay and purge messages the webhook never accepted (admin keys only)
+ */
+
+import express from 'express';
+import {
+  listDeadLetters,
+  getDeadLetter,
+  removeDeadLetter,
+  markReplayFailed,
+  purgeDeadLetters
+} from '../dead-letter.js';
+import { getQueuedMessage } from '../queue.js';
+import { requireAdmin } from '../security/auth-middleware.js';
+import { createLogger } from '../logger.js';
+import { sendError } from '../http-errors.js';
+
+const log = createLogger('dead-letter');
+
+// Replays per request: each one can wait for the webhook timeout
+const REPLAY_BATCH_SIZE = parseInt(process.env.DEAD_LETTER_REPLAY_BATCH_SIZE) || 20;
+
+// Bulk operations need ids, a filter or an explicit all=true: an empty call must not touch the whole store
+function hasSelection({ salonId, from, to, all }) {
+  return Boolean(salonId || from || to) || all === true || all === 'true';
+}
+
+/**
+ * Create dead letter routes with session manager dependency
+ * @param {object} sessionManager - Session manager exposing redeliverMessage()
+ * @returns {Router}
+ */
+export function createDeadLetterRoutes(sessionManager) {
+  const router = express.Router();
+
+  router.use('/admin/dead-letters', requireAdmin);
+
+  /**
+   * Replay one dead letter through forwardToWebhook.
+   * Delivered or re-queued messages leave the dead-letter store;
+   * messages rejected again stay there with the replay error.
+   */
+  async function replay(messageId) {
+    const record = getDeadLetter(messageId);
+    if (!record) {
+      return { messageId, status: 'not_found' };
+    }
+
+    const delivered = await sessionManager.redeliverMessage(record.message);
+
+    if (delivered) {
+      removeDeadLetter(messageId);
+      return { messageId, status: 'delivered' };
+    }
+
+    if (getQueuedMessage(messageId)) {
+      removeDeadLetter(messageId);
+      return { messageId, status: 'requeued' };
+    }
+
+    markReplayFailed(messageId, 'Webhook rejected the message');
+    return { messageId, status: 'failed' };
+  }
+
+  /**
+   * GET /admin/dead-letters?salonId=&from=&to=&limit=
+   * from/to: ISO date or unix milliseconds, applied to deadLetteredAt
+   */
+  router.get('/admin/dead-letters', (req, res) => {
+    const { salonId, from, to, limit } = req.query;
+    const deadLetters = listDeadLetters({ salonId, from, to, limit });
+    res.json({ count: deadLetters.length, deadLetters });
+  });
+
+  /**
+   * GET /admin/dead-letters/:messageId
+   */
+  router.get('/admin/dead-letters/:messageId', (req, res) => {
+    const record = getDeadLetter(req.params.messageId);
+    if (!record) {
+      return sendError(res, 'not_found', 'Dead letter not found');
+    }
+    res.json(record);
+  });
+
+  /**
+   * POST /admin/dead-letters/replay
+   * Body: { messageIds: [] } (at most REPLAY_BATCH_SIZE), a filter { salonId, from, to } or { all: true }
+   * A filter replays one batch, oldest and least retried first; call again while `remaining` > 0
+   * (dead letters rejected again stay in the store, their replayCount increased).
+   */
+  router.post('/admin/dead-letters/replay', async (req, res) => {
+    const { messageIds, salonId, from, to, all } = req.body || {};
+
+    let ids;
+    let remaining = 0;
+
+    if (messageIds !== undefined) {
+      if (!Array.isArray(messageIds) || messageIds.length === 0) {
+        return sendError(res, 'validation_error', 'messageIds must list at least one message', { field: 'body.messageIds' });
+      }
+      if (messageIds.length > REPLAY_BATCH_SIZE) {
+        return sendError(res, 'validation_error', `At most ${REPLAY_BATCH_SIZE} messageIds per request`, { field: 'body.messageIds' });
+      }
+      ids = messageIds;
+    } else {
+      if (!hasSelection({ salonId, from, to, all })) {
+        return sendError(res, 'validation_error', 'Provide messageIds, a filter (salonId, from, to) or all: true');
+      }
+
+      const matching = listDeadLetters({ salonId, from, to })
+        .sort((a, b) => (a.replayCount || 0) - (b.replayCount || 0) || new Date(a.deadLetteredAt) - new Date(b.deadLetteredAt));
+      ids = matching.slice(0, REPLAY_BATCH_SIZE).map(record => record.messageId);
+      remaining = matching.length - ids.length;
+    }
+
+    const results = [];
+    for (const messageId of ids) {
+      results.push(await replay(messageId));
+    }
+
+    log.info({ delivered: results.filter(r => r.status === 'delivered').length, total: results.length, remaining }, 'Dead-letter replay');
+    res.json({ count: results.length, results, remaining });
+  });
+
+  /**
+   * POST /admin/dead-letters/:messageId/replay
+   */
+  router.post('/admin/dead-letters/:messageId/replay', async (req, res) => {
+    const result = await replay(req.params.messageId);
+    if (result.status === 'not_found') {
+      return sendError(res, 'not_found', 'Dead letter not found');
+    }
+    res.json(result);
+  });
+
+  /**
+   * DELETE /admin/dead-letters/:messageId
+   */
+  router.delete('/admin/dead-letters/:messageId', (req, res) => {
+    const success = removeDeadLetter(req.params.messageId);
+    if (!success) {
+      return sendError(res, 'not_found', 'Dead letter not found');
+    }
+    res.json({ messageId: req.params.messageId, success });
+  });
+
+  /**
+   * DELETE /admin/dead-letters?salonId=&from=&to= (or ?all=true)
+   * Purge matching dead letters
+   */
+  router.delete('/admin/dead-letters', (req, res) => {
+    const { salonId, from, to, all } = req.query;
+    if (!hasSelection({ salonId, from, to, all })) {
+      return sendError(res, 'validation_error', 'Provide a filter (salonId, from, to) or all=true to purge every dead letter');
+    }
+
+    const purged = purgeDeadLetters({ salonId, from, to });
+    res.json({ success: true, purged });
+  });
+
+  return router;
+}
+
+export default { createDeadLetterRoutes };
@@ -0,0 +1,56 @@
+/**
+ * API Documentation Routes
+ * The OpenAPI document and a Swagger UI page to browse it (public, no API key)
+ */
+
+import express from 'express';
+
+const SWAGGER_UI_CDN = process.env.SWAGGER_UI_CDN || 'https://unpkg.com/swagger-ui-dist@5';
+
+const DOCS_PAGE = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>WhatsApp Baileys Server API</title>
+  <link rel="stylesheet" href="${SWAGGER_UI_CDN}/swagger-ui.css">
+</head>
+<body>
+  <div id="swagger-ui"></div>
+  <script src="${SWAGGER_UI_CDN}/swagger-ui-bundle.js" crossorigin></script>
+  <script>
+    window.ui = SwaggerUIBundle({
+      url: 'openapi.json',
+      dom_id: '#swagger-ui',
+      persistAuthorization: true
+    });
+  </script>
+</body>
+</html>`;
+
+/**
+ * Create documentation routes
+ * @param {object} spec - OpenAPI document
+ * @returns {Router}
+ */
+export function createDocsRoutes(spec) {
+  const router = express.Router();
+
+  /**
+   * GET /openapi.json
+   */
+  router.get('/openapi.json', (req, res) => {
+    res.json(spec);
+  });
+
+  /**
+   * GET /docs
+   * Swagger UI (try requests out with an API key through "Authorize")
+   */
+  router.get('/docs', (req, res) => {
+    res.type('html').send(DOCS_PAGE);
+  });
+
+  return router;
+}
+
+export default { createDocsRoutes };
@@ -0,0 +1,81 @@
+/**
+ * Log Level Admin Routes
+ * Change log levels at runtime, globally or for one salon (admin keys only)
+ */
+
+import express from 'express';
+import {
+  getLogLevels,
+  getSalonLogLevel,
+  setLogLevel,
+  setSalonLogLevel,
+  resetSalonLogLevel
+} from '../logger.js';
+import { requireAdmin } from '../security/auth-middleware.js';
+import { sendError } from '../http-errors.js';
+
+/**
+ * Create log level routes
+ * @returns {Router}
+ */
+export function createLogLevelRoutes() {
+  const router = express.Router();
+
+  router.use('/admin/log-levels', requireAdmin);
+
+  /**
+   * GET /admin/log-levels
+   * Global level, redaction flag and salon overrides
+   */
+  router.get('/admin/log-levels', (req, res) => {
+    res.json(getLogLevels());
+  });
+
+  /**
+   * PUT /admin/log-levels
+   * Body: { level }
+   */
+  router.put('/admin/log-levels', (req, res) => {
+    try {
+      setLogLevel(req.body?.level);
+    } catch (error) {
+      return sendError(res, 'validation_error', error.message, { field: 'body.level' });
+    }
+    res.json(getLogLevels());
+  });
+
+  /**
+   * GET /admin/log-levels/:salonId
+   */
+  router.get('/admin/log-levels/:salonId', (req, res) => {
+    res.json({ salonId: req.params.salonId, ...getSalonLogLevel(req.params.salonId) });
+  });
+
+  /**
+   * PUT /admin/log-levels/:salonId
+   * Body: { level?, baileysLevel? } - null removes that override
+   * baileysLevel applies to the salon's next connection.
+   */
+  router.put('/admin/log-levels/:salonId', (req, res) => {
+    const { level, baileysLevel } = req.body || {};
+    try {
+      const levels = setSalonLogLevel(req.params.salonId, { level, baileysLevel });
+      res.json({ salonId: req.params.salonId, ...levels });
+    } catch (error) {
+      sendError(res, 'validation_error', error.message);
+    }
+  });
+
+  /**
+   * DELETE /admin/log-levels/:salonId
+   * Back to the global level
+   */
+  router.delete('/admin/log-levels/:salonId', (req, res) => {
+    resetSalonLogLevel(req.params.salonId);
+    res.json({ salonId: req.params.salonId, ...getSalonLogLevel(req.params.salonId) });
+  });
+
+  return router;
+}
+
+export default { createLogLevelRoutes };
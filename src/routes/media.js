@@ -0,0 +1,62 @@
+/**
+ * Media Download Routes
+ * Serves stored inbound media behind time-limited signed URLs (no API key needed)
+ */
+
+import express from 'express';
+import { verifySignedMediaUrl, readInboundMedia } from '../media/media-store.js';
+import { createLogger } from '../logger.js';
+import { sendError } from '../http-errors.js';
+
+const log = createLogger('media');
+
+/**
+ * Create media download routes
+ * @returns {Router}
+ */
+export function createMediaRoutes() {
+  const router = express.Router();
+
+  /**
+   * GET /media/:salonId/:fileName?expires=&signature=
+   */
+  router.get('/media/:salonId/:fileName', async (req, res) => {
+    const { salonId, fileName } = req.params;
+    const { expires, signature } = req.query;
+
+    const verification = verifySignedMediaUrl(salonId, fileName, expires, signature);
+    if (!verification.valid) {
+      return sendError(res, 'forbidden', 'Invalid or expired media link', { reason: verification.reason });
+    }
+
+    try {
+      const media = await readInboundMedia(salonId, fileName);
+      if (!media) {
+        return sendError(res, 'not_found', 'Media not found');
+      }
+
+      const { metadata } = media;
+      res.set({
+        'Content-Type': metadata.mimeType || 'application/octet-stream',
+        'Content-Length': media.buffer.length,
+        'Cache-Control': 'private, max-age=300',
+        'X-Content-Type-Options': 'nosniff'
+      });
+      if (metadata.sha256) {
+        res.set('ETag', `"${metadata.sha256}"`);
+      }
+      if (metadata.fileName) {
+        res.set('Content-Disposition', `attachment; filename*=UTF-8''${encodeURIComponent(metadata.fileName)}`);
+      }
+
+      res.send(media.buffer);
+    } catch (error) {
+      log.error({ salonId, fileName, error: error.message }, 'Media read error');
+      sendError(res, 'internal_error', 'Media storage unavailable');
+    }
+  });
+
+  return router;
+}
+
+export default { createMediaRoutes };
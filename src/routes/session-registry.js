@@ -0,0 +1,142 @@
+/**
+ * Session Registry Admin Routes
+ * Create, list, update and remove registered salons (admin keys only)
+ */
+
+import express from 'express';
+import {
+  getRegisteredSession,
+  listRegisteredSessions,
+  registerSession,
+  updateRegisteredSession,
+  removeRegisteredSession
+} from '../session-registry.js';
+import { reconcileSession } from '../session-reconciler.js';
+import { requireAdmin } from '../security/auth-middleware.js';
+import { sendError } from '../http-errors.js';
+
+const SECRET_CONFIG_KEYS = ['accessToken', 'appSecret', 'verifyToken'];
+
+// Provider tokens are stored but never returned
+function redactConfig(value) {
+  if (Array.isArray(value)) return value.map(redactConfig);
+  if (value === null || typeof value !== 'object') return value;
+
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [
+    key,
+    SECRET_CONFIG_KEYS.includes(key) && item ? '***' : redactConfig(item)
+  ]));
+}
+
+/**
+ * Create session registry routes with session manager dependency
+ * @param {object} sessionManager - Session manager (getSession, resumeSession, stopSession, logoutSession)
+ * @returns {Router}
+ */
+export function createSessionRegistryRoutes(sessionManager) {
+  const router = express.Router();
+
+  router.use('/admin/sessions', requireAdmin);
+
+  function toResponse(record) {
+    return {
+      ...record,
+      providerConfig: redactConfig(record.providerConfig),
+      status: sessionManager.getSession(record.salonId)?.status || 'not_started'
+    };
+  }
+
+  /**
+   * GET /admin/sessions?desiredState=&label=
+   * label: 'key' or 'key:value'
+   */
+  router.get('/admin/sessions', (req, res) => {
+    const { desiredState, label } = req.query;
+    const sessions = listRegisteredSessions({ desiredState, label }).map(toResponse);
+    res.json({ count: sessions.length, sessions });
+  });
+
+  /**
+   * GET /admin/sessions/:salonId
+   */
+  router.get('/admin/sessions/:salonId', (req, res) => {
+    const record = getRegisteredSession(req.params.salonId);
+    if (!record) {
+      return sendError(res, 'not_found', 'Session not registered');
+    }
+    res.json(toResponse(record));
+  });
+
+  /**
+   * POST /admin/sessions
+   * Body: { salonId, desiredState?: 'running' | 'stopped', providerConfig?, labels? }
+   * The session is started or stopped right away to match desiredState.
+   */
+  router.post('/admin/sessions', async (req, res) => {
+    const { salonId, desiredState, providerConfig, labels } = req.body || {};
+
+    let record;
+    try {
+      record = registerSession(salonId, { desiredState, providerConfig, labels });
+    } catch (error) {
+      const code = getRegisteredSession(salonId) ? 'conflict' : 'validation_error';
+      return sendError(res, code, error.message);
+    }
+
+    const outcome = await reconcileSession(sessionManager, record.salonId);
+    res.status(201).json({ ...toResponse(record), outcome });
+  });
+
+  /**
+   * PATCH /admin/sessions/:salonId
+   * Body: any of { desiredState, providerConfig, labels }
+   * A providerConfig change restarts a running session.
+   */
+  router.patch('/admin/sessions/:salonId', async (req, res) => {
+    const { salonId } = req.params;
+    const { desiredState, providerConfig, labels } = req.body || {};
+
+    let record;
+    try {
+      record = updateRegisteredSession(salonId, { desiredState, providerConfig, labels });
+    } catch (error) {
+      return sendError(res, 'validation_error', error.message);
+    }
+
+    if (!record) {
+      return sendError(res, 'not_found', 'Session not registered');
+    }
+
+    if (providerConfig !== undefined && sessionManager.getSession(salonId)) {
+      await sessionManager.stopSession(salonId);
+    }
+
+    const outcome = await reconcileSession(sessionManager, salonId);
+    res.json({ ...toResponse(record), outcome });
+  });
+
+  /**
+   * DELETE /admin/sessions/:salonId?logout=true
+   * Stops the session and forgets the salon; logout=true also unlinks the phone
+   * and deletes its credentials.
+   */
+  router.delete('/admin/sessions/:salonId', async (req, res) => {
+    const { salonId } = req.params;
+
+    if (!removeRegisteredSession(salonId)) {
+      return sendError(res, 'not_found', 'Session not registered');
+    }
+
+    if (req.query.logout === 'true') {
+      await sessionManager.logoutSession(salonId);
+    } else {
+      await sessionManager.stopSession(salonId);
+    }
+
+    res.json({ salonId, success: true });
+  });
+
+  return router;
+}
+
+export default { createSessionRegistryRoutes };
@@ -1,4 +1,7 @@
 import axios from 'axios';
+import { createLogger } from './logger.js';
+
+const log = createLogger('salon-service');
 
 const SUPABASE_URL = process.env.SUPABASE_URL;
 const SUPABASE_ANON_KEY = process.env.SUPABASE_ANON_KEY;
@@ -9,7 +12,7 @@ const CACHE_TTL = 5 * 60 * 1000; // 5 minutes
 
 export async function getSalonByWhatsAppPhone(phone) {
   if (!SUPABASE_URL || !SUPABASE_ANON_KEY) {
-    console.error('❌ SUPABASE_URL ou SUPABASE_ANON_KEY non configuré');
+    log.error('SUPABASE_URL or SUPABASE_ANON_KEY not configured');
     return null;
   }
 
@@ -17,19 +20,19 @@ export async function getSalonByWhatsAppPhone(phone) {
   const cleanPhone = phone?.replace(/[@s.whatsapp.net+\s-]/g, '').replace(/:.*/g, '');
   
   if (!cleanPhone) {
-    console.warn('⚠️ Numéro de téléphone invalide');
+    log.warn({ phone }, 'Invalid phone number');
     return null;
   }
 
   // Vérifier le cache
   const cached = salonCache.get(cleanPhone);
   if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
-    console.log(`📦 Cache hit pour ${cleanPhone}: ${cached.data?.name || 'non trouvé'}`);
+    log.debug({ phone: cleanPhone, salonId: cached.data?.id || null }, 'Salon cache hit');
     return cached.data;
   }
 
   try {
-    console.log(`🔍 Recherche salon pour numéro: ${cleanPhone}`);
+    log.debug({ phone: cleanPhone }, 'Looking up salon');
     
     const response = await axios.get(
       `${SUPABASE_URL}/rest/v1/salons`,
@@ -52,18 +55,19 @@ export async function getSalonByWhatsAppPhone(phone) {
     salonCache.set(cleanPhone, { data: salon, timestamp: Date.now() });
     
     if (salon) {
-      console.log(`🏪 Salon trouvé: ${salon.name} (${salon.id})`);
+      log.info({ phone: cleanPhone, salonId: salon.id }, 'Salon found');
     } else {
-      console.warn(`⚠️ Aucun salon configuré pour le numéro ${cleanPhone}`);
+      log.warn({ phone: cleanPhone }, 'No salon configured for this number');
     }
 
     return salon;
   } catch (error) {
-    console.error('❌ Erreur lookup salon:', error.message);
-    if (error.response) {
-      console.error('📋 Status:', error.response.status);
-      console.error('📋 Data:', JSON.stringify(error.response.data));
-    }
+    log.error({
+      phone: cleanPhone,
+      error: error.message,
+      statusCode: error.response?.status,
+      response: error.response?.data
+    }, 'Salon lookup error');
     return null;
   }
 }
@@ -71,14 +75,15 @@ export async function getSalonByWhatsAppPhone(phone) {
 // Vider le cache manuellement si besoin
 export function clearSalonCache() {
   salonCache.clear();
-  console.log('🗑️ Cache salons vidé');
+  log.info('Salon cache cleared');
 }
 
 // Afficher le contenu du cache (debug)
 export function debugCache() {
-  console.log('📦 Contenu du cache:');
-  for (const [phone, data] of salonCache.entries()) {
-    const age = Math.round((Date.now() - data.timestamp) / 1000);
-    console.log(`  - ${phone}: ${data.data?.name || 'null'} (âge: ${age}s)`);
-  }
+  const entries = [...salonCache.entries()].map(([phone, data]) => ({
+    phone,
+    salonId: data.data?.id || null,
+    ageSeconds: Math.round((Date.now() - data.timestamp) / 1000)
+  }));
+  log.info({ entries }, 'Salon cache content');
 }
@@ -0,0 +1,251 @@
+/**
+ * API Keys - Issue, store and verify keys for the REST and WebSocket API
+ *
+ * Two roles exist:
+ *   - admin: full access, including key management and debug endpoints
+ *   - salon: restricted to the salonIds listed on the key
+ *
+ * Only a SHA-256 hash of each secret is persisted. Keys have the form
+ * `wak_<keyId>.<secret>` so the matching record can be found without
+ * scanning every hash.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { createLogger } from '../logger.js';
+
+const log = createLogger('api-keys');
+
+const API_KEYS_FILE = process.env.API_KEYS_FILE || './data/api_keys.json';
+const KEY_PREFIX = 'wak_';
+const ROLES = ['admin', 'salon'];
+
+// Admin keys supplied through the environment (bootstrap, not rotatable at runtime)
+const envAdminHashes = (process.env.ADMIN_API_KEYS || process.env.ADMIN_API_KEY || '')
+  .split(',')
+  .map(k => k.trim())
+  .filter(Boolean)
+  .map(hashSecret);
+
+let keys = new Map();
+
+// ═══════════════════════════════════════════
+// PERSISTENCE
+// ═══════════════════════════════════════════
+
+function loadKeys() {
+  try {
+    if (!fs.existsSync(API_KEYS_FILE)) return;
+    const records = JSON.parse(fs.readFileSync(API_KEYS_FILE, 'utf-8'));
+    keys = new Map(records.map(record => [record.id, record]));
+    log.info({ count: keys.size }, 'API keys loaded');
+  } catch (error) {
+    log.error({ error: error.message }, 'API keys load error');
+  }
+}
+
+function saveKeys() {
+  const dir = path.dirname(API_KEYS_FILE);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  // Write to a temp file then rename so a crash never leaves a truncated file
+  const tempFile = `${API_KEYS_FILE}.tmp`;
+  fs.writeFileSync(tempFile, JSON.stringify([...keys.values()], null, 2), { mode: 0o600 });
+  fs.renameSync(tempFile, API_KEYS_FILE);
+}
+
+// ═══════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function hashesMatch(a, b) {
+  const bufA = Buffer.from(a, 'hex');
+  const bufB = Buffer.from(b, 'hex');
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+function generateSecret() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+function isExpired(timestamp, now = Date.now()) {
+  return timestamp != null && new Date(timestamp).getTime() <= now;
+}
+
+/**
+ * Public view of a key record (never exposes hashes)
+ * @param {object} record - Stored key record
+ * @returns {object}
+ */
+function toPublicKey(record) {
+  return {
+    id: record.id,
+    name: record.name,
+    role: record.role,
+    salonIds: record.salonIds,
+    createdAt: record.createdAt,
+    rotatedAt: record.rotatedAt || null,
+    expiresAt: record.expiresAt || null,
+    revokedAt: record.revokedAt || null,
+    previousKeyExpiresAt: record.previousHash ? record.previousExpiresAt : null
+  };
+}
+
+// ═══════════════════════════════════════════
+// VERIFICATION
+// ═══════════════════════════════════════════
+
+/**
+ * Resolve a raw API key to its principal
+ * @param {string} rawKey - Key as presented by the client
+ * @returns {{id: string, role: string, salonIds: string[]}|null}
+ */
+export function verifyApiKey(rawKey) {
+  if (!rawKey || typeof rawKey !== 'string') return null;
+
+  const hash = hashSecret(rawKey);
+  if (envAdminHashes.some(envHash => hashesMatch(envHash, hash))) {
+    return { id: 'env-admin', role: 'admin', salonIds: [] };
+  }
+
+  if (!rawKey.startsWith(KEY_PREFIX)) return null;
+
+  const [keyId, secret] = rawKey.slice(KEY_PREFIX.length).split('.');
+  const record = keyId && secret ? keys.get(keyId) : null;
+  if (!record || record.revokedAt || isExpired(record.expiresAt)) return null;
+
+  const secretHash = hashSecret(secret);
+  const matchesCurrent = hashesMatch(record.hash, secretHash);
+  const matchesPrevious = record.previousHash &&
+    !isExpired(record.previousExpiresAt) &&
+    hashesMatch(record.previousHash, secretHash);
+
+  if (!matchesCurrent && !matchesPrevious) return null;
+
+  return { id: record.id, role: record.role, salonIds: record.salonIds };
+}
+
+/**
+ * Check whether a principal may act on a salon
+ * @param {object} principal - Result of verifyApiKey()
+ * @param {string} salonId - Salon identifier
+ * @returns {boolean}
+ */
+export function canAccessSalon(principal, salonId) {
+  if (!principal) return false;
+  if (principal.role === 'admin') return true;
+  return !!salonId && principal.salonIds.includes(salonId);
+}
+
+/**
+ * Whether an admin key (env or stored) is configured
+ * @returns {boolean}
+ */
+export function hasAdminKey() {
+  if (envAdminHashes.length > 0) return true;
+  return [...keys.values()].some(k => k.role === 'admin' && !k.revokedAt && !isExpired(k.expiresAt));
+}
+
+// ═══════════════════════════════════════════
+// MANAGEMENT
+// ═══════════════════════════════════════════
+
+export function listApiKeys() {
+  return [...keys.values()].map(toPublicKey);
+}
+
+export function getApiKey(keyId) {
+  const record = keys.get(keyId);
+  return record ? toPublicKey(record) : null;
+}
+
+/**
+ * Issue a new API key. The plaintext key is only returned here.
+ * @param {object} options
+ * @param {string} options.name - Human readable label
+ * @param {string} options.role - 'admin' or 'salon'
+ * @param {string[]} options.salonIds - Salons a 'salon' key may access
+ * @param {string} [options.expiresAt] - ISO date after which the key is rejected
+ * @returns {{key: string, apiKey: object}}
+ */
+export function createApiKey({ name, role = 'salon', salonIds = [], expiresAt = null }) {
+  if (!ROLES.includes(role)) {
+    throw new Error(`Invalid role: ${role}. Supported roles: ${ROLES.join(', ')}`);
+  }
+  if (role === 'salon' && (!Array.isArray(salonIds) || salonIds.length === 0)) {
+    throw new Error('salonIds required for salon keys');
+  }
+  if (expiresAt && isNaN(new Date(expiresAt).getTime())) {
+    throw new Error('expiresAt must be a valid date');
+  }
+
+  const id = crypto.randomBytes(6).toString('hex');
+  const secret = generateSecret();
+
+  const record = {
+    id,
+    name: name || id,
+    role,
+    salonIds: role === 'admin' ? [] : [...new Set(salonIds.map(String))],
+    hash: hashSecret(secret),
+    createdAt: new Date().toISOString(),
+    expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+    revokedAt: null
+  };
+
+  keys.set(id, record);
+  saveKeys();
+
+  log.info({ keyId: id, role }, 'API key created');
+  return { key: `${KEY_PREFIX}${id}.${secret}`, apiKey: toPublicKey(record) };
+}
+
+/**
+ * Replace the secret of a key. The previous secret stays valid for
+ * `graceSeconds` so clients can be updated without downtime.
+ * @param {string} keyId - Key identifier
+ * @param {number} graceSeconds - Validity window of the previous secret
+ * @returns {{key: string, apiKey: object}|null}
+ */
+export function rotateApiKey(keyId, graceSeconds = 0) {
+  const record = keys.get(keyId);
+  if (!record || record.revokedAt) return null;
+
+  const secret = generateSecret();
+
+  if (graceSeconds > 0) {
+    record.previousHash = record.hash;
+    record.previousExpiresAt = new Date(Date.now() + graceSeconds * 1000).toISOString();
+  } else {
+    delete record.previousHash;
+    delete record.previousExpiresAt;
+  }
+
+  record.hash = hashSecret(secret);
+  record.rotatedAt = new Date().toISOString();
+  saveKeys();
+
+  log.info({ keyId, graceSeconds }, 'API key rotated');
+  return { key: `${KEY_PREFIX}${keyId}.${secret}`, apiKey: toPublicKey(record) };
+}
+
+export function revokeApiKey(keyId) {
+  const record = keys.get(keyId);
+  if (!record) return false;
+
+  record.revokedAt = record.revokedAt || new Date().toISOString();
+  saveKeys();
+
+  log.info({ keyId }, 'API key revoked');
+  return true;
+}
+
+// Charger les clés au démarrage du module
+loadKeys();
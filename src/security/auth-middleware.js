@@ -0,0 +1,100 @@
+/**
+ * Auth Middleware - Express guards built on API keys
+ */
+
+import crypto from 'crypto';
+import { verifyApiKey, canAccessSalon } from './api-keys.js';
+import { sendError } from '../http-errors.js';
+
+export const AUTH_ENABLED = process.env.API_AUTH_ENABLED !== 'false';
+
+// Principal used when authentication is explicitly disabled (local development)
+const ANONYMOUS_ADMIN = { id: 'auth-disabled', role: 'admin', salonIds: [] };
+
+// Read-only token for metrics scrapers, accepted on /metrics only
+const METRICS_TOKEN = process.env.METRICS_TOKEN || null;
+
+/**
+ * Extract the API key from request headers
+ * Supports `Authorization: Bearer <key>` and `X-API-Key: <key>`
+ * @param {object} headers - Incoming request headers
+ * @returns {string|null}
+ */
+export function extractApiKey(headers = {}) {
+  const authorization = headers.authorization;
+  if (authorization && authorization.startsWith('Bearer ')) {
+    return authorization.slice('Bearer '.length).trim();
+  }
+  return headers['x-api-key'] || null;
+}
+
+/**
+ * Resolve the principal for a set of credentials
+ * @param {string|null} rawKey - Raw API key
+ * @returns {object|null}
+ */
+export function resolvePrincipal(rawKey) {
+  if (!AUTH_ENABLED) return ANONYMOUS_ADMIN;
+  return verifyApiKey(rawKey);
+}
+
+/**
+ * Reject requests without a valid API key, attach `req.principal` otherwise
+ */
+export function authenticate(req, res, next) {
+  const principal = resolvePrincipal(extractApiKey(req.headers));
+
+  if (!principal) {
+    return sendError(res, 'unauthorized', 'Invalid or missing API key');
+  }
+
+  req.principal = principal;
+  next();
+}
+
+/**
+ * Only allow admin keys
+ */
+export function requireAdmin(req, res, next) {
+  if (req.principal?.role !== 'admin') {
+    return sendError(res, 'forbidden', 'Admin API key required');
+  }
+  next();
+}
+
+function tokensMatch(a, b) {
+  // Hash first so the comparison does not leak the token length
+  const hashA = crypto.createHash('sha256').update(a).digest();
+  const hashB = crypto.createHash('sha256').update(b).digest();
+  return crypto.timingSafeEqual(hashA, hashB);
+}
+
+/**
+ * Guard for /metrics, used instead of `authenticate` on that route
+ * Accepts METRICS_TOKEN (so a scraper does not need a key that can manage
+ * salons) or an admin API key.
+ */
+export function requireMetricsAccess(req, res, next) {
+  const rawKey = extractApiKey(req.headers);
+  if (METRICS_TOKEN && rawKey && tokensMatch(rawKey, METRICS_TOKEN)) {
+    return next();
+  }
+
+  authenticate(req, res, () => requireAdmin(req, res, next));
+}
+
+/**
+ * Only allow keys scoped to the salon in `req.params[param]`
+ * @param {string} param - Route parameter holding the salonId
+ */
+export function requireSalonAccess(param = 'salonId') {
+  return (req, res, next) => {
+    const salonId = req.params[param];
+    if (!canAccessSalon(req.principal, salonId)) {
+      return sendError(res, 'forbidden', `API key not allowed for salon ${salonId}`);
+    }
+    next();
+  };
+}
+
+export { canAccessSalon };
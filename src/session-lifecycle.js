@@ -0,0 +1,168 @@
+/**
+ * Session Lifecycle - State machine, state timeouts and event timeline
+ *
+ *   idle ──► initializing ──► qr_ready / pairing_code_ready ──► connected
+ *                 ▲                       │                        │
+ *                 └──── reconnecting ◄────┴────────────────────────┘
+ *
+ * Any live state can also move to stopped, logged_out, failed or error;
+ * those terminal states only lead back to initializing (or logged_out).
+ *
+ * Waiting states time out (QR/pairing code nobody uses, socket that never
+ * opens, reconnect loop): the owner gets onTimeout(state) and is expected to
+ * close the socket and move the session to 'failed'.
+ *
+ * One SessionLifecycle lives per salon, across reconnects, so the timeline
+ * keeps the whole history (bounded to SESSION_EVENT_HISTORY entries).
+ */
+
+import { sessionReconnects } from './metrics.js';
+import { getSalonLogger } from './logger.js';
+
+const TIMEOUTS = {
+  initializing: parseInt(process.env.SESSION_INITIALIZING_TIMEOUT_MS) || 2 * 60 * 1000,
+  qr_ready: parseInt(process.env.SESSION_QR_TIMEOUT_MS) || 5 * 60 * 1000,
+  pairing_code_ready: parseInt(process.env.SESSION_QR_TIMEOUT_MS) || 5 * 60 * 1000,
+  reconnecting: parseInt(process.env.SESSION_RECONNECTING_TIMEOUT_MS) || 15 * 60 * 1000
+};
+
+const HISTORY_SIZE = parseInt(process.env.SESSION_EVENT_HISTORY) || 50;
+
+const TERMINAL = ['stopped', 'logged_out', 'failed', 'error'];
+
+export const TRANSITIONS = {
+  idle: ['initializing', 'logged_out'],
+  // A waiting session can be restarted (new connect request, other login method)
+  initializing: ['initializing', 'qr_ready', 'pairing_code_ready', 'connected', 'reconnecting', ...TERMINAL],
+  qr_ready: ['qr_ready', 'initializing', 'connected', 'reconnecting', ...TERMINAL],
+  pairing_code_ready: ['pairing_code_ready', 'initializing', 'connected', 'reconnecting', ...TERMINAL],
+  connected: ['reconnecting', ...TERMINAL],
+  reconnecting: ['initializing', 'connected', 'qr_ready', 'pairing_code_ready', ...TERMINAL],
+  stopped: ['initializing', 'logged_out'],
+  logged_out: ['initializing'],
+  failed: ['initializing', 'stopped', 'logged_out'],
+  error: ['initializing', 'stopped', 'logged_out']
+};
+
+export const SESSION_STATES = Object.keys(TRANSITIONS);
+
+// Only these details go into the timeline (QR / pairing codes never do)
+const EVENT_DETAIL_KEYS = ['reason', 'error', 'attempt', 'maxAttempts', 'nextRetryIn', 'provider'];
+
+export class SessionLifecycle {
+  /**
+   * @param {string} salonId - Salon identifier
+   * @param {object} options
+   * @param {function(string): void} [options.onTimeout] - Called with the state that timed out
+   */
+  constructor(salonId, options = {}) {
+    this.salonId = salonId;
+    this.onTimeout = options.onTimeout || (() => {});
+    this.log = getSalonLogger(salonId);
+
+    this.state = 'idle';
+    this.enteredAt = new Date().toISOString();
+    this.events = [];
+    this.timer = null;
+    this.deadline = null;
+
+    // A reconnect loop alternates reconnecting / initializing: its timeout spans the whole loop
+    this.reconnectingSince = null;
+  }
+
+  can(to) {
+    return TRANSITIONS[this.state]?.includes(to) || false;
+  }
+
+  /**
+   * Move to a new state
+   * Self-transitions (new QR code) are recorded but keep the running timeout.
+   * @param {string} to - Target state
+   * @param {object} [details] - { reason, error, attempt, ... }
+   * @returns {boolean} false when the transition is not allowed
+   */
+  transition(to, details = {}) {
+    if (!this.can(to)) {
+      this.log.warn({ from: this.state, to }, 'Invalid lifecycle transition ignored');
+      return false;
+    }
+
+    const from = this.state;
+    this.record({ from, to, ...details });
+
+    if (from === to) return true;
+
+    this.state = to;
+    this.enteredAt = new Date().toISOString();
+
+    if (to === 'reconnecting') {
+      this.reconnectingSince = this.reconnectingSince || Date.now();
+      sessionReconnects.inc({ salon_id: this.salonId });
+    } else if (to !== 'initializing') {
+      this.reconnectingSince = null;
+    }
+
+    this.armTimeout();
+    return true;
+  }
+
+  record(event) {
+    const entry = { at: new Date().toISOString(), from: event.from, to: event.to };
+    for (const key of EVENT_DETAIL_KEYS) {
+      if (event[key] !== undefined && event[key] !== null) entry[key] = event[key];
+    }
+
+    this.events.push(entry);
+    if (this.events.length > HISTORY_SIZE) {
+      this.events.splice(0, this.events.length - HISTORY_SIZE);
+    }
+  }
+
+  armTimeout() {
+    this.clearTimeout();
+
+    const timeoutMs = TIMEOUTS[this.state];
+    if (!timeoutMs) return;
+
+    const startedAt = this.state === 'reconnecting' ? this.reconnectingSince : Date.now();
+    this.deadline = startedAt + timeoutMs;
+
+    const state = this.state;
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.deadline = null;
+      if (this.state !== state) return;
+
+      this.log.warn({ state }, 'Lifecycle state timed out');
+      try {
+        this.onTimeout(state);
+      } catch (error) {
+        this.log.error({ state, error: error.message }, 'Lifecycle timeout handler error');
+      }
+    }, Math.max(this.deadline - Date.now(), 0));
+    this.timer.unref?.();
+  }
+
+  clearTimeout() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    this.deadline = null;
+  }
+
+  /**
+   * Timeline snapshot, oldest event first
+   * @returns {{state: string, enteredAt: string, timeoutAt: string|null, events: object[]}}
+   */
+  toJSON() {
+    return {
+      state: this.state,
+      enteredAt: this.enteredAt,
+      timeoutAt: this.deadline ? new Date(this.deadline).toISOString() : null,
+      events: [...this.events]
+    };
+  }
+}
+
+export default SessionLifecycle;
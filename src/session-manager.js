@@ -1,39 +1,58 @@
 import makeWASocket, {
-  useMultiFileAuthState,
   DisconnectReason,
   fetchLatestBaileysVersion,
   makeCacheableSignalKeyStore,
   downloadMediaMessage
 } from '@whiskeysockets/baileys';
-import pino from 'pino';
 import QRCode from 'qrcode';
-import fs from 'fs';
-import path from 'path';
 import axios from 'axios';
-import OpenAI from 'openai';
 import { 
   enqueue, 
   dequeue, 
   incrementAttempts, 
-  getQueuedMessages, 
-  cleanupFailedMessages, 
+  moveToDeadLetter,
   getQueueLength 
 } from './queue.js';
+import { addDeadLetter } from './dead-letter.js';
+import { postSignedWebhook, getMessageDeliveryId } from './webhook-signer.js';
+import { createRetryScheduler } from './retry-scheduler.js';
+import {
+  normalizeBaileysUpdate,
+  normalizeBaileysReceipt,
+  dispatchMessageStatus
+} from './message-status.js';
+import { describeBaileysMedia, storeInboundMedia, getMaxMediaBytes } from './media/media-store.js';
+import { useStoreAuthState, deleteAuthState, hasAuthState } from './auth-state/auth-state.js';
+import {
+  isTranscriptionEnabled,
+  getTranscriptionBackendName,
+  transcribeVoiceNote
+} from './transcription/transcription-service.js';
+import { normalizePairingPhoneNumber, waitForPairingCode } from './pairing-code.js';
+import { SessionLifecycle } from './session-lifecycle.js';
+import { touchRegisteredSession } from './session-registry.js';
+import { processInboundOnce } from './inbound-dedup.js';
+import {
+  messagesSent,
+  messagesReceived,
+  sendDuration,
+  webhookDeliveries
+} from './metrics.js';
+import { createLogger, getBaileysLogger, getSalonLogger } from './logger.js';
+import { withSpan, setSpanAttributes, addSpanEvent, markSpanError, injectTraceContext } from './tracing.js';
+
+const log = createLogger('sessions');
 
-const logger = pino({ level: 'silent' });
 const WEBHOOK_URL = process.env.WEBHOOK_URL;
 const SUPABASE_URL = process.env.SUPABASE_URL;
 const SUPABASE_ANON_KEY = process.env.SUPABASE_ANON_KEY;
 const POLLING_INTERVAL = parseInt(process.env.POLLING_INTERVAL) || 5000;
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-
-// Client OpenAI pour transcription
-const openai = OPENAI_API_KEY ? new OpenAI({ apiKey: OPENAI_API_KEY }) : null;
 
 const sessions = new Map();
 const statusCallbacks = new Map();
 const pollingIntervals = new Map();
 const reconnectTimers = new Map();
+const lifecycles = new Map();
 
 // Exponential backoff with jitter
 function calculateBackoffDelay(attempt) {
@@ -51,12 +70,6 @@ function getPollingIntervalWithJitter() {
   return POLLING_INTERVAL + jitter;
 }
 
-// Créer le dossier temp s'il n'existe pas
-const TEMP_DIR = './temp';
-if (!fs.existsSync(TEMP_DIR)) {
-  fs.mkdirSync(TEMP_DIR, { recursive: true });
-}
-
 export function getSession(salonId) {
   return sessions.get(salonId);
 }
@@ -68,6 +81,7 @@ export function getAllSessions() {
       salonId,
       status: session.status,
       phoneNumber: session.phoneNumber,
+      pairingCode: session.pairingCode,
       connectedAt: session.connectedAt
     });
   }
@@ -93,52 +107,68 @@ function notifyStatusChange(salonId, data) {
     try {
       callback(data);
     } catch (e) {
-      console.error('Erreur callback:', e);
+      getSalonLogger(salonId).error({ err: e }, 'Status callback error');
     }
   }
 }
 
 // ═══════════════════════════════════════════
-// TRANSCRIPTION VOCALE AVEC OPENAI WHISPER
+// CYCLE DE VIE (machine à états, timeouts, historique)
 // ═══════════════════════════════════════════
 
-async function transcribeAudio(audioBuffer, messageId) {
-  if (!openai) {
-    console.warn('⚠️ OPENAI_API_KEY non configuré - transcription désactivée');
-    return null;
+function getLifecycle(salonId) {
+  let lifecycle = lifecycles.get(salonId);
+  if (!lifecycle) {
+    lifecycle = new SessionLifecycle(salonId, {
+      onTimeout: (state) => handleLifecycleTimeout(salonId, state)
+    });
+    lifecycles.set(salonId, lifecycle);
   }
+  return lifecycle;
+}
 
-  const tempPath = path.join(TEMP_DIR, `voice-${messageId}.ogg`);
-
-  try {
-    // Sauvegarder le fichier temporairement
-    fs.writeFileSync(tempPath, audioBuffer);
+/**
+ * Changer l'état d'une session et prévenir les abonnés
+ * Ignoré pour une session remplacée (ancien socket) ou une transition interdite.
+ * @returns {boolean} true si l'état a changé
+ */
+function setSessionStatus(session, status, details = {}) {
+  if (sessions.get(session.salonId) !== session) return false;
+  if (!getLifecycle(session.salonId).transition(status, details)) return false;
+
+  session.status = status;
+  notifyStatusChange(session.salonId, { status, ...details });
+  return true;
+}
 
-    console.log(`🎤 Transcription en cours...`);
+// QR / code non utilisé, socket jamais ouvert ou reconnexion sans fin : on abandonne
+function handleLifecycleTimeout(salonId, state) {
+  const session = sessions.get(salonId);
+  if (!session) return;
 
-    const transcription = await openai.audio.transcriptions.create({
-      file: fs.createReadStream(tempPath),
-      model: 'whisper-1',
-      language: 'fr'  // Français par défaut, peut être changé
-    });
+  const reasons = {
+    initializing: 'initializing_timeout',
+    qr_ready: 'qr_expired',
+    pairing_code_ready: 'pairing_code_expired',
+    reconnecting: 'reconnect_timeout'
+  };
 
-    console.log(`✅ Transcription réussie: "${transcription.text.substring(0, 50)}..."`);
+  closeSocket(salonId, session);
+  session.qrCode = null;
+  session.qrCodeBase64 = null;
+  session.pairingCode = null;
 
-    return transcription.text;
+  getSalonLogger(salonId).warn({ reason: reasons[state] || state }, 'Session given up');
+  setSessionStatus(session, 'failed', { reason: reasons[state] || `${state}_timeout` });
+}
 
-  } catch (error) {
-    console.error('❌ Erreur transcription:', error.message);
-    return null;
-  } finally {
-    // Nettoyer le fichier temporaire
-    try {
-      if (fs.existsSync(tempPath)) {
-        fs.unlinkSync(tempPath);
-      }
-    } catch (e) {
-      console.error('Erreur suppression fichier temp:', e);
-    }
-  }
+/**
+ * Historique des états d'une session (conservé après déconnexion)
+ * @param {string} salonId - Identifiant du salon
+ * @returns {{state: string, enteredAt: string, timeoutAt: string|null, events: object[]}|null}
+ */
+export function getSessionEvents(salonId) {
+  return lifecycles.get(salonId)?.toJSON() || null;
 }
 
 // ═══════════════════════════════════════════
@@ -152,7 +182,7 @@ function extractPhoneFromJid(jid) {
   
   if (jid.includes('@lid')) {
     const lidNumber = jid.replace('@lid', '');
-    console.log(`📋 LID détecté: ${lidNumber}`);
+    log.debug({ lidId: lidNumber }, 'LID detected');
     return { phone: null, isLid: true, lidId: lidNumber };
   }
   
@@ -163,12 +193,12 @@ function extractPhoneFromJid(jid) {
     if (digits.length >= 8 && digits.length <= 15) {
       return { phone: `+${digits}`, isLid: false, lidId: null };
     } else {
-      console.log(`📋 Numéro long traité comme LID: ${digits}`);
+      log.debug({ lidId: digits }, 'Long number treated as LID');
       return { phone: null, isLid: true, lidId: digits };
     }
   }
   
-  console.log(`⚠️ Format JID inconnu: ${jid}`);
+  log.warn({ jid }, 'Unknown JID format');
   return { phone: null, isLid: false, lidId: null };
 }
 
@@ -197,11 +227,11 @@ async function startPolling(salonId) {
   stopPolling(salonId);
 
   if (!SUPABASE_URL || !SUPABASE_ANON_KEY) {
-    console.warn(`⚠️ [${salonId}] Polling désactivé - SUPABASE_URL ou SUPABASE_ANON_KEY manquant`);
+    getSalonLogger(salonId).warn('Polling disabled - Supabase not configured');
     return;
   }
 
-  console.log(`🔄 [${salonId}] Démarrage du polling (interval: ~${POLLING_INTERVAL}ms avec jitter)`);
+  getSalonLogger(salonId).info({ intervalMs: POLLING_INTERVAL }, 'Polling started');
 
   // Use dynamic interval with jitter to prevent thundering herd
   let isPolling = false;
@@ -226,7 +256,7 @@ function stopPolling(salonId) {
   if (intervalId) {
     clearInterval(intervalId);
     pollingIntervals.delete(salonId);
-    console.log(`⏹️ [${salonId}] Polling arrêté`);
+    getSalonLogger(salonId).info('Polling stopped');
   }
 }
 
@@ -255,73 +285,98 @@ async function pollPendingMessages(salonId) {
       return;
     }
 
-    console.log(`📬 [${salonId}] ${count || messages.length} message(s) à envoyer`);
+    const salonLog = getSalonLogger(salonId, 'baileys');
+    salonLog.info({ count: count || messages.length }, 'Pending messages to send');
 
     for (const msg of messages) {
-      try {
-        const jid = buildJid(msg);
-        
-        if (!jid) {
-          console.warn(`⚠️ [${salonId}] Impossible de construire JID pour message ${msg.id}`);
-          await markMessageSent([msg.id], 'failed', null, 'JID invalide');
-          continue;
-        }
+      // Une trace par message en attente : envoi puis accusé vers Supabase
+      await withSpan('supabase.pending_message', {
+        'salon.id': salonId,
+        'pending.id': msg.id,
+        'message.is_lid': Boolean(msg.isLid)
+      }, async () => {
+        try {
+          const jid = buildJid(msg);
 
-        const destination = msg.isLid ? `LID:${msg.lidId}` : msg.phoneNumber;
-        console.log(`📤 [${salonId}] Envoi à ${destination}: "${msg.content.substring(0, 50)}..."`);
+          if (!jid) {
+            salonLog.warn({ pendingId: msg.id }, 'Cannot build JID for pending message');
+            markSpanError('Invalid JID');
+            await markMessageSent([msg.id], 'failed', null, 'JID invalide');
+            return;
+          }
 
-        const result = await session.socket.sendMessage(jid, { text: msg.content });
+          const result = await timedSend(salonId, 'text', () => session.socket.sendMessage(jid, { text: msg.content }));
 
-        console.log(`✅ [${salonId}] Message envoyé à ${destination}`);
+          salonLog.info({ pendingId: msg.id, messageId: result?.key?.id, phone: msg.phoneNumber, lidId: msg.lidId }, 'Pending message sent');
 
-        await markMessageSent([msg.id], 'sent', result?.key?.id);
+          await markMessageSent([msg.id], 'sent', result?.key?.id);
 
-      } catch (sendError) {
-        const destination = msg.isLid ? `LID:${msg.lidId}` : msg.phoneNumber;
-        console.error(`❌ [${salonId}] Erreur envoi à ${destination}:`, sendError.message);
-        await markMessageSent([msg.id], 'failed', null, sendError.message);
-      }
+        } catch (sendError) {
+          salonLog.error({ pendingId: msg.id, error: sendError.message }, 'Pending message send error');
+          markSpanError(sendError);
+          await markMessageSent([msg.id], 'failed', null, sendError.message);
+        }
+      }, { kind: 'consumer' });
     }
 
   } catch (error) {
     if (!error.message.includes('timeout') && !error.message.includes('ECONNREFUSED')) {
-      console.error(`❌ [${salonId}] Erreur polling:`, error.message);
+      getSalonLogger(salonId).error({ error: error.message }, 'Polling error');
     }
   }
 }
 
 async function markMessageSent(messageIds, status, whatsappMessageId = null, errorMessage = null) {
-  try {
-    const payload = { messageIds, status };
-    
-    if (whatsappMessageId) payload.whatsappMessageId = whatsappMessageId;
-    if (errorMessage) payload.errorMessage = errorMessage;
-
-    await axios.post(
-      `${SUPABASE_URL}/functions/v1/whatsapp-mark-sent`,
-      payload,
-      {
-        headers: {
-          'Authorization': `Bearer ${SUPABASE_ANON_KEY}`,
-          'Content-Type': 'application/json'
-        },
-        timeout: 10000
-      }
-    );
-    
-    console.log(`📝 Message(s) marqué(s) comme ${status}`);
-  } catch (error) {
-    console.error('❌ Erreur mark-sent:', error.message);
-  }
+  await withSpan('supabase.mark_sent', {
+    'message.status': status,
+    'message.id': whatsappMessageId,
+    'pending.count': messageIds.length
+  }, async () => {
+    try {
+      const payload = { messageIds, status };
+
+      if (whatsappMessageId) payload.whatsappMessageId = whatsappMessageId;
+      if (errorMessage) payload.errorMessage = errorMessage;
+
+      await axios.post(
+        `${SUPABASE_URL}/functions/v1/whatsapp-mark-sent`,
+        payload,
+        {
+          headers: {
+            'Authorization': `Bearer ${SUPABASE_ANON_KEY}`,
+            'Content-Type': 'application/json',
+            ...injectTraceContext()
+          },
+          timeout: 10000
+        }
+      );
+    } catch (error) {
+      log.error({ messageIds, status, error: error.message }, 'Error marking message');
+      markSpanError(error);
+    }
+  }, { kind: 'client' });
 }
 
 // ═══════════════════════════════════════════
 // WEBHOOK - MESSAGES ENTRANTS
 // ═══════════════════════════════════════════
 
-async function forwardToWebhook(salonId, messageData, fromQueue = false) {
+// Un message repris de la file (ou du dead-letter) continue la trace de sa réception
+function forwardToWebhook(salonId, messageData, fromQueue = false) {
+  return withSpan('webhook.forward', {
+    'salon.id': salonId,
+    'message.id': messageData.messageId,
+    'message.type': messageData.type,
+    'webhook.retry': fromQueue
+  }, () => deliverToWebhook(salonId, messageData, fromQueue), {
+    parent: messageData.traceContext,
+    kind: 'client'
+  });
+}
+
+async function deliverToWebhook(salonId, messageData, fromQueue) {
   if (!WEBHOOK_URL) {
-    console.warn('⚠️ WEBHOOK_URL non configuré');
+    log.warn('WEBHOOK_URL not configured');
     return false;
   }
 
@@ -337,33 +392,25 @@ async function forwardToWebhook(salonId, messageData, fromQueue = false) {
     // Nouveaux champs pour les messages vocaux
     isVoiceMessage: messageData.isVoiceMessage || false,
     voiceTranscription: messageData.voiceTranscription || null,
-    voiceDurationSeconds: messageData.voiceDurationSeconds || null
+    voiceTranscriptionLanguage: messageData.voiceTranscriptionLanguage || null,
+    voiceTranscriptionConfidence: messageData.voiceTranscriptionConfidence ?? null,
+    voiceDurationSeconds: messageData.voiceDurationSeconds || null,
+    // Média stocké (lien de téléchargement signé, taille, sha256, type MIME)
+    media: messageData.media || null
   };
 
-  console.log('═══════════════════════════════════════════');
-  console.log(`📤 Envoi webhook ${fromQueue ? '(retry)' : ''}`);
-  console.log(`   Salon: ${salonId}`);
-  if (payload.isLid) {
-    console.log(`   Type: LID`);
-    console.log(`   LID ID: ${payload.lidId}`);
-  } else {
-    console.log(`   Phone: ${payload.phone}`);
-  }
-  if (payload.isVoiceMessage) {
-    console.log(`   🎤 Message vocal (${payload.voiceDurationSeconds}s)`);
-    console.log(`   📝 Transcription: ${payload.voiceTranscription || 'N/A'}`);
-  }
-  console.log(`   Message: ${payload.message}`);
-  console.log(`   Customer: ${payload.customerName}`);
-  console.log('═══════════════════════════════════════════');
+  const salonLog = getSalonLogger(salonId, 'baileys');
+  salonLog.debug({ messageId: messageData.messageId, retry: fromQueue }, 'Sending webhook');
 
   try {
-    const response = await axios.post(WEBHOOK_URL, payload, {
-      headers: { 'Content-Type': 'application/json' },
-      timeout: 15000  // Plus de temps pour les vocaux
+    const { response, deliveryId } = await postSignedWebhook(WEBHOOK_URL, payload, {
+      timeout: 15000,  // Plus de temps pour les vocaux
+      deliveryId: getMessageDeliveryId(salonId, messageData.messageId)
     });
 
-    console.log(`✅ Webhook OK - Status: ${response.status}`);
+    salonLog.info({ messageId: messageData.messageId, statusCode: response.status, deliveryId }, 'Webhook delivered');
+    setSpanAttributes({ 'http.response.status_code': response.status, 'webhook.delivery_id': deliveryId });
+    webhookDeliveries.inc({ outcome: 'delivered', source: fromQueue ? 'retry' : 'live' });
     
     if (fromQueue) {
       dequeue(messageData.messageId);
@@ -371,43 +418,74 @@ async function forwardToWebhook(salonId, messageData, fromQueue = false) {
     
     return true;
   } catch (error) {
-    console.error(`❌ Erreur webhook: ${error.message}`);
+    salonLog.error({ messageId: messageData.messageId, statusCode: error.response?.status, error: error.message }, 'Webhook error');
+    setSpanAttributes({ 'http.response.status_code': error.response?.status });
+    markSpanError(error);
+    webhookDeliveries.inc({
+      outcome: error.response?.status === 400 ? 'rejected' : 'failed',
+      source: fromQueue ? 'retry' : 'live'
+    });
     
     if (error.response?.status === 400) {
-      console.log('⚠️ Erreur 400 - message ignoré');
-      if (fromQueue) dequeue(messageData.messageId);
+      salonLog.warn({ messageId: messageData.messageId }, 'Message rejected by webhook (400), moved to dead-letter queue');
+      const failure = { error: error.message, statusCode: 400 };
+      if (fromQueue) {
+        moveToDeadLetter(messageData.messageId, 'rejected', failure);
+      } else {
+        addDeadLetter({ ...messageData, salonId }, {
+          reason: 'rejected',
+          ...failure,
+          attempts: 1,
+          history: [{ at: new Date().toISOString(), ...failure }]
+        });
+      }
       return false;
     }
     
     if (!fromQueue) {
-      enqueue({ ...messageData, salonId });
+      enqueue({ ...messageData, salonId, traceContext: injectTraceContext() });
+      addSpanEvent('queued');
     } else {
-      incrementAttempts(messageData.messageId);
+      incrementAttempts(messageData.messageId, {
+        error: error.message,
+        statusCode: error.response?.status
+      });
     }
     
     return false;
   }
 }
 
-export async function processQueue() {
-  const queuedMessages = getQueuedMessages();
-  
-  if (queuedMessages.length === 0) return;
-  
-  console.log(`\n🔄 Traitement de ${queuedMessages.length} messages en attente...\n`);
-  
-  for (const msg of queuedMessages) {
-    await forwardToWebhook(msg.salonId, msg, true);
-    await new Promise(resolve => setTimeout(resolve, 500));
-  }
-  
-  cleanupFailedMessages();
+// Redélivrer un message (replay dead-letter) par le chemin webhook normal
+export function redeliverMessage(messageData) {
+  return forwardToWebhook(messageData.salonId, messageData, false);
+}
+
+// Retries planifiés (backoff exponentiel + jitter, voir queue.js)
+const retryScheduler = createRetryScheduler({
+  deliver: (msg) => forwardToWebhook(msg.salonId, msg, true)
+});
+
+export function startQueueScheduler() {
+  retryScheduler.start();
+}
+
+export function stopQueueScheduler() {
+  retryScheduler.stop();
+}
+
+export function getQueueSchedulerState() {
+  return retryScheduler.getState();
+}
+
+export async function processQueue(options = {}) {
+  await retryScheduler.runOnce(options);
   
   const remaining = getQueueLength();
   if (remaining > 0) {
-    console.log(`📦 ${remaining} messages encore en attente`);
+    log.info({ queued: remaining }, 'Messages still in queue');
   } else {
-    console.log('✅ Queue vidée');
+    log.info('Queue drained');
   }
 }
 
@@ -415,44 +493,74 @@ export async function processQueue() {
 // GESTION DES SESSIONS
 // ═══════════════════════════════════════════
 
-export async function createSession(salonId) {
+// Supprimer les identifiants d'un salon (store configuré par AUTH_STATE_STORE)
+async function clearAuthState(salonId) {
+  try {
+    await deleteAuthState(salonId);
+  } catch (e) {
+    getSalonLogger(salonId).error({ error: e.message }, 'Error deleting stored credentials');
+  }
+}
+
+/**
+ * Créer (ou reprendre) la session d'un salon
+ * @param {string} salonId - Identifiant du salon
+ * @param {object} [sessionConfig] - Config fournisseurs (mode hybride uniquement, ignorée ici)
+ * @param {object} [options]
+ * @param {string} [options.pairingPhoneNumber] - Numéro (chiffres uniquement) pour
+ *        se connecter par code d'appairage au lieu du QR code
+ */
+export async function createSession(salonId, sessionConfig = null, options = {}) {
   const existing = sessions.get(salonId);
   if (existing && existing.status === 'connected') {
-    console.log(`📱 Session ${salonId} déjà connectée`);
+    getSalonLogger(salonId, 'baileys').info('Session already connected');
     return existing;
   }
 
-  const authDir = path.join('./auth', salonId);
-  if (!fs.existsSync(authDir)) {
-    fs.mkdirSync(authDir, { recursive: true });
-  }
-
+  let resolvePairingCode;
   const session = {
     salonId,
     status: 'initializing',
+    createdAt: new Date().toISOString(),
     qrCode: null,
     qrCodeBase64: null,
+    pairingPhoneNumber: options.pairingPhoneNumber || null,
+    pairingCode: null,
+    pairingCodeReady: options.pairingPhoneNumber
+      ? new Promise((resolve) => { resolvePairingCode = resolve; })
+      : null,
     phoneNumber: null,
     socket: null,
     connectedAt: null,
-    reconnectAttempts: 0
+    // Keep counting across the reconnect loop (each attempt is a new session object)
+    reconnectAttempts: existing?.status === 'reconnecting' ? existing.reconnectAttempts : 0
   };
 
   sessions.set(salonId, session);
-  notifyStatusChange(salonId, { status: 'initializing' });
+  setSessionStatus(session, 'initializing');
+
+  const salonLog = getSalonLogger(salonId, 'baileys');
+  const baileysLogger = getBaileysLogger(salonId);
 
   try {
-    const { state, saveCreds } = await useMultiFileAuthState(authDir);
+    const { state, saveCreds } = await useStoreAuthState(salonId);
     const { version } = await fetchLatestBaileysVersion();
 
+    // Déjà appairé : la session se reconnecte sans code
+    if (session.pairingPhoneNumber && state.creds.registered) {
+      salonLog.info('Already paired, pairing code skipped');
+      session.pairingPhoneNumber = null;
+      resolvePairingCode(null);
+    }
+
     const sock = makeWASocket({
       version,
       auth: {
         creds: state.creds,
-        keys: makeCacheableSignalKeyStore(state.keys, logger)
+        keys: makeCacheableSignalKeyStore(state.keys, baileysLogger)
       },
       printQRInTerminal: false,
-      logger,
+      logger: baileysLogger,
       generateHighQualityLinkPreview: true,
       syncFullHistory: false,
       markOnlineOnConnect: false
@@ -463,8 +571,28 @@ export async function createSession(salonId) {
     sock.ev.on('connection.update', async (update) => {
       const { connection, lastDisconnect, qr } = update;
 
+      // Socket d'une session remplacée depuis (nouvelle demande de connexion)
+      if (sessions.get(salonId) !== session) return;
+
+      // Code d'appairage : demandé une seule fois, au premier QR émis par le socket
+      if (qr && session.pairingPhoneNumber) {
+        if (session.pairingCode) return;
+
+        try {
+          session.pairingCode = await sock.requestPairingCode(session.pairingPhoneNumber);
+
+          salonLog.info('Pairing code ready');
+          setSessionStatus(session, 'pairing_code_ready', { pairingCode: session.pairingCode });
+          resolvePairingCode(session.pairingCode);
+        } catch (e) {
+          salonLog.error({ error: e.message }, 'Pairing code error');
+          session.pairingPhoneNumber = null;
+          resolvePairingCode(null);
+        }
+        return;
+      }
+
       if (qr) {
-        session.status = 'qr_ready';
         session.qrCode = qr;
 
         try {
@@ -474,54 +602,50 @@ export async function createSession(salonId) {
             color: { dark: '#000000', light: '#FFFFFF' }
           });
         } catch (e) {
-          console.error('Erreur génération QR:', e);
+          salonLog.error({ err: e }, 'QR code generation error');
         }
 
-        console.log(`📱 QR code prêt pour salon ${salonId}`);
-        notifyStatusChange(salonId, {
-          status: 'qr_ready',
-          qrCode: session.qrCodeBase64
-        });
+        salonLog.info('QR code ready');
+        setSessionStatus(session, 'qr_ready', { qrCode: session.qrCodeBase64 });
       }
 
       if (connection === 'close') {
         session.qrCode = null;
         session.qrCodeBase64 = null;
+        session.pairingCode = null;
         stopPolling(salonId);
 
         const statusCode = lastDisconnect?.error?.output?.statusCode;
         const reason = lastDisconnect?.error?.output?.payload?.message || 'Unknown';
 
-        console.log(`⚠️ Déconnexion salon ${salonId} - Code: ${statusCode}, Raison: ${reason}`);
+        salonLog.warn({ statusCode, reason }, 'Disconnected');
 
         if (statusCode === DisconnectReason.loggedOut) {
-          session.status = 'logged_out';
           session.phoneNumber = null;
-          fs.rmSync(authDir, { recursive: true, force: true });
-          notifyStatusChange(salonId, { status: 'logged_out' });
+          await clearAuthState(salonId);
+          setSessionStatus(session, 'logged_out', { reason: 'Logged out from phone' });
           return;
         }
 
         if (statusCode === DisconnectReason.badSession) {
-          fs.rmSync(authDir, { recursive: true, force: true });
+          await clearAuthState(salonId);
           session.reconnectAttempts = 0;
         }
 
         const maxReconnectAttempts = 8; // More attempts with exponential backoff
         if (session.reconnectAttempts < maxReconnectAttempts) {
           session.reconnectAttempts++;
-          session.status = 'reconnecting';
 
           const delay = calculateBackoffDelay(session.reconnectAttempts);
 
-          notifyStatusChange(salonId, {
-            status: 'reconnecting',
+          setSessionStatus(session, 'reconnecting', {
             attempt: session.reconnectAttempts,
             maxAttempts: maxReconnectAttempts,
-            nextRetryIn: delay
+            nextRetryIn: delay,
+            reason
           });
 
-          console.log(`🔄 [${salonId}] Reconnecting in ${delay}ms (attempt ${session.reconnectAttempts}/${maxReconnectAttempts})`);
+          salonLog.info({ delayMs: delay, attempt: session.reconnectAttempts, maxAttempts: maxReconnectAttempts }, 'Reconnecting');
 
           // Clear existing reconnect timer
           const existingTimer = reconnectTimers.get(salonId);
@@ -531,43 +655,37 @@ export async function createSession(salonId) {
 
           const timerId = setTimeout(() => {
             reconnectTimers.delete(salonId);
-            createSession(salonId).catch(err => {
-              console.error(`❌ [${salonId}] Reconnect failed:`, err.message);
+            createSession(salonId, null, { pairingPhoneNumber: session.pairingPhoneNumber }).catch(err => {
+              salonLog.error({ error: err.message }, 'Reconnect failed');
             });
           }, delay);
 
           reconnectTimers.set(salonId, timerId);
         } else {
-          session.status = 'failed';
-          notifyStatusChange(salonId, { status: 'failed', reason: 'Max reconnection attempts reached' });
-          console.error(`❌ [${salonId}] Session failed after ${maxReconnectAttempts} attempts`);
+          setSessionStatus(session, 'failed', { reason: 'Max reconnection attempts reached' });
+          salonLog.error({ attempts: maxReconnectAttempts }, 'Session failed, max reconnection attempts reached');
         }
       }
 
       if (connection === 'open') {
-        session.status = 'connected';
         session.qrCode = null;
         session.qrCodeBase64 = null;
+        session.pairingPhoneNumber = null;
+        session.pairingCode = null;
         session.reconnectAttempts = 0;
         session.connectedAt = new Date().toISOString();
 
         const rawId = sock.user?.id || '';
         session.phoneNumber = rawId.split(':')[0].split('@')[0];
 
-        console.log(`✅ Salon ${salonId} connecté! Numéro: ${session.phoneNumber}`);
-        
-        // Afficher le statut de la transcription
-        if (openai) {
-          console.log(`🎤 Transcription vocale: ACTIVÉE`);
-        } else {
-          console.log(`🎤 Transcription vocale: DÉSACTIVÉE (OPENAI_API_KEY manquant)`);
-        }
+        salonLog.info({
+          phoneNumber: session.phoneNumber,
+          transcription: isTranscriptionEnabled() ? getTranscriptionBackendName() : null
+        }, 'Session connected');
 
-        notifyStatusChange(salonId, {
-          status: 'connected',
-          phoneNumber: session.phoneNumber
-        });
+        setSessionStatus(session, 'connected', { phoneNumber: session.phoneNumber });
 
+        touchRegisteredSession(salonId);
         startPolling(salonId);
         setTimeout(() => processQueue(), 2000);
       }
@@ -575,6 +693,21 @@ export async function createSession(salonId) {
 
     sock.ev.on('creds.update', saveCreds);
 
+    // ═══════════════════════════════════════════
+    // ACCUSÉS DE RÉCEPTION (envoyé / délivré / lu)
+    // ═══════════════════════════════════════════
+    sock.ev.on('messages.update', async (updates) => {
+      for (const entry of updates) {
+        await dispatchMessageStatus(salonId, normalizeBaileysUpdate(entry));
+      }
+    });
+
+    sock.ev.on('message-receipt.update', async (receipts) => {
+      for (const entry of receipts) {
+        await dispatchMessageStatus(salonId, normalizeBaileysReceipt(entry));
+      }
+    });
+
     // ═══════════════════════════════════════════
     // RÉCEPTION DES MESSAGES (AVEC TRANSCRIPTION VOCALE)
     // ═══════════════════════════════════════════
@@ -584,134 +717,169 @@ export async function createSession(salonId) {
       for (const msg of messages) {
         if (msg.key.fromMe) continue;
 
-        const remoteJid = msg.key.remoteJid || '';
-        const extracted = extractPhoneFromJid(remoteJid);
-
-        // Initialiser les données du message
-        let content = '';
-        let messageType = 'unknown';
-        let isVoiceMessage = false;
-        let voiceTranscription = null;
-        let voiceDurationSeconds = null;
-
-        // ═══════════════════════════════════════════
-        // TRAITEMENT MESSAGE VOCAL
-        // ═══════════════════════════════════════════
-        if (msg.message?.audioMessage?.ptt) {
-          isVoiceMessage = true;
-          voiceDurationSeconds = msg.message.audioMessage.seconds || 0;
-          messageType = 'voice';
-
-          console.log(`\n🎤 MESSAGE VOCAL REÇU (${voiceDurationSeconds}s)`);
-
-          try {
-            // Télécharger l'audio
-            console.log(`   ⬇️ Téléchargement de l'audio...`);
-            const buffer = await downloadMediaMessage(
-              msg,
-              'buffer',
-              {},
-              {
-                logger,
-                reuploadRequest: sock.updateMediaMessage
-              }
-            );
-
-            console.log(`   ✅ Audio téléchargé (${buffer.length} bytes)`);
-
-            // Transcrire avec Whisper
-            if (openai) {
-              voiceTranscription = await transcribeAudio(buffer, msg.key.id);
-              
-              if (voiceTranscription) {
-                content = voiceTranscription;
-                console.log(`   📝 Transcription: "${voiceTranscription}"`);
-              } else {
-                content = '[Message vocal - transcription échouée]';
+        // Un message en erreur ne doit pas bloquer les suivants du même lot
+        try {
+          // Doublons (réémis après une reconnexion) ignorés avant transcription et webhook.
+          // Trace de réception : transcription et webhook sont des spans enfants
+          await processInboundOnce('baileys', salonId, msg.key.id, () => withSpan('whatsapp.inbound', {
+            'salon.id': salonId,
+            provider: 'baileys',
+            'message.id': msg.key.id
+          }, async () => {
+            const remoteJid = msg.key.remoteJid || '';
+            const extracted = extractPhoneFromJid(remoteJid);
+
+            // Initialiser les données du message
+            let content = '';
+            let messageType = 'unknown';
+            let isVoiceMessage = false;
+            let voiceTranscription = null;
+            let voiceTranscriptionLanguage = null;
+            let voiceTranscriptionConfidence = null;
+            let voiceDurationSeconds = null;
+            let media = null;
+
+            // ═══════════════════════════════════════════
+            // TRAITEMENT MESSAGE VOCAL
+            // ═══════════════════════════════════════════
+            if (msg.message?.audioMessage?.ptt) {
+              isVoiceMessage = true;
+              voiceDurationSeconds = msg.message.audioMessage.seconds || 0;
+              messageType = 'voice';
+
+              try {
+                // Télécharger l'audio
+                const buffer = await downloadMediaMessage(
+                  msg,
+                  'buffer',
+                  {},
+                  {
+                    logger: baileysLogger,
+                    reuploadRequest: sock.updateMediaMessage
+                  }
+                );
+
+                salonLog.debug({ messageId: msg.key.id, bytes: buffer.length, durationSeconds: voiceDurationSeconds }, 'Voice note downloaded');
+                media = await storeMessageMedia(salonId, msg, sock, buffer);
+
+                // Transcrire (backend selon TRANSCRIPTION_BACKEND, langue selon le salon)
+                if (isTranscriptionEnabled()) {
+                  const transcription = await transcribeVoiceNote(salonId, buffer, {
+                    messageId: msg.key.id,
+                    mimeType: msg.message.audioMessage.mimetype
+                  });
+
+                  if (transcription) {
+                    voiceTranscription = transcription.text;
+                    voiceTranscriptionLanguage = transcription.language;
+                    voiceTranscriptionConfidence = transcription.confidence;
+                    content = voiceTranscription;
+                  } else {
+                    content = '[Message vocal - transcription échouée]';
+                  }
+                } else {
+                  content = '[Message vocal - transcription non configurée]';
+                }
+
+              } catch (downloadError) {
+                salonLog.error({ messageId: msg.key.id, error: downloadError.message }, 'Voice note download error');
+                content = '[Message vocal - erreur téléchargement]';
               }
+
             } else {
-              content = '[Message vocal - transcription non configurée]';
-              console.log(`   ⚠️ Transcription désactivée`);
+              // Message texte ou autre
+              content = extractMessageContent(msg.message);
+              messageType = getMessageType(msg.message);
+              media = await storeMessageMedia(salonId, msg, sock);
             }
 
-          } catch (downloadError) {
-            console.error(`   ❌ Erreur téléchargement audio:`, downloadError.message);
-            content = '[Message vocal - erreur téléchargement]';
-          }
-
-        } else {
-          // Message texte ou autre
-          content = extractMessageContent(msg.message);
-          messageType = getMessageType(msg.message);
-        }
-
-        const messageData = {
-          from: remoteJid,
-          resolvedPhone: extracted.phone,
-          isLid: extracted.isLid,
-          lidId: extracted.lidId,
-          messageId: msg.key.id,
-          timestamp: msg.messageTimestamp,
-          type: messageType,
-          content: content,
-          pushName: msg.pushName || null,
-          isVoiceMessage: isVoiceMessage,
-          voiceTranscription: voiceTranscription,
-          voiceDurationSeconds: voiceDurationSeconds
-        };
-
-        // Log du message
-        console.log(`\n═══════════════════════════════════════════`);
-        console.log(`📩 MESSAGE REÇU`);
-        console.log(`   Salon: ${salonId}`);
-        console.log(`   JID: ${remoteJid}`);
-        
-        if (extracted.isLid) {
-          console.log(`   📋 Type: LID`);
-          console.log(`   📋 LID ID: ${extracted.lidId}`);
-        } else {
-          console.log(`   📱 Phone: ${extracted.phone}`);
-        }
-        
-        console.log(`   Nom: ${messageData.pushName || 'Inconnu'}`);
-        console.log(`   Type: ${messageType}`);
-        
-        if (isVoiceMessage) {
-          console.log(`   🎤 Durée: ${voiceDurationSeconds}s`);
-          console.log(`   📝 Transcription: ${voiceTranscription || 'N/A'}`);
+            const messageData = {
+              from: remoteJid,
+              resolvedPhone: extracted.phone,
+              isLid: extracted.isLid,
+              lidId: extracted.lidId,
+              messageId: msg.key.id,
+              timestamp: msg.messageTimestamp,
+              type: messageType,
+              content: content,
+              pushName: msg.pushName || null,
+              isVoiceMessage: isVoiceMessage,
+              voiceTranscription: voiceTranscription,
+              voiceTranscriptionLanguage: voiceTranscriptionLanguage,
+              voiceTranscriptionConfidence: voiceTranscriptionConfidence,
+              voiceDurationSeconds: voiceDurationSeconds,
+              media: media
+            };
+
+            setSpanAttributes({ 'message.type': messageType });
+            salonLog.info({
+              messageId: msg.key.id,
+              phone: extracted.phone,
+              lidId: extracted.lidId,
+              type: messageType,
+              voiceDurationSeconds,
+              customerName: messageData.pushName,
+              content
+            }, 'Message received');
+
+            messagesReceived.inc({ salon_id: salonId, provider: 'baileys', type: messageType });
+            touchRegisteredSession(salonId);
+            await forwardToWebhook(salonId, messageData, false);
+          }, { kind: 'consumer' }));
+        } catch (error) {
+          salonLog.error({ messageId: msg.key.id, err: error }, 'Error processing message');
         }
-        
-        console.log(`   Contenu: ${content}`);
-        console.log(`═══════════════════════════════════════════\n`);
-
-        await forwardToWebhook(salonId, messageData, false);
       }
     });
 
     return session;
   } catch (error) {
-    console.error(`❌ Erreur création session ${salonId}:`, error.message);
-    session.status = 'error';
-    notifyStatusChange(salonId, { status: 'error', error: error.message });
+    salonLog.error({ error: error.message }, 'Session creation error');
+    setSessionStatus(session, 'error', { error: error.message });
+    resolvePairingCode?.(null);
     return session;
   }
 }
 
-export async function disconnectSession(salonId) {
-  const session = sessions.get(salonId);
-  if (!session) return false;
+/**
+ * Connecter un salon par code d'appairage (alternative au QR code)
+ * Le code (8 caractères) est à saisir dans WhatsApp > Appareils connectés >
+ * Connecter avec le numéro de téléphone.
+ * @param {string} salonId - Identifiant du salon
+ * @param {string} phoneNumber - Numéro du compte WhatsApp, format international
+ * @param {object} [sessionConfig] - Config fournisseurs (ignorée, cf. createSession)
+ * @returns {Promise<object>} Session (pairingCode null si déjà appairée)
+ */
+export async function connectWithPairingCode(salonId, phoneNumber, sessionConfig = null) {
+  const pairingPhoneNumber = normalizePairingPhoneNumber(phoneNumber);
+
+  // Un socket en attente (QR ou ancien code) ne peut pas changer de méthode : on le remplace
+  const existing = sessions.get(salonId);
+  if (existing && existing.status !== 'connected' && existing.socket) {
+    closeSocket(salonId, existing);
+  }
+
+  const session = await createSession(salonId, sessionConfig, { pairingPhoneNumber });
+  if (session.pairingCodeReady) {
+    await waitForPairingCode(session.pairingCodeReady);
+  }
+  return session;
+}
+
+// ═══════════════════════════════════════════
+// ARRÊT / REPRISE / DÉCONNEXION
+// ═══════════════════════════════════════════
 
-  // Stop polling
+// Détacher le socket de la session (plus d'événements ni de reconnexion automatique)
+function releaseSocket(salonId, session) {
   stopPolling(salonId);
 
-  // Clear reconnect timer
   const reconnectTimer = reconnectTimers.get(salonId);
   if (reconnectTimer) {
     clearTimeout(reconnectTimer);
     reconnectTimers.delete(salonId);
   }
 
-  // Remove event listeners if socket exists
   if (session.socket?.ev) {
     try {
       session.socket.ev.removeAllListeners();
@@ -719,52 +887,128 @@ export async function disconnectSession(salonId) {
       // Ignore cleanup errors
     }
   }
+}
 
+// Fermer la connexion sans se déconnecter du téléphone
+function closeSocket(salonId, session) {
+  releaseSocket(salonId, session);
   try {
-    if (session.socket) {
-      await session.socket.logout();
-    }
+    session.socket?.end(undefined);
   } catch (e) {
-    console.error('Erreur logout:', e.message);
+    // Ignore cleanup errors
   }
+  session.socket = null;
+}
 
-  const authDir = path.join('./auth', salonId);
-  try {
-    fs.rmSync(authDir, { recursive: true, force: true });
-  } catch (e) {
-    console.error('Erreur suppression auth:', e.message);
+/**
+ * Arrêter une session en conservant ses identifiants (arrêt serveur, suspension)
+ * Le téléphone reste appairé : resumeSession() reconnecte sans QR code.
+ * @param {string} salonId - Identifiant du salon
+ * @returns {Promise<boolean>} false si la session n'existe pas
+ */
+export async function stopSession(salonId) {
+  const session = sessions.get(salonId);
+  if (!session) return false;
+  if (['stopped', 'logged_out'].includes(session.status)) return true;
+
+  closeSocket(salonId, session);
+
+  session.qrCode = null;
+  session.qrCodeBase64 = null;
+  session.pairingCode = null;
+  session.reconnectAttempts = 0;
+  setSessionStatus(session, 'stopped');
+
+  getSalonLogger(salonId).info('Session stopped (credentials kept)');
+  return true;
+}
+
+/**
+ * Reprendre une session arrêtée avec les identifiants enregistrés
+ * @param {string} salonId - Identifiant du salon
+ * @param {object} [sessionConfig] - Config fournisseurs (ignorée, cf. createSession)
+ * @returns {Promise<object>} Session
+ * @throws {Error} Si le salon n'a jamais été appairé
+ */
+export async function resumeSession(salonId, sessionConfig = null) {
+  if (!(await hasAuthState(salonId))) {
+    throw new Error('Aucun identifiant enregistré pour ce salon, connectez-le avec un QR code ou un code d\'appairage');
+  }
+
+  // Déjà active (ou en cours de reconnexion)
+  const existing = sessions.get(salonId);
+  if (existing?.socket && existing.status !== 'failed') {
+    return existing;
+  }
+
+  getSalonLogger(salonId).info('Resuming session');
+  return createSession(salonId, sessionConfig);
+}
+
+/**
+ * Déconnecter le téléphone et supprimer les identifiants (nouvel appairage nécessaire)
+ * @param {string} salonId - Identifiant du salon
+ * @returns {Promise<boolean>} false si le salon n'a ni session ni identifiants
+ */
+export async function logoutSession(salonId) {
+  const session = sessions.get(salonId);
+  if (!session && !(await hasAuthState(salonId))) return false;
+
+  if (session) {
+    releaseSocket(salonId, session);
+
+    try {
+      if (session.socket) {
+        await session.socket.logout();
+      }
+    } catch (e) {
+      getSalonLogger(salonId).error({ error: e.message }, 'Logout error');
+    }
+  }
+
+  await clearAuthState(salonId);
+
+  if (getLifecycle(salonId).state !== 'logged_out') {
+    getLifecycle(salonId).transition('logged_out', { reason: 'Logout requested' });
   }
 
   sessions.delete(salonId);
   statusCallbacks.delete(salonId); // Clean up callbacks too
-  notifyStatusChange(salonId, { status: 'disconnected' });
+  notifyStatusChange(salonId, { status: 'logged_out' });
 
-  console.log(`🔌 Session ${salonId} déconnectée et nettoyée`);
+  getSalonLogger(salonId).info('Session logged out');
   return true;
 }
 
 // Clean up dead sessions periodically
+// (stuck initializing / QR / reconnecting sessions end up 'failed' through their lifecycle timeout)
 export function cleanupDeadSessions() {
-  const deadSessionTimeout = 30 * 60 * 1000; // 30 minutes
-  const now = Date.now();
-
   for (const [salonId, session] of sessions.entries()) {
-    // Clean up sessions stuck in 'failed' status
+    // Credentials kept: resumable
     if (session.status === 'failed') {
-      console.log(`🧹 Cleaning up failed session: ${salonId}`);
-      disconnectSession(salonId).catch(() => {});
-      continue;
+      getSalonLogger(salonId).info('Cleaning up failed session');
+      closeSocket(salonId, session);
+      sessions.delete(salonId);
     }
+  }
+}
 
-    // Clean up sessions stuck in 'initializing' for too long
-    if (session.status === 'initializing' && session.createdAt) {
-      const age = now - new Date(session.createdAt).getTime();
-      if (age > deadSessionTimeout) {
-        console.log(`🧹 Cleaning up stuck session: ${salonId}`);
-        disconnectSession(salonId).catch(() => {});
-      }
+// Envoi mesuré (latence, succès / échec) - fournisseur unique : Baileys
+function timedSend(salonId, type, send) {
+  return withSpan('whatsapp.send', { 'salon.id': salonId, provider: 'baileys', 'message.type': type }, async () => {
+    const stopTimer = sendDuration.startTimer({ provider: 'baileys', type });
+    try {
+      const result = await send();
+      stopTimer({ outcome: 'success' });
+      messagesSent.inc({ salon_id: salonId, provider: 'baileys', type, outcome: 'success' });
+      setSpanAttributes({ 'message.id': result?.key?.id });
+      return result;
+    } catch (error) {
+      stopTimer({ outcome: 'failure' });
+      messagesSent.inc({ salon_id: salonId, provider: 'baileys', type, outcome: 'failure' });
+      throw error;
     }
-  }
+  }, { kind: 'client' });
 }
 
 export async function sendMessage(salonId, phone, content, isLid = false, lidId = null) {
@@ -779,9 +1023,8 @@ export async function sendMessage(salonId, phone, content, isLid = false, lidId
     throw new Error('Impossible de construire le JID');
   }
   
-  const result = await session.socket.sendMessage(jid, { text: content });
-  const destination = isLid ? `LID:${lidId}` : phone;
-  console.log(`📤 [${salonId}] Message envoyé à ${destination}`);
+  const result = await timedSend(salonId, 'text', () => session.socket.sendMessage(jid, { text: content }));
+  getSalonLogger(salonId, 'baileys').info({ messageId: result?.key?.id, type: 'text' }, 'Message sent');
 
   return result;
 }
@@ -816,7 +1059,7 @@ export async function sendMediaMessage(salonId, phone, media, options = {}) {
     let mediaData;
     if (media.url) {
       // Télécharger depuis URL
-      console.log(`📥 [${salonId}] Téléchargement média depuis: ${media.url.substring(0, 50)}...`);
+      getSalonLogger(salonId, 'baileys').debug({ url: media.url.substring(0, 50) }, 'Downloading media');
       const response = await axios.get(media.url, {
         responseType: 'arraybuffer',
         timeout: 30000
@@ -871,18 +1114,61 @@ export async function sendMediaMessage(salonId, phone, media, options = {}) {
         break;
     }
 
-    const result = await session.socket.sendMessage(jid, messageContent);
-    const destination = isLid ? `LID:${lidId}` : phone;
-    console.log(`📤 [${salonId}] ${media.type} envoyé à ${destination}`);
+    const result = await timedSend(salonId, media.type, () => session.socket.sendMessage(jid, messageContent));
+    getSalonLogger(salonId, 'baileys').info({ messageId: result?.key?.id, type: media.type }, 'Message sent');
 
     return result;
 
   } catch (error) {
-    console.error(`❌ [${salonId}] Erreur envoi média:`, error.message);
+    getSalonLogger(salonId, 'baileys').error({ type: media.type, error: error.message }, 'Media send error');
     throw error;
   }
 }
 
+/**
+ * Télécharger et stocker le média d'un message entrant
+ * @param {string} salonId - Identifiant du salon
+ * @param {object} msg - Message Baileys
+ * @param {object} sock - Socket Baileys (pour le re-upload)
+ * @param {Buffer} [buffer] - Contenu déjà téléchargé (messages vocaux)
+ * @returns {Promise<object|null>} Référence média pour le webhook
+ */
+async function storeMessageMedia(salonId, msg, sock, buffer = null) {
+  const info = describeBaileysMedia(msg.message);
+  if (!info) return null;
+
+  if (info.fileLength > getMaxMediaBytes()) {
+    getSalonLogger(salonId, 'baileys').warn({ messageId: msg.key.id, bytes: info.fileLength, maxBytes: getMaxMediaBytes() }, 'Media skipped (too large)');
+    return null;
+  }
+
+  try {
+    const data = buffer || await downloadMediaMessage(
+      msg,
+      'buffer',
+      {},
+      {
+        logger: getBaileysLogger(salonId),
+        reuploadRequest: sock.updateMediaMessage
+      }
+    );
+
+    const media = await storeInboundMedia({
+      buffer: data,
+      salonId,
+      messageId: msg.key.id,
+      declaredMimeType: info.mimeType,
+      fileName: info.fileName
+    });
+
+    getSalonLogger(salonId, 'baileys').debug({ messageId: msg.key.id, mediaId: media.id, mimeType: media.mimeType, bytes: media.size }, 'Media stored');
+    return media;
+  } catch (error) {
+    getSalonLogger(salonId, 'baileys').error({ messageId: msg.key.id, error: error.message }, 'Media storage error');
+    return null;
+  }
+}
+
 function getMessageType(message) {
   if (!message) return 'unknown';
   if (message.conversation || message.extendedTextMessage) return 'text';
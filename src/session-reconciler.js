@@ -0,0 +1,288 @@
+/**
+ * Session Reconciler - Bring actual sessions in line with the registry
+ *
+ * desiredState 'running' → resumeSession() with the salon's providerConfig
+ *                          (skipped when the salon still has to be paired)
+ * desiredState 'stopped' → stopSession() if a session is active
+ * Salons with a live session but no registry record are left alone.
+ */
+
+import {
+  getRegisteredSession,
+  listRegisteredSessions,
+  seedRegistry
+} from './session-registry.js';
+import { listAuthStateSalons } from './auth-state/auth-state.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('reconciler');
+
+const RECONNECT_CONCURRENCY = Math.max(parseInt(process.env.RECONNECT_CONCURRENCY) || 5, 1);
+const RECONNECT_JITTER_MS = parseInt(process.env.RECONNECT_JITTER_MS) || 1000;
+const RECONNECT_READY_FRACTION = Math.min(Math.max(parseFloat(process.env.RECONNECT_READY_FRACTION) || 0.8, 0), 1);
+// How long a resumed salon holds its slot while waiting to settle
+const RECONNECT_SLOT_TIMEOUT_MS = parseInt(process.env.RECONNECT_SLOT_TIMEOUT_MS) || 60 * 1000;
+
+// States a resumed salon will not leave to 'connected' on its own (stale
+// credentials, phone offline past the reconnect attempts, ...)
+const SETTLED_FAILURES = ['qr_ready', 'pairing_code_ready', 'failed', 'logged_out', 'error', 'stopped'];
+
+/**
+ * Apply one salon's desired state
+ * @param {object} sessionManager - Legacy or hybrid session manager
+ * @param {string} salonId - Salon identifier
+ * @returns {Promise<string>} 'started', 'stopped', 'unchanged', 'skipped' or 'unregistered'
+ */
+export async function reconcileSession(sessionManager, salonId) {
+  const record = getRegisteredSession(salonId);
+  if (!record) return 'unregistered';
+
+  const session = sessionManager.getSession(salonId);
+
+  if (record.desiredState === 'stopped') {
+    if (!session || session.status === 'stopped') return 'unchanged';
+    await sessionManager.stopSession(salonId);
+    return 'stopped';
+  }
+
+  if (session && !['stopped', 'failed', 'logged_out', 'error'].includes(session.status)) {
+    return 'unchanged';
+  }
+
+  try {
+    await sessionManager.resumeSession(salonId, record.providerConfig);
+    return 'started';
+  } catch (error) {
+    log.info({ salonId, error: error.message }, 'Session not resumed');
+    return 'skipped';
+  }
+}
+
+// ═══════════════════════════════════════════
+// STARTUP SCHEDULER
+// ═══════════════════════════════════════════
+
+const progress = {
+  phase: 'idle', // idle → running → done
+  total: 0,
+  completed: 0,
+  inFlight: 0,
+  started: 0,
+  stopped: 0,
+  unchanged: 0,
+  skipped: 0,
+  connected: 0,
+  failed: 0,
+  ready: false,
+  startedAt: null,
+  finishedAt: null,
+  readyAt: null
+};
+
+const progressListeners = new Set();
+
+/**
+ * Listen to startup reconnection progress
+ * @param {function(object): void} callback - Receives a progress snapshot
+ * @returns {function} Unsubscribe
+ */
+export function onReconnectProgress(callback) {
+  progressListeners.add(callback);
+  return () => progressListeners.delete(callback);
+}
+
+export function getReconnectProgress() {
+  return {
+    ...progress,
+    concurrency: RECONNECT_CONCURRENCY,
+    readyFraction: RECONNECT_READY_FRACTION
+  };
+}
+
+export function isStartupReady() {
+  return progress.ready;
+}
+
+function emitProgress() {
+  const snapshot = getReconnectProgress();
+  for (const callback of progressListeners) {
+    try {
+      callback(snapshot);
+    } catch (error) {
+      log.error({ error: error.message }, 'Reconnect progress listener error');
+    }
+  }
+}
+
+// Ready once RECONNECT_READY_FRACTION of the resumed salons are connected.
+// Salons that settled in a failure state are not waited for; the others end
+// up there through the lifecycle timeouts, so readiness is always decided.
+// (latched: a later disconnection does not make the server unready again)
+function updateReadiness() {
+  if (progress.ready) return;
+
+  // Until every salon is scheduled the number to resume is only an upper bound
+  const expected = (progress.phase === 'done'
+    ? progress.started
+    : progress.total - progress.stopped - progress.skipped) - progress.failed;
+
+  if (progress.connected >= Math.ceil(expected * RECONNECT_READY_FRACTION)) {
+    progress.ready = true;
+    progress.readyAt = new Date().toISOString();
+    log.info({ connected: progress.connected, started: progress.started }, 'Startup reconnection ready');
+  }
+}
+
+// Recently active salons first, never-active ones by registration date
+function byPriority(a, b) {
+  const activeA = a.lastActiveAt ? new Date(a.lastActiveAt).getTime() : 0;
+  const activeB = b.lastActiveAt ? new Date(b.lastActiveAt).getTime() : 0;
+  if (activeA !== activeB) return activeB - activeA;
+  return new Date(a.createdAt) - new Date(b.createdAt);
+}
+
+/**
+ * Reconcile every registered salon (startup)
+ * Salons are processed RECONNECT_CONCURRENCY at a time, most recently active
+ * first, each start delayed by a random jitter (0..RECONNECT_JITTER_MS) so
+ * hundreds of sockets do not open in the same second. A resumed salon holds
+ * its slot until it is connected or settled in a failure state (at most
+ * RECONNECT_SLOT_TIMEOUT_MS): resumeSession() returns as soon as the socket
+ * is created, long before it opens. On the first run the registry is seeded
+ * from salons having stored credentials.
+ * @param {object} sessionManager - Legacy or hybrid session manager
+ * @returns {Promise<object>} Final progress
+ */
+export async function reconcileSessions(sessionManager) {
+  const imported = seedRegistry(await listAuthStateSalons());
+  if (imported > 0) {
+    log.info({ count: imported }, 'Registry seeded from stored credentials');
+  }
+
+  const queue = listRegisteredSessions().sort(byPriority);
+  const unsubscribes = [];
+
+  Object.assign(progress, {
+    phase: 'running',
+    total: queue.length,
+    completed: 0,
+    inFlight: 0,
+    started: 0,
+    stopped: 0,
+    unchanged: 0,
+    skipped: 0,
+    connected: 0,
+    failed: 0,
+    ready: false,
+    startedAt: new Date().toISOString(),
+    finishedAt: null,
+    readyAt: null
+  });
+
+  if (queue.length > 0) {
+    log.info({ total: queue.length, concurrency: RECONNECT_CONCURRENCY }, 'Reconciling registered sessions');
+  }
+  emitProgress();
+
+  // Count connections and settled failures of the salons we resume
+  // Resolves once the salon is connected or settled in a failure state.
+  function watch(salonId) {
+    let outcome = null; // null → 'connected' | 'failed'
+    let settle;
+    const settled = new Promise(resolve => { settle = resolve; });
+
+    const update = (status) => {
+      if (outcome === 'connected') return;
+
+      if (status === 'connected') {
+        // A failed salon can still connect later (reconnect loop)
+        if (outcome === 'failed') progress.failed--;
+        outcome = 'connected';
+        progress.connected++;
+      } else if (!outcome && SETTLED_FAILURES.includes(status)) {
+        outcome = 'failed';
+        progress.failed++;
+      } else {
+        return;
+      }
+
+      settle();
+      updateReadiness();
+      emitProgress();
+    };
+
+    unsubscribes.push(sessionManager.onStatusChange(salonId, data => update(data.status)));
+    update(sessionManager.getSession(salonId)?.status);
+    return settled;
+  }
+
+  async function worker() {
+    while (queue.length > 0) {
+      const record = queue.shift();
+      progress.inFlight++;
+
+      try {
+        await sleep(Math.random() * RECONNECT_JITTER_MS);
+        const outcome = await reconcileSession(sessionManager, record.salonId);
+        progress[outcome] = (progress[outcome] || 0) + 1;
+
+        if (outcome === 'started') {
+          log.debug({ salonId: record.salonId }, 'Session resumed');
+          if (!await waitFor(watch(record.salonId), RECONNECT_SLOT_TIMEOUT_MS)) {
+            log.info({ salonId: record.salonId, timeoutMs: RECONNECT_SLOT_TIMEOUT_MS }, 'Session not settled yet, moving on');
+          }
+        }
+      } catch (error) {
+        progress.skipped++;
+        log.error({ salonId: record.salonId, error: error.message }, 'Reconcile error');
+      } finally {
+        progress.inFlight--;
+        progress.completed++;
+        emitProgress();
+      }
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(RECONNECT_CONCURRENCY, queue.length) }, worker));
+
+  progress.phase = 'done';
+  progress.finishedAt = new Date().toISOString();
+  updateReadiness();
+  emitProgress();
+
+  // Stop counting once ready; until then late connections still count
+  const release = () => unsubscribes.forEach(unsubscribe => unsubscribe?.());
+  if (progress.ready) {
+    release();
+  } else {
+    const unsubscribeProgress = onReconnectProgress((snapshot) => {
+      if (!snapshot.ready) return;
+      unsubscribeProgress();
+      release();
+    });
+  }
+
+  if (progress.total > 0) {
+    log.info({ started: progress.started, stopped: progress.stopped, skipped: progress.skipped, failed: progress.failed }, 'Reconcile complete');
+  }
+  return getReconnectProgress();
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// true when the promise resolved within ms
+function waitFor(promise, ms) {
+  let timer;
+  const timeout = new Promise(resolve => { timer = setTimeout(resolve, ms, false); });
+  return Promise.race([promise.then(() => true), timeout]).finally(() => clearTimeout(timer));
+}
+
+export default {
+  reconcileSession,
+  reconcileSessions,
+  onReconnectProgress,
+  getReconnectProgress,
+  isStartupReady
+};
@@ -0,0 +1,215 @@
+/**
+ * Session Registry - Salons this server is responsible for
+ *
+ * One record per salon:
+ *   { salonId, desiredState, providerConfig, labels, createdAt, updatedAt, lastActiveAt }
+ * desiredState is what the operator asked for ('running' or 'stopped');
+ * startup reconciliation brings the actual sessions in line with it.
+ * providerConfig is passed to createSession() (hybrid mode) so per-salon
+ * provider settings survive restarts. lastActiveAt (last connection or inbound
+ * message, written at most every ACTIVITY_WRITE_INTERVAL) orders startup reconnection.
+ */
+
+import { AppendLogStore } from './storage/append-log-store.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('registry');
+
+const SESSION_REGISTRY_FILE = process.env.SESSION_REGISTRY_FILE || './data/session_registry.log';
+
+export const DESIRED_STATES = ['running', 'stopped'];
+
+const LABEL_KEY_PATTERN = /^[A-Za-z0-9_.-]{1,63}$/;
+const MAX_LABEL_VALUE_LENGTH = 255;
+const ACTIVITY_WRITE_INTERVAL = 10 * 60 * 1000;
+
+const store = new AppendLogStore(SESSION_REGISTRY_FILE, {
+  fsync: process.env.QUEUE_FSYNC !== 'false'
+});
+
+// No registry yet: the first startup imports salons from stored credentials
+const isNewRegistry = !store.exists();
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function validateFields({ desiredState, providerConfig, labels }) {
+  if (desiredState !== undefined && !DESIRED_STATES.includes(desiredState)) {
+    throw new Error(`desiredState must be one of: ${DESIRED_STATES.join(', ')}`);
+  }
+
+  if (providerConfig !== undefined && providerConfig !== null && !isPlainObject(providerConfig)) {
+    throw new Error('providerConfig must be an object or null');
+  }
+
+  if (labels !== undefined) {
+    if (!isPlainObject(labels)) {
+      throw new Error('labels must be an object of strings');
+    }
+    for (const [key, value] of Object.entries(labels)) {
+      if (!LABEL_KEY_PATTERN.test(key)) {
+        throw new Error(`Invalid label key: ${key}`);
+      }
+      if (typeof value !== 'string' || value.length > MAX_LABEL_VALUE_LENGTH) {
+        throw new Error(`Label ${key} must be a string of at most ${MAX_LABEL_VALUE_LENGTH} characters`);
+      }
+    }
+  }
+}
+
+function matchesFilter(record, { desiredState, label } = {}) {
+  if (desiredState && record.desiredState !== desiredState) return false;
+
+  // label=key or label=key:value
+  if (label) {
+    const [key, ...rest] = String(label).split(':');
+    if (!(key in record.labels)) return false;
+    if (rest.length > 0 && record.labels[key] !== rest.join(':')) return false;
+  }
+  return true;
+}
+
+// ═══════════════════════════════════════════
+// READ
+// ═══════════════════════════════════════════
+
+export function getRegisteredSession(salonId) {
+  return store.get(salonId) || null;
+}
+
+/**
+ * List registered salons, oldest first
+ * @param {object} filter - { desiredState, label: 'key' | 'key:value' }
+ * @returns {object[]}
+ */
+export function listRegisteredSessions(filter = {}) {
+  return store.values()
+    .filter(record => matchesFilter(record, filter))
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+}
+
+export function getRegisteredSessionCount() {
+  return store.size;
+}
+
+// ═══════════════════════════════════════════
+// WRITE
+// ═══════════════════════════════════════════
+
+/**
+ * Register a salon
+ * @param {string} salonId - Salon identifier
+ * @param {object} fields - { desiredState = 'running', providerConfig = null, labels = {} }
+ * @returns {object} Created record
+ * @throws {Error} On invalid fields or when the salon is already registered
+ */
+export function registerSession(salonId, { desiredState = 'running', providerConfig = null, labels = {} } = {}) {
+  if (!salonId || typeof salonId !== 'string') {
+    throw new Error('salonId is required');
+  }
+  if (store.has(salonId)) {
+    throw new Error(`Salon ${salonId} is already registered`);
+  }
+  validateFields({ desiredState, providerConfig, labels });
+
+  const now = new Date().toISOString();
+  const record = { salonId, desiredState, providerConfig, labels, createdAt: now, updatedAt: now, lastActiveAt: null };
+
+  store.put(salonId, record);
+  log.info({ salonId, desiredState }, 'Salon registered');
+  return record;
+}
+
+/**
+ * Update some fields of a registered salon
+ * @param {string} salonId - Salon identifier
+ * @param {object} patch - Any of { desiredState, providerConfig, labels }
+ * @returns {object|null} Updated record, null when not registered
+ */
+export function updateRegisteredSession(salonId, patch = {}) {
+  const record = store.get(salonId);
+  if (!record) return null;
+
+  const { desiredState, providerConfig, labels } = patch;
+  validateFields({ desiredState, providerConfig, labels });
+
+  const updated = {
+    ...record,
+    ...(desiredState !== undefined && { desiredState }),
+    ...(providerConfig !== undefined && { providerConfig }),
+    ...(labels !== undefined && { labels }),
+    updatedAt: new Date().toISOString()
+  };
+
+  store.put(salonId, updated);
+  return updated;
+}
+
+/**
+ * Record the desired state of a salon, registering it if needed
+ * Used by connect / stop / resume / logout so the registry follows operator intent.
+ * @param {string} salonId - Salon identifier
+ * @param {string} desiredState - 'running' or 'stopped'
+ * @returns {object} Record
+ */
+export function setDesiredState(salonId, desiredState) {
+  const record = store.get(salonId);
+  if (!record) {
+    return registerSession(salonId, { desiredState });
+  }
+  if (record.desiredState === desiredState) {
+    return record;
+  }
+  return updateRegisteredSession(salonId, { desiredState });
+}
+
+/**
+ * Note activity for a registered salon (throttled, unregistered salons are ignored)
+ * @param {string} salonId - Salon identifier
+ */
+export function touchRegisteredSession(salonId) {
+  const record = store.get(salonId);
+  if (!record) return;
+
+  const now = Date.now();
+  if (record.lastActiveAt && now - new Date(record.lastActiveAt).getTime() < ACTIVITY_WRITE_INTERVAL) return;
+
+  store.put(salonId, { ...record, lastActiveAt: new Date(now).toISOString() });
+}
+
+export function removeRegisteredSession(salonId) {
+  return store.delete(salonId);
+}
+
+/**
+ * Import salons on the very first startup (registry file did not exist)
+ * @param {string[]} salonIds - Salons having stored credentials
+ * @returns {number} Number of salons imported
+ */
+export function seedRegistry(salonIds) {
+  if (!isNewRegistry || store.size > 0) return 0;
+
+  let imported = 0;
+  for (const salonId of salonIds) {
+    if (store.has(salonId)) continue;
+    registerSession(salonId, { desiredState: 'running', labels: { source: 'auth-state' } });
+    imported++;
+  }
+  return imported;
+}
+
+store.open();
+
+export default {
+  DESIRED_STATES,
+  getRegisteredSession,
+  listRegisteredSessions,
+  getRegisteredSessionCount,
+  registerSession,
+  updateRegisteredSession,
+  setDesiredState,
+  touchRegisteredSession,
+  removeRegisteredSession,
+  seedRegistry
+};
@@ -0,0 +1,211 @@
+/**
+ * Append Log Store - Crash-safe embedded key/value store
+ *
+ * Every write appends one JSON line ({ op, id, record }) to the log and
+ * fsyncs it, so a record is either fully written or ignored on reload.
+ * A torn last line (crash mid-write) is truncated on open. The log is
+ * periodically compacted into a snapshot written to a temp file and
+ * atomically renamed over the original.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createLogger } from '../logger.js';
+
+const log = createLogger('store');
+
+export class AppendLogStore {
+  /**
+   * @param {string} filePath - Log file location
+   * @param {object} options
+   * @param {boolean} [options.fsync=true] - fsync after every append
+   * @param {number} [options.compactThreshold=1000] - Stale entries tolerated before compaction
+   */
+  constructor(filePath, options = {}) {
+    this.filePath = filePath;
+    this.fsync = options.fsync !== false;
+    this.compactThreshold = options.compactThreshold || 1000;
+
+    this.records = new Map();
+    this.fd = null;
+    this.logEntries = 0;
+  }
+
+  // ═══════════════════════════════════════════
+  // LIFECYCLE
+  // ═══════════════════════════════════════════
+
+  /**
+   * Load the log into memory and open it for appending
+   * @returns {AppendLogStore}
+   */
+  open() {
+    if (this.fd !== null) return this;
+
+    const dir = path.dirname(this.filePath);
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+
+    if (fs.existsSync(this.filePath)) {
+      this.replay();
+    }
+
+    this.fd = fs.openSync(this.filePath, 'a');
+    return this;
+  }
+
+  close() {
+    if (this.fd === null) return;
+    fs.closeSync(this.fd);
+    this.fd = null;
+  }
+
+  exists() {
+    return fs.existsSync(this.filePath);
+  }
+
+  replay() {
+    const data = fs.readFileSync(this.filePath);
+    let start = 0;
+    let validLength = 0;
+
+    while (start < data.length) {
+      const newline = data.indexOf(0x0a, start);
+
+      // No trailing newline: the last append was interrupted
+      if (newline === -1) break;
+
+      const line = data.subarray(start, newline).toString('utf-8').trim();
+      if (line) {
+        try {
+          this.applyEntry(JSON.parse(line));
+          this.logEntries++;
+        } catch (error) {
+          log.error({ file: path.basename(this.filePath), offset: start }, 'Skipping corrupt entry');
+        }
+      }
+
+      validLength = newline + 1;
+      start = newline + 1;
+    }
+
+    // Drop a partially written trailing entry
+    if (validLength < data.length) {
+      fs.truncateSync(this.filePath, validLength);
+      log.warn({ file: path.basename(this.filePath), bytes: data.length - validLength }, 'Truncated torn write');
+    }
+  }
+
+  applyEntry(entry) {
+    if (entry.op === 'put') {
+      this.records.set(entry.id, entry.record);
+    } else if (entry.op === 'del') {
+      this.records.delete(entry.id);
+    } else if (entry.op === 'clear') {
+      this.records.clear();
+    }
+  }
+
+  append(entry) {
+    if (this.fd === null) this.open();
+
+    fs.writeSync(this.fd, JSON.stringify(entry) + '\n');
+    if (this.fsync) {
+      fs.fsyncSync(this.fd);
+    }
+
+    this.applyEntry(entry);
+    this.logEntries++;
+
+    if (this.logEntries - this.records.size > this.compactThreshold) {
+      this.compact();
+    }
+  }
+
+  // ═══════════════════════════════════════════
+  // READ
+  // ═══════════════════════════════════════════
+
+  get(id) {
+    return this.records.get(id);
+  }
+
+  has(id) {
+    return this.records.has(id);
+  }
+
+  values() {
+    return [...this.records.values()];
+  }
+
+  entries() {
+    return [...this.records.entries()];
+  }
+
+  get size() {
+    return this.records.size;
+  }
+
+  // ═══════════════════════════════════════════
+  // WRITE
+  // ═══════════════════════════════════════════
+
+  /**
+   * Insert or replace a record (single atomic append)
+   * @param {string} id - Record key
+   * @param {object} record - JSON-serializable record
+   */
+  put(id, record) {
+    this.append({ op: 'put', id, record });
+  }
+
+  delete(id) {
+    if (!this.records.has(id)) return false;
+    this.append({ op: 'del', id });
+    return true;
+  }
+
+  clear() {
+    this.append({ op: 'clear' });
+    this.compact();
+  }
+
+  /**
+   * Rewrite the log as a snapshot of live records
+   */
+  compact() {
+    const tempPath = `${this.filePath}.compact`;
+    const lines = [...this.records.entries()]
+      .map(([id, record]) => JSON.stringify({ op: 'put', id, record }))
+      .join('\n');
+
+    const tempFd = fs.openSync(tempPath, 'w');
+    try {
+      fs.writeSync(tempFd, lines ? lines + '\n' : '');
+      fs.fsyncSync(tempFd);
+    } finally {
+      fs.closeSync(tempFd);
+    }
+
+    this.close();
+    fs.renameSync(tempPath, this.filePath);
+    this.fsyncDirectory();
+
+    this.fd = fs.openSync(this.filePath, 'a');
+    this.logEntries = this.records.size;
+  }
+
+  // Persist the rename itself (not supported on every platform)
+  fsyncDirectory() {
+    try {
+      const dirFd = fs.openSync(path.dirname(this.filePath), 'r');
+      fs.fsyncSync(dirFd);
+      fs.closeSync(dirFd);
+    } catch (e) {
+      // Ignore: directory fsync is best effort
+    }
+  }
+}
+
+export default AppendLogStore;
@@ -0,0 +1,177 @@
+/**
+ * Tracing - OpenTelemetry spans for the inbound and outbound message paths
+ *
+ *   inbound   whatsapp.inbound → transcription → webhook.forward (→ queued, retried later
+ *             as a child of the original trace)
+ *   outbound  supabase.pending_message → whatsapp.send → supabase.mark_sent
+ *
+ * Requires the optional @opentelemetry packages and OTEL_TRACING_ENABLED=true.
+ * Spans are exported over OTLP/HTTP: OTEL_EXPORTER_OTLP_ENDPOINT (default
+ * http://localhost:4318, a local collector) or OTEL_EXPORTER_OTLP_TRACES_ENDPOINT,
+ * sampling through OTEL_TRACES_SAMPLER / OTEL_TRACES_SAMPLER_ARG.
+ * When tracing is off every helper is a no-op, so call sites need no checks.
+ *
+ * Trace context is propagated as W3C `traceparent` / `tracestate` headers on
+ * webhooks and Supabase calls. Empty Supabase polls are not traced (one span per
+ * salon every few seconds); a pending message starts its own trace.
+ */
+
+import { createLogger } from './logger.js';
+
+const log = createLogger('tracing');
+
+const TRACING_ENABLED = process.env.OTEL_TRACING_ENABLED === 'true';
+const SERVICE_NAME = process.env.OTEL_SERVICE_NAME || 'whatsapp-baileys-server';
+
+let api = null;      // @opentelemetry/api, once tracing is initialized
+let tracer = null;
+let provider = null;
+
+/**
+ * Start the tracer provider and OTLP exporter (no-op unless OTEL_TRACING_ENABLED=true)
+ * A missing dependency or bad configuration is logged, the server runs untraced.
+ */
+export async function initTracing() {
+  if (!TRACING_ENABLED || provider) return;
+
+  try {
+    const [otelApi, { NodeTracerProvider, BatchSpanProcessor }, { OTLPTraceExporter }, { resourceFromAttributes }] =
+      await Promise.all([
+        import('@opentelemetry/api'),
+        import('@opentelemetry/sdk-trace-node'),
+        import('@opentelemetry/exporter-trace-otlp-http'),
+        import('@opentelemetry/resources')
+      ]);
+
+    provider = new NodeTracerProvider({
+      resource: resourceFromAttributes({
+        'service.name': SERVICE_NAME,
+        'service.instance.id': `${process.pid}`
+      }),
+      spanProcessors: [new BatchSpanProcessor(new OTLPTraceExporter())]
+    });
+    // Registers the AsyncLocalStorage context manager and the W3C propagator
+    provider.register();
+
+    api = otelApi;
+    tracer = api.trace.getTracer(SERVICE_NAME);
+    log.info({ serviceName: SERVICE_NAME }, 'Tracing enabled');
+  } catch (error) {
+    provider = null;
+    log.error({ error: error.message }, 'Tracing disabled: OpenTelemetry unavailable (npm install @opentelemetry/api @opentelemetry/sdk-trace-node @opentelemetry/exporter-trace-otlp-http @opentelemetry/resources)');
+  }
+}
+
+/**
+ * Flush pending spans and stop the exporter (graceful shutdown)
+ */
+export async function shutdownTracing() {
+  if (!provider) return;
+
+  try {
+    await provider.shutdown();
+  } catch (error) {
+    log.error({ error: error.message }, 'Tracing shutdown error');
+  }
+}
+
+export function isTracingEnabled() {
+  return tracer !== null;
+}
+
+// ═══════════════════════════════════════════
+// SPANS
+// ═══════════════════════════════════════════
+
+function cleanAttributes(attributes) {
+  return Object.fromEntries(Object.entries(attributes).filter(([, value]) => value !== undefined && value !== null));
+}
+
+/**
+ * Run fn inside a span (active for everything fn awaits)
+ * The span ends when fn settles; a thrown error is recorded and rethrown.
+ * @param {string} name - Span name, e.g. 'webhook.forward'
+ * @param {object} attributes - Span attributes (null / undefined values are skipped)
+ * @param {function(object|null): Promise<*>} fn - Receives the span (null when tracing is off)
+ * @param {object} [options]
+ * @param {object} [options.parent] - Carrier from injectTraceContext() to continue a stored trace
+ * @param {string} [options.kind] - 'internal' (default), 'client', 'server', 'producer' or 'consumer'
+ * @returns {Promise<*>} Result of fn
+ */
+export async function withSpan(name, attributes, fn, options = {}) {
+  if (!tracer) return fn(null);
+
+  const parentContext = options.parent
+    ? api.propagation.extract(api.context.active(), options.parent)
+    : api.context.active();
+  const kind = api.SpanKind[(options.kind || 'internal').toUpperCase()];
+
+  return tracer.startActiveSpan(name, { kind, attributes: cleanAttributes(attributes) }, parentContext, async (span) => {
+    try {
+      return await fn(span);
+    } catch (error) {
+      span.recordException(error);
+      span.setStatus({ code: api.SpanStatusCode.ERROR, message: error.message });
+      throw error;
+    } finally {
+      span.end();
+    }
+  });
+}
+
+/**
+ * Add attributes to the active span (results known after the span started)
+ * @param {object} attributes - Span attributes (null / undefined values are skipped)
+ */
+export function setSpanAttributes(attributes) {
+  api?.trace.getActiveSpan()?.setAttributes(cleanAttributes(attributes));
+}
+
+/**
+ * Record an event on the active span
+ * @param {string} name - Event name, e.g. 'queued'
+ * @param {object} [attributes] - Event attributes
+ */
+export function addSpanEvent(name, attributes = {}) {
+  api?.trace.getActiveSpan()?.addEvent(name, cleanAttributes(attributes));
+}
+
+/**
+ * Mark the active span as failed without throwing (handled errors)
+ * @param {Error|string} error - Error or message
+ */
+export function markSpanError(error) {
+  const span = api?.trace.getActiveSpan();
+  if (!span) return;
+
+  if (error instanceof Error) span.recordException(error);
+  span.setStatus({ code: api.SpanStatusCode.ERROR, message: error instanceof Error ? error.message : String(error) });
+}
+
+// ═══════════════════════════════════════════
+// PROPAGATION
+// ═══════════════════════════════════════════
+
+/**
+ * Write the active trace context as W3C headers
+ * Also used to store the context with a queued message (see withSpan options.parent).
+ * @param {object} [carrier] - Headers object to add to
+ * @returns {object} carrier, with traceparent (and tracestate) when a span is active
+ */
+export function injectTraceContext(carrier = {}) {
+  if (api) {
+    api.propagation.inject(api.context.active(), carrier);
+  }
+  return carrier;
+}
+
+export default {
+  initTracing,
+  shutdownTracing,
+  isTracingEnabled,
+  withSpan,
+  setSpanAttributes,
+  addSpanEvent,
+  markSpanError,
+  injectTraceContext
+};
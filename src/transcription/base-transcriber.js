@@ -0,0 +1,87 @@
+/**
+ * Base Transcriber - Abstract interface for speech-to-text backends
+ * All transcription backends must extend this class
+ */
+
+export class BaseTranscriber {
+  constructor(config = {}) {
+    this.config = config;
+  }
+
+  /**
+   * Get backend name
+   * @returns {string} Backend identifier (e.g. 'openai', 'whisper_http', 'noop')
+   */
+  getName() {
+    throw new Error('Method getName() must be implemented');
+  }
+
+  /**
+   * Whether this backend actually produces transcripts
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return true;
+  }
+
+  /**
+   * Transcribe an audio buffer
+   * @param {Buffer} audioBuffer - Audio content (WhatsApp voice notes are OGG/Opus)
+   * @param {object} options
+   * @param {string|null} options.language - ISO-639-1 code, or null to auto-detect
+   * @param {string} [options.mimeType] - Audio MIME type
+   * @param {string} [options.messageId] - For logs / file naming
+   * @returns {Promise<{text: string, language: string|null, confidence: number|null}>}
+   */
+  async transcribe(audioBuffer, options = {}) {
+    throw new Error('Method transcribe() must be implemented');
+  }
+}
+
+/**
+ * Average Whisper segment log-probabilities into a 0..1 confidence score
+ * @param {Array<{avg_logprob?: number}>} segments - verbose_json segments
+ * @returns {number|null}
+ */
+export function confidenceFromSegments(segments) {
+  const scores = (segments || [])
+    .map(segment => segment.avg_logprob)
+    .filter(value => typeof value === 'number' && isFinite(value));
+
+  if (scores.length === 0) return null;
+
+  const mean = scores.reduce((sum, value) => sum + Math.exp(value), 0) / scores.length;
+  return Math.round(Math.min(Math.max(mean, 0), 1) * 1000) / 1000;
+}
+
+// Whisper reports detected languages by name in verbose_json
+const LANGUAGE_CODES = {
+  french: 'fr',
+  english: 'en',
+  spanish: 'es',
+  portuguese: 'pt',
+  german: 'de',
+  italian: 'it',
+  dutch: 'nl',
+  arabic: 'ar',
+  turkish: 'tr',
+  russian: 'ru',
+  chinese: 'zh',
+  japanese: 'ja',
+  polish: 'pl',
+  romanian: 'ro',
+  wolof: 'wo'
+};
+
+/**
+ * Normalize a detected language to an ISO-639-1 code when possible
+ * @param {string|null} language - Name ('french') or code ('fr')
+ * @returns {string|null}
+ */
+export function normalizeLanguage(language) {
+  if (!language) return null;
+  const value = String(language).toLowerCase();
+  return LANGUAGE_CODES[value] || value;
+}
+
+export default BaseTranscriber;
@@ -0,0 +1,21 @@
+/**
+ * Noop Transcriber - Transcription disabled
+ */
+
+import { BaseTranscriber } from './base-transcriber.js';
+
+export class NoopTranscriber extends BaseTranscriber {
+  getName() {
+    return 'noop';
+  }
+
+  isEnabled() {
+    return false;
+  }
+
+  async transcribe() {
+    return null;
+  }
+}
+
+export default NoopTranscriber;
@@ -0,0 +1,45 @@
+/**
+ * OpenAI Transcriber - Hosted Whisper via the OpenAI audio API
+ */
+
+import OpenAI, { toFile } from 'openai';
+import { BaseTranscriber, confidenceFromSegments, normalizeLanguage } from './base-transcriber.js';
+
+export class OpenAiTranscriber extends BaseTranscriber {
+  constructor(config = {}) {
+    super(config);
+
+    this.apiKey = config.apiKey || process.env.OPENAI_API_KEY;
+    this.model = config.model || process.env.OPENAI_TRANSCRIPTION_MODEL || 'whisper-1';
+
+    if (!this.apiKey) {
+      throw new Error('OPENAI_API_KEY not configured');
+    }
+
+    this.client = new OpenAI({ apiKey: this.apiKey });
+  }
+
+  getName() {
+    return 'openai';
+  }
+
+  async transcribe(audioBuffer, { language = null, mimeType = 'audio/ogg', messageId = 'voice' } = {}) {
+    // Only whisper-1 returns segments and the detected language (verbose_json)
+    const verbose = this.model === 'whisper-1';
+
+    const transcription = await this.client.audio.transcriptions.create({
+      file: await toFile(audioBuffer, `${messageId}.ogg`, { type: mimeType }),
+      model: this.model,
+      response_format: verbose ? 'verbose_json' : 'json',
+      ...(language && { language })
+    });
+
+    return {
+      text: transcription.text,
+      language: normalizeLanguage(transcription.language) || language,
+      confidence: verbose ? confidenceFromSegments(transcription.segments) : null
+    };
+  }
+}
+
+export default OpenAiTranscriber;
@@ -0,0 +1,200 @@
+/**
+ * Transcription Service - Voice-note speech-to-text for both session managers
+ *
+ * Backend (TRANSCRIPTION_BACKEND):
+ *   - openai:       hosted Whisper (OPENAI_API_KEY)
+ *   - whisper_http: self-hosted whisper.cpp / OpenAI-compatible server (WHISPER_HTTP_URL)
+ *   - noop:         transcription disabled
+ * Defaults to openai when OPENAI_API_KEY is set, noop otherwise.
+ *
+ * Language: TRANSCRIPTION_LANGUAGE (default 'fr', 'auto' to detect), overridable
+ * per salon with TRANSCRIPTION_LANGUAGES ({"<salonId>": "en"}) or at runtime
+ * through PUT /session/:salonId/transcription (persisted).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { OpenAiTranscriber } from './openai-transcriber.js';
+import { WhisperHttpTranscriber } from './whisper-http-transcriber.js';
+import { NoopTranscriber } from './noop-transcriber.js';
+import { transcriptionDuration } from '../metrics.js';
+import { createLogger, getSalonLogger } from '../logger.js';
+import { withSpan, setSpanAttributes, markSpanError } from '../tracing.js';
+
+const log = createLogger('transcription');
+
+const TRANSCRIPTION_BACKEND = process.env.TRANSCRIPTION_BACKEND ||
+  (process.env.OPENAI_API_KEY ? 'openai' : 'noop');
+const DEFAULT_LANGUAGE = process.env.TRANSCRIPTION_LANGUAGE || 'fr';
+const SETTINGS_FILE = process.env.TRANSCRIPTION_SETTINGS_FILE || './data/transcription_settings.json';
+
+const AUTO = 'auto';
+
+let transcriber = null;
+let envLanguages = {};
+let salonLanguages = new Map();
+
+try {
+  envLanguages = JSON.parse(process.env.TRANSCRIPTION_LANGUAGES || '{}');
+} catch (error) {
+  log.error({ error: error.message }, 'TRANSCRIPTION_LANGUAGES is not valid JSON');
+}
+
+// ═══════════════════════════════════════════
+// BACKEND
+// ═══════════════════════════════════════════
+
+function createTranscriber(backend) {
+  switch (backend) {
+    case 'openai':
+      return new OpenAiTranscriber();
+    case 'whisper_http':
+    case 'whisper-http':
+    case 'whispercpp':
+      return new WhisperHttpTranscriber();
+    case 'noop':
+    case 'none':
+      return new NoopTranscriber();
+    default:
+      throw new Error(`Unknown transcription backend: ${backend}`);
+  }
+}
+
+/**
+ * Get the configured backend (created on first use)
+ * A misconfigured backend falls back to noop so messages still flow.
+ * @returns {BaseTranscriber}
+ */
+export function getTranscriber() {
+  if (!transcriber) {
+    try {
+      transcriber = createTranscriber(TRANSCRIPTION_BACKEND);
+    } catch (error) {
+      log.error({ backend: TRANSCRIPTION_BACKEND, error: error.message }, 'Transcription backend unavailable');
+      transcriber = new NoopTranscriber();
+    }
+  }
+  return transcriber;
+}
+
+export function isTranscriptionEnabled() {
+  return getTranscriber().isEnabled();
+}
+
+export function getTranscriptionBackendName() {
+  return getTranscriber().getName();
+}
+
+// ═══════════════════════════════════════════
+// PER-SALON LANGUAGE
+// ═══════════════════════════════════════════
+
+function loadSettings() {
+  try {
+    if (!fs.existsSync(SETTINGS_FILE)) return;
+    const settings = JSON.parse(fs.readFileSync(SETTINGS_FILE, 'utf-8'));
+    salonLanguages = new Map(Object.entries(settings.languages || {}));
+  } catch (error) {
+    log.error({ error: error.message }, 'Transcription settings load error');
+  }
+}
+
+function saveSettings() {
+  const dir = path.dirname(SETTINGS_FILE);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  const tempFile = `${SETTINGS_FILE}.tmp`;
+  fs.writeFileSync(tempFile, JSON.stringify({ languages: Object.fromEntries(salonLanguages) }, null, 2));
+  fs.renameSync(tempFile, SETTINGS_FILE);
+}
+
+/**
+ * Language used for a salon's voice notes
+ * @param {string} salonId - Salon identifier
+ * @returns {string} ISO-639-1 code, or 'auto'
+ */
+export function getSalonTranscriptionLanguage(salonId) {
+  return salonLanguages.get(salonId) || envLanguages[salonId] || DEFAULT_LANGUAGE;
+}
+
+/**
+ * Override the language for a salon (null restores the default)
+ * @param {string} salonId - Salon identifier
+ * @param {string|null} language - ISO-639-1 code, 'auto', or null
+ * @returns {string} Effective language
+ */
+export function setSalonTranscriptionLanguage(salonId, language) {
+  if (language == null) {
+    salonLanguages.delete(salonId);
+  } else {
+    const value = String(language).toLowerCase();
+    if (value !== AUTO && !/^[a-z]{2,3}$/.test(value)) {
+      throw new Error(`Invalid language: ${language}`);
+    }
+    salonLanguages.set(salonId, value);
+  }
+
+  saveSettings();
+  return getSalonTranscriptionLanguage(salonId);
+}
+
+// ═══════════════════════════════════════════
+// TRANSCRIBE
+// ═══════════════════════════════════════════
+
+/**
+ * Transcribe a voice note with the salon's language settings
+ * @param {string} salonId - Salon identifier
+ * @param {Buffer} audioBuffer - Audio content
+ * @param {object} options - { messageId, mimeType }
+ * @returns {Promise<{text: string, language: string|null, confidence: number|null, backend: string}|null>}
+ *          null when disabled or on error
+ */
+export async function transcribeVoiceNote(salonId, audioBuffer, { messageId, mimeType } = {}) {
+  const backend = getTranscriber();
+  if (!backend.isEnabled()) return null;
+
+  const configured = getSalonTranscriptionLanguage(salonId);
+  const language = configured === AUTO ? null : configured;
+  const stopTimer = transcriptionDuration.startTimer({ backend: backend.getName() });
+
+  return withSpan('transcription', {
+    'salon.id': salonId,
+    'message.id': messageId,
+    'transcription.backend': backend.getName(),
+    'transcription.language': language,
+    'audio.bytes': audioBuffer.length
+  }, async () => {
+    try {
+      const result = await backend.transcribe(audioBuffer, {
+        language,
+        messageId,
+        mimeType: mimeType?.split(';')[0] || 'audio/ogg'
+      });
+
+      stopTimer({ outcome: result?.text ? 'success' : 'empty' });
+      setSpanAttributes({ 'transcription.outcome': result?.text ? 'success' : 'empty' });
+      if (!result?.text) return null;
+
+      return { ...result, backend: backend.getName() };
+    } catch (error) {
+      stopTimer({ outcome: 'failure' });
+      markSpanError(error);
+      getSalonLogger(salonId).error({ messageId, backend: backend.getName(), error: error.message }, 'Transcription error');
+      return null;
+    }
+  });
+}
+
+loadSettings();
+
+export default {
+  getTranscriber,
+  isTranscriptionEnabled,
+  getTranscriptionBackendName,
+  getSalonTranscriptionLanguage,
+  setSalonTranscriptionLanguage,
+  transcribeVoiceNote
+};
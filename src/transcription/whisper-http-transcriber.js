@@ -0,0 +1,60 @@
+/**
+ * Whisper HTTP Transcriber - Self-hosted speech-to-text
+ *
+ * Works with the whisper.cpp server (`whisper-server --convert`, endpoint
+ * /inference) and with OpenAI-compatible servers such as faster-whisper-server
+ * or LocalAI (endpoint /v1/audio/transcriptions). Both accept a multipart
+ * `file` and return verbose_json with the detected language and segments.
+ */
+
+import axios from 'axios';
+import { BaseTranscriber, confidenceFromSegments, normalizeLanguage } from './base-transcriber.js';
+
+export class WhisperHttpTranscriber extends BaseTranscriber {
+  constructor(config = {}) {
+    super(config);
+
+    this.url = config.url || process.env.WHISPER_HTTP_URL;
+    this.model = config.model || process.env.WHISPER_HTTP_MODEL || null;
+    this.apiKey = config.apiKey || process.env.WHISPER_HTTP_API_KEY || null;
+    this.timeout = config.timeout || parseInt(process.env.WHISPER_HTTP_TIMEOUT_MS) || 120000;
+
+    if (!this.url) {
+      throw new Error('WHISPER_HTTP_URL not configured');
+    }
+
+    this.isWhisperCpp = /\/inference\/?$/.test(new URL(this.url).pathname);
+  }
+
+  getName() {
+    return 'whisper_http';
+  }
+
+  async transcribe(audioBuffer, { language = null, mimeType = 'audio/ogg', messageId = 'voice' } = {}) {
+    const form = new FormData();
+    form.append('file', new Blob([audioBuffer], { type: mimeType }), `${messageId}.ogg`);
+    form.append('response_format', 'verbose_json');
+    // whisper.cpp detects with 'auto', OpenAI-compatible servers when the field is absent
+    if (language || this.isWhisperCpp) {
+      form.append('language', language || 'auto');
+    }
+    if (this.model) {
+      form.append('model', this.model);
+    }
+
+    const response = await axios.post(this.url, form, {
+      headers: this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {},
+      timeout: this.timeout
+    });
+
+    const data = response.data || {};
+
+    return {
+      text: (data.text || '').trim(),
+      language: normalizeLanguage(data.language || data.detected_language) || language,
+      confidence: confidenceFromSegments(data.segments)
+    };
+  }
+}
+
+export default WhisperHttpTranscriber;
@@ -0,0 +1,125 @@
+/**
+ * Webhook Signer - Signs outbound webhook deliveries with HMAC-SHA256
+ *
+ * Every delivery carries:
+ *   X-Webhook-Id:        delivery ID, the same on every retry of one message
+ *                        (receivers dedup on it)
+ *   X-Webhook-Timestamp: unix seconds at signing time (new on each attempt)
+ *   X-Webhook-Signature: t=<timestamp>,v2=<hex hmac>[,v2=<hex hmac>]
+ *
+ * The HMAC is computed over `${deliveryId}.${timestamp}.${rawBody}`, so the
+ * ID cannot be swapped to get a captured delivery past a replay guard. While rotating,
+ * set WEBHOOK_SECRET_PREVIOUS so the payload is signed with both secrets
+ * and receivers holding either one keep verifying.
+ * See client/src/webhook-verify.js for the receiver side.
+ */
+
+import crypto from 'crypto';
+import axios from 'axios';
+import { createLogger } from './logger.js';
+import { injectTraceContext } from './tracing.js';
+
+export const DELIVERY_ID_HEADER = 'X-Webhook-Id';
+export const TIMESTAMP_HEADER = 'X-Webhook-Timestamp';
+export const SIGNATURE_HEADER = 'X-Webhook-Signature';
+
+const WEBHOOK_SECRET = process.env.WEBHOOK_SECRET;
+const WEBHOOK_SECRET_PREVIOUS = process.env.WEBHOOK_SECRET_PREVIOUS;
+
+/**
+ * Secrets currently used for signing (current first)
+ * @returns {string[]}
+ */
+export function getSigningSecrets() {
+  return [WEBHOOK_SECRET, WEBHOOK_SECRET_PREVIOUS].filter(Boolean);
+}
+
+/**
+ * Compute the hex HMAC-SHA256 of a payload
+ * @param {string} secret - Shared secret
+ * @param {string} deliveryId - X-Webhook-Id value
+ * @param {number} timestamp - Unix timestamp in seconds
+ * @param {string} rawBody - Exact body sent over the wire
+ * @returns {string}
+ */
+export function computeSignature(secret, deliveryId, timestamp, rawBody) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(`${deliveryId}.${timestamp}.${rawBody}`)
+    .digest('hex');
+}
+
+/**
+ * Delivery ID of an inbound message webhook
+ * Derived from the message so the live attempt, queue retries and dead-letter
+ * replays all carry the same X-Webhook-Id.
+ * @param {string} salonId - Salon identifier
+ * @param {string} messageId - WhatsApp message ID
+ * @returns {string}
+ */
+export function getMessageDeliveryId(salonId, messageId) {
+  return `${salonId}:${messageId}`;
+}
+
+/**
+ * Build the signature headers for a raw body
+ * @param {string} rawBody - Serialized JSON body
+ * @param {object} options
+ * @param {string} [options.deliveryId] - Delivery ID (generated if omitted)
+ * @param {number} [options.timestamp] - Unix seconds (now if omitted)
+ * @returns {object} Headers to merge into the request
+ */
+export function buildSignatureHeaders(rawBody, options = {}) {
+  const deliveryId = options.deliveryId || crypto.randomUUID();
+  const timestamp = options.timestamp || Math.floor(Date.now() / 1000);
+
+  const headers = {
+    [DELIVERY_ID_HEADER]: deliveryId,
+    [TIMESTAMP_HEADER]: String(timestamp)
+  };
+
+  const secrets = getSigningSecrets();
+  if (secrets.length > 0) {
+    const signatures = secrets.map(secret => `v2=${computeSignature(secret, deliveryId, timestamp, rawBody)}`);
+    headers[SIGNATURE_HEADER] = [`t=${timestamp}`, ...signatures].join(',');
+  }
+
+  return headers;
+}
+
+/**
+ * POST a signed JSON payload
+ * The body is serialized once so the signature covers the exact bytes sent.
+ * The active trace context goes along as traceparent / tracestate headers (not signed).
+ * @param {string} url - Webhook URL
+ * @param {object} payload - JSON payload
+ * @param {object} options - { timeout, deliveryId: reused across retries of one message (generated if omitted) }
+ * @returns {Promise<{response: object, deliveryId: string}>}
+ */
+export async function postSignedWebhook(url, payload, options = {}) {
+  const rawBody = JSON.stringify(payload);
+  const signatureHeaders = buildSignatureHeaders(rawBody, { deliveryId: options.deliveryId });
+
+  const response = await axios.post(url, rawBody, {
+    headers: {
+      'Content-Type': 'application/json',
+      ...signatureHeaders,
+      ...injectTraceContext()
+    },
+    timeout: options.timeout || 15000
+  });
+
+  return { response, deliveryId: signatureHeaders[DELIVERY_ID_HEADER] };
+}
+
+if (!WEBHOOK_SECRET) {
+  createLogger('webhook').warn('WEBHOOK_SECRET not configured - webhooks are sent unsigned');
+}
+
+export default {
+  getSigningSecrets,
+  computeSignature,
+  getMessageDeliveryId,
+  buildSignatureHeaders,
+  postSignedWebhook
+};
@@ -1,10 +1,13 @@
-import axios from 'axios';
+import { postSignedWebhook } from './webhook-signer.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('webhook');
 
 const WEBHOOK_URL = process.env.WEBHOOK_URL;
 
 export async function forwardToWebhook(messageData, salonId) {
   if (!WEBHOOK_URL) {
-    console.warn('⚠️ WEBHOOK_URL non configuré');
+    log.warn('WEBHOOK_URL not configured');
     return false;
   }
 
@@ -15,14 +18,13 @@ export async function forwardToWebhook(messageData, salonId) {
   };
 
   try {
-    const response = await axios.post(WEBHOOK_URL, payload, {
-      headers: { 'Content-Type': 'application/json' },
+    const { response } = await postSignedWebhook(WEBHOOK_URL, payload, {
       timeout: 10000
     });
-    console.log(`✅ Webhook envoyé (${response.status})`);
+    log.info({ salonId, statusCode: response.status }, 'Webhook delivered');
     return true;
   } catch (error) {
-    console.error('❌ Erreur webhook:', error.message);
+    log.error({ salonId, error: error.message }, 'Webhook error');
     return false;
   }
 }
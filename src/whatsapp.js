@@ -4,9 +4,9 @@ import makeWASocket, {
   fetchLatestBaileysVersion,
   makeCacheableSignalKeyStore
 } from '@whiskeysockets/baileys';
-import pino from 'pino';
 import qrcode from 'qrcode-terminal';
 import { forwardToWebhook, processQueue } from './webhook.js';
+import { createLogger, getBaileysLogger } from './logger.js';
 
 let sock = null;
 let connectionStatus = 'disconnected';
@@ -14,7 +14,8 @@ let reconnectAttempts = 0;
 let myPhoneNumber = null;
 const MAX_RECONNECT_ATTEMPTS = 5;
 
-const logger = pino({ level: 'silent' });
+const logger = getBaileysLogger('default');
+const log = createLogger('whatsapp');
 
 export function getConnectionStatus() {
   return connectionStatus;
@@ -29,7 +30,7 @@ export async function initWhatsApp() {
     const { state, saveCreds } = await useMultiFileAuthState('./auth');
     const { version } = await fetchLatestBaileysVersion();
 
-    console.log(`📱 Baileys version: ${version.join('.')}`);
+    log.info({ version: version.join('.') }, 'Baileys version');
 
     sock = makeWASocket({
       version,
@@ -48,7 +49,7 @@ export async function initWhatsApp() {
       const { connection, lastDisconnect, qr } = update;
 
       if (qr) {
-        console.log('\n📱 Scannez ce QR code avec WhatsApp Business:\n');
+        log.info('QR code ready - scan it with WhatsApp Business');
         qrcode.generate(qr, { small: true });
         global.currentQR = qr;
         connectionStatus = 'awaiting_qr';
@@ -60,16 +61,16 @@ export async function initWhatsApp() {
         const statusCode = lastDisconnect?.error?.output?.statusCode;
         const reason = lastDisconnect?.error?.output?.payload?.message || 'Unknown';
         
-        console.log(`⚠️ Déconnexion - Code: ${statusCode}, Raison: ${reason}`);
+        log.warn({ statusCode, reason }, 'Disconnected');
 
         if (statusCode === DisconnectReason.loggedOut) {
-          console.log('❌ Session expirée. Supprimez le dossier auth/ et relancez.');
+          log.error('Session logged out - delete the auth/ folder and restart');
           connectionStatus = 'logged_out';
           return;
         }
 
         if (statusCode === DisconnectReason.badSession) {
-          console.log('❌ Session corrompue. Suppression...');
+          log.error('Corrupted session - deleting credentials');
           const fs = await import('fs');
           fs.rmSync('./auth', { recursive: true, force: true });
           reconnectAttempts = 0;
@@ -78,11 +79,11 @@ export async function initWhatsApp() {
         if (reconnectAttempts < MAX_RECONNECT_ATTEMPTS) {
           reconnectAttempts++;
           const delay = Math.min(reconnectAttempts * 3000, 15000);
-          console.log(`🔄 Reconnexion ${reconnectAttempts}/${MAX_RECONNECT_ATTEMPTS} dans ${delay/1000}s...`);
+          log.info({ attempt: reconnectAttempts, maxAttempts: MAX_RECONNECT_ATTEMPTS, delayMs: delay }, 'Reconnecting');
           connectionStatus = 'reconnecting';
           setTimeout(initWhatsApp, delay);
         } else {
-          console.log('❌ Trop de tentatives. Supprimez auth/ et relancez.');
+          log.error('Too many reconnect attempts - delete auth/ and restart');
           connectionStatus = 'failed';
         }
       }
@@ -96,10 +97,7 @@ export async function initWhatsApp() {
         const rawId = sock.user?.id || '';
         myPhoneNumber = rawId.split(':')[0].split('@')[0];
         
-        console.log('═══════════════════════════════════════════');
-        console.log(`✅ WhatsApp connecté avec succès!`);
-        console.log(`📞 Numéro connecté: ${myPhoneNumber}`);
-        console.log('═══════════════════════════════════════════');
+        log.info({ phoneNumber: myPhoneNumber }, 'WhatsApp connected');
         
         // Traiter les messages en attente après reconnexion
         setTimeout(processQueue, 2000);
@@ -126,7 +124,7 @@ export async function initWhatsApp() {
           pushName: msg.pushName || 'Unknown'
         };
 
-        console.log(`📩 Message de ${messageData.pushName} (${senderPhone}): ${messageData.content}`);
+        log.info({ messageId: messageData.messageId, phone: senderPhone, type: messageData.type, content: messageData.content }, 'Message received');
         
         // Utiliser notre numéro pour le lookup du salon
         await forwardToWebhook(messageData, myPhoneNumber, false);
@@ -135,7 +133,7 @@ export async function initWhatsApp() {
 
     return sock;
   } catch (error) {
-    console.error('❌ Erreur initialisation:', error.message);
+    log.error({ error: error.message }, 'Initialization error');
     if (reconnectAttempts < MAX_RECONNECT_ATTEMPTS) {
       reconnectAttempts++;
       setTimeout(initWhatsApp, 5000);
@@ -172,5 +170,5 @@ export async function sendMessage(phone, content) {
 
   const jid = phone.includes('@') ? phone : `${phone}@s.whatsapp.net`;
   await sock.sendMessage(jid, { text: content });
-  console.log(`📤 Message envoyé à ${phone}`);
+  log.info({ phone }, 'Message sent');
 }